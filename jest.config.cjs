@@ -0,0 +1,12 @@
+/**
+ * Jest configuration
+ * Tests live in tests/ and load the CommonJS modules in src/ directly. The dashboard is
+ * a separate app with its own package.json, so it is left out of the module map.
+ */
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  modulePathIgnorePatterns: ['<rootDir>/dashboard/'],
+  setupFiles: ['<rootDir>/tests/setup.js'],
+  transform: {}
+};
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the syntax of every JavaScript file in the project.
+ *
+ * Each file is parsed by the running Node version with `node --check`, under the module
+ * system its nearest package.json declares, so CI catches syntax a supported Node
+ * version cannot load. Only files tracked by git or not ignored by it are checked.
+ *
+ * Usage: node scripts/lint.cjs
+ */
+const { execFileSync, spawnSync } = require('child_process');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCES = ['src', 'scripts', 'tests', 'examples'];
+const EXTENSIONS = new Set(['.js', '.cjs', '.mjs']);
+
+function collectFiles() {
+  const output = execFileSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', ...SOURCES], {
+    cwd: ROOT,
+    encoding: 'utf8'
+  });
+
+  return [...new Set(output.split('\0'))]
+    .filter(file => file && EXTENSIONS.has(path.extname(file)))
+    .sort();
+}
+
+const files = collectFiles();
+let failed = 0;
+
+for (const file of files) {
+  const result = spawnSync(process.execPath, ['--check', file], { cwd: ROOT, encoding: 'utf8' });
+  if (result.status !== 0) {
+    failed++;
+    process.stderr.write(`${file}\n${result.stderr}\n`);
+  }
+}
+
+if (failed > 0) {
+  console.error(`${failed} of ${files.length} files failed to parse`);
+  process.exit(1);
+}
+
+console.log(`Checked ${files.length} files`);
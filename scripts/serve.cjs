@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { AIAutoCodingDAO, ApiServer } = require('../src');
+
+// Development mode configuration
+const devConfig = {
+  claudeSonnet: {
+    devMode: true
+  },
+  boltDiy: {
+    devMode: true
+  }
+};
+
+// Initialize the system with development mode if no API keys are present; budgets and
+// history are kept in .aiacd/ across restarts
+const config = {
+  ...(!process.env.CLAUDE_API_KEY ? devConfig : {}),
+  storage: { type: 'jsonl' }
+};
+const aiacd = new AIAutoCodingDAO(config);
+const server = new ApiServer(aiacd);
+
+server.start()
+  .then(({ address, port }) => {
+    console.log('\nAI-AutoCoding-DAO API Server');
+    console.log('----------------------------');
+    console.log(`\nListening on http://${address}:${port}/api/v1`);
+    console.log(`Point AiacdCoreClient at it with AIACD_API_URL=http://${address}:${port}`);
+  })
+  .catch(error => {
+    console.error('\nFailed to start API server:', error.message);
+    process.exit(1);
+  });
+
+process.on('SIGINT', () => {
+  server.stop().then(() => process.exit(0));
+});
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Learns the BPE merge table used by src/utils/tokenizer.js.
+ *
+ * The corpus is the project's own docs and source, which resemble the prompts and code
+ * being counted. Only files tracked by git are read, so the same checkout always learns
+ * the same table; the corpus digest and merge count are written next to the merges.
+ *
+ * Usage: node scripts/train-tokenizer.cjs [mergeCount]
+ */
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PRETOKENIZE_PATTERN } = require('../src/utils/tokenizer');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'src/utils/bpe-merges.json');
+const SOURCES = ['docs', 'src', 'examples', 'supabase', 'scripts', 'README.md'];
+const EXTENSIONS = new Set(['.md', '.js', '.jsx', '.ts', '.tsx', '.css', '.sql']);
+const MERGE_COUNT = parseInt(process.argv[2], 10) || 8000;
+const SEPARATOR = '\u0000';
+
+function collectFiles() {
+  const output = execFileSync('git', ['ls-files', '-z', '--', ...SOURCES], { cwd: ROOT, encoding: 'utf8' });
+
+  return output
+    .split('\0')
+    .filter(file => file && EXTENSIONS.has(path.extname(file)))
+    .sort();
+}
+
+// Count each distinct piece once, weighted by frequency
+const pieceCounts = new Map();
+const files = collectFiles();
+const digest = crypto.createHash('sha256');
+let bytes = 0;
+
+for (const file of files) {
+  const text = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  digest.update(`${file}\0${text}\0`);
+  bytes += Buffer.byteLength(text);
+
+  for (const piece of text.match(PRETOKENIZE_PATTERN) || []) {
+    pieceCounts.set(piece, (pieceCounts.get(piece) || 0) + 1);
+  }
+}
+
+const words = Array.from(pieceCounts, ([piece, count]) => ({ symbols: Array.from(piece), count }));
+
+// Pair counts and the words each pair occurs in, updated after every merge
+const pairCounts = new Map();
+const pairWords = new Map();
+
+function countPairs(wordIndex, sign) {
+  const { symbols, count } = words[wordIndex];
+  for (let index = 0; index < symbols.length - 1; index++) {
+    const pair = symbols[index] + SEPARATOR + symbols[index + 1];
+    pairCounts.set(pair, (pairCounts.get(pair) || 0) + sign * count);
+    if (sign > 0) {
+      if (!pairWords.has(pair)) pairWords.set(pair, new Set());
+      pairWords.get(pair).add(wordIndex);
+    }
+  }
+}
+
+words.forEach((word, index) => countPairs(index, 1));
+
+const merges = [];
+
+while (merges.length < MERGE_COUNT) {
+  // Most frequent pair, ties broken by string order so the table is reproducible
+  let best = null;
+  let bestCount = 1;
+  for (const [pair, count] of pairCounts) {
+    if (count > bestCount || (count === bestCount && best !== null && pair < best)) {
+      best = pair;
+      bestCount = count;
+    }
+  }
+  if (best === null) break;
+
+  const [left, right] = best.split(SEPARATOR);
+  merges.push([left, right]);
+
+  for (const wordIndex of pairWords.get(best)) {
+    countPairs(wordIndex, -1);
+
+    const symbols = words[wordIndex].symbols;
+    const merged = [];
+    for (let index = 0; index < symbols.length; index++) {
+      if (index < symbols.length - 1 && symbols[index] === left && symbols[index + 1] === right) {
+        merged.push(left + right);
+        index++;
+      } else {
+        merged.push(symbols[index]);
+      }
+    }
+    words[wordIndex].symbols = merged;
+
+    countPairs(wordIndex, 1);
+  }
+
+  pairCounts.delete(best);
+  pairWords.delete(best);
+}
+
+fs.writeFileSync(OUTPUT, JSON.stringify({
+  name: 'aiacd-bpe',
+  description: 'BPE merges learned by scripts/train-tokenizer.cjs',
+  mergeCount: merges.length,
+  corpus: {
+    sources: SOURCES,
+    files: files.length,
+    bytes,
+    sha256: digest.digest('hex')
+  },
+  merges
+}) + '\n');
+
+console.log(`Learned ${merges.length} merges from ${files.length} files (${pieceCounts.size} distinct pieces)`);
+console.log(`Written to ${path.relative(ROOT, OUTPUT)}`);
@@ -3,13 +3,29 @@
  * Collects and aggregates metrics from various system components
  */
 const logger = require('../utils/logger');
+const { PriceTable, normalizeUsage } = require('../utils/usage');
+const { COLLECTIONS } = require('../data/storage-adapter');
 
 class MetricsCollector {
-  constructor() {
+  /**
+   * Create a metrics collector
+   * @param {Object} config - Configuration options
+   * @param {PriceTable} config.priceTable - Price table used to compute spend
+   * @param {Object} config.prices - Per-model prices merged over the defaults, when no
+   *   priceTable is given
+   * @param {StorageAdapter} config.storage - Storage that task metrics are appended to
+   *   and rehydrated from by initialize(); metrics are kept in memory only when omitted
+   */
+  constructor(config = {}) {
+    this.priceTable = config.priceTable || new PriceTable(config.prices);
+    this.storage = config.storage || null;
+    this.initialized = false;
+    this.sequence = 0;
     this.metrics = {
       tasks: new Map(),
       tokenUsage: {
         total: 0,
+        cost: 0,
         byTool: new Map(),
         byType: new Map(),
         history: []
@@ -33,37 +49,52 @@ class MetricsCollector {
     };
   }
 
+  /**
+   * Rebuild metrics from the task metrics in storage
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized || !this.storage) return;
+
+    const records = await this.storage.load(COLLECTIONS.QUALITY_METRICS, { source: 'metricsCollector' });
+    records
+      .filter(record => record.type === 'taskMetrics')
+      .forEach(record => {
+        const [taskMetrics, success] = record.args;
+        this._applyTaskMetrics({ ...taskMetrics, quality: record.quality }, success);
+      });
+
+    this.initialized = true;
+    logger.info(`Metrics collector rehydrated ${this.metrics.tasks.size} tasks from ${records.length} records`);
+  }
+
   /**
    * Record task metrics
    * @param {Object} task - Task details
    * @param {Object} result - Task result
+   * @param {Object} result.baseline - Direct cost the task is compared against:
+   *   { method, tokens, ratio } where ratio is direct over delegated tokens
    */
   recordTaskMetrics(task, result) {
     try {
       const timestamp = new Date().toISOString();
+      const tokenUsage = normalizeUsage(result.tokenUsage);
+      const model = result.metadata?.modelVersion || null;
       const taskMetrics = {
         id: task.id,
         type: task.type,
         complexity: task.complexity,
-        tokenUsage: result.tokenUsage || { total: 0 },
+        tool: result.metadata?.tool || null,
+        model,
+        tokenUsage,
+        cost: this.priceTable.cost(tokenUsage, model),
         quality: result.quality || { overallScore: 0 },
+        baseline: result.baseline || null,
         timestamp
       };
 
-      // Update task metrics
-      this.metrics.tasks.set(task.id, taskMetrics);
-
-      // Update token usage metrics
-      this._updateTokenMetrics(taskMetrics);
-
-      // Update quality metrics
-      this._updateQualityMetrics(taskMetrics);
-
-      // Update performance metrics
-      this._updatePerformanceMetrics(result.success);
-
-      // Update efficiency metrics
-      this._updateEfficiencyMetrics(taskMetrics);
+      this._applyTaskMetrics(taskMetrics, result.success);
+      this._persist(taskMetrics, result.success);
 
       logger.debug(`Recorded metrics for task: ${task.id}`);
     } catch (error) {
@@ -111,21 +142,121 @@ class MetricsCollector {
     return format === 'csv' ? this._convertToCSV(report) : JSON.stringify(report, null, 2);
   }
 
+  /**
+   * Get recorded task metrics, optionally filtered
+   * @param {Object} filter - Filter options
+   * @param {string} filter.type - Task type
+   * @param {Date|string} filter.start - Earliest timestamp (inclusive)
+   * @param {Date|string} filter.end - Latest timestamp (inclusive)
+   * @returns {Object[]} Task metrics sorted by timestamp
+   */
+  getTaskMetrics({ type, start, end } = {}) {
+    const startTime = start ? new Date(start).getTime() : -Infinity;
+    const endTime = end ? new Date(end).getTime() : Infinity;
+
+    return Array.from(this.metrics.tasks.values())
+      .filter(entry => {
+        const time = new Date(entry.timestamp).getTime();
+        return (!type || entry.type === type) && time >= startTime && time <= endTime;
+      })
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Get daily average efficiency over a trailing window
+   * @param {number} days - Number of days to include
+   * @param {string} type - Optional task type filter
+   * @returns {Object[]} Data points with date and efficiency
+   */
+  getEfficiencyTrend(days = 30, type) {
+    const start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const daily = new Map();
+
+    this.getTaskMetrics({ type, start }).forEach(entry => {
+      if (!Number.isFinite(entry.efficiency)) return;
+
+      const date = entry.timestamp.slice(0, 10);
+      const bucket = daily.get(date) || { total: 0, count: 0 };
+      bucket.total += entry.efficiency;
+      bucket.count++;
+      daily.set(date, bucket);
+    });
+
+    return Array.from(daily.entries()).map(([date, bucket]) => ({
+      date,
+      efficiency: bucket.total / bucket.count
+    }));
+  }
+
   // Private methods for metric updates
+  _applyTaskMetrics(taskMetrics, success) {
+    // Update task metrics
+    this.metrics.tasks.set(taskMetrics.id, taskMetrics);
+
+    // Update token usage metrics
+    this._updateTokenMetrics(taskMetrics);
+
+    // Update quality metrics
+    this._updateQualityMetrics(taskMetrics);
+
+    // Update performance metrics
+    this._updatePerformanceMetrics(success);
+
+    // Update efficiency metrics
+    this._updateEfficiencyMetrics(taskMetrics);
+  }
+
+  _persist(taskMetrics, success) {
+    if (!this.storage) return;
+
+    // The quality report is stored once, beside the task metrics it belongs to
+    const { quality } = taskMetrics;
+    this.storage.append(COLLECTIONS.QUALITY_METRICS, {
+      source: 'metricsCollector',
+      type: 'taskMetrics',
+      args: [{ ...taskMetrics, quality: null }, Boolean(success)],
+      taskId: taskMetrics.id,
+      toolName: taskMetrics.tool,
+      model: taskMetrics.model,
+      usage: taskMetrics.tokenUsage,
+      cost: taskMetrics.cost,
+      qualityScore: quality.overallScore,
+      quality,
+      timestamp: Date.now(),
+      sequence: this.sequence++
+    });
+  }
+
   _updateTokenMetrics(taskMetrics) {
-    const { tokenUsage, type } = taskMetrics;
+    const { tokenUsage, type, tool, cost } = taskMetrics;
     
-    // Update total tokens
+    // Update totals
     this.metrics.tokenUsage.total += tokenUsage.total;
+    this.metrics.tokenUsage.cost = Math.round((this.metrics.tokenUsage.cost + (cost || 0)) * 1e6) / 1e6;
 
     // Update by type
     const typeTokens = this.metrics.tokenUsage.byType.get(type) || 0;
     this.metrics.tokenUsage.byType.set(type, typeTokens + tokenUsage.total);
 
+    // Update by tool
+    if (tool) {
+      const toolUsage = this.metrics.tokenUsage.byTool.get(tool) || { tokens: 0, cost: 0 };
+      this.metrics.tokenUsage.byTool.set(tool, {
+        tokens: toolUsage.tokens + tokenUsage.total,
+        cost: Math.round((toolUsage.cost + (cost || 0)) * 1e6) / 1e6
+      });
+    }
+
     // Add to history
     this.metrics.tokenUsage.history.push({
       timestamp: taskMetrics.timestamp,
       tokens: tokenUsage.total,
+      input: tokenUsage.input,
+      output: tokenUsage.output,
+      cacheRead: tokenUsage.cacheRead,
+      cacheWrite: tokenUsage.cacheWrite,
+      cost,
+      estimated: tokenUsage.estimated,
       type
     });
   }
@@ -164,15 +295,23 @@ class MetricsCollector {
   }
 
   _updateEfficiencyMetrics(taskMetrics) {
-    const { tokenUsage } = taskMetrics;
-    const baselineTokens = tokenUsage.total * 6; // Estimated baseline (6x current)
-    const efficiency = baselineTokens / tokenUsage.total;
+    const { tokenUsage, baseline } = taskMetrics;
 
+    // Without a measured or modelled baseline the efficiency is unknown, not assumed
+    if (!baseline || !Number.isFinite(baseline.ratio)) {
+      taskMetrics.efficiency = null;
+      return;
+    }
+
+    const efficiency = baseline.ratio;
+    taskMetrics.efficiency = efficiency;
     this.metrics.efficiency.current = efficiency;
     this.metrics.efficiency.history.push({
       timestamp: taskMetrics.timestamp,
       efficiency,
-      tokens: tokenUsage.total
+      tokens: tokenUsage.total,
+      baselineTokens: baseline.tokens,
+      method: baseline.method
     });
   }
 
@@ -226,6 +365,7 @@ class MetricsCollector {
       averageQuality: this.metrics.quality.average.toFixed(2),
       currentEfficiency: this.metrics.efficiency.current.toFixed(2) + 'x',
       totalTokens: this.metrics.tokenUsage.total,
+      totalCost: this.metrics.tokenUsage.cost,
       targetProgress: (
         (this.metrics.efficiency.current / this.metrics.efficiency.target) * 100
       ).toFixed(2) + '%'
@@ -242,6 +382,7 @@ class MetricsCollector {
       ['Average Quality', report.summary.averageQuality],
       ['Current Efficiency', report.summary.currentEfficiency],
       ['Total Tokens', report.summary.totalTokens],
+      ['Total Cost (USD)', report.summary.totalCost],
       ['Target Progress', report.summary.targetProgress]
     ];
 
@@ -0,0 +1,151 @@
+/**
+ * AI-AutoCoding-DAO Job Store
+ * Persists job queue state to a local JSON file so queued jobs survive restarts
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+class JobStore {
+  /**
+   * Create a job store
+   * Job state is kept in one JSON file that is rewritten on every save, so results are
+   * written once to a file of their own and left out of it.
+   * @param {Object} config - Configuration options
+   * @param {string} config.filePath - Path of the JSON file (relative to baseDir)
+   * @param {string} config.resultsDir - Directory of per-job result files (relative to baseDir)
+   */
+  constructor(config = {}) {
+    this.config = {
+      baseDir: path.resolve(process.cwd()),
+      filePath: '.aiacd/jobs.json',
+      resultsDir: '.aiacd/job-results',
+      ...config
+    };
+
+    for (const key of ['filePath', 'resultsDir']) {
+      if (!path.isAbsolute(this.config[key])) {
+        this.config[key] = path.join(this.config.baseDir, this.config[key]);
+      }
+    }
+
+    // Task IDs whose result file has been written
+    this.savedResults = new Set();
+
+    // Serialize writes so concurrent saves never interleave
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load all persisted jobs, with their results
+   * @returns {Promise<Object[]>} Jobs
+   */
+  async load() {
+    let jobs;
+
+    try {
+      const content = await fs.readFile(this.config.filePath, 'utf8');
+      jobs = JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      logger.error(`Failed to load jobs: ${error.message}`);
+      throw error;
+    }
+
+    if (!Array.isArray(jobs)) return [];
+
+    for (const job of jobs) {
+      // Stores written before results had their own files keep them inline
+      job.result = job.hasResult ? await this._loadResult(job.taskId) : job.result || null;
+      delete job.hasResult;
+    }
+
+    logger.debug(`Loaded ${jobs.length} jobs from ${this.config.filePath}`);
+    return jobs;
+  }
+
+  /**
+   * Persist all jobs
+   * New results are written to their own files, and files of jobs that are no longer
+   * passed (e.g. pruned ones) are removed.
+   * @param {Object[]} jobs - Jobs to persist
+   * @returns {Promise<void>} Rejects when the store cannot be written
+   */
+  save(jobs) {
+    const content = JSON.stringify(jobs.map(({ result, ...job }) => ({ ...job, hasResult: result != null })), null, 2);
+    const taskIds = new Set(jobs.map(job => job.taskId));
+
+    const write = this.writeChain.then(async () => {
+      const results = jobs.filter(job => job.result != null && !this.savedResults.has(job.taskId));
+      const removed = [...this.savedResults].filter(taskId => !taskIds.has(taskId));
+
+      for (const job of results) {
+        await this._writeFile(this._resultPath(job.taskId), JSON.stringify(job.result));
+        this.savedResults.add(job.taskId);
+      }
+
+      // Write to a temporary file first so a crash never leaves a truncated store
+      await this._writeFile(this.config.filePath, content);
+
+      for (const taskId of removed) {
+        await fs.rm(this._resultPath(taskId), { force: true });
+        this.savedResults.delete(taskId);
+      }
+    });
+
+    // A failed write is reported to this caller; later saves still run
+    this.writeChain = write.catch(error => {
+      logger.error(`Failed to save jobs: ${error.message}`);
+    });
+
+    return write;
+  }
+
+  /**
+   * Read the result file of a job
+   * @private
+   * @param {string} taskId - Task identifier
+   * @returns {Promise<Object|null>} Result, or null when its file is missing
+   */
+  async _loadResult(taskId) {
+    try {
+      const result = JSON.parse(await fs.readFile(this._resultPath(taskId), 'utf8'));
+      this.savedResults.add(taskId);
+      return result;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`Result file missing for job ${taskId}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a file through a temporary file and a rename
+   * @private
+   * @param {string} filePath - Destination
+   * @param {string} content - File content
+   * @returns {Promise<void>}
+   */
+  async _writeFile(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Path of a job's result file
+   * @private
+   * @param {string} taskId - Task identifier
+   * @returns {string} Path
+   */
+  _resultPath(taskId) {
+    return path.join(this.config.resultsDir, `${encodeURIComponent(taskId)}.json`);
+  }
+}
+
+module.exports = JobStore;
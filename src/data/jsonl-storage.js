@@ -0,0 +1,109 @@
+/**
+ * AI-AutoCoding-DAO JSON Lines Storage
+ * Appends tracker records to local JSON Lines files, one file per collection
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { StorageAdapter, sortRecords } = require('./storage-adapter');
+
+class JsonLinesStorage extends StorageAdapter {
+  /**
+   * Create a JSON Lines storage
+   * @param {Object} config - Configuration options
+   * @param {string} config.directory - Directory holding <collection>.jsonl files
+   *   (relative to baseDir)
+   */
+  constructor(config = {}) {
+    super();
+    this.config = {
+      baseDir: path.resolve(process.cwd()),
+      directory: '.aiacd',
+      ...config
+    };
+
+    if (!path.isAbsolute(this.config.directory)) {
+      this.config.directory = path.join(this.config.baseDir, this.config.directory);
+    }
+
+    // Appends are queued so lines from concurrent records never interleave
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load the records of a collection
+   * @param {string} collection - Collection name
+   * @param {Object} filter - Filter options
+   * @param {string} filter.source - Only load records written by this source
+   * @returns {Promise<Object[]>} Records in the order they were recorded
+   */
+  async load(collection, { source } = {}) {
+    const filePath = this._filePath(collection);
+    let content;
+
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      logger.error(`Failed to load ${collection} records: ${error.message}`);
+      throw error;
+    }
+
+    const records = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line; skip it rather than lose the file
+        logger.warn(`Skipping unreadable line ${index + 1} of ${filePath}`);
+      }
+    });
+
+    logger.debug(`Loaded ${records.length} records from ${filePath}`);
+    return sortRecords(records.filter(record => !source || record.source === source));
+  }
+
+  /**
+   * Append a record to a collection
+   * @param {string} collection - Collection name
+   * @param {Object} record - Record to persist
+   * @returns {Promise<void>}
+   */
+  append(collection, record) {
+    const filePath = this._filePath(collection);
+    const line = JSON.stringify(record) + '\n';
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, line, 'utf8');
+      })
+      .catch(error => {
+        logger.error(`Failed to append ${collection} record: ${error.message}`);
+      });
+
+    return this.writeChain;
+  }
+
+  /**
+   * Wait for pending appends
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeChain;
+  }
+
+  /**
+   * Path of a collection's file
+   * @private
+   */
+  _filePath(collection) {
+    return path.join(this.config.directory, `${collection}.jsonl`);
+  }
+}
+
+module.exports = JsonLinesStorage;
@@ -12,13 +12,19 @@ const logger = require('../utils/logger');
 class KnowledgeManager {
   /**
    * Create a Knowledge Manager instance
+   * The shipped template and pattern directories are found next to this module, so they
+   * load from any working directory.
    * @param {Object} config - Configuration options
+   * @param {string} config.baseDir - Directory that relative templatesDir and patternsDir
+   *   are resolved against; the working directory by default
+   * @param {string} config.templatesDir - Template pack directory
+   * @param {string} config.patternsDir - Pattern directory
    */
   constructor(config = {}) {
     this.config = {
       baseDir: path.resolve(process.cwd()),
-      templatesDir: 'src/data/templates',
-      patternsDir: 'src/data/patterns',
+      templatesDir: path.join(__dirname, 'templates'),
+      patternsDir: path.join(__dirname, 'patterns'),
       ...config
     };
     
@@ -172,6 +178,24 @@ class KnowledgeManager {
     }
   }
   
+  /**
+   * Re-read templates from disk, dropping files that were deleted
+   * @returns {Promise<Object>} All templates
+   */
+  async reloadTemplates() {
+    const previous = this.templates;
+    this.templates = {};
+    
+    try {
+      await this._loadTemplates();
+    } catch (error) {
+      this.templates = previous;
+      throw error;
+    }
+    
+    return this.templates;
+  }
+  
   /**
    * Get a template by tool and type
    * @param {string} tool - Tool name
@@ -0,0 +1,74 @@
+/**
+ * AI-AutoCoding-DAO Storage Adapter
+ * Interface for persisting TokenTracker and MetricsCollector records
+ *
+ * Trackers append a record whenever their state changes and replay the records in order
+ * on startup. Records are grouped in collections named after the Supabase tables they
+ * map to:
+ * - token_usage: task starts, direct costs, delegated costs and repair rounds
+ * - quality_metrics: tool quality scores, task completions and per-task metrics
+ *
+ * A record has the shape:
+ * {
+ *   source,        // 'tokenTracker' or 'metricsCollector'
+ *   type,          // What was recorded, e.g. 'recordDelegatedCost'
+ *   args,          // Arguments needed to replay it
+ *   taskId, toolName, model,
+ *   usage,         // Normalized token usage, for usage records
+ *   cost, timeSpent, qualityScore, quality,
+ *   timestamp,     // Time recorded, in ms
+ *   sequence       // Order among records written in the same millisecond
+ * }
+ */
+
+const COLLECTIONS = {
+  TOKEN_USAGE: 'token_usage',
+  QUALITY_METRICS: 'quality_metrics'
+};
+
+class StorageAdapter {
+  /**
+   * Load the records of a collection
+   * @param {string} collection - Collection name (see COLLECTIONS)
+   * @param {Object} filter - Filter options
+   * @param {string} filter.source - Only load records written by this source
+   * @returns {Promise<Object[]>} Records in the order they were recorded
+   */
+  async load(collection, filter = {}) {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  /**
+   * Append a record to a collection
+   * Failures are logged rather than thrown, so tracking never fails a task.
+   * @param {string} collection - Collection name (see COLLECTIONS)
+   * @param {Object} record - Record to persist
+   * @returns {Promise<void>}
+   */
+  append(collection, record) {
+    throw new Error(`${this.constructor.name} does not implement append()`);
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Sort records into the order they were recorded
+ * @param {Object[]} records - Records from one or more collections
+ * @returns {Object[]} Sorted records
+ */
+function sortRecords(records) {
+  return records.sort((a, b) => (a.timestamp - b.timestamp) || ((a.sequence || 0) - (b.sequence || 0)));
+}
+
+module.exports = {
+  COLLECTIONS,
+  StorageAdapter,
+  sortRecords
+};
@@ -0,0 +1,118 @@
+/**
+ * AI-AutoCoding-DAO Supabase Storage
+ * Writes tracker records to the token_usage and quality_metrics tables
+ */
+const logger = require('../utils/logger');
+const SupabaseConnector = require('../tools/supabase-connector');
+const { COLLECTIONS, StorageAdapter, sortRecords } = require('./storage-adapter');
+
+class SupabaseStorage extends StorageAdapter {
+  /**
+   * Create a Supabase storage
+   * Needs the columns added by the calm_ledger migration. Rows are written without a
+   * `tasks` row, so production use requires the service role key.
+   * @param {Object} config - Configuration options
+   * @param {SupabaseConnector} config.connector - Connector to write through; one is
+   *   created from the remaining options (url, apiKey, devMode) when omitted
+   */
+  constructor(config = {}) {
+    super();
+    const { connector, ...connectorConfig } = config;
+    this.connector = connector || new SupabaseConnector(connectorConfig);
+    this.pending = new Set();
+  }
+
+  /**
+   * Load the records of a collection
+   * @param {string} collection - 'token_usage' or 'quality_metrics'
+   * @param {Object} filter - Filter options
+   * @param {string} filter.source - Only load records written by this source
+   * @returns {Promise<Object[]>} Records in the order they were recorded
+   */
+  async load(collection, { source } = {}) {
+    const rows = collection === COLLECTIONS.TOKEN_USAGE ?
+      await this.connector.getTokenUsage({ source }) :
+      await this.connector.getQualityMetrics({ source });
+
+    // Rows written outside the trackers have no record to replay
+    const records = rows.map(row => row.record).filter(Boolean);
+    logger.debug(`Loaded ${records.length} ${collection} records from Supabase`);
+    return sortRecords(records);
+  }
+
+  /**
+   * Append a record to a collection
+   * @param {string} collection - 'token_usage' or 'quality_metrics'
+   * @param {Object} record - Record to persist
+   * @returns {Promise<void>}
+   */
+  append(collection, record) {
+    const write = collection === COLLECTIONS.TOKEN_USAGE ?
+      this.connector.recordTokenUsage(this._tokenUsageRow(record)) :
+      this.connector.saveQualityMetrics(this._qualityMetricsRow(record));
+
+    const pending = write
+      .then(() => undefined)
+      .catch(error => {
+        logger.error(`Failed to append ${collection} record: ${error.message}`);
+      })
+      .finally(() => this.pending.delete(pending));
+
+    this.pending.add(pending);
+    return pending;
+  }
+
+  /**
+   * Wait for pending inserts
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(Array.from(this.pending));
+  }
+
+  /**
+   * Map a record onto token_usage columns
+   * Task-level records (task starts, direct costs) have no tool and use 'aiacd'.
+   * @private
+   */
+  _tokenUsageRow(record) {
+    const usage = record.usage || {};
+    return {
+      task_key: record.taskId,
+      tool_name: record.toolName || 'aiacd',
+      prompt_tokens: usage.input || 0,
+      completion_tokens: usage.output || 0,
+      cache_read_tokens: usage.cacheRead || 0,
+      cache_write_tokens: usage.cacheWrite || 0,
+      total_tokens: usage.total || 0,
+      time_spent: record.timeSpent || 0,
+      model: record.model || null,
+      cost: record.cost ?? null,
+      estimated: Boolean(usage.estimated),
+      source: record.source,
+      record_type: record.type,
+      record
+    };
+  }
+
+  /**
+   * Map a record onto quality_metrics columns
+   * @private
+   */
+  _qualityMetricsRow(record) {
+    const quality = record.quality || {};
+    return {
+      task_key: record.taskId,
+      tool_name: record.toolName || null,
+      overall_score: record.qualityScore || 0,
+      detailed_scores: quality.detailedScores || {},
+      strengths: quality.analysis?.strengths || [],
+      weaknesses: quality.analysis?.weaknesses || [],
+      source: record.source,
+      record_type: record.type,
+      record
+    };
+  }
+}
+
+module.exports = SupabaseStorage;
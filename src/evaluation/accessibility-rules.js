@@ -0,0 +1,341 @@
+/**
+ * AI-AutoCoding-DAO Accessibility Rules
+ * Rule engine that audits JSX markup collected by the StaticAnalyzer
+ */
+
+// WAI-ARIA 1.2 roles
+const ARIA_ROLES = new Set([
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+  'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+  'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+  'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+  'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
+  'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
+  'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+  'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term',
+  'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+// WAI-ARIA 1.2 states and properties
+const ARIA_ATTRIBUTES = new Set([
+  'activedescendant', 'atomic', 'autocomplete', 'braillelabel', 'brailleroledescription', 'busy',
+  'checked', 'colcount', 'colindex', 'colindextext', 'colspan', 'controls', 'current',
+  'describedby', 'description', 'details', 'disabled', 'dropeffect', 'errormessage', 'expanded',
+  'flowto', 'grabbed', 'haspopup', 'hidden', 'invalid', 'keyshortcuts', 'label', 'labelledby',
+  'level', 'live', 'modal', 'multiline', 'multiselectable', 'orientation', 'owns', 'placeholder',
+  'posinset', 'pressed', 'readonly', 'relevant', 'required', 'roledescription', 'rowcount',
+  'rowindex', 'rowindextext', 'rowspan', 'selected', 'setsize', 'sort', 'valuemax', 'valuemin',
+  'valuenow', 'valuetext'
+].map(name => `aria-${name}`));
+
+// Roles that promise keyboard interaction
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'checkbox', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option',
+  'radio', 'switch', 'tab', 'textbox', 'searchbox', 'slider', 'spinbutton', 'combobox',
+  'treeitem', 'gridcell'
+]);
+
+const KEY_HANDLERS = ['onKeyDown', 'onKeyUp', 'onKeyPress'];
+
+// Points deducted per finding
+const IMPACT_WEIGHTS = {
+  critical: 2,
+  serious: 1.5,
+  moderate: 1
+};
+
+/**
+ * Check whether an element is a DOM element (components are skipped; their markup is unknown)
+ */
+function isDomElement(element) {
+  return /^[a-z]/.test(element.name);
+}
+
+/**
+ * Check whether an element is natively focusable and operable
+ */
+function isNativelyInteractive(element) {
+  if (element.name === 'a') return element.attributes.href !== undefined;
+  return ['button', 'input', 'select', 'textarea', 'option', 'summary'].includes(element.name);
+}
+
+function roleOf(element) {
+  return typeof element.attributes.role === 'string' ? element.attributes.role : null;
+}
+
+function hasAccessibleNameAttribute(element) {
+  return ['aria-label', 'aria-labelledby', 'title'].some(name => element.attributes[name] !== undefined);
+}
+
+/**
+ * Built-in rules
+ * Each rule has an id, a category (the audit area it belongs to), an impact, a description
+ * used as the strength when it passes, applies(context) and check(context) returning findings.
+ */
+const DEFAULT_RULES = [
+  {
+    id: 'alt-text',
+    category: 'alt-text',
+    impact: 'critical',
+    description: 'Images have text alternatives',
+    applies: ({ elements }) => elements.some(element =>
+      ['img', 'area'].includes(element.name) ||
+      (element.name === 'input' && element.attributes.type === 'image') ||
+      roleOf(element) === 'img'),
+    check: ({ elements }) => elements
+      .filter(element => !element.hasSpread)
+      .filter(element => {
+        if (['img', 'area'].includes(element.name) || (element.name === 'input' && element.attributes.type === 'image')) {
+          return element.attributes.alt === undefined;
+        }
+        return roleOf(element) === 'img' && !hasAccessibleNameAttribute(element);
+      })
+      .map(element => ({
+        element,
+        message: `<${element.name}> has no alt text`
+      }))
+  },
+  {
+    id: 'click-events-have-key-events',
+    category: 'keyboard',
+    impact: 'serious',
+    description: 'Click handlers are paired with keyboard handlers',
+    applies: ({ elements }) => elements.some(element => element.attributes.onClick !== undefined),
+    check: ({ elements }) => elements
+      .filter(element => isDomElement(element) && !isNativelyInteractive(element) && !element.hasSpread)
+      .filter(element => element.attributes.onClick !== undefined)
+      .filter(element => KEY_HANDLERS.every(handler => element.attributes[handler] === undefined))
+      .map(element => ({
+        element,
+        message: `<${element.name}> has onClick but no keyboard handler; use a <button> or add onKeyDown`
+      }))
+  },
+  {
+    id: 'label',
+    category: 'labels',
+    impact: 'serious',
+    description: 'Form controls have labels',
+    applies: ({ elements }) => elements.some(element => ['input', 'select', 'textarea'].includes(element.name)),
+    check: context => context.elements
+      .filter(element => ['input', 'select', 'textarea'].includes(element.name) && !element.hasSpread)
+      .filter(element => !['hidden', 'submit', 'button', 'reset', 'image'].includes(element.attributes.type))
+      .filter(element => !hasAccessibleNameAttribute(element))
+      .filter(element => !context.isInside(element, 'label'))
+      .filter(element => {
+        const id = element.attributes.id;
+        if (id === undefined) return true;
+        // A dynamic id or htmlFor cannot be matched statically; give it the benefit of the doubt
+        return !context.labelTargets.has(id) && id !== '{expression}' && !context.labelTargets.has('{expression}');
+      })
+      .map(element => ({
+        element,
+        message: `<${element.name}> has no associated <label>, aria-label or aria-labelledby`
+      }))
+  },
+  {
+    id: 'aria-role',
+    category: 'aria',
+    impact: 'serious',
+    description: 'ARIA roles are valid',
+    applies: ({ elements }) => elements.some(element => roleOf(element) !== null),
+    check: ({ elements }) => elements
+      .filter(element => isDomElement(element) && roleOf(element) !== null && roleOf(element) !== '{expression}')
+      .flatMap(element => roleOf(element).trim().split(/\s+/)
+        .filter(role => !ARIA_ROLES.has(role))
+        .map(role => ({
+          element,
+          message: `<${element.name}> uses invalid ARIA role "${role}"`
+        })))
+  },
+  {
+    id: 'aria-props',
+    category: 'aria',
+    impact: 'moderate',
+    description: 'ARIA attributes are valid',
+    applies: ({ elements }) => elements.some(element =>
+      Object.keys(element.attributes).some(name => name.startsWith('aria-'))),
+    check: ({ elements }) => elements
+      .filter(isDomElement)
+      .flatMap(element => Object.keys(element.attributes)
+        .filter(name => name.startsWith('aria-') && !ARIA_ATTRIBUTES.has(name))
+        .map(name => ({
+          element,
+          message: `<${element.name}> uses unknown ARIA attribute "${name}"`
+        })))
+  },
+  {
+    id: 'dialog-focus',
+    category: 'focus',
+    impact: 'serious',
+    description: 'Dialogs manage focus',
+    applies: context => context.dialogs.length > 0,
+    check: context => {
+      const managesFocus = context.calls.includes('focus') ||
+        context.elements.some(element => element.attributes.autoFocus !== undefined) ||
+        context.imports.some(source => /focus-(trap|lock)/.test(source));
+
+      return managesFocus ? [] : context.dialogs.map(element => ({
+        element,
+        message: `<${element.name}> dialog never moves focus into itself (call .focus(), use autoFocus or a focus trap)`
+      }));
+    }
+  },
+  {
+    id: 'custom-control-focusable',
+    category: 'focus',
+    impact: 'serious',
+    description: 'Custom controls are keyboard focusable',
+    applies: ({ elements }) => elements.some(element =>
+      isDomElement(element) && !isNativelyInteractive(element) &&
+      (element.attributes.onClick !== undefined || INTERACTIVE_ROLES.has(roleOf(element)))),
+    check: ({ elements }) => elements
+      .filter(element => isDomElement(element) && !isNativelyInteractive(element) && !element.hasSpread)
+      .filter(element => element.attributes.onClick !== undefined || INTERACTIVE_ROLES.has(roleOf(element)))
+      .filter(element => element.attributes.tabIndex === undefined)
+      .map(element => ({
+        element,
+        message: `<${element.name}> is interactive but cannot receive focus; add tabIndex={0}`
+      }))
+  },
+  {
+    id: 'tabindex-no-positive',
+    category: 'focus',
+    impact: 'moderate',
+    description: 'Tab order follows the document',
+    applies: ({ elements }) => elements.some(element => element.attributes.tabIndex !== undefined),
+    check: ({ elements }) => elements
+      .filter(element => Number(element.attributes.tabIndex) > 0)
+      .map(element => ({
+        element,
+        message: `<${element.name}> has tabIndex=${element.attributes.tabIndex}; positive values break the natural tab order`
+      }))
+  },
+  {
+    id: 'focus-visible',
+    category: 'focus',
+    impact: 'serious',
+    description: 'Focus indicators are visible',
+    applies: () => true,
+    check: ({ elements }) => elements
+      .filter(element => {
+        const className = element.attributes.className || element.attributes.class;
+        const style = element.attributes.style;
+        const removesOutline = (typeof className === 'string' && /\boutline-none\b/.test(className) &&
+            !/\b(focus|focus-visible):/.test(className)) ||
+          (typeof style === 'string' && /outline\s*:\s*(none|0)\b/.test(style));
+        return removesOutline;
+      })
+      .map(element => ({
+        element,
+        message: `<${element.name}> removes the focus outline without a focus style`
+      }))
+  }
+];
+
+class AccessibilityAuditor {
+  /**
+   * Create an auditor
+   * @param {Object[]} rules - Rules to run, defaults to the built-in rules
+   */
+  constructor(rules = DEFAULT_RULES) {
+    this.rules = [...rules];
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - Rule with id, category, impact, description, applies and check
+   * @returns {AccessibilityAuditor} This auditor, for chaining
+   */
+  registerRule(rule) {
+    if (!rule.id || typeof rule.check !== 'function') {
+      throw new Error('Accessibility rules need an id and a check function');
+    }
+
+    if (!IMPACT_WEIGHTS[rule.impact]) {
+      throw new Error(`Unknown impact for rule ${rule.id}: ${rule.impact}`);
+    }
+
+    this.rules = this.rules.filter(existing => existing.id !== rule.id).concat(rule);
+    return this;
+  }
+
+  /**
+   * Audit JSX markup
+   * @param {Object} metrics - StaticAnalyzer measurements
+   * @returns {Object} Audit with findings (rule, category, impact, line, element, message) and passed rules
+   */
+  audit(metrics) {
+    const context = this._createContext(metrics);
+    const findings = [];
+    const passed = [];
+
+    for (const rule of this.rules) {
+      if (rule.applies && !rule.applies(context)) continue;
+
+      const ruleFindings = rule.check(context);
+      if (ruleFindings.length === 0) {
+        passed.push({ rule: rule.id, category: rule.category, description: rule.description });
+        continue;
+      }
+
+      for (const finding of ruleFindings) {
+        findings.push({
+          rule: rule.id,
+          category: rule.category,
+          impact: rule.impact,
+          weight: IMPACT_WEIGHTS[rule.impact],
+          line: finding.element.line,
+          element: finding.element.name,
+          message: finding.message
+        });
+      }
+    }
+
+    findings.sort((a, b) => a.line - b.line);
+
+    return {
+      elementCount: context.elements.length,
+      findings,
+      passed
+    };
+  }
+
+  /**
+   * Build the lookup context shared by all rules
+   * @private
+   * @param {Object} metrics - StaticAnalyzer measurements
+   * @returns {Object} Rule context
+   */
+  _createContext(metrics) {
+    const elements = metrics.jsxElements;
+
+    const labelTargets = new Set(elements
+      .filter(element => element.name === 'label' && element.attributes.htmlFor !== undefined)
+      .map(element => element.attributes.htmlFor));
+
+    const dialogs = elements.filter(element =>
+      element.name === 'dialog' ||
+      ['dialog', 'alertdialog'].includes(roleOf(element)) ||
+      element.attributes['aria-modal'] === 'true' || element.attributes['aria-modal'] === true);
+
+    return {
+      elements,
+      labelTargets,
+      dialogs,
+      calls: metrics.calls,
+      imports: metrics.imports,
+      isInside(element, name) {
+        for (let index = element.parent; index !== null && index !== undefined; index = elements[index].parent) {
+          if (elements[index].name === name) return true;
+        }
+        return false;
+      }
+    };
+  }
+}
+
+AccessibilityAuditor.DEFAULT_RULES = DEFAULT_RULES;
+AccessibilityAuditor.IMPACT_WEIGHTS = IMPACT_WEIGHTS;
+
+module.exports = AccessibilityAuditor;
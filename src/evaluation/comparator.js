@@ -85,12 +85,18 @@ class ImplementationComparator {
     
     const comparisons = {};
     
-    // For each metric, compare across implementations
+    // For each metric, compare across implementations it applies to
     metrics.forEach(metric => {
-      const metricScores = analyses.map(analysis => ({
-        tool: analysis.tool,
-        score: analysis.analysis.detailedScores[metric]?.rawScore || 0
-      }));
+      const metricScores = analyses
+        .filter(analysis => analysis.analysis.detailedScores[metric])
+        .map(analysis => ({
+          tool: analysis.tool,
+          score: analysis.analysis.detailedScores[metric].rawScore
+        }));
+      
+      if (metricScores.length === 0) {
+        return;
+      }
       
       // Sort by score (highest first)
       const sortedScores = [...metricScores].sort((a, b) => b.score - a.score);
@@ -183,14 +189,16 @@ class ImplementationComparator {
     ];
     
     metrics.forEach(metric => {
+      const scored = ranked.filter(item => item.analysis.detailedScores[metric]);
+      
       // Count how many implementations have this as a strength (score >= 8)
-      const count = ranked.filter(item => {
-        const score = item.analysis.detailedScores[metric]?.rawScore || 0;
+      const count = scored.filter(item => {
+        const score = item.analysis.detailedScores[metric].rawScore;
         return score >= 8;
       }).length;
       
       // If more than half have this as a strength, consider it common
-      if (count > ranked.length / 2) {
+      if (count > scored.length / 2) {
         strengths.push({
           metric,
           count
@@ -221,14 +229,16 @@ class ImplementationComparator {
     ];
     
     metrics.forEach(metric => {
+      const scored = ranked.filter(item => item.analysis.detailedScores[metric]);
+      
       // Count how many implementations have this as a weakness (score < 6)
-      const count = ranked.filter(item => {
-        const score = item.analysis.detailedScores[metric]?.rawScore || 0;
+      const count = scored.filter(item => {
+        const score = item.analysis.detailedScores[metric].rawScore;
         return score < 6;
       }).length;
       
       // If more than half have this as a weakness, consider it common
-      if (count > ranked.length / 2) {
+      if (count > scored.length / 2) {
         weaknesses.push({
           metric,
           count
@@ -344,8 +354,8 @@ class ImplementationComparator {
     
     metrics.forEach(metric => {
       lowScoreCounts[metric] = ranked.filter(item => {
-        const score = item.analysis.detailedScores[metric]?.rawScore || 0;
-        return score < 6;
+        const score = item.analysis.detailedScores[metric]?.rawScore;
+        return score !== undefined && score < 6;
       }).length;
     });
     
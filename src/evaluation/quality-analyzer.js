@@ -2,8 +2,40 @@
  * AI-AutoCoding-DAO Quality Analyzer
  * Analyzes the quality of AI-generated code implementations
  */
+const StaticAnalyzer = require('./static-analyzer');
+const AccessibilityAuditor = require('./accessibility-rules');
+const TaskAnalyzer = require('../orchestration/analyzer');
+const { countTokens } = require('../utils/tokenizer');
+
 class QualityAnalyzer {
-  constructor() {
+  /**
+   * Create a quality analyzer
+   * @param {Object} config - Configuration options
+   * @param {Object} config.thresholds - Overrides for the static analysis thresholds
+   * @param {AccessibilityAuditor} config.accessibilityAuditor - Rule engine for JSX markup
+   */
+  constructor(config = {}) {
+    this.staticAnalyzer = new StaticAnalyzer();
+    this.accessibilityAuditor = config.accessibilityAuditor || new AccessibilityAuditor();
+    this.taskAnalyzer = new TaskAnalyzer();
+    
+    // Limits beyond which static analysis deducts points
+    this.thresholds = {
+      maxComplexity: 10,
+      maxFunctionLength: 50,
+      minCommentDensity: 0.05,
+      maxCommentDensity: 0.6,
+      minNamingConsistency: 0.9,
+      maxNestingDepth: 4,
+      maxLoopDepth: 2,
+      maxParams: 4,
+      maxTokensPerStatement: 30,
+      minCodeShare: 0.6,
+      maxDuplicateLineRatio: 0.1,
+      maxAccessibilityDeduction: 4,
+      ...config.thresholds
+    };
+    
     // Quality metrics and their weights
     this.metrics = {
       functionality: {
@@ -91,7 +123,8 @@ class QualityAnalyzer {
 
   /**
    * Analyze code quality
-   * @param {Object} implementation - Implementation details
+   * @param {Object} implementation - Implementation details, with `functionalTests` from
+   *   TestGenerator.evaluate when derived tests were run
    * @param {Object} task - Original task
    * @returns {Object} Quality analysis results
    */
@@ -103,17 +136,20 @@ class QualityAnalyzer {
         throw new Error('No code found in implementation');
       }
       
-      // Get manual or automated scores
-      const scores = this._getScores(code, implementation, task);
+      // Score each metric from static analysis of the code
+      const codeMetrics = this.staticAnalyzer.analyze(code);
+      const scores = this._getScores(code, implementation, task, codeMetrics);
       
-      // Calculate weighted total score
+      // Calculate weighted total score over the metrics that apply to this code
       let totalScore = 0;
+      let totalWeight = 0;
       const detailedScores = {};
       
       for (const [metric, details] of Object.entries(this.metrics)) {
         if (scores[metric] !== undefined) {
           const weightedScore = scores[metric] * details.weight;
           totalScore += weightedScore;
+          totalWeight += details.weight;
           
           detailedScores[metric] = {
             rawScore: scores[metric],
@@ -123,20 +159,32 @@ class QualityAnalyzer {
             strengths: scores[`${metric}Strengths`] || [],
             weaknesses: scores[`${metric}Weaknesses`] || []
           };
+
+          if (scores[`${metric}Findings`]) {
+            detailedScores[metric].findings = scores[`${metric}Findings`];
+          }
         }
       }
       
+      // Renormalize so metrics that do not apply (e.g. visuals for a utility) do not lower the score
+      if (totalWeight > 0) {
+        totalScore = totalScore / totalWeight;
+      }
+      
       // Round total score to one decimal place
       totalScore = Math.round(totalScore * 10) / 10;
       
       return {
         overallScore: totalScore,
         detailedScores,
+        notApplicable: Object.keys(this.metrics).filter(metric => !detailedScores[metric]),
         implementation: {
           tool: implementation.metadata?.tool || 'unknown',
           tokenUsage: implementation.tokenUsage || { total: 0 },
           codeLength: code.split('\n').length
         },
+        codeMetrics: this._summarizeMetrics(codeMetrics),
+        functionalTests: implementation.functionalTests || null,
         analysis: {
           strengths: this._aggregateStrengths(detailedScores),
           weaknesses: this._aggregateWeaknesses(detailedScores),
@@ -346,91 +394,510 @@ class QualityAnalyzer {
   }
 
   /**
-   * Get scores for quality metrics
-   * This is a placeholder that would be replaced with actual analysis logic
+   * Get scores for quality metrics from static analysis
+   * Each metric starts at 10 and loses points for concrete findings. Metrics that only
+   * apply to UI code (accessibility, visual implementation) are omitted when the code has
+   * no JSX and the task does not ask for a component.
    * @private
    * @param {string} code - Extracted code
    * @param {Object} implementation - Full implementation
    * @param {Object} task - Original task
+   * @param {Object} metrics - Static analysis measurements
    * @returns {Object} Quality scores
    */
-  _getScores(code, implementation, task) {
-    // In a real implementation, this would perform actual code analysis
-    // or integrate with code quality tools
+  _getScores(code, implementation, task, metrics) {
+    const scorecards = {
+      functionality: this._scoreFunctionality(code, task, metrics, implementation.functionalTests),
+      codeQuality: this._scoreCodeQuality(metrics),
+      architecture: this._scoreArchitecture(metrics),
+      performance: this._scorePerformance(code, metrics),
+      errorHandling: this._scoreErrorHandling(metrics),
+      tokenEfficiency: this._scoreTokenEfficiency(code, implementation, metrics)
+    };
+
+    if (metrics.jsxElements.length > 0) {
+      scorecards.accessibility = this._scoreAccessibility(metrics);
+      scorecards.visualImplementation = this._scoreVisualImplementation(code, metrics);
+    } else if (this._expectsMarkup(task)) {
+      scorecards.accessibility = this._createScorecard();
+      scorecards.accessibility.deduct(6, 'Task asks for a UI component but no markup is rendered');
+      scorecards.visualImplementation = this._createScorecard();
+      scorecards.visualImplementation.deduct(6, 'Task asks for a UI component but no markup is rendered');
+    }
+
+    const scores = {};
+    for (const [metric, card] of Object.entries(scorecards)) {
+      scores[metric] = Math.round(Math.max(0, Math.min(10, card.score)) * 10) / 10;
+      scores[`${metric}Strengths`] = card.strengths;
+      scores[`${metric}Weaknesses`] = card.weaknesses;
+      if (card.findings) {
+        scores[`${metric}Findings`] = card.findings;
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Check whether a task asks for rendered UI
+   * @private
+   * @param {Object} task - Original task
+   * @returns {boolean} True for component tasks
+   */
+  _expectsMarkup(task) {
+    if (task.type) {
+      return task.type === 'component';
+    }
     
-    // For demonstration purposes, we'll return simulated scores
+    const description = task.description?.toLowerCase() || '';
+    return this.taskAnalyzer.typePatterns.ui.some(pattern => new RegExp(`\\b${pattern}\\b`).test(description));
+  }
+
+  /**
+   * Create a scorecard that starts at full marks
+   * @private
+   * @returns {Object} Scorecard with deduct(points, weakness) and credit(strength)
+   */
+  _createScorecard() {
+    const card = {
+      score: 10,
+      strengths: [],
+      weaknesses: [],
+      deduct(points, weakness) {
+        card.score -= points;
+        card.weaknesses.push(weakness);
+      },
+      credit(strength) {
+        card.strengths.push(strength);
+      }
+    };
+
+    return card;
+  }
+
+  /**
+   * Score functionality: the pass rate of test cases derived from the task (attached to
+   * the implementation as `functionalTests`), otherwise parseable, complete code that
+   * addresses the task's features
+   * @private
+   */
+  _scoreFunctionality(code, task, metrics, functionalTests) {
+    const card = this._createScorecard();
+
+    // Test cases derived from the task decide the score when there are any
+    if (functionalTests && functionalTests.total > 0) {
+      const points = 10 / functionalTests.total;
+
+      if (functionalTests.passed > 0) {
+        card.credit(`Passes ${functionalTests.passed} of ${functionalTests.total} test cases derived from the task`);
+      }
+
+      for (const result of functionalTests.cases.filter(testCase => !testCase.passed)) {
+        card.deduct(points, `Fails ${result.section} case "${result.description}": ${result.error}`);
+      }
+
+      return card;
+    }
+
+    if (!metrics.parsed) {
+      card.deduct(8, `Code does not parse: ${metrics.parseErrors[0]}`);
+      return card;
+    }
+
+    card.credit('Code parses without syntax errors');
+
+    if (metrics.functions.length === 0 && metrics.classes === 0 && metrics.exports === 0) {
+      card.deduct(3, 'No functions, classes or exports are defined');
+    } else if (metrics.exports > 0) {
+      card.credit(`Exposes ${metrics.exports} export(s)`);
+    }
+
+    if (metrics.placeholders.length > 0) {
+      const first = metrics.placeholders[0];
+      card.deduct(Math.min(3, metrics.placeholders.length * 1.5), `Unfinished placeholder at line ${first.line}: "${first.text}"`);
+    }
+
+    // Each feature the task asks for should leave a trace in the code
+    const evidence = {
+      stateManagement: metrics.hooks.some(hook => ['useState', 'useReducer', 'useContext'].includes(hook)) ||
+        metrics.calls.includes('createContext') || /\bstore\b|this\.state/.test(code),
+      asyncOperations: metrics.asyncCalls.length > 0 || metrics.functions.some(fn => fn.async),
+      accessibility: metrics.jsxElements.some(element =>
+        Object.keys(element.attributes).some(name => name.startsWith('aria-') || name === 'role')),
+      validation: metrics.throws.total > 0 || /\bvalidat/i.test(code),
+      typescript: metrics.typeAnnotations > 0
+    };
+
+    for (const feature of this.taskAnalyzer.detectFeatures(task)) {
+      if (evidence[feature]) {
+        card.credit(`Addresses required ${feature}`);
+      } else if (evidence[feature] === false) {
+        card.deduct(1.5, `No evidence of required ${feature}`);
+      }
+    }
+
+    return card;
+  }
+
+  /**
+   * Score code quality: complexity, function length, comments and naming
+   * @private
+   */
+  _scoreCodeQuality(metrics) {
+    const card = this._createScorecard();
+    const t = this.thresholds;
+
+    if (!metrics.parsed) {
+      card.deduct(6, 'Code could not be analyzed because it does not parse');
+      return card;
+    }
+
+    const complex = metrics.functions.filter(fn => fn.complexity > t.maxComplexity);
+    if (complex.length > 0) {
+      card.deduct(Math.min(3, complex.length), `High cyclomatic complexity in ${complex.map(fn => `${fn.name} (${fn.complexity})`).slice(0, 3).join(', ')}`);
+    } else if (metrics.functions.length > 0) {
+      card.credit(`Cyclomatic complexity stays low (max ${metrics.complexity.max}, average ${metrics.complexity.average.toFixed(1)})`);
+    }
+
+    const long = metrics.functions.filter(fn => fn.length > t.maxFunctionLength);
+    if (long.length > 0) {
+      card.deduct(Math.min(2, long.length), `Long functions: ${long.map(fn => `${fn.name} (${fn.length} lines)`).slice(0, 3).join(', ')}`);
+    } else if (metrics.functions.length > 0) {
+      card.credit(`Functions are short (longest ${Math.max(...metrics.functions.map(fn => fn.length))} lines)`);
+    }
+
+    // Short code may go without comments, but that is not credited as balance
+    const density = Math.round(metrics.commentDensity * 100);
+    if (metrics.commentDensity < t.minCommentDensity) {
+      if (metrics.lines.code > 10) {
+        card.deduct(1.5, `Sparse comments (${density}% comment-to-code lines)`);
+      }
+    } else if (metrics.commentDensity > t.maxCommentDensity) {
+      card.deduct(1, `Comments outweigh code (${density}% comment-to-code lines)`);
+    } else {
+      card.credit(`Balanced comment density (${density}%)`);
+    }
+
+    const topLevel = metrics.functions.filter(fn => fn.topLevel);
+    const undocumented = topLevel.filter(fn => !fn.documented);
+    if (topLevel.length > 0 && undocumented.length === 0) {
+      card.credit('All top-level functions have JSDoc');
+    } else if (undocumented.length > topLevel.length / 2) {
+      card.deduct(1, `Missing JSDoc on ${undocumented.map(fn => fn.name).slice(0, 3).join(', ')}`);
+    }
+
+    const { naming } = metrics;
+    if (naming.consistency < t.minNamingConsistency) {
+      card.deduct(Math.min(3, (1 - naming.consistency) * 10), `Inconsistent naming: ${naming.inconsistent.slice(0, 3).map(id => `${id.name} (${id.kind}, line ${id.line})`).join(', ')}`);
+    } else if (naming.total > 0) {
+      card.credit(`Consistent naming conventions (${Math.round(naming.consistency * 100)}% of ${naming.total} identifiers)`);
+    }
+
+    if (metrics.consoleCalls.length > 0) {
+      card.deduct(Math.min(1.5, metrics.consoleCalls.length * 0.5), `Leftover console calls at line(s) ${metrics.consoleCalls.slice(0, 3).join(', ')}`);
+    }
+
+    if (metrics.dynamicCode.length > 0) {
+      card.deduct(Math.min(3, metrics.dynamicCode.length * 1.5), `Runs strings as code with eval() or new Function() at line(s) ${metrics.dynamicCode.slice(0, 3).join(', ')}`);
+    }
+
+    return card;
+  }
+
+  /**
+   * Score architecture: modularity, nesting, parameter lists and public surface
+   * @private
+   */
+  _scoreArchitecture(metrics) {
+    const card = this._createScorecard();
+    const t = this.thresholds;
+
+    if (!metrics.parsed) {
+      card.deduct(6, 'Structure could not be analyzed because the code does not parse');
+      return card;
+    }
+
+    if (metrics.functions.length === 0 && metrics.classes === 0 && metrics.lines.code > 30) {
+      card.deduct(2, 'All logic runs at module level without functions or classes');
+    }
+
+    // A single function holding nearly all the code is a monolith
+    const largest = metrics.functions.reduce((max, fn) => Math.max(max, fn.length), 0);
+    if (metrics.lines.code > 60 && largest / metrics.lines.code > 0.8 && metrics.functions.length > 0) {
+      card.deduct(1.5, `One function spans ${largest} of ${metrics.lines.code} code lines; split responsibilities`);
+    } else if (metrics.functions.length > 1) {
+      card.credit(`Logic is split across ${metrics.functions.length} functions`);
+    }
+
+    if (metrics.maxNestingDepth > t.maxNestingDepth) {
+      card.deduct(Math.min(3, metrics.maxNestingDepth - t.maxNestingDepth), `Control flow nested ${metrics.maxNestingDepth} levels deep`);
+    } else {
+      card.credit(`Shallow control flow (max nesting ${metrics.maxNestingDepth})`);
+    }
+
+    const wide = metrics.functions.filter(fn => fn.params > t.maxParams);
+    if (wide.length > 0) {
+      card.deduct(Math.min(2, wide.length), `Too many parameters in ${wide.map(fn => `${fn.name} (${fn.params})`).slice(0, 3).join(', ')}; consider an options object`);
+    }
+
+    if (metrics.moduleComplexity > 5) {
+      card.deduct(1, `Module-level code has ${metrics.moduleComplexity} branches outside any function`);
+    }
+
+    if (metrics.exports === 0 && metrics.lines.code > 10) {
+      card.deduct(1, 'Nothing is exported, so the code cannot be reused');
+    }
+
+    return card;
+  }
+
+  /**
+   * Score accessibility of JSX markup with the accessibility rule engine
+   * Each finding costs points by impact, capped per category so one repeated
+   * mistake cannot zero the score on its own.
+   * @private
+   */
+  _scoreAccessibility(metrics) {
+    const card = this._createScorecard();
+    const elements = metrics.jsxElements;
+    const audit = this.accessibilityAuditor.audit(metrics);
+
+    const deductions = {};
+    for (const finding of audit.findings) {
+      const spent = deductions[finding.category] || 0;
+      const points = Math.min(finding.weight, this.thresholds.maxAccessibilityDeduction - spent);
+
+      deductions[finding.category] = spent + points;
+      card.deduct(points, `Line ${finding.line}: ${finding.message} (${finding.rule})`);
+    }
+
+    for (const rule of audit.passed) {
+      card.credit(rule.description);
+    }
+
+    const ariaCount = elements.filter(element =>
+      Object.keys(element.attributes).some(name => name.startsWith('aria-') || name === 'role')).length;
+    if (ariaCount > 0) {
+      card.credit(`ARIA attributes on ${ariaCount} element(s)`);
+    }
+
+    const semantic = [...new Set(elements.map(element => element.name))]
+      .filter(name => ['button', 'nav', 'main', 'header', 'footer', 'section', 'article', 'label', 'ul', 'ol', 'form'].includes(name));
+    if (semantic.length > 0) {
+      card.credit(`Uses semantic elements: ${semantic.join(', ')}`);
+    } else {
+      card.deduct(1, 'No semantic HTML elements; markup relies on generic containers');
+    }
+
+    card.findings = audit.findings;
+    return card;
+  }
+
+  /**
+   * Score performance: loop nesting, quadratic lookups and known slow patterns
+   * @private
+   */
+  _scorePerformance(code, metrics) {
+    const card = this._createScorecard();
+    const t = this.thresholds;
+
+    if (!metrics.parsed) {
+      card.deduct(6, 'Performance could not be analyzed because the code does not parse');
+      return card;
+    }
+
+    if (metrics.maxLoopDepth > t.maxLoopDepth) {
+      card.deduct(Math.min(4, (metrics.maxLoopDepth - t.maxLoopDepth) * 2), `Loops nested ${metrics.maxLoopDepth} deep`);
+    } else if (metrics.maxLoopDepth <= 1) {
+      card.credit('No nested loops');
+    }
+
+    if (metrics.nestedIterations.length > 0) {
+      const first = metrics.nestedIterations[0];
+      card.deduct(Math.min(2, metrics.nestedIterations.length), `Array .${first.method}() inside a loop at line ${first.line} makes it quadratic; consider a Map or Set`);
+    }
+
+    if (/JSON\.parse\(\s*JSON\.stringify\(/.test(code)) {
+      card.deduct(1, 'Deep clones through JSON.parse(JSON.stringify())');
+    }
+
+    const syncCalls = metrics.calls.filter(name => /Sync$/.test(name));
+    if (syncCalls.length > 0) {
+      card.deduct(1, `Blocking synchronous calls: ${syncCalls.join(', ')}`);
+    }
+
+    const memoized = metrics.hooks.filter(hook => ['useMemo', 'useCallback'].includes(hook));
+    if (memoized.length > 0 || metrics.calls.includes('memo')) {
+      card.credit(`Memoizes work with ${[...memoized, ...(metrics.calls.includes('memo') ? ['memo'] : [])].join(', ')}`);
+    }
+
+    return card;
+  }
+
+  /**
+   * Score visual implementation of JSX markup: styling, responsiveness and feedback states
+   * @private
+   */
+  _scoreVisualImplementation(code, metrics) {
+    const card = this._createScorecard();
+    const elements = metrics.jsxElements;
+
+    const classNames = elements
+      .map(element => element.attributes.className || element.attributes.class)
+      .filter(value => typeof value === 'string')
+      .join(' ');
+    const styledImports = metrics.imports.filter(source => /\.(css|scss|sass|less)$/.test(source) || source === 'styled-components');
+    const inlineStyles = elements.filter(element => element.attributes.style !== undefined);
+
+    if (classNames.length === 0 && styledImports.length === 0 && inlineStyles.length === 0) {
+      card.deduct(3, 'No styling is applied to the markup');
+    } else if (styledImports.length > 0) {
+      card.credit(`Styles are kept in ${styledImports.join(', ')}`);
+    } else if (classNames.length > 0) {
+      card.credit('Styles applied through class names');
+    }
+
+    if (inlineStyles.length > 2) {
+      card.deduct(1, `Inline styles on ${inlineStyles.length} elements`);
+    }
+
+    if (/\b(sm|md|lg|xl|2xl):/.test(classNames) || /@media/.test(code)) {
+      card.credit('Responsive breakpoints are defined');
+    } else if (styledImports.length === 0) {
+      card.deduct(1.5, 'No responsive breakpoints');
+    }
+
+    if (/\b(hover|focus|active|disabled|focus-visible):/.test(classNames) || /transition/.test(classNames) ||
+        elements.some(element => element.attributes.disabled !== undefined)) {
+      card.credit('Provides interaction feedback states');
+    } else {
+      card.deduct(1, 'No hover, focus or disabled feedback');
+    }
+
+    if (/\b(isLoading|loading|isEmpty|isError|hasError|errorMessage)\b/.test(code)) {
+      card.credit('Renders loading, empty or error states');
+    }
+
+    return card;
+  }
+
+  /**
+   * Score error handling: coverage of async calls, catch quality and thrown errors
+   * @private
+   */
+  _scoreErrorHandling(metrics) {
+    const card = this._createScorecard();
+
+    if (!metrics.parsed) {
+      card.deduct(6, 'Error handling could not be analyzed because the code does not parse');
+      return card;
+    }
+
+    const asyncCalls = metrics.asyncCalls;
+    const unguarded = asyncCalls.filter(call => !call.guarded);
+    if (asyncCalls.length > 0) {
+      const coverage = (asyncCalls.length - unguarded.length) / asyncCalls.length;
+      if (unguarded.length > 0) {
+        card.deduct((1 - coverage) * 4, `${unguarded.length} of ${asyncCalls.length} async call(s) have no try/catch or .catch() (line(s) ${[...new Set(unguarded.map(call => call.line))].slice(0, 3).join(', ')})`);
+      } else {
+        card.credit(`All ${asyncCalls.length} async call(s) are covered by try/catch or .catch()`);
+      }
+    }
+
+    if (metrics.catches.empty.length > 0) {
+      card.deduct(Math.min(3, metrics.catches.empty.length * 1.5), `Empty catch block(s) swallow errors at line(s) ${metrics.catches.empty.join(', ')}`);
+    }
+
+    if (metrics.catches.logOnly.length > 0) {
+      card.deduct(Math.min(1.5, metrics.catches.logOnly.length * 0.5), `Catch block(s) only log the error at line(s) ${metrics.catches.logOnly.join(', ')}`);
+    }
+
+    if (metrics.throws.nonError.length > 0) {
+      card.deduct(0.5, `Throws non-Error values at line(s) ${metrics.throws.nonError.join(', ')}`);
+    }
+
+    if (metrics.throws.withMessage > 0) {
+      card.credit(`Throws ${metrics.throws.withMessage} error(s) with descriptive messages`);
+    }
+
+    const handlesErrors = metrics.tryStatements > 0 || metrics.throws.total > 0 ||
+      asyncCalls.some(call => call.guarded);
+    const takesInput = metrics.functions.some(fn => fn.params > 0);
+    if (!handlesErrors && takesInput && metrics.lines.code > 15) {
+      card.deduct(2, 'No input validation or error handling');
+    }
+
+    return card;
+  }
+
+  /**
+   * Score token efficiency: share of generated tokens that are code, verbosity and repetition
+   * @private
+   */
+  _scoreTokenEfficiency(code, implementation, metrics) {
+    const card = this._createScorecard();
+    const t = this.thresholds;
+
+    if (!metrics.parsed) {
+      card.deduct(6, 'Token efficiency could not be analyzed because the code does not parse');
+      return card;
+    }
+
+    const codeTokens = countTokens(code);
+    const completionTokens = implementation.tokenUsage?.output || 0;
+
+    if (completionTokens > 0) {
+      const codeShare = Math.min(1, codeTokens / completionTokens);
+      if (codeShare < t.minCodeShare) {
+        card.deduct(Math.min(3, (t.minCodeShare - codeShare) * 10), `Only ${Math.round(codeShare * 100)}% of generated tokens are code`);
+      } else {
+        card.credit(`${Math.round(codeShare * 100)}% of generated tokens are code`);
+      }
+    }
+
+    if (metrics.statements > 0) {
+      const tokensPerStatement = codeTokens / metrics.statements;
+      if (tokensPerStatement > t.maxTokensPerStatement) {
+        card.deduct(1.5, `Verbose code: ${tokensPerStatement.toFixed(1)} tokens per statement`);
+      } else {
+        card.credit(`Compact code: ${tokensPerStatement.toFixed(1)} tokens per statement`);
+      }
+    }
+
+    if (metrics.duplicateLineRatio > t.maxDuplicateLineRatio) {
+      card.deduct(Math.min(3, metrics.duplicateLineRatio * 10), `${Math.round(metrics.duplicateLineRatio * 100)}% of lines are repeated verbatim`);
+    }
+
+    if (metrics.commentDensity > t.maxCommentDensity) {
+      card.deduct(1, 'Comment volume inflates token usage');
+    }
+
+    return card;
+  }
+
+  /**
+   * Reduce static analysis measurements to a compact summary
+   * @private
+   * @param {Object} metrics - Static analysis measurements
+   * @returns {Object} Summary
+   */
+  _summarizeMetrics(metrics) {
     return {
-      functionality: 8.5,
-      functionalityStrengths: [
-        'Implements all required features',
-        'Handles expected input formats',
-        'Provides appropriate outputs'
-      ],
-      functionalityWeaknesses: [
-        'Could handle more edge cases'
-      ],
-      
-      codeQuality: 8.0,
-      codeQualityStrengths: [
-        'Consistent naming conventions',
-        'Good code organization'
-      ],
-      codeQualityWeaknesses: [
-        'Some functions could use more comments'
-      ],
-      
-      architecture: 7.5,
-      architectureStrengths: [
-        'Good separation of concerns',
-        'Appropriate component structure'
-      ],
-      architectureWeaknesses: [
-        'Some components have mixed responsibilities'
-      ],
-      
-      accessibility: 6.5,
-      accessibilityStrengths: [
-        'Basic ARIA attributes used'
-      ],
-      accessibilityWeaknesses: [
-        'Keyboard navigation could be improved',
-        'Missing some screen reader support'
-      ],
-      
-      performance: 7.0,
-      performanceStrengths: [
-        'Efficient core algorithms'
-      ],
-      performanceWeaknesses: [
-        'Some unnecessary re-calculations'
-      ],
-      
-      visualImplementation: 8.0,
-      visualImplementationStrengths: [
-        'Good responsive design',
-        'Consistent styling'
-      ],
-      visualImplementationWeaknesses: [
-        'Visual feedback could be enhanced'
-      ],
-      
-      errorHandling: 7.0,
-      errorHandlingStrengths: [
-        'Basic error handling in place'
-      ],
-      errorHandlingWeaknesses: [
-        'Error messages could be more specific',
-        'Missing some recovery mechanisms'
-      ],
-      
-      tokenEfficiency: 8.5,
-      tokenEfficiencyStrengths: [
-        'Concise implementation',
-        'Good balance of readability and brevity'
-      ],
-      tokenEfficiencyWeaknesses: [
-        'Some redundancy in utility functions'
-      ]
+      parsed: metrics.parsed,
+      lines: metrics.lines,
+      functions: metrics.functions.length,
+      complexity: {
+        average: Math.round(metrics.complexity.average * 10) / 10,
+        max: metrics.complexity.max
+      },
+      longestFunction: metrics.functions.reduce((max, fn) => Math.max(max, fn.length), 0),
+      commentDensity: Math.round(metrics.commentDensity * 100) / 100,
+      namingConsistency: Math.round(metrics.naming.consistency * 100) / 100,
+      asyncCalls: metrics.asyncCalls.length,
+      guardedAsyncCalls: metrics.asyncCalls.filter(call => call.guarded).length,
+      maxNestingDepth: metrics.maxNestingDepth,
+      maxLoopDepth: metrics.maxLoopDepth,
+      jsxElements: metrics.jsxElements.length
     };
   }
 }
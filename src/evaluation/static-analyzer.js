@@ -0,0 +1,796 @@
+/**
+ * AI-AutoCoding-DAO Static Analyzer
+ * Parses generated code into an AST and collects raw measurements for quality scoring
+ */
+const parser = require('@babel/parser');
+
+// AST keys that never hold child nodes worth visiting
+const SKIPPED_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'range',
+  'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ClassMethod', 'ClassPrivateMethod', 'ObjectMethod'
+]);
+
+const LOOP_TYPES = new Set([
+  'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+]);
+
+const NESTING_TYPES = new Set([
+  ...LOOP_TYPES, 'IfStatement', 'TryStatement', 'SwitchStatement'
+]);
+
+// Array methods that iterate their receiver; nested inside a loop they make the loop quadratic
+const ITERATING_METHODS = new Set([
+  'map', 'filter', 'find', 'findIndex', 'includes', 'indexOf',
+  'some', 'every', 'reduce', 'forEach'
+]);
+
+// Parser plugin sets, tried in order; `<T>value` casts only parse without JSX
+const PARSER_PLUGINS = [
+  ['jsx', 'typescript'],
+  ['typescript'],
+  ['jsx', 'flow']
+];
+
+class StaticAnalyzer {
+  /**
+   * Analyze source code
+   * @param {string} code - Source code (JavaScript, TypeScript, JSX or TSX)
+   * @returns {Object} Raw code measurements
+   */
+  analyze(code) {
+    const metrics = this._createMetrics(code);
+
+    let ast;
+    try {
+      ast = this._parse(code);
+    } catch (error) {
+      metrics.parsed = false;
+      metrics.parseErrors.push(error.message);
+      return metrics;
+    }
+
+    // Recovered syntax errors mean the AST is a guess (prose parses as a run of
+    // identifiers), so nothing measured from it is trusted
+    if (ast.errors?.length > 0) {
+      metrics.parsed = false;
+      metrics.parseErrors = ast.errors.map(error => error.message);
+      return metrics;
+    }
+
+    const docCommentEnds = this._measureComments(ast.comments || [], code, metrics);
+
+    const moduleScope = { name: '<module>', complexity: 0, hasJSX: false };
+    const scopes = [moduleScope];
+    // Indexes into metrics.jsxElements of the JSX elements currently open
+    const openElements = [];
+
+    this._traverse(ast.program, (node, ancestors) => {
+      const scope = scopes[scopes.length - 1];
+
+      if (FUNCTION_TYPES.has(node.type)) {
+        const info = this._describeFunction(node, ancestors, metrics);
+        metrics.functions.push(info);
+        scopes.push(info);
+        return;
+      }
+
+      this._visit(node, ancestors, scope, metrics);
+
+      if (node.type === 'JSXElement') {
+        const index = metrics.jsxElements.length - 1;
+        metrics.jsxElements[index].parent = openElements.length > 0 ? openElements[openElements.length - 1] : null;
+        openElements.push(index);
+      }
+    }, node => {
+      if (FUNCTION_TYPES.has(node.type)) {
+        scopes.pop();
+      } else if (node.type === 'JSXElement') {
+        openElements.pop();
+      }
+    });
+
+    metrics.moduleComplexity = moduleScope.complexity;
+    this._summarize(metrics, code, docCommentEnds);
+
+    return metrics;
+  }
+
+  /**
+   * Create an empty measurement set
+   * @private
+   * @param {string} code - Source code
+   * @returns {Object} Metrics
+   */
+  _createMetrics(code) {
+    return {
+      parsed: true,
+      parseErrors: [],
+      lines: {
+        total: code.split('\n').length,
+        code: 0,
+        comment: 0,
+        blank: 0
+      },
+      commentDensity: 0,
+      placeholders: [],
+      functions: [],
+      complexity: { average: 0, max: 0 },
+      moduleComplexity: 0,
+      statements: 0,
+      maxNestingDepth: 0,
+      maxLoopDepth: 0,
+      nestedIterations: [],
+      identifiers: [],
+      naming: { consistency: 1, inconsistent: [] },
+      asyncCalls: [],
+      tryStatements: 0,
+      catches: { total: 0, empty: [], logOnly: [] },
+      throws: { total: 0, withMessage: 0, nonError: [] },
+      consoleCalls: [],
+      dynamicCode: [],
+      hooks: [],
+      calls: [],
+      imports: [],
+      exports: 0,
+      classes: 0,
+      typeAnnotations: 0,
+      jsxElements: [],
+      duplicateLineRatio: 0
+    };
+  }
+
+  /**
+   * Parse code, trying progressively less specific syntax plugins
+   * The first plugin set that parses without errors wins; otherwise the recovered AST
+   * with the fewest errors is returned.
+   * @private
+   * @param {string} code - Source code
+   * @returns {Object} Babel File node
+   */
+  _parse(code) {
+    let best;
+    let lastError;
+
+    for (const plugins of PARSER_PLUGINS) {
+      let ast;
+      try {
+        ast = parser.parse(code, {
+          sourceType: 'module',
+          plugins,
+          errorRecovery: true,
+          allowReturnOutsideFunction: true,
+          allowAwaitOutsideFunction: true,
+          allowImportExportEverywhere: true
+        });
+      } catch (error) {
+        lastError = error;
+        continue;
+      }
+
+      if (ast.errors.length === 0) return ast;
+      if (!best || ast.errors.length < best.errors.length) best = ast;
+    }
+
+    if (best) return best;
+    throw lastError;
+  }
+
+  /**
+   * Walk the AST depth-first
+   * @private
+   * @param {Object} node - Root node
+   * @param {Function} enter - Called with (node, ancestors) before children
+   * @param {Function} exit - Called with (node) after children
+   * @param {Object[]} ancestors - Ancestor stack
+   */
+  _traverse(node, enter, exit, ancestors = []) {
+    enter(node, ancestors);
+    ancestors.push(node);
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+
+      const child = node[key];
+      if (Array.isArray(child)) {
+        for (const item of child) {
+          if (item && typeof item.type === 'string') {
+            this._traverse(item, enter, exit, ancestors);
+          }
+        }
+      } else if (child && typeof child.type === 'string') {
+        this._traverse(child, enter, exit, ancestors);
+      }
+    }
+
+    ancestors.pop();
+    exit(node);
+  }
+
+  /**
+   * Record measurements for a single non-function node
+   * @private
+   * @param {Object} node - AST node
+   * @param {Object[]} ancestors - Ancestor stack
+   * @param {Object} scope - Enclosing function info, or the module scope
+   * @param {Object} metrics - Metrics being collected
+   */
+  _visit(node, ancestors, scope, metrics) {
+    const line = node.loc?.start.line;
+
+    if (this._isDecisionPoint(node)) {
+      scope.complexity++;
+    }
+
+    if (/(Statement|Declaration)$/.test(node.type) && node.type !== 'BlockStatement') {
+      metrics.statements++;
+    }
+
+    if (NESTING_TYPES.has(node.type)) {
+      const depth = this._countInFunction(ancestors, ancestor => NESTING_TYPES.has(ancestor.type)) + 1;
+      metrics.maxNestingDepth = Math.max(metrics.maxNestingDepth, depth);
+    }
+
+    if (LOOP_TYPES.has(node.type)) {
+      const depth = this._countInFunction(ancestors, ancestor => LOOP_TYPES.has(ancestor.type)) + 1;
+      metrics.maxLoopDepth = Math.max(metrics.maxLoopDepth, depth);
+    }
+
+    if (node.type.startsWith('TS') || node.type === 'TypeAnnotation') {
+      metrics.typeAnnotations++;
+    }
+
+    switch (node.type) {
+      case 'ImportDeclaration':
+        metrics.imports.push(node.source.value);
+        break;
+
+      case 'ExportNamedDeclaration':
+      case 'ExportDefaultDeclaration':
+        metrics.exports++;
+        break;
+
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        metrics.classes++;
+        if (node.id) this._addIdentifier(metrics, node.id.name, 'class', line);
+        break;
+
+      case 'TSInterfaceDeclaration':
+      case 'TSTypeAliasDeclaration':
+        this._addIdentifier(metrics, node.id.name, 'type', line);
+        break;
+
+      case 'VariableDeclarator': {
+        const kind = ancestors[ancestors.length - 1]?.kind;
+        const isFunction = node.init && FUNCTION_TYPES.has(node.init.type);
+        this._collectPattern(node.id, metrics, isFunction ? 'function' : kind === 'const' ? 'constant' : 'variable', line);
+        break;
+      }
+
+      case 'AwaitExpression':
+        metrics.asyncCalls.push({
+          line,
+          kind: 'await',
+          guarded: this._isInTryBlock(node, ancestors) || this._isCaughtCall(node.argument)
+        });
+        break;
+
+      case 'CallExpression':
+        this._visitCall(node, ancestors, metrics);
+        break;
+
+      case 'TryStatement':
+        metrics.tryStatements++;
+        break;
+
+      case 'CatchClause': {
+        metrics.catches.total++;
+        const body = node.body.body;
+        if (body.length === 0) {
+          metrics.catches.empty.push(line);
+        } else if (body.every(statement => this._isConsoleStatement(statement))) {
+          metrics.catches.logOnly.push(line);
+        }
+        break;
+      }
+
+      case 'ThrowStatement': {
+        metrics.throws.total++;
+        const argument = node.argument;
+        if (argument.type === 'NewExpression' || argument.type === 'CallExpression') {
+          const message = argument.arguments[0];
+          if (message && ['StringLiteral', 'TemplateLiteral'].includes(message.type)) {
+            metrics.throws.withMessage++;
+          }
+        } else if (['StringLiteral', 'TemplateLiteral', 'NumericLiteral'].includes(argument.type)) {
+          metrics.throws.nonError.push(line);
+        }
+        break;
+      }
+
+      case 'NewExpression':
+        if (node.callee.type === 'Identifier' && node.callee.name === 'Function') {
+          metrics.dynamicCode.push(line);
+        }
+        break;
+
+      case 'JSXElement':
+        scope.hasJSX = true;
+        metrics.jsxElements.push(this._describeElement(node));
+        break;
+    }
+  }
+
+  /**
+   * Record measurements for a call expression
+   * @private
+   */
+  _visitCall(node, ancestors, metrics) {
+    const line = node.loc?.start.line;
+    const callee = node.callee;
+
+    if (callee.type === 'Identifier') {
+      this._addUnique(metrics.calls, callee.name);
+      if (callee.name === 'eval' || callee.name === 'Function') {
+        metrics.dynamicCode.push(line);
+      }
+      if (/^use[A-Z]/.test(callee.name)) {
+        this._addUnique(metrics.hooks, callee.name);
+      }
+      return;
+    }
+
+    if (callee.type !== 'MemberExpression' || callee.property.type !== 'Identifier') {
+      return;
+    }
+
+    const method = callee.property.name;
+    const object = callee.object;
+    this._addUnique(metrics.calls, method);
+
+    if (object.type === 'Identifier' && object.name === 'console') {
+      metrics.consoleCalls.push(line);
+    }
+
+    if (method === 'eval' && object.type === 'Identifier' && ['window', 'globalThis', 'self'].includes(object.name)) {
+      metrics.dynamicCode.push(line);
+    }
+
+    if (object.type === 'Identifier' && object.name === 'React' && /^use[A-Z]/.test(method)) {
+      this._addUnique(metrics.hooks, method);
+    }
+
+    // Count each promise chain once, at its outermost .then()
+    if (method === 'then') {
+      const parent = ancestors[ancestors.length - 1];
+      const continues = parent?.type === 'MemberExpression' && parent.object === node &&
+        parent.property.name === 'then';
+
+      if (!continues) {
+        metrics.asyncCalls.push({
+          line,
+          kind: 'then',
+          guarded: node.arguments.length > 1 || this._chainHasCatch(ancestors)
+        });
+      }
+    }
+
+    if (ITERATING_METHODS.has(method) && this._isInsideIteration(ancestors)) {
+      metrics.nestedIterations.push({ line, method });
+    }
+  }
+
+  /**
+   * Describe a function node
+   * @private
+   * @param {Object} node - Function node
+   * @param {Object[]} ancestors - Ancestor stack
+   * @param {Object} metrics - Metrics being collected
+   * @returns {Object} Function info
+   */
+  _describeFunction(node, ancestors, metrics) {
+    const parent = ancestors[ancestors.length - 1];
+    const line = node.loc?.start.line;
+
+    let name = '<anonymous>';
+    if (node.id) {
+      name = node.id.name;
+    } else if (node.key) {
+      name = node.key.name || node.key.id?.name || node.key.value || name;
+    } else if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+      name = parent.id.name;
+    } else if (parent?.type === 'ExportDefaultDeclaration') {
+      name = 'default';
+    }
+
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      this._addIdentifier(metrics, node.id.name, 'function', line);
+    }
+
+    node.params.forEach(param => this._collectPattern(param, metrics, 'parameter', line));
+
+    // Top-level functions are expected to carry JSDoc; it sits above the enclosing statement
+    const { statement, topLevel } = this._enclosingStatement(node, ancestors);
+
+    return {
+      name,
+      line,
+      length: node.loc ? node.loc.end.line - node.loc.start.line + 1 : 0,
+      complexity: 1,
+      params: node.params.length,
+      async: Boolean(node.async),
+      topLevel,
+      docLine: statement?.loc?.start.line || line,
+      documented: false,
+      hasJSX: false
+    };
+  }
+
+  /**
+   * Find the statement that declares a function (export, variable or the declaration itself)
+   * @private
+   * @returns {Object} The statement (or null) and whether it sits directly in the program
+   */
+  _enclosingStatement(node, ancestors) {
+    let current = node;
+    let i = ancestors.length - 1;
+
+    while (i >= 0 && ['VariableDeclarator', 'VariableDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(ancestors[i].type)) {
+      current = ancestors[i];
+      i--;
+    }
+
+    const statement = /Declaration$/.test(current.type) ? current : null;
+    return {
+      statement,
+      topLevel: statement !== null && ancestors[i]?.type === 'Program'
+    };
+  }
+
+  /**
+   * Describe a JSX element for accessibility and styling checks
+   * @private
+   */
+  _describeElement(node) {
+    const opening = node.openingElement;
+    const attributes = {};
+
+    for (const attribute of opening.attributes) {
+      if (attribute.type !== 'JSXAttribute') continue;
+
+      const name = attribute.name.type === 'JSXNamespacedName' ?
+        `${attribute.name.namespace.name}:${attribute.name.name.name}` :
+        attribute.name.name;
+
+      let value = true;
+      if (attribute.value?.type === 'StringLiteral') {
+        value = attribute.value.value;
+      } else if (attribute.value?.type === 'JSXExpressionContainer') {
+        const expression = attribute.value.expression;
+        if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral'].includes(expression.type)) {
+          value = expression.value;
+        } else if (expression.type === 'TemplateLiteral') {
+          value = expression.quasis.map(quasi => quasi.value.raw).join(' ');
+        } else {
+          // Dynamic values cannot be checked statically
+          value = '{expression}';
+        }
+      }
+
+      attributes[name] = value;
+    }
+
+    return {
+      name: this._elementName(opening.name),
+      line: opening.loc?.start.line,
+      attributes,
+      hasSpread: opening.attributes.some(attribute => attribute.type === 'JSXSpreadAttribute'),
+      hasText: node.children.some(child =>
+        (child.type === 'JSXText' && child.value.trim().length > 0) ||
+        (child.type === 'JSXExpressionContainer' && child.expression.type !== 'JSXEmptyExpression')),
+      // Index of the enclosing JSX element, set during traversal
+      parent: null
+    };
+  }
+
+  /**
+   * Get the printable name of a JSX element
+   * @private
+   */
+  _elementName(name) {
+    if (name.type === 'JSXIdentifier') return name.name;
+    if (name.type === 'JSXMemberExpression') return `${this._elementName(name.object)}.${name.property.name}`;
+    if (name.type === 'JSXNamespacedName') return `${name.namespace.name}:${name.name.name}`;
+    return 'unknown';
+  }
+
+  /**
+   * Record the identifiers bound by a declaration pattern
+   * @private
+   */
+  _collectPattern(pattern, metrics, kind, line) {
+    if (!pattern) return;
+
+    switch (pattern.type) {
+      case 'Identifier':
+        this._addIdentifier(metrics, pattern.name, kind, line);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(property =>
+          this._collectPattern(property.type === 'RestElement' ? property.argument : property.value, metrics, kind, line));
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => this._collectPattern(element, metrics, kind, line));
+        break;
+      case 'AssignmentPattern':
+        this._collectPattern(pattern.left, metrics, kind, line);
+        break;
+      case 'RestElement':
+        this._collectPattern(pattern.argument, metrics, kind, line);
+        break;
+      case 'TSParameterProperty':
+        this._collectPattern(pattern.parameter, metrics, kind, line);
+        break;
+    }
+  }
+
+  _addIdentifier(metrics, name, kind, line) {
+    metrics.identifiers.push({ name, kind, line });
+  }
+
+  _addUnique(list, value) {
+    if (!list.includes(value)) list.push(value);
+  }
+
+  /**
+   * Check whether a node adds a branch to cyclomatic complexity
+   * @private
+   */
+  _isDecisionPoint(node) {
+    switch (node.type) {
+      case 'IfStatement':
+      case 'ConditionalExpression':
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+      case 'CatchClause':
+        return true;
+      case 'SwitchCase':
+        return node.test !== null;
+      case 'LogicalExpression':
+        return ['&&', '||', '??'].includes(node.operator);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Count ancestors matching a predicate, stopping at the nearest function boundary
+   * @private
+   */
+  _countInFunction(ancestors, predicate) {
+    let count = 0;
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      if (FUNCTION_TYPES.has(ancestors[i].type)) break;
+      if (predicate(ancestors[i])) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Check whether a node sits in the protected block of a try statement in the same function
+   * @private
+   */
+  _isInTryBlock(node, ancestors) {
+    let child = node;
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const ancestor = ancestors[i];
+      if (FUNCTION_TYPES.has(ancestor.type)) return false;
+      if (ancestor.type === 'TryStatement' && ancestor.block === child && ancestor.handler) return true;
+      child = ancestor;
+    }
+    return false;
+  }
+
+  /**
+   * Check whether an awaited expression handles its own rejection, e.g. `await load().catch(...)`
+   * @private
+   */
+  _isCaughtCall(node) {
+    return node?.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' &&
+      node.callee.property.name === 'catch';
+  }
+
+  /**
+   * Check whether a promise chain continues into a .catch()
+   * @private
+   */
+  _chainHasCatch(ancestors) {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const ancestor = ancestors[i];
+      if (ancestor.type === 'MemberExpression') {
+        if (ancestor.property.name === 'catch') return true;
+      } else if (ancestor.type !== 'CallExpression') {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether a call runs inside a loop or another iterating callback
+   * @private
+   */
+  _isInsideIteration(ancestors) {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const ancestor = ancestors[i];
+      if (LOOP_TYPES.has(ancestor.type)) return true;
+
+      if (FUNCTION_TYPES.has(ancestor.type)) {
+        // A callback passed to an iterating method runs once per element
+        const call = ancestors[i - 1];
+        const isIterationCallback = call?.type === 'CallExpression' &&
+          call.arguments.includes(ancestor) &&
+          call.callee.type === 'MemberExpression' &&
+          ITERATING_METHODS.has(call.callee.property.name);
+
+        return isIterationCallback;
+      }
+    }
+    return false;
+  }
+
+  _isConsoleStatement(statement) {
+    return statement.type === 'ExpressionStatement' &&
+      statement.expression.type === 'CallExpression' &&
+      statement.expression.callee.type === 'MemberExpression' &&
+      statement.expression.callee.object.name === 'console';
+  }
+
+  /**
+   * Measure comment and code lines
+   * @private
+   * @returns {Set<number>} Lines on which a JSDoc block ends
+   */
+  _measureComments(comments, code, metrics) {
+    const sourceLines = code.split('\n');
+    const commentLines = new Set();
+    const docCommentEnds = new Set();
+
+    for (const comment of comments) {
+      for (let line = comment.loc.start.line; line <= comment.loc.end.line; line++) {
+        commentLines.add(line);
+      }
+
+      if (comment.type === 'CommentBlock' && comment.value.startsWith('*')) {
+        docCommentEnds.add(comment.loc.end.line);
+      }
+
+      if (/\b(TODO|FIXME|XXX)\b|implementation here/i.test(comment.value)) {
+        metrics.placeholders.push({ line: comment.loc.start.line, text: comment.value.trim().split('\n')[0] });
+      }
+    }
+
+    sourceLines.forEach((text, index) => {
+      const line = index + 1;
+      if (text.trim() === '') {
+        metrics.lines.blank++;
+      } else if (commentLines.has(line) && this._isCommentOnly(text)) {
+        metrics.lines.comment++;
+      } else {
+        metrics.lines.code++;
+      }
+    });
+
+    metrics.commentDensity = metrics.lines.code > 0 ?
+      metrics.lines.comment / metrics.lines.code : 0;
+
+    return docCommentEnds;
+  }
+
+  _isCommentOnly(text) {
+    const trimmed = text.trim();
+    return trimmed.startsWith('//') || trimmed.startsWith('/*') || trimmed.startsWith('*');
+  }
+
+  /**
+   * Derive aggregate measurements once the tree has been walked
+   * @private
+   */
+  _summarize(metrics, code, docCommentEnds) {
+    const { functions } = metrics;
+
+    if (functions.length > 0) {
+      const total = functions.reduce((sum, fn) => sum + fn.complexity, 0);
+      metrics.complexity = {
+        average: total / functions.length,
+        max: Math.max(...functions.map(fn => fn.complexity))
+      };
+    }
+
+    for (const fn of functions) {
+      fn.documented = docCommentEnds.has(fn.docLine - 1);
+    }
+
+    metrics.naming = this._assessNaming(metrics.identifiers);
+    metrics.duplicateLineRatio = this._duplicateLineRatio(code);
+  }
+
+  /**
+   * Check identifiers against the naming convention expected for their kind
+   * @private
+   */
+  _assessNaming(identifiers) {
+    const camelCase = /^[a-z][a-zA-Z0-9]*$/;
+    const pascalCase = /^[A-Z][a-zA-Z0-9]*$/;
+    const upperCase = /^[A-Z][A-Z0-9_]*$/;
+
+    const inconsistent = [];
+    const seen = new Set();
+
+    for (const { name, kind, line } of identifiers) {
+      const bare = name.replace(/^_+|\$/g, '');
+      if (!bare || seen.has(name)) continue;
+      seen.add(name);
+
+      let valid;
+      switch (kind) {
+        case 'class':
+        case 'type':
+          valid = pascalCase.test(bare);
+          break;
+        case 'constant':
+          valid = camelCase.test(bare) || pascalCase.test(bare) || upperCase.test(bare);
+          break;
+        case 'function':
+          // PascalCase functions are React components
+          valid = camelCase.test(bare) || pascalCase.test(bare);
+          break;
+        default:
+          valid = camelCase.test(bare);
+      }
+
+      if (!valid) {
+        inconsistent.push({ name, kind, line });
+      }
+    }
+
+    return {
+      total: seen.size,
+      consistency: seen.size > 0 ? (seen.size - inconsistent.length) / seen.size : 1,
+      inconsistent
+    };
+  }
+
+  /**
+   * Share of substantial lines that repeat an earlier line verbatim
+   * @private
+   */
+  _duplicateLineRatio(code) {
+    const counts = new Map();
+    let total = 0;
+
+    for (const line of code.split('\n')) {
+      const trimmed = line.trim();
+      if (trimmed.length < 20 || this._isCommentOnly(trimmed)) continue;
+      total++;
+      counts.set(trimmed, (counts.get(trimmed) || 0) + 1);
+    }
+
+    if (total === 0) return 0;
+
+    let duplicates = 0;
+    counts.forEach(count => { duplicates += count - 1; });
+    return duplicates / total;
+  }
+}
+
+module.exports = StaticAnalyzer;
@@ -0,0 +1,479 @@
+/**
+ * AI-AutoCoding-DAO Test Generator
+ * Derives test cases from a task's input, output, constraints and edge-cases
+ * sections and runs them against an implementation in the execution sandbox
+ */
+const path = require('path');
+const { parseExpression } = require('@babel/parser');
+const ExecutionSandbox = require('../tools/sandbox');
+const logger = require('../utils/logger');
+
+// Sections PromptBuilder formats for function tasks
+const SECTIONS = ['input', 'output', 'constraints', 'edge-cases'];
+
+// Plain-language values that appear in edge cases
+const PHRASES = [
+  [/^(an? )?empty (array|list)$/, []],
+  [/^(an? )?empty (string|text)$/, ''],
+  [/^(an? )?empty object$/, {}],
+  [/^null( input| value)?$/, null],
+  [/^undefined( input| value)?$/, undefined],
+  [/^(no (input|arguments?)|nothing)$/, undefined],
+  [/^zero$/, 0],
+  [/^(a )?negative (number|value)$/, -1]
+];
+
+const RESULT_ARROW = /\s*(?:=>|->|→|==+|\bshould (?:return|equal|be)\b|\breturns?\b|\bgives?\b|\bequals?\b|\byields?\b|\boutputs?\b)\s*/i;
+const THROWS = /\b(should )?(throws?|rejects?|raises?)( an?)?( \w*error| exception)?\b/i;
+
+class TestGenerator {
+  /**
+   * Create a test generator
+   * @param {Object} config - Configuration options
+   * @param {ExecutionSandbox} config.sandbox - Sandbox the derived tests run in
+   * @param {number} config.maxCases - Most cases derived from one task
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxCases: 50,
+      ...config
+    };
+
+    this.sandbox = this.config.sandbox || new ExecutionSandbox();
+  }
+
+  /**
+   * Derive test cases from a task
+   * @param {Object} task - Task with optional input, output, constraints and edge-cases sections
+   * @returns {Object} Cases, the function name they call (if one is named) and the
+   *   section items that could not be turned into a test
+   */
+  generate(task) {
+    const cases = [];
+    const unverifiable = [];
+    const items = {};
+
+    for (const section of SECTIONS) {
+      items[section] = this._sectionItems(task[section] ?? (section === 'edge-cases' ? task.edgeCases : undefined));
+    }
+
+    // Parallel input and output lists of literal values are paired into examples
+    const paired = this._pairExamples(items.input, items.output);
+    cases.push(...paired);
+
+    for (const section of SECTIONS) {
+      if (paired.length > 0 && ['input', 'output'].includes(section)) continue;
+
+      for (const item of items[section]) {
+        const derived = this._parseItem(item, section);
+        if (derived) {
+          cases.push(derived);
+        } else {
+          unverifiable.push({ section, text: this._describe(item) });
+        }
+      }
+    }
+
+    // Constraints usually describe properties, checked with the arguments of a known example
+    const sample = cases.find(testCase => testCase.kind === 'example');
+    const properties = [];
+    for (const entry of unverifiable.filter(entry => entry.section === 'constraints')) {
+      const property = this._parseConstraint(entry.text, sample);
+      if (property) {
+        properties.push(property);
+        entry.derived = true;
+      }
+    }
+    cases.push(...properties);
+
+    const functionName = this._mostCommon(cases.map(testCase => testCase.functionName).filter(Boolean)) ||
+      task.functionName || null;
+
+    return {
+      functionName,
+      cases: cases.slice(0, this.config.maxCases).map((testCase, index) => ({ id: `case-${index + 1}`, ...testCase })),
+      unverifiable: unverifiable.filter(entry => !entry.derived)
+    };
+  }
+
+  /**
+   * Build a test file that runs derived cases against a module
+   * @param {Object[]} cases - Cases from generate()
+   * @param {string} modulePath - Relative path of the module under test
+   * @param {string|null} functionName - Export to call; falls back to the default or only function
+   * @returns {string} Test file source
+   */
+  buildTestFile(cases, modulePath, functionName) {
+    const lines = [
+      `const subject = require(${JSON.stringify(modulePath)});`,
+      `const candidates = [subject && subject[${JSON.stringify(functionName || '')}], subject && subject.default, subject];`,
+      'const target = candidates.find(candidate => typeof candidate === \'function\') ||',
+      '  Object.values(subject || {}).find(value => typeof value === \'function\');',
+      'const call = (...args) => {',
+      '  if (!target) throw new Error(\'No exported function to test\');',
+      '  return target(...args);',
+      '};',
+      ''
+    ];
+
+    for (const testCase of cases) {
+      const args = testCase.args ? `...${this._serialize(testCase.args)}` : '';
+      lines.push(`test(${JSON.stringify(testCase.id)}, async () => {`);
+
+      switch (testCase.kind) {
+        case 'example':
+          lines.push(`  expect(await call(${args})).toEqual(${this._serialize(testCase.expected)});`);
+          break;
+        case 'throws':
+          lines.push(
+            '  let threw = false;',
+            `  try { await call(${args}); } catch (error) { threw = true; }`,
+            '  if (!threw) throw new Error(\'Expected an error to be thrown\');'
+          );
+          break;
+        case 'returnType':
+          lines.push(
+            `  const result = await call(${args});`,
+            `  const type = Array.isArray(result) ? 'array' : result === null ? 'null' : typeof result;`,
+            `  if (type !== ${JSON.stringify(testCase.expected)}) throw new Error(\`Expected ${testCase.expected}, got \${type}\`);`
+          );
+          break;
+        case 'noMutation':
+          lines.push(
+            `  const args = ${this._serialize(testCase.args)};`,
+            '  const before = JSON.stringify(args);',
+            '  await call(...args);',
+            '  if (JSON.stringify(args) !== before) throw new Error(\'Arguments were mutated\');'
+          );
+          break;
+        case 'deterministic':
+          lines.push(`  expect(await call(${args})).toEqual(await call(${args}));`);
+          break;
+        case 'duration':
+          lines.push(
+            '  const start = Date.now();',
+            `  await call(${args});`,
+            `  const elapsed = Date.now() - start;`,
+            `  if (elapsed > ${testCase.expected}) throw new Error(\`Took \${elapsed}ms, limit ${testCase.expected}ms\`);`
+          );
+          break;
+        default:
+          lines.push(`  throw new Error('Unknown case kind: ${testCase.kind}');`);
+      }
+
+      lines.push('});', '');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Derive and run test cases against an implementation
+   * @param {Object} implementation - Implementation from a connector
+   * @param {Object} task - Original task
+   * @returns {Promise<Object|null>} Per-case results and pass rate, or null when the
+   *   task has nothing to derive tests from or the sandbox cannot run code here
+   */
+  async evaluate(implementation, task) {
+    const { cases, functionName, unverifiable } = this.generate(task);
+
+    if (cases.length === 0) {
+      return null;
+    }
+
+    const files = this.sandbox.collectFiles(implementation)
+      .filter(file => !ExecutionSandbox.TEST_FILE_PATTERN.test(file.name));
+
+    let execution = null;
+    const source = files.find(file => !ExecutionSandbox.ASSET_EXTENSIONS.has(path.extname(file.name)));
+    if (source) {
+      const entry = source.name;
+      const modulePath = `./${entry.slice(0, entry.length - path.extname(entry).length)}`;
+
+      execution = await this.sandbox.run(files, {
+        entry,
+        render: false,
+        tests: [{ name: '__derived__.test.js', content: this.buildTestFile(cases, modulePath, functionName) }]
+      });
+    }
+
+    // Unrun cases say nothing about the code; functionality falls back to static checks
+    if (execution?.status === 'unsupported') {
+      logger.warn(`Derived tests for ${task.id || 'task'} not run: ${execution.errors[0].message}`);
+      return null;
+    }
+
+    const byName = new Map((execution ? execution.tests.results : []).map(result => [result.name, result]));
+    const fallbackError = !execution ? 'No code to run' :
+      execution.errors[0]?.message || `Execution ${execution.status}`;
+
+    const results = cases.map(testCase => {
+      const result = byName.get(testCase.id);
+      return {
+        id: testCase.id,
+        section: testCase.section,
+        kind: testCase.kind,
+        description: testCase.description,
+        passed: Boolean(result && result.passed),
+        error: result ? (result.error ? result.error.message : null) : fallbackError
+      };
+    });
+
+    const passed = results.filter(result => result.passed).length;
+    logger.debug(`Derived tests for ${task.id || 'task'}: ${passed}/${results.length} passed`);
+
+    return {
+      functionName,
+      cases: results,
+      total: results.length,
+      passed,
+      failed: results.length - passed,
+      passRate: passed / results.length,
+      unverifiable,
+      status: execution ? execution.status : 'failed',
+      timings: execution ? execution.timings : null
+    };
+  }
+
+  /**
+   * Normalize a section into a list of items
+   * @private
+   */
+  _sectionItems(value) {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') {
+      return value.split(/\n|;/).map(line => line.replace(/^\s*[-*\d.)]+\s+/, '').trim()).filter(Boolean);
+    }
+    if (typeof value === 'object') {
+      // PromptBuilder renders objects as "key: value" lines
+      return Object.entries(value).map(([key, entry]) => `${key}: ${entry}`);
+    }
+    return [String(value)];
+  }
+
+  /**
+   * Pair parallel input and output lists when both hold literal values
+   * @private
+   */
+  _pairExamples(inputs, outputs) {
+    if (inputs.length === 0 || inputs.length !== outputs.length) return [];
+
+    const pairs = [];
+    for (let index = 0; index < inputs.length; index++) {
+      const input = this._literalItem(inputs[index]);
+      const output = this._literalItem(outputs[index]);
+      if (!input.ok || !output.ok) return [];
+
+      pairs.push({
+        section: 'input/output',
+        kind: 'example',
+        description: `${this._describe(inputs[index])} => ${this._describe(outputs[index])}`,
+        args: Array.isArray(input.value?.args) ? input.value.args : [input.value],
+        expected: output.value
+      });
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Turn one section item into a case, or null when it is not concrete enough
+   * @private
+   */
+  _parseItem(item, section) {
+    const description = this._describe(item);
+
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      const args = item.args ?? item.arguments ?? (item.input !== undefined ? [item.input] : null);
+      if (!args) return null;
+
+      const base = { section, description, args: Array.isArray(args) ? args : [args] };
+      if (item.throws) return { ...base, kind: 'throws' };
+
+      const expected = item.expected ?? item.output ?? item.returns;
+      return expected === undefined && !('expected' in item) ? null : { ...base, kind: 'example', expected };
+    }
+
+    if (typeof item !== 'string') return null;
+
+    const text = item.replace(/^(input|output|example|e\.g\.)\s*:\s*/i, '').replace(/[.]$/, '').trim();
+
+    // "Returns 0 for an empty array", "Throws for null input"
+    const reversed = text.match(/^(?:should\s+|must\s+)?(returns?|throws?|rejects?)\s*(.*?)\s+(?:for|on|when given|given|with|if passed)\s+(.+)$/i);
+    if (reversed) {
+      const subject = this._parseSubject(reversed[3]);
+      if (/^(throw|reject)/i.test(reversed[1])) {
+        return subject ? { section, description, kind: 'throws', ...subject } : null;
+      }
+      const expected = this._parseValue(reversed[2]);
+      return subject && expected.ok ? { section, description, kind: 'example', ...subject, expected: expected.value } : null;
+    }
+
+    const throwsMatch = text.match(THROWS);
+    if (throwsMatch) {
+      const subject = this._parseSubject(text.slice(0, throwsMatch.index).replace(/\b(should|must|will)\s*$/i, '').trim());
+      return subject ? { section, description, kind: 'throws', ...subject } : null;
+    }
+
+    const arrow = text.match(RESULT_ARROW);
+    if (!arrow) return null;
+
+    const subject = this._parseSubject(text.slice(0, arrow.index).trim());
+    const expected = this._parseValue(text.slice(arrow.index + arrow[0].length).trim());
+    if (!subject || !expected.ok) return null;
+
+    return { section, description, kind: 'example', ...subject, expected: expected.value };
+  }
+
+  /**
+   * Parse the left-hand side of an example: a call, a literal or a known phrase
+   * @private
+   */
+  _parseSubject(text) {
+    const subject = text.replace(/^(an?|the|given|for|when|with|input( is)?|passing)\s+/gi, '').replace(/\s+input$/i, '').trim();
+    if (!subject) return null;
+
+    try {
+      const expression = parseExpression(subject, { plugins: ['typescript'] });
+      if (expression.type === 'CallExpression' && expression.callee.type === 'Identifier') {
+        return { functionName: expression.callee.name, args: expression.arguments.map(arg => this._evaluate(arg)) };
+      }
+    } catch (error) {
+      // Not a call expression; try a literal below
+    }
+
+    const value = this._parseValue(subject);
+    return value.ok ? { args: value.value === undefined ? [] : [value.value] } : null;
+  }
+
+  /**
+   * Parse a literal or a known phrase
+   * @private
+   * @returns {Object} { ok, value }
+   */
+  _parseValue(text) {
+    const normalized = text.trim().replace(/^`|`$/g, '');
+
+    for (const [pattern, value] of PHRASES) {
+      if (pattern.test(normalized.toLowerCase())) {
+        return { ok: true, value: Array.isArray(value) ? [] : value && typeof value === 'object' ? {} : value };
+      }
+    }
+
+    try {
+      return { ok: true, value: this._evaluate(parseExpression(normalized)) };
+    } catch (error) {
+      return { ok: false };
+    }
+  }
+
+  /**
+   * Read a structured or literal item as a value
+   * @private
+   */
+  _literalItem(item) {
+    if (typeof item === 'string') return this._parseValue(item);
+    return { ok: item !== undefined, value: item };
+  }
+
+  /**
+   * Evaluate a literal expression without executing code
+   * @private
+   */
+  _evaluate(node) {
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return node.value;
+      case 'NullLiteral':
+        return null;
+      case 'TemplateLiteral':
+        if (node.expressions.length > 0) break;
+        return node.quasis[0].value.cooked;
+      case 'Identifier':
+        if (node.name === 'undefined') return undefined;
+        if (node.name === 'NaN') return NaN;
+        if (node.name === 'Infinity') return Infinity;
+        break;
+      case 'UnaryExpression':
+        if (node.operator === '-') return -this._evaluate(node.argument);
+        if (node.operator === '+') return +this._evaluate(node.argument);
+        break;
+      case 'ArrayExpression':
+        return node.elements.map(element => this._evaluate(element));
+      case 'ObjectExpression':
+        return Object.fromEntries(node.properties.map(property => {
+          if (property.type !== 'ObjectProperty' || property.computed) {
+            throw new Error('Unsupported object property');
+          }
+          const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+          return [key, this._evaluate(property.value)];
+        }));
+      default:
+        break;
+    }
+
+    throw new Error(`Not a literal: ${node.type}`);
+  }
+
+  /**
+   * Turn a constraint into a property check run with a known example's arguments
+   * @private
+   */
+  _parseConstraint(text, sample) {
+    if (!sample) return null;
+
+    const base = { section: 'constraints', description: text, args: sample.args, functionName: sample.functionName };
+    const lower = text.toLowerCase();
+
+    const returnType = lower.match(/\breturns?\s+(?:an?\s+)?(number|string|boolean|array|object)\b/);
+    if (returnType) return { ...base, kind: 'returnType', expected: returnType[1] };
+
+    if (/\b(not|never|without)\s+(mutat|modif|chang)/.test(lower) || /\bimmutab/.test(lower)) {
+      return { ...base, kind: 'noMutation' };
+    }
+
+    if (/\b(pure|deterministic|idempotent)\b/.test(lower)) {
+      return { ...base, kind: 'deterministic' };
+    }
+
+    const duration = lower.match(/\b(?:within|under|less than|in)\s+(\d+)\s*ms\b/);
+    if (duration) return { ...base, kind: 'duration', expected: Number(duration[1]) };
+
+    return null;
+  }
+
+  /**
+   * Serialize a derived value as JavaScript source
+   * @private
+   */
+  _serialize(value) {
+    if (value === undefined) return 'undefined';
+    if (typeof value === 'number') {
+      if (Number.isNaN(value)) return 'NaN';
+      if (!Number.isFinite(value)) return value > 0 ? 'Infinity' : '-Infinity';
+      return String(value);
+    }
+    if (Array.isArray(value)) return `[${value.map(entry => this._serialize(entry)).join(', ')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.entries(value).map(([key, entry]) => `${JSON.stringify(key)}: ${this._serialize(entry)}`).join(', ')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  _describe(item) {
+    return typeof item === 'string' ? item : JSON.stringify(item);
+  }
+
+  _mostCommon(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+  }
+}
+
+TestGenerator.SECTIONS = SECTIONS;
+
+module.exports = TestGenerator;
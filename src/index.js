@@ -5,20 +5,45 @@
 
 // Import logger
 const logger = require('./utils/logger');
+const { countTokens } = require('./utils/tokenizer');
+const { PriceTable, normalizeUsage } = require('./utils/usage');
 
 // Orchestration components
 const TaskAnalyzer = require('./orchestration/analyzer');
 const TokenTracker = require('./orchestration/token-tracker');
 const TemplateManager = require('./orchestration/templates');
 const MetricsCollector = require('./dashboard/metrics-collector');
+const TaskEventBus = require('./orchestration/event-bus');
+const PromptBuilder = require('./orchestration/prompt-builder');
+const PatternLibrary = require('./orchestration/pattern-library');
+const ExampleIndex = require('./orchestration/example-index');
+const PromptOptimizer = require('./orchestration/prompt-optimizer');
+const JobQueue = require('./orchestration/job-queue');
+const ToolSelector = require('./orchestration/selector');
+const BudgetManager = require('./orchestration/budget-manager');
+const BaselineEstimator = require('./orchestration/baseline-estimator');
+const { StorageAdapter } = require('./data/storage-adapter');
+const JsonLinesStorage = require('./data/jsonl-storage');
+const SupabaseStorage = require('./data/supabase-storage');
+const KnowledgeManager = require('./data/knowledge-manager');
+const { BudgetExceededError } = BudgetManager;
 
 // Tool connectors
 const ClaudeSonnetConnector = require('./tools/claude-sonnet-connector');
 const BoltDiyConnector = require('./tools/bolt-diy-connector');
+const HaikuConnector = require('./tools/haiku');
+const BoltNewConnector = require('./tools/bolt-new');
+const V0DevConnector = require('./tools/v0-dev');
+const ClaudeDirectConnector = require('./tools/claude-direct');
+const ConnectorRegistry = require('./tools/connector-registry');
 
 // Evaluation components
 const QualityAnalyzer = require('./evaluation/quality-analyzer');
 const ImplementationComparator = require('./evaluation/comparator');
+const TestGenerator = require('./evaluation/test-generator');
+
+// API server
+const ApiServer = require('./server/api-server');
 
 /**
  * AI-AutoCoding-DAO system for optimizing AI-assisted development with Claude Sonnet
@@ -29,29 +54,108 @@ class AIAutoCodingDAO {
    * @param {Object} config - Configuration options
    */
   constructor(config = {}) {
-    // Initialize core components
+    // Initialize core components; spend is priced from one shared table and tracking
+    // state is persisted to one shared storage
+    this.priceTable = new PriceTable(config.prices);
+    this.storage = this._createStorage(config);
     this.analyzer = new TaskAnalyzer();
-    this.tokenTracker = new TokenTracker();
-    this.templateManager = new TemplateManager();
-    this.metricsCollector = new MetricsCollector();
+    this.tokenTracker = new TokenTracker({ priceTable: this.priceTable, storage: this.storage });
+    // Template packs on disk and the Supabase templates table extend the built-in templates
+    const supabase = this.storage instanceof SupabaseStorage ? this.storage.connector : null;
+    this.knowledgeManager = config.knowledge === false ? null : new KnowledgeManager(config.knowledge);
+    this.templateManager = new TemplateManager({
+      tokenTracker: this.tokenTracker,
+      knowledgeManager: this.knowledgeManager,
+      supabase,
+      ...config.templates
+    });
+    
+    // Prompts gain matching patterns and well-scored implementations of similar tasks
+    this.patternLibrary = config.patterns === false ? null : new PatternLibrary({
+      knowledgeManager: this.knowledgeManager,
+      ...config.patterns
+    });
+    this.exampleIndex = config.examples === false ? null : new ExampleIndex({ supabase, ...config.examples });
+    // Complete prompts are trimmed to the task's analysis budget before they are sent
+    this.promptOptimizer = config.optimizer === false ? null : new PromptOptimizer(config.optimizer);
+    this.promptBuilder = new PromptBuilder({
+      analyzer: this.analyzer,
+      patternLibrary: this.patternLibrary,
+      exampleIndex: this.exampleIndex,
+      optimizer: this.promptOptimizer,
+      tokenTracker: this.tokenTracker
+    });
+    this.metricsCollector = new MetricsCollector({ priceTable: this.priceTable, storage: this.storage });
+    this.budgetManager = new BudgetManager(this.tokenTracker, config.budgets);
+    this.baselineEstimator = new BaselineEstimator(this.tokenTracker, config.baseline);
+    this.events = config.eventBus || new TaskEventBus();
     
     // Initialize evaluation framework
     this.qualityAnalyzer = new QualityAnalyzer();
     this.comparator = new ImplementationComparator(this.qualityAnalyzer);
     
-    // Initialize tool connectors
-    this.claudeSonnet = new ClaudeSonnetConnector(config.claudeSonnet);
-    this.boltDiy = new BoltDiyConnector(config.boltDiy);
-    
     // Store configuration
     this.config = {
       devMode: config.devMode || process.env.NODE_ENV === 'development',
-      ...config
+      ...config,
+      // Repair loop for implementations scoring below minScore; off by default
+      repair: {
+        enabled: false,
+        minScore: 7,
+        maxIterations: 2,
+        maxTokens: 20000,
+        ...config.repair
+      }
     };
     
+    // Initialize execution environment
+    this.boltDiy = new BoltDiyConnector(this._connectorConfig('boltDiy'));
+    
+    // Tests derived from the task share the execution sandbox and its limits
+    this.testGenerator = new TestGenerator({ sandbox: this.boltDiy.sandbox });
+    
+    // Register implementation connectors; they are created on first use so a
+    // missing API key only makes that tool unavailable
+    this.connectors = config.connectorRegistry || new ConnectorRegistry();
+    this.connectors.registerDefaults(name => this._connectorConfig(name));
+    
+    // Tool profiles come from the capabilities of registered connectors
+    this.toolSelector = new ToolSelector(this.connectors, {
+      tokenTracker: this.tokenTracker,
+      ...this.config.selection
+    });
+    
+    this.ready = null;
+    
     logger.info('AI-AutoCoding-DAO initialized');
   }
   
+  /**
+   * Rehydrate token tracking and metrics from storage, and load template packs and
+   * saved implementations
+   * Runs once, before the first task is processed; call it directly to load the state
+   * earlier, e.g. before serving stats.
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this.ready) {
+      this.ready = Promise.all([
+        this.tokenTracker.initialize(),
+        this.metricsCollector.initialize(),
+        this._loadTemplates(),
+        this._loadExamples()
+      ])
+        .then(() => undefined)
+        .catch(error => {
+          logger.error(`Failed to rehydrate tracking state: ${error.message}`);
+          this.ready = null;
+          throw error;
+        });
+    }
+    
+    return this.ready;
+  }
+  
   /**
    * Process a task with the AI-AutoCoding-DAO system
    * @param {Object} task - Task to process
@@ -59,64 +163,165 @@ class AIAutoCodingDAO {
    */
   async processTask(task) {
     try {
+      await this.initialize();
       logger.info(`Processing task: ${task.id || 'Unknown'}`);
+      this.events.publish('task.status', task.id, { status: 'processing', message: 'Task processing started' });
       
       // Start tracking the task
-      this.tokenTracker.startTask(task.id, task.description, task.complexity);
+      this.tokenTracker.startTask(task.id, task.description, task.complexity, task.type, {
+        userId: task.userId,
+        projectId: task.projectId
+      });
       
       // Analyze the task
       const analysis = this.analyzer.analyzeTask(task);
       logger.info(`Task analysis complete: ${task.id}`);
+      this.events.publish('task.progress', task.id, {
+        stage: 'analysis',
+        progress: 20,
+        message: 'Task analysis complete',
+        analysis
+      });
       
-      // Select tool and template based on mode
-      const toolName = this.config.devMode ? 'boltDiy' : 'claudeSonnet';
-      const tool = this.config.devMode ? this.boltDiy : this.claudeSonnet;
+      // Apply budget policies to the estimated cost before anything is spent
+      const budget = this._checkBudget(task, { tokenBudget: analysis.tokenBudget });
       
-      // Get template
+      // Select the tool, falling back down the ranking if a connector is unavailable
+      const selection = this._selectConnector(task, {
+        cheapest: budget.action === 'downgrade',
+        capped: budget.tokenLimit !== null
+      });
+      const { toolName, tool } = selection;
+      
+      // Get template, in the version picked by any running experiment
       const templateType = this.templateManager.getBestTemplateType(toolName, task);
-      const template = this.templateManager.getTemplate(toolName, templateType, task);
+      const assignment = this.templateManager.assignVariant(toolName, templateType, task);
+      const filledTemplate = this.templateManager.getTemplate(toolName, templateType, task, {
+        version: assignment.version,
+        defaults: !this.promptOptimizer?.config.dropDefaults
+      });
       
-      if (!template) {
+      if (!filledTemplate) {
         throw new Error(`Template not found for ${toolName}`);
       }
+      this.tokenTracker.recordTemplate(task.id, toolName, assignment);
       
-      logger.info(`Using template: ${templateType} with ${toolName}`);
+      // Patterns and past implementations matching the task extend the template
+      const { prompt: template, patterns, examples } = this.promptBuilder.appendContext(task, filledTemplate, analysis.features);
+      
+      logger.info(`Using template: ${templateType}@${assignment.version} with ${toolName}`);
+      this.events.publish('task.progress', task.id, {
+        stage: 'template',
+        progress: 30,
+        message: `Using template: ${templateType}@${assignment.version} with ${toolName}`,
+        tool: toolName,
+        templateType,
+        templateVersion: assignment.version,
+        experiment: assignment.experimentId ? { id: assignment.experimentId, variant: assignment.variant } : null,
+        patterns: patterns.map(pattern => pattern.name),
+        examples: examples.map(example => example.taskId),
+        selection: selection.summary
+      });
       
       // Track token usage for analysis phase
-      const analysisTokens = this._estimateTokens(JSON.stringify(analysis) + template);
+      const analysisTokens = countTokens(JSON.stringify(analysis) + template);
       
       // Implement the task
       logger.info(`Implementing task with ${toolName}`);
-      const implementation = await tool.implementTask(task, template);
+      this.events.publish('task.progress', task.id, {
+        stage: 'implementation',
+        progress: 40,
+        message: `Implementing task with ${toolName}`,
+        tool: toolName
+      });
+      const maxTokens = this.budgetManager.maxTokensFor(budget, countTokens(template), {
+        capsOutput: this._capsOutput(toolName)
+      });
+      const baselineRun = this._startBaseline(task, toolName, tool, budget);
+      let implementation = await tool.implementTask(task, template, {
+        maxTokens,
+        optimizePrompt: this._promptOptimization(task, toolName, analysis)
+      });
+      this.events.publish('task.output', task.id, {
+        stage: 'implementation',
+        implementation: implementation.implementation,
+        tokenUsage: implementation.tokenUsage
+      });
       
       // Execute implementation
       logger.info(`Executing implementation`);
-      const execution = await this.boltDiy.executeTask(task, implementation);
+      this.events.publish('task.progress', task.id, {
+        stage: 'execution',
+        progress: 60,
+        message: 'Executing implementation'
+      });
+      let execution = await this.boltDiy.executeTask(task, implementation);
+      this.events.publish('task.output', task.id, {
+        stage: 'execution',
+        execution: execution.result
+      });
+      
+      // Run test cases derived from the task; their pass rate scores functionality
+      await this._runFunctionalTests(task, implementation);
       
       // Track token usage
       this.tokenTracker.recordDelegatedCost(task.id, toolName, {
         analysis: analysisTokens,
-        delegation: implementation.tokenUsage?.prompt || 0,
-        review: implementation.tokenUsage?.completion || 0,
+        ...this._usageCosts(implementation),
         timeSpent: (Date.now() - this.tokenTracker.tasks.get(task.id).startTime) / 60000
       });
       
       // Analyze implementation quality
-      const quality = this.qualityAnalyzer.analyzeQuality(implementation, task);
+      let quality = this.qualityAnalyzer.analyzeQuality(implementation, task);
+      this.events.publish('task.progress', task.id, {
+        stage: 'quality',
+        progress: 90,
+        message: `Quality score: ${quality.overallScore}/10`,
+        qualityScore: quality.overallScore
+      });
+      
+      // Optionally send the findings back to the same tool until the score passes
+      let repair = null;
+      if (this.config.repair.enabled && quality.overallScore < this.config.repair.minScore) {
+        const repaired = await this._repairImplementation(task, {
+          toolName, tool, template, implementation, quality, tokenBudget: analysis.tokenBudget
+        });
+        repair = repaired.repair;
+        
+        if (repaired.implementation !== implementation) {
+          ({ implementation, quality } = repaired);
+          execution = await this.boltDiy.executeTask(task, implementation);
+        }
+      }
+      
+      // Record the direct cost the task is compared against
+      const baseline = await this._recordBaseline(task, baselineRun);
       
       // Record metrics
       this.metricsCollector.recordTaskMetrics(task, {
         ...implementation,
         quality,
+        baseline,
         success: true
       });
       
       // Mark task as complete
       this.tokenTracker.completeTask(task.id, quality.overallScore);
+      this._indexExample(task, analysis, toolName, implementation, quality);
       
       // Calculate efficiency
       const efficiency = this.tokenTracker.compareEfficiency(task.id);
       
+      this.events.publish('task.status', task.id, { status: 'completed', message: 'Task completed' });
+      this.events.publish('task.completion', task.id, {
+        progress: 100,
+        implementation: implementation.implementation,
+        tokenUsage: implementation.tokenUsage,
+        qualityScore: quality.overallScore,
+        repair,
+        efficiency
+      });
+      
       return {
         taskId: task.id,
         task,
@@ -124,14 +329,22 @@ class AIAutoCodingDAO {
         implementation,
         execution,
         quality,
+        repair,
         efficiency,
+        baseline,
+        budget,
+        selection: selection.summary,
         template: {
           type: templateType,
+          version: assignment.version,
+          experiment: assignment.experimentId ? { id: assignment.experimentId, variant: assignment.variant } : null,
           content: template
         }
       };
     } catch (error) {
       logger.error(`Task processing failed: ${error.message}`);
+      this.events.publish('task.status', task.id, { status: 'failed', message: error.message });
+      this.events.publish('task.error', task.id, { message: error.message });
       
       // Record failure metrics
       if (task.id) {
@@ -145,6 +358,214 @@ class AIAutoCodingDAO {
     }
   }
   
+  /**
+   * Process a task with several tools in parallel and keep the best implementation
+   * @param {Object} task - Task to process
+   * @param {string[]} tools - Tool names to compare; defaults to every available tool, best ranked first
+   * @returns {Promise<Object>} Processing results with the winner and the full comparison
+   */
+  async processTaskWithComparison(task, tools) {
+    try {
+      await this.initialize();
+      logger.info(`Processing task with comparison: ${task.id || 'Unknown'}`);
+      this.events.publish('task.status', task.id, { status: 'processing', message: 'Task processing started' });
+      
+      // Start tracking the task
+      this.tokenTracker.startTask(task.id, task.description, task.complexity, task.type, {
+        userId: task.userId,
+        projectId: task.projectId
+      });
+      
+      // Analyze the task
+      const analysis = this.analyzer.analyzeTask(task);
+      this.events.publish('task.progress', task.id, {
+        stage: 'analysis',
+        progress: 20,
+        message: 'Task analysis complete',
+        analysis
+      });
+      
+      const candidates = tools && tools.length > 0 ?
+        tools :
+        this.toolSelector.rankTools(task).map(entry => entry.tool);
+      let available = candidates.filter(name => this.connectors.isAvailable(name));
+      const failures = candidates
+        .filter(name => !available.includes(name))
+        .map(name => ({ tool: name, error: this.connectors.getUnavailableReason(name) }));
+      
+      if (available.length === 0) {
+        throw new Error(`No available connector for task ${task.id}: ${failures.map(f => `${f.tool} (${f.error})`).join(', ')}`);
+      }
+      
+      // Every tool is paid for, so the estimate covers all of them; a downgrade keeps
+      // only the cheapest tool and a cap is shared between them
+      const budget = this._checkBudget(task, {
+        tokenBudget: analysis.tokenBudget,
+        estimate: analysis.tokenBudget.total * available.length
+      });
+      if (budget.action === 'downgrade') {
+        const cheapest = this._cheapestTool(available);
+        if (cheapest) {
+          logger.warn(`Budget downgrade: comparing ${cheapest} only`);
+          available = [cheapest];
+        }
+      }
+      const sharedBudget = budget.tokenLimit === null ? budget :
+        { ...budget, tokenLimit: Math.floor(budget.tokenLimit / available.length) };
+      
+      logger.info(`Implementing task with ${available.join(', ')}`);
+      this.events.publish('task.progress', task.id, {
+        stage: 'implementation',
+        progress: 40,
+        message: `Implementing task with ${available.join(', ')}`,
+        tools: available
+      });
+      
+      // The baseline runs beside the comparison, on the best ranked tool
+      const baselineRun = this._startBaseline(task, available[0], this.connectors.get(available[0]), budget);
+      
+      // Run every connector in parallel; one failing tool does not fail the comparison
+      const settled = await Promise.allSettled(
+        available.map(name => this._implementWithTool(task, name, analysis, sharedBudget))
+      );
+      
+      const results = [];
+      settled.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+          results.push(outcome.value);
+        } else {
+          logger.warn(`Comparison run failed for ${available[index]}: ${outcome.reason.message}`);
+          failures.push({ tool: available[index], error: outcome.reason.message });
+        }
+      });
+      
+      if (results.length === 0) {
+        throw new Error(`All connectors failed for task ${task.id}`);
+      }
+      
+      // Track token usage per tool; TokenTracker keeps the cheapest as the delegated cost
+      for (const result of results) {
+        this.tokenTracker.recordDelegatedCost(task.id, result.toolName, {
+          analysis: result.analysisTokens,
+          ...this._usageCosts(result.implementation),
+          timeSpent: result.timeSpent
+        });
+      }
+      
+      // Compare implementations
+      this.events.publish('task.progress', task.id, {
+        stage: 'comparison',
+        progress: 70,
+        message: `Comparing ${results.length} implementations`
+      });
+      const comparison = this.comparator.compareImplementations(
+        results.map(result => result.implementation),
+        task
+      );
+      
+      if (comparison.error) {
+        throw new Error(`Implementation comparison failed: ${comparison.error}`);
+      }
+      
+      comparison.ranked.forEach(({ tool, analysis: quality }) => {
+        this.tokenTracker.recordToolQuality(task.id, tool, quality.overallScore);
+      });
+      
+      const winner = results.find(result => result.toolName === comparison.bestTool);
+      const quality = comparison.bestImplementation.analysis;
+      
+      // Execute the winning implementation
+      this.events.publish('task.progress', task.id, {
+        stage: 'execution',
+        progress: 80,
+        message: `Executing implementation from ${winner.toolName}`,
+        tool: winner.toolName
+      });
+      const execution = await this.boltDiy.executeTask(task, winner.implementation);
+      
+      // Record the direct cost the task is compared against
+      const baseline = await this._recordBaseline(task, baselineRun);
+      
+      // Record metrics
+      this.metricsCollector.recordTaskMetrics(task, {
+        ...winner.implementation,
+        quality,
+        baseline,
+        success: true
+      });
+      
+      // Mark task as complete
+      this.tokenTracker.completeTask(task.id, quality.overallScore);
+      this._indexExample(task, analysis, winner.toolName, winner.implementation, quality);
+      
+      // Calculate efficiency
+      const efficiency = this.tokenTracker.compareEfficiency(task.id);
+      
+      this.events.publish('task.status', task.id, { status: 'completed', message: 'Task completed' });
+      this.events.publish('task.completion', task.id, {
+        progress: 100,
+        implementation: winner.implementation.implementation,
+        tokenUsage: winner.implementation.tokenUsage,
+        qualityScore: quality.overallScore,
+        winner: winner.toolName,
+        efficiency
+      });
+      
+      return {
+        taskId: task.id,
+        task,
+        analysis,
+        winner: {
+          tool: winner.toolName,
+          implementation: winner.implementation,
+          quality,
+          template: {
+            type: winner.templateType,
+            version: winner.templateVersion,
+            content: winner.template
+          }
+        },
+        implementations: results.map(result => ({
+          tool: result.toolName,
+          implementation: result.implementation,
+          tokenUsage: result.implementation.tokenUsage,
+          timeSpent: result.timeSpent
+        })),
+        failures,
+        comparison,
+        execution,
+        efficiency,
+        baseline,
+        budget
+      };
+    } catch (error) {
+      logger.error(`Task comparison failed: ${error.message}`);
+      this.events.publish('task.status', task.id, { status: 'failed', message: error.message });
+      this.events.publish('task.error', task.id, { message: error.message });
+      
+      // Record failure metrics
+      if (task.id) {
+        this.metricsCollector.recordTaskMetrics(task, {
+          success: false,
+          error: error.message
+        });
+      }
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Register a connector so the tool selector can route tasks to it
+   * @param {string} name - Tool name
+   * @param {Object|Function} connector - Connector instance, or factory returning one
+   * @param {Object} capabilities - Capabilities in the shared schema; read from the
+   *   instance's getCapabilities() when omitted
+   */
+  registerConnector(name, connector, capabilities) {
+    this.connectors.register(name, connector, capabilities);
+  }
+  
   /**
    * Compare implementations
    * @param {Object} task - Original task
@@ -178,14 +599,535 @@ class AIAutoCodingDAO {
   }
   
   /**
-   * Estimate token count for a string
+   * Select the best available connector for a task
+   * @private
+   * @param {Object} task - Task to process
+   * @param {Object} options - Selection options
+   * @param {boolean} options.cheapest - Prefer the cheapest priced connector (budget downgrade)
+   * @param {boolean} options.capped - A budget caps output tokens, so connectors that
+   *   cannot limit their output are skipped
+   * @returns {Object} Selected tool name, connector and selection summary
+   */
+  _selectConnector(task, { cheapest = false, capped = false } = {}) {
+    const selection = this.toolSelector.selectTool(task);
+    const usable = name => this.connectors.isAvailable(name) && (!capped || this._capsOutput(name));
+    const skipped = [];
+    let chosen = null;
+    
+    for (const candidate of selection.ranking) {
+      if (usable(candidate.tool)) {
+        chosen = candidate;
+        break;
+      }
+      
+      skipped.push({
+        tool: candidate.tool,
+        reason: this.connectors.getUnavailableReason(candidate.tool) || 'cannot cap output tokens under the budget'
+      });
+    }
+    
+    if (!chosen) {
+      throw new Error(`No available connector for task ${task.id}: ${skipped.map(s => `${s.tool} (${s.reason})`).join(', ')}`);
+    }
+    
+    if (skipped.length > 0) {
+      logger.warn(`Falling back from ${selection.selectedTool} to ${chosen.tool}`);
+    }
+    
+    let downgrade = null;
+    if (cheapest) {
+      const available = selection.ranking
+        .map(candidate => candidate.tool)
+        .filter(name => name === chosen.tool || usable(name));
+      const cheapestTool = this._cheapestTool(available);
+      
+      if (cheapestTool && cheapestTool !== chosen.tool) {
+        logger.warn(`Budget downgrade from ${chosen.tool} to ${cheapestTool}`);
+        downgrade = { from: chosen.tool, to: cheapestTool };
+        chosen = selection.ranking.find(candidate => candidate.tool === cheapestTool);
+      }
+    }
+    
+    return {
+      toolName: chosen.tool,
+      tool: this.connectors.get(chosen.tool),
+      summary: {
+        tool: chosen.tool,
+        score: chosen.score,
+        reason: chosen.reason,
+        recommendedTool: selection.selectedTool,
+        mode: selection.mode,
+        fallback: skipped.length > 0,
+        skipped,
+        downgrade,
+        ranking: selection.ranking.map(({ tool, score }) => ({ tool, score })),
+        analysis: selection.analysis
+      }
+    };
+  }
+  
+  /**
+   * Check whether a connector honors a max_tokens cap
    * @private
-   * @param {string} text - Text to estimate
-   * @returns {number} Estimated token count
+   * @param {string} toolName - Tool name
+   * @returns {boolean} The connector's `capsOutput` capability
    */
-  _estimateTokens(text) {
-    // Very simple token estimation - about 4 characters per token on average
-    return Math.ceil((text || '').length / 4);
+  _capsOutput(toolName) {
+    return Boolean(this.connectors.getCapabilities(toolName)?.capsOutput);
+  }
+  
+  /**
+   * Find the tool whose model has the lowest combined input and output price
+   * @private
+   * @param {string[]} toolNames - Available tool names
+   * @returns {string|null} Cheapest tool, or null when none of them is priced
+   */
+  _cheapestTool(toolNames) {
+    let cheapest = null;
+    let lowestPrice = Infinity;
+    
+    for (const name of toolNames) {
+      const connector = this.connectors.get(name);
+      const model = connector.getCapabilities ? connector.getCapabilities().modelVersion : null;
+      const prices = this.priceTable.get(model);
+      
+      if (prices && prices.input + prices.output < lowestPrice) {
+        lowestPrice = prices.input + prices.output;
+        cheapest = name;
+      }
+    }
+    
+    return cheapest;
+  }
+  
+  /**
+   * Check the budget policies for a task, publishing any warning and refusing when required
+   * @private
+   * @param {Object} task - Task to process
+   * @param {Object} options - Options for BudgetManager.check
+   * @returns {Object} Budget decision
+   * @throws {BudgetExceededError} When a refuse policy would be exceeded
+   */
+  _checkBudget(task, options) {
+    const budget = this.budgetManager.check(task, options);
+    
+    if (budget.action !== 'allow') {
+      this.events.publish('task.progress', task.id, {
+        stage: 'budget',
+        progress: 20,
+        message: budget.warnings.join('; '),
+        action: budget.action,
+        statuses: budget.statuses
+      });
+    }
+    
+    if (budget.action === 'refuse') {
+      const reasons = budget.statuses
+        .filter(status => status.state === 'exceeded' && status.action === 'refuse')
+        .map(status => status.message);
+      throw new BudgetExceededError(`Task ${task.id} refused: ${reasons.join('; ')}`, budget);
+    }
+    
+    return budget;
+  }
+  
+  /**
+   * Implement a task with one named tool
+   * @private
+   * @param {Object} task - Task to process
+   * @param {string} toolName - Tool name
+   * @param {Object} analysis - Task analysis
+   * @param {Object} budget - Budget decision whose cap applies to this tool
+   * @returns {Promise<Object>} Tool name, template, implementation and costs
+   */
+  async _implementWithTool(task, toolName, analysis, budget = null) {
+    const startTime = Date.now();
+    const tool = this.connectors.get(toolName);
+    
+    const templateType = this.templateManager.getBestTemplateType(toolName, task);
+    const assignment = this.templateManager.assignVariant(toolName, templateType, task);
+    const filledTemplate = this.templateManager.getTemplate(toolName, templateType, task, {
+      version: assignment.version,
+      defaults: !this.promptOptimizer?.config.dropDefaults
+    });
+    
+    if (!filledTemplate) {
+      throw new Error(`Template not found for ${toolName}`);
+    }
+    this.tokenTracker.recordTemplate(task.id, toolName, assignment);
+    
+    const { prompt: template } = this.promptBuilder.appendContext(task, filledTemplate, analysis.features);
+    
+    const maxTokens = budget ?
+      this.budgetManager.maxTokensFor(budget, countTokens(template), { capsOutput: this._capsOutput(toolName) }) :
+      null;
+    const implementation = await tool.implementTask(task, template, {
+      maxTokens,
+      optimizePrompt: this._promptOptimization(task, toolName, analysis)
+    });
+    
+    // The comparator identifies implementations by their metadata tool
+    implementation.metadata = { ...implementation.metadata, tool: toolName };
+    
+    this.events.publish('task.output', task.id, {
+      stage: 'implementation',
+      tool: toolName,
+      implementation: implementation.implementation,
+      tokenUsage: implementation.tokenUsage
+    });
+    
+    await this._runFunctionalTests(task, implementation, toolName);
+    
+    return {
+      toolName,
+      templateType,
+      templateVersion: assignment.version,
+      template,
+      implementation,
+      analysisTokens: countTokens(JSON.stringify(analysis) + template),
+      timeSpent: (Date.now() - startTime) / 60000
+    };
+  }
+  
+  /**
+   * Get the optimization a connector applies to its complete prompt
+   * @private
+   * @param {Object} task - Task to process
+   * @param {string} toolName - Tool the prompt is for
+   * @param {Object} analysis - Task analysis, whose analysis budget the prompt is fitted to
+   * @returns {Function|undefined} Prompt rewrite, or undefined when optimization is off
+   */
+  _promptOptimization(task, toolName, analysis) {
+    if (!this.promptOptimizer) return undefined;
+    
+    return prompt => this.promptBuilder.optimize(task, prompt, {
+      toolName,
+      budget: analysis.tokenBudget.analysis
+    });
+  }
+  
+  /**
+   * Resubmit an implementation to its tool with the quality findings until it passes
+   * Each round asks for a revision of the best attempt so far and stops once the score
+   * reaches `repair.minScore`, after `repair.maxIterations` rounds or when the rounds have
+   * used `repair.maxTokens`. Every round's tokens are recorded with the TokenTracker,
+   * and a round is only started while the budget policies allow it.
+   * @private
+   * @param {Object} task - Task to process
+   * @param {Object} attempt - Tool name, connector, template, implementation, quality and
+   *   the task's token budget
+   * @returns {Promise<Object>} Best implementation and quality, with a `repair` summary
+   */
+  async _repairImplementation(task, { toolName, tool, template, implementation, quality, tokenBudget }) {
+    const { minScore, maxIterations, maxTokens } = this.config.repair;
+    const initialScore = quality.overallScore;
+    const rounds = [];
+    let best = { implementation, quality };
+    let tokens = 0;
+    let lastRoundTokens = normalizeUsage(implementation.tokenUsage).total;
+    let stopReason = 'passed';
+    
+    while (best.quality.overallScore < minScore) {
+      if (rounds.length >= maxIterations) {
+        stopReason = 'maxIterations';
+        break;
+      }
+      if (tokens >= maxTokens) {
+        stopReason = 'tokenCap';
+        break;
+      }
+      
+      const prompt = this.promptBuilder.buildRepairPrompt(
+        task, template, best.implementation.implementation, best.quality, { minScore }
+      );
+      
+      // A round costs about as much as the last one; rounds never switch tools, so a
+      // downgrade ends the loop like a refusal
+      const budget = this.budgetManager.check(task, { tokenBudget, estimate: lastRoundTokens });
+      let roundMaxTokens = null;
+      if (budget.action !== 'refuse' && budget.action !== 'downgrade') {
+        try {
+          roundMaxTokens = this.budgetManager.maxTokensFor(budget, countTokens(prompt), {
+            capsOutput: this._capsOutput(toolName)
+          });
+        } catch (error) {
+          if (!(error instanceof BudgetExceededError)) throw error;
+          budget.action = 'refuse';
+        }
+      }
+      if (budget.action === 'refuse' || budget.action === 'downgrade') {
+        stopReason = 'budget';
+        break;
+      }
+      
+      const round = rounds.length + 1;
+      const startTime = Date.now();
+      this.events.publish('task.progress', task.id, {
+        stage: 'repair',
+        progress: 90,
+        message: `Repair round ${round} with ${toolName} (score ${best.quality.overallScore}/10)`,
+        tool: toolName,
+        round
+      });
+      
+      const revised = await tool.implementTask(task, prompt, { maxTokens: roundMaxTokens });
+      revised.metadata = { ...revised.metadata, tool: toolName, repairRound: round };
+      
+      await this._runFunctionalTests(task, revised, toolName);
+      const revisedQuality = this.qualityAnalyzer.analyzeQuality(revised, task);
+      
+      const usage = normalizeUsage(revised.tokenUsage);
+      tokens += usage.total;
+      lastRoundTokens = usage.total;
+      
+      this.tokenTracker.recordRepairRound(task.id, toolName, {
+        round,
+        input: usage.input,
+        output: usage.output,
+        cacheRead: usage.cacheRead,
+        cacheWrite: usage.cacheWrite,
+        estimated: usage.estimated,
+        model: revised.metadata?.modelVersion || null,
+        qualityScore: revisedQuality.overallScore,
+        timeSpent: (Date.now() - startTime) / 60000
+      });
+      
+      rounds.push({
+        round,
+        qualityScore: revisedQuality.overallScore,
+        tokens: usage.total
+      });
+      this.events.publish('task.output', task.id, {
+        stage: 'repair',
+        tool: toolName,
+        round,
+        implementation: revised.implementation,
+        tokenUsage: revised.tokenUsage,
+        qualityScore: revisedQuality.overallScore
+      });
+      
+      // A round can make things worse; keep repairing from the best attempt
+      if (revisedQuality.overallScore > best.quality.overallScore) {
+        best = { implementation: revised, quality: revisedQuality };
+      }
+    }
+    
+    logger.info(`Repair of ${task.id} stopped (${stopReason}) after ${rounds.length} round(s): ${initialScore} -> ${best.quality.overallScore}`);
+    
+    return {
+      ...best,
+      repair: {
+        rounds,
+        tokens,
+        initialScore,
+        finalScore: best.quality.overallScore,
+        stopReason
+      }
+    };
+  }
+  
+  /**
+   * Run test cases derived from the task and attach the results to the implementation
+   * as `functionalTests`, where the quality analyzer picks them up
+   * @private
+   * @param {Object} task - Task to process
+   * @param {Object} implementation - Implementation from a connector
+   * @param {string} toolName - Tool that produced the implementation, when comparing
+   * @returns {Promise<Object|null>} Test results, or null when nothing could be derived
+   */
+  async _runFunctionalTests(task, implementation, toolName) {
+    const functionalTests = await this.testGenerator.evaluate(implementation, task);
+    if (!functionalTests) {
+      return null;
+    }
+    
+    implementation.functionalTests = functionalTests;
+    this.events.publish('task.output', task.id, {
+      stage: 'testing',
+      ...(toolName ? { tool: toolName } : {}),
+      passed: functionalTests.passed,
+      total: functionalTests.total,
+      failures: functionalTests.cases.filter(testCase => !testCase.passed)
+    });
+    
+    return functionalTests;
+  }
+  
+  /**
+   * Map an implementation's token usage onto TokenTracker cost fields
+   * @private
+   * @param {Object} implementation - Implementation from a connector
+   * @returns {Object} delegation, review, cache tokens, estimated flag and model
+   */
+  _usageCosts(implementation) {
+    const usage = normalizeUsage(implementation.tokenUsage);
+    return {
+      delegation: usage.input,
+      review: usage.output,
+      cacheRead: usage.cacheRead,
+      cacheWrite: usage.cacheWrite,
+      estimated: usage.estimated,
+      model: implementation.metadata?.modelVersion || null
+    };
+  }
+  
+  /**
+   * Load template packs and Supabase templates into the template manager
+   * A pack directory that cannot be created or read leaves the built-in templates in use.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _loadTemplates() {
+    if (this.knowledgeManager) {
+      try {
+        await this.knowledgeManager.initialize();
+      } catch (error) {
+        logger.warn(`Template packs unavailable: ${error.message}`);
+      }
+    }
+    
+    await this.templateManager.loadTemplates({ tools: this.connectors.list() });
+  }
+  
+  /**
+   * Index saved implementations as few-shot examples
+   * Examples only improve prompts, so a failed load is logged and tasks still run.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _loadExamples() {
+    if (!this.exampleIndex) return;
+    
+    try {
+      await this.exampleIndex.load();
+    } catch (error) {
+      logger.warn(`Saved implementations unavailable as examples: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Index a finished implementation as an example for later tasks
+   * @private
+   * @param {Object} task - Task the implementation is for
+   * @param {Object} analysis - Task analysis
+   * @param {string} toolName - Tool that implemented the task
+   * @param {Object} implementation - Implementation result
+   * @param {Object} quality - Quality analysis of the implementation
+   */
+  _indexExample(task, analysis, toolName, implementation, quality) {
+    if (!this.exampleIndex || typeof implementation.implementation !== 'string') return;
+    
+    this.exampleIndex.add({
+      taskId: task.id,
+      description: task.description,
+      type: task.type,
+      complexity: task.complexity,
+      features: [...new Set([...(task.features || []), ...analysis.features])],
+      toolName,
+      code: implementation.implementation,
+      qualityScore: quality.overallScore
+    });
+  }
+  
+  /**
+   * Create the storage for token tracking and metrics
+   * @private
+   * @param {Object} config - System configuration
+   * @param {StorageAdapter|Object|false} config.storage - An adapter with load() and
+   *   append(collection, record); { type: 'supabase', ...SupabaseConnector options };
+   *   or { type: 'jsonl', directory } (writing to .aiacd/ unless a directory is given).
+   *   State is kept in memory when omitted or false, so instances never share budgets
+   *   or history by accident
+   * @returns {StorageAdapter|null} Storage
+   */
+  _createStorage(config) {
+    const storage = config.storage;
+    if (!storage) return null;
+    if (typeof storage.append === 'function') return storage;
+    
+    const { type = 'jsonl', ...options } = storage;
+    switch (type) {
+      case 'supabase':
+        return new SupabaseStorage({
+          ...(config.devMode ? { devMode: true } : {}),
+          ...options
+        });
+      case 'jsonl':
+        return new JsonLinesStorage(options);
+      default:
+        throw new Error(`Unknown storage type: ${type}`);
+    }
+  }
+  
+  /**
+   * Start measuring a task's baseline with a plain prompt, when the mode calls for it
+   * Baselines are extra spend, so they are skipped once any budget policy has to act.
+   * @private
+   * @param {Object} task - Task to process
+   * @param {string} toolName - Tool implementing the task
+   * @param {Object} tool - Connector implementing the task
+   * @param {Object} budget - Budget decision for the task
+   * @returns {Promise<Object|null>|null} Pending measurement, or null when not measured
+   */
+  _startBaseline(task, toolName, tool, budget) {
+    if (budget.action !== 'allow' || !this.baselineEstimator.shouldMeasure(task)) {
+      return null;
+    }
+    
+    const configured = this.baselineEstimator.config.tool;
+    const useConfigured = configured && configured !== toolName && this.connectors.isAvailable(configured);
+    const baselineToolName = useConfigured ? configured : toolName;
+    const baselineTool = useConfigured ? this.connectors.get(configured) : tool;
+    
+    this.events.publish('task.progress', task.id, {
+      stage: 'baseline',
+      progress: 40,
+      message: `Measuring baseline with ${baselineToolName}`,
+      tool: baselineToolName
+    });
+    
+    return this.baselineEstimator.measure(task, baselineTool, baselineToolName);
+  }
+  
+  /**
+   * Record a task's direct cost from its measurement, or from the calibrated model
+   * @private
+   * @param {Object} task - Task being processed
+   * @param {Promise<Object|null>|null} baselineRun - Pending measurement from _startBaseline
+   * @returns {Promise<Object|null>} Baseline with method, tokens and ratio, or null when
+   *   there is none
+   */
+  async _recordBaseline(task, baselineRun) {
+    const delegated = this.tokenTracker.compareEfficiency(task.id).delegatedCost.total;
+    const measured = baselineRun ? await baselineRun : null;
+    const baseline = measured ||
+      (this.baselineEstimator.config.mode !== 'off' ? this.baselineEstimator.predict(task, delegated) : null);
+    
+    if (!baseline) return null;
+    
+    this.tokenTracker.recordDirectCost(task.id, baseline.tokens, baseline.timeSpent || 0, {
+      method: baseline.method,
+      usage: baseline.usage,
+      model: baseline.model
+    });
+    
+    return {
+      ...baseline,
+      ratio: delegated > 0 ? Math.round(baseline.tokens / delegated * 1000) / 1000 : null
+    };
+  }
+  
+  /**
+   * Build connector configuration, applying the system-wide dev mode
+   * @private
+   * @param {string} name - Tool name
+   * @returns {Object} Connector configuration
+   */
+  _connectorConfig(name) {
+    return {
+      ...(this.config.devMode ? { devMode: true } : {}),
+      ...this.config[name]
+    };
   }
 }
 
@@ -194,9 +1136,31 @@ module.exports = {
   TaskAnalyzer,
   TokenTracker,
   TemplateManager,
+  PatternLibrary,
+  ExampleIndex,
+  PromptBuilder,
+  PromptOptimizer,
   QualityAnalyzer,
   ImplementationComparator,
+  TestGenerator,
+  ToolSelector,
+  BudgetManager,
+  BudgetExceededError,
+  BaselineEstimator,
+  ConnectorRegistry,
   ClaudeSonnetConnector,
+  ClaudeDirectConnector,
   BoltDiyConnector,
-  MetricsCollector
+  HaikuConnector,
+  BoltNewConnector,
+  V0DevConnector,
+  MetricsCollector,
+  PriceTable,
+  StorageAdapter,
+  JsonLinesStorage,
+  SupabaseStorage,
+  KnowledgeManager,
+  TaskEventBus,
+  JobQueue,
+  ApiServer
 };
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * AI-AutoCoding-DAO Baseline Estimator
+ * Establishes the "direct" cost a task is compared against
+ *
+ * A measured baseline runs the task once more through a plain prompt, without a template,
+ * and counts the tokens it uses. A modelled baseline scales the delegated tokens by the
+ * direct/delegated ratio observed in earlier measured tasks.
+ *
+ * Modes:
+ * - off: no baseline; efficiency ratios stay unknown
+ * - measure: measure every task
+ * - model: only use the calibrated model (never spends tokens; the default)
+ * - auto: measure until the model is calibrated, then measure a sample of tasks
+ *
+ * Measuring is paid, so it only happens when 'measure' or 'auto' is configured.
+ */
+const logger = require('../utils/logger');
+const { normalizeUsage } = require('../utils/usage');
+
+const MODES = ['off', 'measure', 'model', 'auto'];
+
+class BaselineEstimator {
+  /**
+   * Create a baseline estimator
+   * @param {TokenTracker} tokenTracker - Source of earlier measured baselines
+   * @param {Object} config - Configuration options
+   * @param {string} config.mode - 'off', 'measure', 'model' or 'auto'
+   * @param {string} config.tool - Tool that answers the plain prompt; the tool that
+   *   implements the task when null
+   * @param {number} config.minPairs - Measured tasks needed before the model is used
+   * @param {number} config.sampleRate - Share of tasks still measured in auto mode once
+   *   the model is calibrated
+   * @param {Function} config.random - Returns a number in [0, 1) used to sample tasks
+   *   in auto mode; Math.random by default
+   */
+  constructor(tokenTracker, config = {}) {
+    this.tokenTracker = tokenTracker;
+    this.config = {
+      mode: 'model',
+      tool: null,
+      minPairs: 5,
+      sampleRate: 0.1,
+      random: Math.random,
+      ...config
+    };
+
+    if (!MODES.includes(this.config.mode)) {
+      throw new Error(`Invalid baseline mode: ${this.config.mode}`);
+    }
+  }
+
+  /**
+   * Decide whether a task's baseline should be measured
+   * @param {Object} task - Task to process
+   * @returns {boolean} Whether to run the plain prompt
+   */
+  shouldMeasure(task) {
+    switch (this.config.mode) {
+      case 'measure':
+        return true;
+      case 'auto':
+        return !this.calibrate(task) || this.config.random() < this.config.sampleRate;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Build the plain prompt a developer would write without a template
+   * @param {Object} task - Task to process
+   * @returns {string} Prompt
+   */
+  buildPrompt(task) {
+    return task.description;
+  }
+
+  /**
+   * Measure a task's direct cost by running the plain prompt
+   * @param {Object} task - Task to process
+   * @param {Object} tool - Connector that answers the prompt
+   * @param {string} toolName - Connector name
+   * @returns {Promise<Object|null>} Baseline with tokens, usage, timeSpent and model, or
+   *   null when the run failed
+   */
+  async measure(task, tool, toolName) {
+    const startTime = Date.now();
+
+    try {
+      // Raw, so the connector sends the description without its own instructions
+      const result = await tool.implementTask(task, this.buildPrompt(task), { raw: true });
+      if (!result.success) {
+        logger.warn(`Baseline run for ${task.id} failed: ${result.error}`);
+        return null;
+      }
+
+      const usage = normalizeUsage(result.tokenUsage);
+      return {
+        method: 'measured',
+        tool: toolName,
+        tokens: usage.total,
+        usage,
+        model: result.metadata?.modelVersion || null,
+        timeSpent: (Date.now() - startTime) / 60000
+      };
+    } catch (error) {
+      logger.warn(`Baseline run for ${task.id} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Estimate a task's direct cost from its delegated tokens
+   * @param {Object} task - Task with type and complexity
+   * @param {number} delegatedTokens - Tokens the delegated implementation used
+   * @returns {Object|null} Baseline with tokens, ratio and the calibration used, or null
+   *   when the model is not calibrated
+   */
+  predict(task, delegatedTokens) {
+    const calibration = this.calibrate(task);
+    if (!calibration || !(delegatedTokens > 0)) return null;
+
+    return {
+      method: 'model',
+      tokens: Math.round(delegatedTokens * calibration.ratio),
+      ratio: calibration.ratio,
+      calibration
+    };
+  }
+
+  /**
+   * Fit the direct/delegated ratio from measured tasks
+   * Uses tasks of the same type and complexity, falling back to the same complexity and
+   * then to all tasks while there are fewer than minPairs. The ratio is the geometric
+   * mean, so one outlier cannot dominate it.
+   * @param {Object} task - Task with type and complexity
+   * @returns {Object|null} Ratio, number of pairs and scope, or null when there are too
+   *   few measured tasks
+   */
+  calibrate({ type, complexity } = {}) {
+    const scopes = [
+      { scope: 'type', filter: { type, complexity } },
+      { scope: 'complexity', filter: { complexity } },
+      { scope: 'all', filter: {} }
+    ];
+
+    for (const { scope, filter } of scopes) {
+      const pairs = this.tokenTracker.getBaselinePairs(filter);
+      if (pairs.length < this.config.minPairs) continue;
+
+      const logRatio = pairs.reduce((sum, pair) => sum + Math.log(pair.direct / pair.delegated), 0) / pairs.length;
+      return {
+        ratio: Math.round(Math.exp(logRatio) * 1000) / 1000,
+        pairs: pairs.length,
+        scope
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = BaselineEstimator;
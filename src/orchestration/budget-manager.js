@@ -0,0 +1,260 @@
+/**
+ * AI-AutoCoding-DAO Budget Manager
+ * Enforces token budget policies per task, user and project
+ *
+ * Consumption comes from the TokenTracker. Before a task (or a repair round) runs, its
+ * estimated tokens are added to what each matching policy has already used in its
+ * window. A policy whose limit would be exceeded applies its action:
+ * - warn: log and continue
+ * - cap: limit the connector's max_tokens to what is left; a connector that cannot
+ *   limit its output is refused under a cap
+ * - downgrade: switch to the cheapest priced connector
+ * - refuse: reject the task with a BudgetExceededError
+ */
+const logger = require('../utils/logger');
+const { validateBudgetPolicy } = require('../utils/validation');
+
+// Later actions take precedence when several policies are exceeded
+const ACTION_SEVERITY = ['allow', 'warn', 'cap', 'downgrade', 'refuse'];
+
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} decision - Budget decision that refused the task
+   */
+  constructor(message, decision) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.code = 'budget_exceeded';
+    this.decision = decision;
+  }
+}
+
+class BudgetManager {
+  /**
+   * Create a budget manager
+   * @param {TokenTracker} tokenTracker - Source of token consumption
+   * @param {Object} config - Configuration options
+   * @param {Object[]} config.policies - Budget policies (see addPolicy)
+   * @param {number} config.warnAt - Share of a limit at which a warning is raised
+   * @param {number} config.minMaxTokens - Smallest max_tokens worth calling a tool with;
+   *   a cap below it refuses the task instead
+   */
+  constructor(tokenTracker, config = {}) {
+    this.tokenTracker = tokenTracker;
+    this.config = {
+      policies: [],
+      warnAt: 0.8,
+      minMaxTokens: 256,
+      ...config
+    };
+
+    this.policies = new Map();
+    this.config.policies.forEach(policy => this.addPolicy(policy));
+  }
+
+  /**
+   * Add or replace a budget policy
+   * @param {Object} policy - Budget policy
+   * @param {string} policy.id - Policy identifier; derived from scope, subject and window
+   *   when omitted
+   * @param {string} policy.scope - 'task', 'user' or 'project'
+   * @param {string} policy.subject - User or project the policy applies to; every user or
+   *   project gets its own budget when omitted
+   * @param {string} policy.window - 'daily' or 'monthly' for user and project policies;
+   *   task policies always cover one task
+   * @param {number} policy.limit - Token limit; task policies default to
+   *   TaskAnalyzer.estimateTokenBudget's total times `factor`
+   * @param {number} policy.factor - Multiplier for the estimated task budget
+   * @param {string} policy.action - 'warn', 'cap', 'downgrade' or 'refuse'
+   * @param {number} policy.warnAt - Share of the limit that raises a warning
+   * @returns {Object} Stored policy
+   */
+  addPolicy(policy) {
+    const validation = validateBudgetPolicy(policy);
+    if (!validation.valid) {
+      const details = Object.entries(validation.errors).map(([field, message]) => `${field}: ${message}`);
+      throw new Error(`Invalid budget policy: ${details.join(', ')}`);
+    }
+
+    const window = policy.scope === 'task' ? 'task' : policy.window;
+    const stored = {
+      factor: 1,
+      warnAt: this.config.warnAt,
+      ...policy,
+      window,
+      id: policy.id || `${policy.scope}:${policy.subject || '*'}:${window}`
+    };
+
+    this.policies.set(stored.id, stored);
+    return stored;
+  }
+
+  /**
+   * Remove a budget policy
+   * @param {string} policyId - Policy identifier
+   * @returns {boolean} Whether a policy was removed
+   */
+  removePolicy(policyId) {
+    return this.policies.delete(policyId);
+  }
+
+  /**
+   * Get all budget policies
+   * @returns {Object[]} Policies
+   */
+  getPolicies() {
+    return Array.from(this.policies.values());
+  }
+
+  /**
+   * Decide how a task may proceed under the budget policies
+   * @param {Object} task - Task with optional userId and projectId
+   * @param {Object} options - Check options
+   * @param {Object} options.tokenBudget - Budget from TaskAnalyzer.estimateTokenBudget
+   * @param {number} options.estimate - Tokens the next step is expected to use;
+   *   defaults to tokenBudget.total
+   * @param {number} options.now - Current time in ms, for daily and monthly windows
+   * @returns {Object} Decision with action, tokenLimit (for cap), statuses and warnings
+   */
+  check(task, { tokenBudget = { total: 0 }, estimate = tokenBudget.total, now = Date.now() } = {}) {
+    const decision = {
+      action: 'allow',
+      tokenLimit: null,
+      estimate,
+      statuses: [],
+      warnings: []
+    };
+
+    for (const policy of this._applicablePolicies(task)) {
+      const status = this._evaluate(policy, task, tokenBudget, estimate, now);
+      decision.statuses.push(status);
+
+      if (status.state === 'ok') continue;
+
+      const action = status.state === 'exceeded' ? policy.action : 'warn';
+      decision.warnings.push(status.message);
+
+      if (action === 'cap') {
+        decision.tokenLimit = decision.tokenLimit === null ?
+          status.remaining :
+          Math.min(decision.tokenLimit, status.remaining);
+      }
+
+      if (ACTION_SEVERITY.indexOf(action) > ACTION_SEVERITY.indexOf(decision.action)) {
+        decision.action = action;
+      }
+    }
+
+    decision.warnings.forEach(warning => logger.warn(`Budget: ${warning}`));
+    return decision;
+  }
+
+  /**
+   * Work out max_tokens for a capped call, refusing when too little is left
+   * @param {Object} decision - Decision from check
+   * @param {number} promptTokens - Tokens in the prompt about to be sent, as counted
+   *   locally with countTokens; the cap is only as exact as that count
+   * @param {Object} options - Options
+   * @param {boolean} options.capsOutput - Whether the connector honors max_tokens (its
+   *   `capsOutput` capability)
+   * @returns {number|null} max_tokens, or null when the decision does not cap
+   * @throws {BudgetExceededError} When the cap leaves less than minMaxTokens, or the
+   *   connector cannot be capped
+   */
+  maxTokensFor(decision, promptTokens, { capsOutput = true } = {}) {
+    if (decision.tokenLimit === null) return null;
+
+    if (!capsOutput) {
+      throw new BudgetExceededError(
+        `Token budget caps output at ${Math.max(0, decision.tokenLimit - promptTokens)} tokens, but the connector cannot limit its output`,
+        decision
+      );
+    }
+
+    const maxTokens = decision.tokenLimit - promptTokens;
+    if (maxTokens < this.config.minMaxTokens) {
+      throw new BudgetExceededError(
+        `Token budget leaves ${Math.max(0, maxTokens)} output tokens, below the minimum of ${this.config.minMaxTokens}`,
+        decision
+      );
+    }
+
+    return maxTokens;
+  }
+
+  /**
+   * Get consumption against every policy that applies to a user, project or task
+   * @param {Object} filter - Owner to report on
+   * @param {string} filter.userId - User identifier
+   * @param {string} filter.projectId - Project identifier
+   * @param {string} filter.taskId - Task identifier
+   * @returns {Object[]} Policy statuses
+   */
+  getStatus({ userId, projectId, taskId } = {}) {
+    const task = { id: taskId, userId, projectId };
+    return this._applicablePolicies(task)
+      .filter(policy => policy.scope !== 'task' || policy.limit !== undefined)
+      .map(policy => this._evaluate(policy, task, { total: 0 }, 0, Date.now()));
+  }
+
+  /**
+   * Find the policies that match a task's owners
+   * @private
+   */
+  _applicablePolicies(task) {
+    return this.getPolicies().filter(policy => {
+      if (policy.scope === 'task') return Boolean(task.id);
+
+      const owner = policy.scope === 'user' ? task.userId : task.projectId;
+      return Boolean(owner) && (!policy.subject || policy.subject === owner);
+    });
+  }
+
+  /**
+   * Compare a policy's consumption and the estimate with its limit
+   * @private
+   */
+  _evaluate(policy, task, tokenBudget, estimate, now) {
+    const owner = { task: task.id, user: task.userId, project: task.projectId }[policy.scope];
+    const limit = policy.limit !== undefined ?
+      policy.limit :
+      Math.round(tokenBudget.total * policy.factor);
+
+    const consumption = this.tokenTracker.getConsumption({
+      [`${policy.scope}Id`]: owner,
+      window: policy.window === 'task' ? 'all' : policy.window,
+      now
+    });
+
+    const used = consumption.tokens;
+    const projected = used + estimate;
+    const remaining = Math.max(0, limit - used);
+    const state = projected > limit ? 'exceeded' :
+      projected >= limit * policy.warnAt ? 'warning' : 'ok';
+
+    const label = `${policy.scope} ${owner} ${policy.window === 'task' ? '' : `${policy.window} `}budget`;
+    const message = state === 'exceeded' ?
+      `${label} of ${limit} tokens would be exceeded (${used} used, ${estimate} estimated); action: ${policy.action}` :
+      `${label} is at ${Math.round(projected / Math.max(1, limit) * 100)}% of ${limit} tokens`;
+
+    return {
+      policy: policy.id,
+      scope: policy.scope,
+      subject: owner,
+      window: policy.window,
+      action: policy.action,
+      limit,
+      used,
+      cost: consumption.cost,
+      remaining,
+      projected,
+      state,
+      message
+    };
+  }
+}
+
+BudgetManager.BudgetExceededError = BudgetExceededError;
+
+module.exports = BudgetManager;
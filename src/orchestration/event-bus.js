@@ -0,0 +1,99 @@
+/**
+ * AI-AutoCoding-DAO Task Event Bus
+ * Publishes task lifecycle events using the event names AiacdCoreClient streams
+ */
+const { EventEmitter } = require('events');
+
+class TaskEventBus extends EventEmitter {
+  /**
+   * Create a new event bus
+   * @param {Object} config - Configuration options
+   * @param {number} config.historySize - Number of tasks whose events are kept for replay
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      historySize: 100,
+      ...config
+    };
+
+    // Event history per task, so late subscribers can catch up
+    this.history = new Map();
+  }
+
+  /**
+   * Publish a task event
+   * @param {string} type - Event type (e.g. 'task.status', 'task.progress')
+   * @param {string} taskId - Task identifier
+   * @param {Object} data - Event payload
+   * @returns {Object} Published event
+   */
+  publish(type, taskId, data = {}) {
+    const event = {
+      type,
+      data: {
+        taskId,
+        ...data,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    this._remember(taskId, event);
+
+    this.emit(type, event.data);
+    this.emit('event', event);
+    this.emit(`task:${taskId}`, event);
+
+    return event;
+  }
+
+  /**
+   * Subscribe to all events for one task
+   * @param {string} taskId - Task identifier
+   * @param {Function} listener - Called with { type, data }
+   * @param {Object} options - Subscription options
+   * @param {boolean} options.replay - Deliver already published events first
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(taskId, listener, { replay = true } = {}) {
+    if (replay) {
+      this.getHistory(taskId).forEach(event => listener(event));
+    }
+
+    const channel = `task:${taskId}`;
+    this.on(channel, listener);
+
+    return () => this.removeListener(channel, listener);
+  }
+
+  /**
+   * Get published events for a task
+   * @param {string} taskId - Task identifier
+   * @returns {Object[]} Events in publication order
+   */
+  getHistory(taskId) {
+    return [...(this.history.get(taskId) || [])];
+  }
+
+  /**
+   * Store an event in the bounded history
+   * @private
+   * @param {string} taskId - Task identifier
+   * @param {Object} event - Event to store
+   */
+  _remember(taskId, event) {
+    if (!this.history.has(taskId)) {
+      this.history.set(taskId, []);
+
+      // Drop the oldest task once the history is full
+      if (this.history.size > this.config.historySize) {
+        this.history.delete(this.history.keys().next().value);
+      }
+    }
+
+    this.history.get(taskId).push(event);
+  }
+}
+
+module.exports = TaskEventBus;
@@ -0,0 +1,343 @@
+/**
+ * AI-AutoCoding-DAO Example Index
+ * Finds well-scored past implementations of similar tasks for few-shot prompting
+ *
+ * Tasks are compared with TF-IDF vectors over their description, type and features, and
+ * cosine similarity. Everything runs in memory; no embedding service is involved.
+ */
+const logger = require('../utils/logger');
+const { countTokens } = require('../utils/tokenizer');
+const StaticAnalyzer = require('../evaluation/static-analyzer');
+
+// Words that say nothing about what a task is
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'create', 'for', 'from', 'has',
+  'have', 'implement', 'in', 'into', 'is', 'it', 'its', 'make', 'of', 'on', 'or', 'should',
+  'that', 'the', 'this', 'to', 'use', 'using', 'when', 'which', 'with', 'will'
+]);
+
+class ExampleIndex {
+  /**
+   * Create an example index
+   * @param {Object} config - Configuration options
+   * @param {SupabaseConnector} config.supabase - Source of saved implementations and
+   *   their quality scores
+   * @param {StaticAnalyzer} config.analyzer - Checks that example code parses
+   * @param {number} config.k - Most examples returned
+   * @param {number} config.minSimilarity - Least cosine similarity of a similar task
+   * @param {number} config.minQuality - Least quality score of an example
+   * @param {number} config.maxTokens - Most tokens all examples may add to a prompt
+   * @param {number} config.maxExampleTokens - Most tokens of one condensed example
+   * @param {number} config.maxEntries - Most implementations kept; the oldest are dropped
+   */
+  constructor(config = {}) {
+    this.config = {
+      k: 2,
+      minSimilarity: 0.2,
+      minQuality: 7,
+      maxTokens: 800,
+      maxExampleTokens: 400,
+      maxEntries: 2000,
+      ...config
+    };
+    this.supabase = config.supabase || null;
+    this.analyzer = config.analyzer || new StaticAnalyzer();
+
+    this.entries = [];
+    this.documentFrequency = new Map();
+  }
+
+  /**
+   * Load saved implementations and their scores from Supabase
+   * Implementations without a task or a quality score, and those add() rejects, are
+   * skipped.
+   * @returns {Promise<number>} Number of implementations indexed
+   */
+  async load() {
+    if (!this.supabase) return 0;
+
+    const rows = await this.supabase.getScoredImplementations({ limit: this.config.maxEntries });
+    let added = 0;
+
+    // Rows are newest first; add oldest first so the newest survive maxEntries
+    for (const row of [...rows].reverse()) {
+      const scores = (row.quality_metrics || []).map(metrics => Number(metrics.overall_score));
+      if (!row.tasks || scores.length === 0) continue;
+
+      const indexed = this.add({
+        id: row.id,
+        taskId: row.task_id,
+        description: row.tasks.description,
+        type: row.tasks.type,
+        complexity: row.tasks.complexity,
+        features: row.tasks.features || [],
+        toolName: row.tool_name,
+        code: row.code,
+        language: row.metadata?.language,
+        qualityScore: Math.max(...scores)
+      });
+      if (indexed) added++;
+    }
+
+    logger.info(`Indexed ${added} saved implementations as examples`);
+    return added;
+  }
+
+  /**
+   * Add an implementation to the index
+   * Only the largest fenced code block of the output is indexed. Output without one, such
+   * as a refusal or an explanation, and code that does not parse are not examples worth
+   * copying, so they are skipped.
+   * @param {Object} example - Example to index
+   * @param {string} example.taskId - Task the implementation is for
+   * @param {string} example.description - Task description
+   * @param {string} example.type - Task type
+   * @param {string[]} example.features - Task features
+   * @param {string} example.code - Model output whose largest fenced code block is used
+   * @param {number} example.qualityScore - Quality score out of 10
+   * @returns {boolean} True if the example was indexed
+   */
+  add(example) {
+    if (!example?.description || typeof example.code !== 'string' || !Number.isFinite(example.qualityScore)) {
+      return false;
+    }
+
+    const block = largestCodeBlock(example.code);
+    if (!block) {
+      logger.debug(`Not indexing task ${example.taskId} as an example: no code block`);
+      return false;
+    }
+    if (!this.analyzer.analyze(block.code).parsed) {
+      logger.debug(`Not indexing task ${example.taskId} as an example: code does not parse`);
+      return false;
+    }
+    example = { ...example, code: block.code, language: example.language || block.language };
+
+    const counts = termCounts(documentTerms(example));
+    this.entries.push({ example, counts, vector: null });
+    for (const term of counts.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+
+    if (this.entries.length > this.config.maxEntries) {
+      const [removed] = this.entries.splice(0, 1);
+      for (const term of removed.counts.keys()) {
+        this.documentFrequency.set(term, this.documentFrequency.get(term) - 1);
+      }
+    }
+
+    // Weights depend on document frequencies, which every addition changes
+    for (const entry of this.entries) entry.vector = null;
+    return true;
+  }
+
+  /**
+   * Find well-scored implementations of tasks similar to a task
+   * Examples below minSimilarity or minQuality, and earlier implementations of the same
+   * task, are left out. The rest are ranked by similarity weighted by quality score.
+   * @param {Object} task - Task with description, type and features
+   * @param {string[]} features - Additional features, e.g. detected by TaskAnalyzer
+   * @param {Object} options - Search options
+   * @param {number} options.k - Most examples returned
+   * @returns {Object[]} Examples with similarity and score, best first
+   */
+  search(task, features = [], { k = this.config.k } = {}) {
+    if (this.entries.length === 0) return [];
+
+    const query = this._vector(termCounts(documentTerms({
+      ...task,
+      features: [...(task.features || []), ...features]
+    })));
+
+    return this.entries
+      .filter(entry => entry.example.qualityScore >= this.config.minQuality &&
+        (!task.id || entry.example.taskId !== task.id))
+      .map(entry => {
+        entry.vector = entry.vector || this._vector(entry.counts);
+        const similarity = cosine(query, entry.vector);
+        return { ...entry.example, similarity, score: similarity * entry.example.qualityScore / 10 };
+      })
+      .filter(example => example.similarity >= this.config.minSimilarity)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  /**
+   * Select condensed examples for a task that fit the token budget
+   * @param {Object} task - Task with description, type and features
+   * @param {string[]} features - Additional features, e.g. detected by TaskAnalyzer
+   * @param {Object} options - Selection options
+   * @param {number} options.maxTokens - Token budget; defaults to the configured budget
+   * @returns {Object} Examples ({ taskId, similarity, qualityScore, tokens }), the text to
+   *   insert and its token count
+   */
+  select(task, features = [], { maxTokens = this.config.maxTokens } = {}) {
+    const examples = [];
+    const sections = [];
+    let tokens = 0;
+
+    for (const example of this.search(task, features)) {
+      const section = this.render(example);
+      const sectionTokens = countTokens(section);
+      if (tokens + sectionTokens > maxTokens) continue;
+
+      examples.push({
+        taskId: example.taskId,
+        similarity: Math.round(example.similarity * 1000) / 1000,
+        qualityScore: example.qualityScore,
+        tokens: sectionTokens
+      });
+      sections.push(section);
+      tokens += sectionTokens;
+    }
+
+    return { examples, text: sections.join('\n\n'), tokens };
+  }
+
+  /**
+   * Render an example as a condensed prompt section
+   * Comments and blank lines are removed, and code beyond maxExampleTokens is cut.
+   * @param {Object} example - Indexed example
+   * @returns {string} Section text
+   */
+  render(example) {
+    const summary = example.description.split('\n')[0].trim();
+    const heading = `### ${summary.length > 120 ? `${summary.slice(0, 120)}…` : summary} (scored ${example.qualityScore}/10)`;
+
+    const lines = condense(example.code);
+    const kept = [];
+    let tokens = countTokens(heading) + 10;
+
+    for (const line of lines) {
+      const lineTokens = countTokens(line) + 1;
+      if (tokens + lineTokens > this.config.maxExampleTokens) {
+        kept.push('// …');
+        break;
+      }
+      kept.push(line);
+      tokens += lineTokens;
+    }
+
+    return `${heading}\n\`\`\`${example.language || 'typescript'}\n${kept.join('\n')}\n\`\`\``;
+  }
+
+  /**
+   * Normalized TF-IDF vector of term counts
+   * @private
+   */
+  _vector(counts) {
+    const total = this.entries.length;
+    const vector = new Map();
+    let norm = 0;
+
+    for (const [term, count] of counts) {
+      const idf = Math.log((total + 1) / ((this.documentFrequency.get(term) || 0) + 1)) + 1;
+      const weight = (1 + Math.log(count)) * idf;
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) {
+      vector.set(term, norm > 0 ? weight / norm : 0);
+    }
+    return vector;
+  }
+}
+
+/**
+ * Terms of a task: description words, plus type and features as their own terms so they
+ * only match each other
+ * @private
+ */
+function documentTerms({ description = '', type, features = [] }) {
+  const words = description
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+
+  return [
+    ...words,
+    ...(type ? [`type:${type}`] : []),
+    ...features.map(feature => `feature:${String(feature).toLowerCase()}`)
+  ];
+}
+
+/**
+ * Strip common English suffixes so "buttons" matches "button"
+ * @private
+ */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * @private
+ */
+function termCounts(terms) {
+  const counts = new Map();
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Cosine similarity of two normalized vectors
+ * @private
+ */
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  for (const [term, weight] of small) {
+    sum += weight * (large.get(term) || 0);
+  }
+  return sum;
+}
+
+/**
+ * Largest fenced code block of a model output
+ * @private
+ * @returns {Object|null} Code and fence language, or null without a code block
+ */
+function largestCodeBlock(text) {
+  const matches = [...text.matchAll(/```(\w*)\n([\s\S]*?)```/g)];
+  if (matches.length === 0) return null;
+
+  const largest = matches.reduce((best, match) => (match[2].length > best[2].length ? match : best));
+  return { code: largest[2], language: largest[1] || null };
+}
+
+/**
+ * Code lines without comments and blank lines
+ * @private
+ */
+function condense(code) {
+  const lines = [];
+  let inBlockComment = false;
+
+  for (const line of code.split('\n')) {
+    const trimmed = line.trim();
+
+    if (inBlockComment) {
+      if (trimmed.includes('*/')) inBlockComment = false;
+      continue;
+    }
+    if (trimmed.startsWith('/*')) {
+      inBlockComment = !trimmed.includes('*/');
+      continue;
+    }
+    if (trimmed === '' || trimmed.startsWith('//')) continue;
+
+    lines.push(line.replace(/\s+$/, ''));
+  }
+
+  return lines;
+}
+
+module.exports = ExampleIndex;
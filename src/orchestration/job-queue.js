@@ -0,0 +1,296 @@
+/**
+ * AI-AutoCoding-DAO Job Queue
+ * Runs processTask asynchronously with configurable concurrency and persistent status
+ */
+const logger = require('../utils/logger');
+const JobStore = require('../data/job-store');
+
+const JOB_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+class JobQueue {
+  /**
+   * Create a job queue
+   * @param {Object} aiacd - AIAutoCodingDAO instance used to process tasks
+   * @param {Object} config - Configuration options
+   * @param {number} config.concurrency - Maximum number of jobs processed at once
+   * @param {number} config.defaultDuration - Assumed job duration (ms) before any job has finished
+   * @param {number} config.retention - Number of finished jobs kept in the store
+   * @param {Object} config.store - Store with load()/save(jobs), defaults to a JobStore
+   */
+  constructor(aiacd, config = {}) {
+    this.aiacd = aiacd;
+
+    this.config = {
+      concurrency: 2,
+      defaultDuration: 60000,
+      retention: 500,
+      ...config
+    };
+
+    this.store = this.config.store || new JobStore(this.config.storeConfig);
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+    this.initialized = false;
+  }
+
+  /**
+   * Load persisted jobs and resume any that had not finished
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    const jobs = await this.store.load();
+
+    for (const job of jobs) {
+      // Jobs interrupted mid-processing are queued again from the start
+      if (job.status === JOB_STATUS.PROCESSING) {
+        job.status = JOB_STATUS.RECEIVED;
+        job.progress = 0;
+        job.message = 'Requeued after restart';
+      }
+
+      this.jobs.set(job.taskId, job);
+
+      if (job.status === JOB_STATUS.RECEIVED) {
+        this.pending.push(job.taskId);
+      }
+    }
+
+    this._prune();
+    this.initialized = true;
+    logger.info(`Job queue initialized: ${this.jobs.size} jobs, ${this.pending.length} pending`);
+
+    this._drain();
+  }
+
+  /**
+   * Submit a task for asynchronous processing
+   * A job that cannot be saved is not queued, so it never runs without being tracked.
+   * @param {Object} task - Task to process (must have an id)
+   * @returns {Promise<Object>} Job status
+   */
+  async submit(task) {
+    if (this.jobs.has(task.id)) {
+      throw new Error(`Job already exists: ${task.id}`);
+    }
+
+    const job = {
+      taskId: task.id,
+      task,
+      status: JOB_STATUS.RECEIVED,
+      progress: 0,
+      message: 'Task received',
+      submittedAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(task.id, job);
+
+    try {
+      await this._persist();
+    } catch (error) {
+      this.jobs.delete(task.id);
+      throw error;
+    }
+
+    this.pending.push(task.id);
+    logger.info(`Job submitted: ${task.id}`);
+
+    if (this.initialized) {
+      this._drain();
+    }
+
+    return this.getStatus(task.id);
+  }
+
+  /**
+   * Get a job by task ID
+   * @param {string} taskId - Task identifier
+   * @returns {Object|null} Job or null if not found
+   */
+  getJob(taskId) {
+    return this.jobs.get(taskId) || null;
+  }
+
+  /**
+   * Get the status of a job
+   * @param {string} taskId - Task identifier
+   * @returns {Object|null} Job status or null if not found
+   */
+  getStatus(taskId) {
+    const job = this.jobs.get(taskId);
+    if (!job) return null;
+
+    return {
+      taskId,
+      status: job.status,
+      progress: job.progress,
+      message: job.message,
+      estimatedCompletion: this._estimateCompletion(job)
+    };
+  }
+
+  /**
+   * List jobs, optionally filtered by status
+   * @param {string} status - Job status filter
+   * @returns {Object[]} Job statuses
+   */
+  listJobs(status) {
+    return Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .map(job => this.getStatus(job.taskId));
+  }
+
+  /**
+   * Start pending jobs up to the concurrency limit
+   * @private
+   */
+  _drain() {
+    while (this.active < this.config.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) {
+        this._run(job).catch(error => {
+          logger.error(`Job ${job.taskId} crashed: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * Process a single job
+   * A store that cannot be written fails the job if it had not finished yet; the slot is
+   * released and the queue keeps draining either way.
+   * @private
+   * @param {Object} job - Job to process
+   */
+  async _run(job) {
+    this.active++;
+
+    try {
+      job.status = JOB_STATUS.PROCESSING;
+      job.progress = 10;
+      job.message = 'Processing task';
+      job.startedAt = new Date().toISOString();
+      await this._persist();
+
+      // Mirror lifecycle progress from the event bus into the job
+      const unsubscribe = this.aiacd.events.subscribe(job.taskId, ({ type, data }) => {
+        if (type === 'task.progress') {
+          job.progress = data.progress;
+          job.message = data.message;
+        }
+      }, { replay: false });
+
+      try {
+        job.result = await this.aiacd.processTask(job.task);
+        job.status = JOB_STATUS.COMPLETED;
+        job.message = 'Task completed';
+      } catch (error) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+        job.message = `Task failed: ${error.message}`;
+      } finally {
+        unsubscribe();
+      }
+
+      job.progress = 100;
+      job.completedAt = new Date().toISOString();
+      this._prune();
+      await this._persist();
+
+      logger.info(`Job ${job.status}: ${job.taskId}`);
+    } catch (error) {
+      logger.error(`Failed to save job ${job.taskId}: ${error.message}`);
+
+      if (!job.completedAt) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+        job.message = `Task failed: ${error.message}`;
+        job.progress = 100;
+        job.completedAt = new Date().toISOString();
+      }
+    } finally {
+      this.active--;
+      this._drain();
+    }
+  }
+
+  /**
+   * Estimate when a job will finish
+   * @private
+   * @param {Object} job - Job
+   * @returns {string} ISO-8601 timestamp
+   */
+  _estimateCompletion(job) {
+    if (job.completedAt) {
+      return job.completedAt;
+    }
+
+    const duration = this._averageDuration();
+
+    if (job.status === JOB_STATUS.PROCESSING) {
+      const elapsed = Date.now() - new Date(job.startedAt).getTime();
+      return new Date(Date.now() + Math.max(0, duration - elapsed)).toISOString();
+    }
+
+    // Jobs ahead in the queue run in batches of `concurrency`
+    const position = this.pending.indexOf(job.taskId);
+    const batches = Math.floor(Math.max(0, position) / this.config.concurrency) + 1;
+
+    return new Date(Date.now() + batches * duration).toISOString();
+  }
+
+  /**
+   * Average duration of completed jobs
+   * @private
+   * @returns {number} Duration in milliseconds
+   */
+  _averageDuration() {
+    const durations = Array.from(this.jobs.values())
+      .filter(job => job.status === JOB_STATUS.COMPLETED && job.startedAt)
+      .map(job => new Date(job.completedAt).getTime() - new Date(job.startedAt).getTime());
+
+    if (durations.length === 0) {
+      return this.config.defaultDuration;
+    }
+
+    return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the retention limit
+   * @private
+   */
+  _prune() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => job.completedAt)
+      .sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+
+    finished.slice(0, Math.max(0, finished.length - this.config.retention))
+      .forEach(job => this.jobs.delete(job.taskId));
+  }
+
+  /**
+   * Save all jobs to the store
+   * @private
+   * @returns {Promise<void>}
+   */
+  _persist() {
+    return this.store.save(Array.from(this.jobs.values()));
+  }
+}
+
+JobQueue.STATUS = JOB_STATUS;
+
+module.exports = JobQueue;
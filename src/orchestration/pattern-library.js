@@ -0,0 +1,175 @@
+/**
+ * AI-AutoCoding-DAO Pattern Library
+ * Selects reusable guidance and example solutions for a prompt
+ *
+ * A pattern is a JSON object, stored by KnowledgeManager in src/data/patterns/<name>.json:
+ * - title: heading shown in the prompt
+ * - kind: 'guidance' (advice, inserted as text) or 'example' (code, inserted fenced)
+ * - content: the guidance or example
+ * - language: fence language of an example (default 'typescript')
+ * - taskTypes: task types it applies to (ui, logic, design); any type when omitted
+ * - features: TaskAnalyzer feature names it addresses (stateManagement, asyncOperations,
+ *   accessibility, validation, typescript), primary feature first; a pattern without
+ *   features only matches by type
+ * - priority: breaks ties between equally relevant patterns (default 0)
+ */
+const logger = require('../utils/logger');
+const { countTokens } = require('../utils/tokenizer');
+const { validatePattern } = require('../utils/validation');
+
+class PatternLibrary {
+  /**
+   * Create a pattern library
+   * @param {Object} config - Configuration options
+   * @param {KnowledgeManager} config.knowledgeManager - Source of stored patterns
+   * @param {Object[]} config.patterns - Additional patterns
+   * @param {number} config.maxTokens - Most tokens the selected patterns may add to a prompt
+   * @param {number} config.budgetShare - Share of a task's total token budget the selected
+   *   patterns may use, when the budget is known; never more than maxTokens
+   * @param {number} config.minCoverage - Share of a pattern's features a task needs to have
+   * @param {number} config.maxPatterns - Most patterns added to a prompt
+   */
+  constructor(config = {}) {
+    this.config = {
+      patterns: [],
+      maxTokens: 600,
+      budgetShare: 0.15,
+      minCoverage: 0.5,
+      maxPatterns: 3,
+      ...config
+    };
+    this.knowledgeManager = config.knowledgeManager || null;
+
+    // Validation results by pattern object, so invalid patterns are reported once
+    this.checked = new WeakMap();
+  }
+
+  /**
+   * Get every valid pattern
+   * Stored patterns are read on each call, so patterns saved through the knowledge
+   * manager are used right away.
+   * @returns {Object[]} Patterns with their name
+   */
+  getPatterns() {
+    const stored = this.knowledgeManager ?
+      Object.entries(this.knowledgeManager.getAllPatterns()).map(([name, pattern]) => ({ name, pattern })) :
+      [];
+    const configured = this.config.patterns.map((pattern, index) => ({ name: `pattern-${index + 1}`, pattern }));
+
+    return [...stored, ...configured]
+      .filter(({ name, pattern }) => this._isValid(name, pattern))
+      .map(({ name, pattern }) => ({ ...pattern, name: pattern.name || name }));
+  }
+
+  /**
+   * Select the patterns most relevant to a task that fit the token cap
+   * Patterns for another task type are left out, and so are patterns whose primary
+   * (first) feature the task does not have or that share less than minCoverage of their
+   * features with it. The rest are ranked by the number of task features they address,
+   * then by the share of their own features matched, then by priority. They are added in
+   * that order while they fit; one that does not fit is skipped in favour of smaller ones.
+   * @param {Object} task - Task with type
+   * @param {string[]} features - Features detected in the task
+   * @param {Object} options - Selection options
+   * @param {number} options.maxTokens - Token cap; defaults to the configured cap
+   * @param {Object} options.tokenBudget - TaskAnalyzer.estimateTokenBudget(task); lowers
+   *   the cap to budgetShare of its total
+   * @returns {Object} Selected patterns ({ name, title, kind, matched, tokens }), the
+   *   text to insert and its token count
+   */
+  select(task, features = [], { maxTokens = this.config.maxTokens, tokenBudget = null } = {}) {
+    if (tokenBudget) {
+      maxTokens = Math.min(maxTokens, Math.round(tokenBudget.total * this.config.budgetShare));
+    }
+
+    const candidates = this.getPatterns()
+      .map(pattern => this._score(pattern, task, features))
+      .filter(Boolean)
+      .sort((a, b) => b.matched.length - a.matched.length ||
+        b.coverage - a.coverage ||
+        (b.pattern.priority || 0) - (a.pattern.priority || 0) ||
+        a.pattern.name.localeCompare(b.pattern.name));
+
+    const selected = [];
+    const sections = [];
+    let tokens = 0;
+
+    for (const { pattern, matched } of candidates) {
+      if (selected.length >= this.config.maxPatterns) break;
+
+      const section = this.render(pattern);
+      const sectionTokens = countTokens(section);
+      if (tokens + sectionTokens > maxTokens) continue;
+
+      selected.push({ name: pattern.name, title: pattern.title, kind: pattern.kind, matched, tokens: sectionTokens });
+      sections.push(section);
+      tokens += sectionTokens;
+    }
+
+    if (candidates.length > selected.length) {
+      logger.debug(`Selected ${selected.length} of ${candidates.length} matching patterns (${tokens}/${maxTokens} tokens)`);
+    }
+
+    return { patterns: selected, text: sections.join('\n\n'), tokens };
+  }
+
+  /**
+   * Render a pattern as a prompt section
+   * @param {Object} pattern - Pattern
+   * @returns {string} Section text
+   */
+  render(pattern) {
+    const content = pattern.content.trim();
+
+    if (pattern.kind === 'example') {
+      return `### Example: ${pattern.title}\n\`\`\`${pattern.language || 'typescript'}\n${content}\n\`\`\``;
+    }
+
+    return `### ${pattern.title}\n${content}`;
+  }
+
+  /**
+   * Match a pattern against a task
+   * @private
+   * @returns {Object|null} Pattern with matched features and coverage, or null if it
+   *   does not apply
+   */
+  _score(pattern, task, features) {
+    if (pattern.taskTypes?.length > 0 && !pattern.taskTypes.includes(task.type)) {
+      return null;
+    }
+
+    const patternFeatures = pattern.features || [];
+    const matched = patternFeatures.filter(feature => features.includes(feature));
+    const coverage = patternFeatures.length > 0 ? matched.length / patternFeatures.length : 0;
+
+    // One shared secondary feature is not enough, e.g. accessibility alone does not make
+    // a button task a form-validation task
+    if (patternFeatures.length > 0 &&
+        (!features.includes(patternFeatures[0]) || coverage < this.config.minCoverage)) {
+      return null;
+    }
+
+    return { pattern, matched, coverage };
+  }
+
+  /**
+   * Validate a pattern once
+   * @private
+   */
+  _isValid(name, pattern) {
+    if (!pattern || typeof pattern !== 'object') return false;
+
+    if (!this.checked.has(pattern)) {
+      const validation = validatePattern(pattern);
+      if (!validation.valid) {
+        logger.warn(`Invalid pattern ${name}: ${JSON.stringify(validation.errors)}`);
+      }
+      this.checked.set(pattern, validation.valid);
+    }
+
+    return this.checked.get(pattern);
+  }
+}
+
+module.exports = PatternLibrary;
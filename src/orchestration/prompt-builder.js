@@ -4,9 +4,28 @@
  */
 const logger = require('../utils/logger');
 const { isString, isObject } = require('../utils/validation');
+const TaskAnalyzer = require('./analyzer');
 
 class PromptBuilder {
-  constructor() {
+  /**
+   * Create a prompt builder
+   * @param {Object} config - Configuration options
+   * @param {TaskAnalyzer} config.analyzer - Detects the features patterns are matched by
+   * @param {PatternLibrary} config.patternLibrary - Patterns to add to prompts; none when
+   *   omitted
+   * @param {ExampleIndex} config.exampleIndex - Past implementations to add to prompts as
+   *   few-shot examples; none when omitted
+   * @param {PromptOptimizer} config.optimizer - Optimizes built prompts; they are left as
+   *   built when omitted
+   * @param {TokenTracker} config.tokenTracker - Receives each optimization's token counts
+   */
+  constructor(config = {}) {
+    this.analyzer = config.analyzer || new TaskAnalyzer();
+    this.patternLibrary = config.patternLibrary || null;
+    this.exampleIndex = config.exampleIndex || null;
+    this.optimizer = config.optimizer || null;
+    this.tokenTracker = config.tokenTracker || null;
+
     // Token optimization patterns
     this.patterns = {
       ui: {
@@ -30,12 +49,12 @@ class PromptBuilder {
   /**
    * Build an optimized prompt for bolt.diy
    * @param {Object} task - Task details
-   * @param {Object} template - Template object
+   * @param {Object|string} template - Template object or filled template
    * @returns {string} Optimized prompt
    */
   buildPrompt(task, template) {
     try {
-      if (!isObject(task) || !isObject(template)) {
+      if (!isObject(task) || !(isObject(template) || isString(template))) {
         throw new Error('Invalid task or template object');
       }
 
@@ -43,8 +62,11 @@ class PromptBuilder {
       const context = this._buildContext(task);
       const requirements = this._formatRequirements(task, pattern);
       const guidelines = this._buildGuidelines(task, pattern);
+      const features = this.analyzer.detectFeatures(task);
+      const { text: patterns } = this.selectPatterns(task, features);
+      const { text: examples } = this.selectExamples(task, features);
 
-      return `${pattern.prefix}
+      const prompt = `${pattern.prefix}
 
 ## Context
 ${context}
@@ -54,7 +76,13 @@ ${requirements}
 
 ## Implementation Guidelines
 ${guidelines}
-
+${patterns ? `
+## Relevant Patterns
+${patterns}
+` : ''}${examples ? `
+## Similar Implementations
+${examples}
+` : ''}
 ## Expected Format
 \`\`\`${pattern.format}
 // Implementation here
@@ -67,12 +95,99 @@ ${guidelines}
 - Performance optimization
 - Documentation
 `;
+
+      return this.optimize(task, prompt);
     } catch (error) {
       logger.error('Failed to build prompt:', error);
       throw error;
     }
   }
 
+  /**
+   * Select library patterns matching the features detected in a task
+   * @param {Object} task - Task details
+   * @param {string[]} features - Detected features; detected from the task when omitted
+   * @returns {Object} Selected patterns, the text to insert and its token count
+   */
+  selectPatterns(task, features = this.analyzer.detectFeatures(task)) {
+    if (!this.patternLibrary) {
+      return { patterns: [], text: '', tokens: 0 };
+    }
+
+    return this.patternLibrary.select(task, features, {
+      tokenBudget: this.analyzer.estimateTokenBudget(task)
+    });
+  }
+
+  /**
+   * Select well-scored past implementations of similar tasks
+   * @param {Object} task - Task details
+   * @param {string[]} features - Detected features; detected from the task when omitted
+   * @returns {Object} Selected examples, the text to insert and its token count
+   */
+  selectExamples(task, features = this.analyzer.detectFeatures(task)) {
+    if (!this.exampleIndex) {
+      return { examples: [], text: '', tokens: 0 };
+    }
+
+    return this.exampleIndex.select(task, features);
+  }
+
+  /**
+   * Add matching library patterns and similar past implementations to a filled template
+   * @param {Object} task - Task details
+   * @param {string} prompt - Filled template
+   * @param {string[]} features - Detected features; detected from the task when omitted
+   * @returns {Object} Prompt with Relevant Patterns and Similar Implementations sections
+   *   where anything matched, and the patterns and examples selected
+   */
+  appendContext(task, prompt, features = this.analyzer.detectFeatures(task)) {
+    const { text: patterns, patterns: selectedPatterns } = this.selectPatterns(task, features);
+    const { text: examples, examples: selectedExamples } = this.selectExamples(task, features);
+
+    const sections = [
+      prompt.trimEnd(),
+      ...(patterns ? [`## Relevant Patterns\n${patterns}`] : []),
+      ...(examples ? [`## Similar Implementations\n${examples}`] : [])
+    ];
+
+    return {
+      prompt: sections.length > 1 ? `${sections.join('\n\n')}\n` : prompt,
+      patterns: selectedPatterns,
+      examples: selectedExamples
+    };
+  }
+
+  /**
+   * Optimize a complete prompt to fit the task's analysis budget
+   * Before and after token counts are recorded with the TokenTracker when the task is
+   * tracked.
+   * @param {Object} task - Task details
+   * @param {string} prompt - Complete prompt
+   * @param {Object} options - Optimization options
+   * @param {string} options.toolName - Tool the prompt is for
+   * @param {number} options.budget - Token budget; TaskAnalyzer.estimateTokenBudget's
+   *   analysis budget when omitted
+   * @returns {string} Optimized prompt, or the prompt unchanged without an optimizer
+   */
+  optimize(task, prompt, { toolName = null, budget = this.analyzer.estimateTokenBudget(task).analysis } = {}) {
+    if (!this.optimizer) return prompt;
+
+    const result = this.optimizer.optimize(prompt, { budget });
+    logger.debug(`Optimized prompt for ${task.id || 'task'}: ${result.before} -> ${result.after} tokens (budget ${budget})`);
+
+    if (this.tokenTracker && task.id) {
+      this.tokenTracker.recordPromptOptimization(task.id, toolName, {
+        before: result.before,
+        after: result.after,
+        budget,
+        removed: result.removed
+      });
+    }
+
+    return result.prompt;
+  }
+
   /**
    * Build context section
    * @private
@@ -164,6 +279,58 @@ ${guidelines}
     return guidelines.join('\n');
   }
 
+  /**
+   * Build a follow-up prompt asking for a revised implementation
+   * @param {Object} task - Task details
+   * @param {string} template - Prompt the previous attempt was generated from
+   * @param {string} previousOutput - Previous implementation output
+   * @param {Object} quality - QualityAnalyzer result for the previous attempt
+   * @param {Object} options - Repair options
+   * @param {number} options.minScore - Score the revision has to reach
+   * @param {number} options.maxIssues - Most issues listed in the prompt
+   * @returns {string} Follow-up prompt
+   */
+  buildRepairPrompt(task, template, previousOutput, quality, options = {}) {
+    const { minScore = 7, maxIssues = 12 } = options;
+    const pattern = this.patterns[task.type] || this.patterns.function;
+    const code = this._largestCodeBlock(previousOutput) || previousOutput;
+
+    // Suggestions repeat the weaknesses they are derived from; list each finding once
+    const seen = new Set();
+    const outline = lines => lines
+      .filter(line => {
+        const key = line.replace(/^- /, '');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, maxIssues)
+      .map(line => (line.startsWith('- ') ? `  ${line}` : `- ${line}`))
+      .join('\n');
+
+    const issues = outline(quality.analysis?.weaknesses || []);
+    const suggestions = outline(quality.analysis?.improvementSuggestions || []);
+
+    return `${template}
+
+## Previous Attempt
+The implementation below scored ${quality.overallScore}/10; it needs at least ${minScore}/10.
+Revise it to fix the issues listed and keep the parts that already work.
+
+\`\`\`${pattern.format}
+${code.trim()}
+\`\`\`
+${issues ? `
+## Issues to Fix
+${issues}
+` : ''}${suggestions ? `
+## Suggested Improvements
+${suggestions}
+` : ''}
+Reply with the complete revised implementation, not a diff.
+`;
+  }
+
   /**
    * Process implementation output
    * @param {string} output - Raw implementation output
@@ -206,6 +373,27 @@ ${guidelines}
       throw error;
     }
   }
+
+  /**
+   * Get the largest fenced code block of an output
+   * @private
+   * @param {string} output - Raw implementation output
+   * @returns {string|null} Code or null if the output has no code block
+   */
+  _largestCodeBlock(output) {
+    if (!isString(output)) {
+      return null;
+    }
+
+    const matches = [...output.matchAll(/```[\w]*\n([\s\S]*?)```/g)];
+    if (matches.length === 0) {
+      return null;
+    }
+
+    return matches.reduce((largest, match) =>
+      match[1].length > largest.length ? match[1] : largest
+    , matches[0][1]);
+  }
 }
 
 module.exports = PromptBuilder;
\ No newline at end of file
@@ -0,0 +1,448 @@
+/**
+ * AI-AutoCoding-DAO Prompt Optimizer
+ * Removes repetition and filler from a prompt before it is sent to a tool
+ *
+ * A prompt is optimized in passes:
+ * 1. Fields left without a value, such as template placeholders rendered without their
+ *    defaults, are removed, and so are sections left with nothing in them.
+ * 2. Sections with the same heading are merged.
+ * 3. Guidance items whose words an earlier guidance line already contains are removed.
+ * 4. While the prompt is over the token budget, guidance is cut: list items of guidance
+ *    sections are removed, last section and last item first, and a guidance section with
+ *    no items left is removed.
+ * Guidance is the boilerplate the prompt builder and connectors add (guidelines, quality
+ * criteria, patterns and examples), never a section the task filled in. Code blocks are
+ * never changed.
+ */
+const { countTokens } = require('../utils/tokenizer');
+
+// Words that do not tell two instructions apart
+const FILLER_WORDS = new Set([
+  'a', 'add', 'all', 'an', 'and', 'any', 'appropriate', 'are', 'as', 'be', 'best', 'by',
+  'clean', 'clear', 'complete', 'comprehensive', 'consider', 'create', 'each', 'ensure',
+  'every', 'follow', 'for', 'good', 'high', 'implement', 'in', 'include', 'is', 'it',
+  'make', 'of', 'on', 'or', 'possible', 'proper', 'properly', 'provide', 'quality', 'should',
+  'that', 'the', 'this', 'to', 'use', 'where', 'with', 'your'
+]);
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const ITEM = /^\s*(?:[-*+]|\d+[.)])\s+\S/;
+const NUMBERED = /^(\s*)\d+([.)]\s+)/;
+// A field name with nothing after it, e.g. "Input:" or "- Framework:"
+const LABEL = /^\s*(?:(?:[-*+]|\d+[.)])\s+)?[^\s:#`][^:]{0,60}:\s*$/;
+
+class PromptOptimizer {
+  /**
+   * Create a prompt optimizer
+   * @param {Object} config - Configuration options
+   * @param {boolean} config.dropDefaults - Tells callers to fill templates without their
+   *   defaults, so the fields a task does not set are removed instead of sent as filler
+   * @param {RegExp[]} config.guidance - Headings of the sections that may be deduplicated
+   *   and cut to fit the budget; their subsections are guidance too
+   * @param {number} config.overlap - Share of a list item's words an earlier line has to
+   *   contain for the item to count as a repeat
+   */
+  constructor(config = {}) {
+    this.config = {
+      dropDefaults: true,
+      guidance: [
+        /^implementation guidelines$/i,
+        /^quality criteria$/i,
+        /^best practices$/i,
+        /^relevant patterns$/i,
+        /^similar implementations$/i
+      ],
+      overlap: 0.75,
+      ...config
+    };
+  }
+
+  /**
+   * Optimize a prompt
+   * @param {string} prompt - Prompt to optimize
+   * @param {Object} options - Optimization options
+   * @param {number} options.budget - Tokens the prompt should fit in, e.g.
+   *   TaskAnalyzer.estimateTokenBudget(task).analysis; guidance is not cut without one.
+   *   The prompt is measured with countTokens, so fitting is approximate
+   * @returns {Object} Optimized prompt, its token count before and after, whether it
+   *   fits the budget, and how many fields, sections, repeats and guidance items were
+   *   removed
+   */
+  optimize(prompt, { budget = null } = {}) {
+    const before = countTokens(prompt);
+    const removed = { fields: 0, sections: 0, repeats: 0, guidance: 0 };
+
+    let sections = parseSections(prompt);
+    for (const section of sections) {
+      removed.fields += pruneEmptyFields(section);
+    }
+
+    sections = this._mergeSections(sections, removed);
+    removed.repeats = this._dropRepeats(sections);
+    sections = dropEmptySections(sections, removed);
+
+    let after = countTokens(serialize(sections));
+    if (budget !== null && after > budget) {
+      sections = dropEmptySections(this._cutGuidance(sections, budget, removed), removed);
+      after = countTokens(serialize(sections));
+    }
+
+    return {
+      prompt: serialize(sections),
+      before,
+      after,
+      budget,
+      fits: budget === null || after <= budget,
+      removed
+    };
+  }
+
+  /**
+   * Merge sections with the same heading into the first of them
+   * @private
+   */
+  _mergeSections(sections, removed) {
+    const byTitle = new Map();
+
+    return sections.filter(section => {
+      if (!section.heading) return true;
+
+      const key = `${section.level}:${section.title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()}`;
+      const first = byTitle.get(key);
+      if (!first) {
+        byTitle.set(key, section);
+        return true;
+      }
+
+      first.lines.push(...section.lines);
+      removed.sections++;
+      return false;
+    });
+  }
+
+  /**
+   * Sections that are guidance: those with a guidance heading and their subsections
+   * @private
+   * @returns {Set<Object>} Guidance sections
+   */
+  _guidanceSections(sections) {
+    const guidance = new Set();
+    let level = null;
+
+    for (const section of sections) {
+      if (level !== null && section.level > level) {
+        guidance.add(section);
+        continue;
+      }
+
+      level = null;
+      if (section.heading && this.config.guidance.some(pattern => pattern.test(section.title))) {
+        guidance.add(section);
+        level = section.level;
+      }
+    }
+
+    return guidance;
+  }
+
+  /**
+   * Remove guidance items whose words an earlier guidance line already contains
+   * Requirements and other sections the task filled in are left alone, even where they
+   * repeat each other.
+   * @private
+   * @returns {number} Number of items removed
+   */
+  _dropRepeats(sections) {
+    const guidance = this._guidanceSections(sections);
+    const seen = [];
+    let removed = 0;
+
+    for (const section of guidance) {
+      section.lines = section.lines.filter(line => {
+        if (line.code || !line.text.trim()) return true;
+
+        const words = significantWords(line.text);
+        if (words.size === 0) return true;
+
+        if (ITEM.test(line.text) && seen.some(earlier => overlap(words, earlier) >= this.config.overlap)) {
+          removed++;
+          return false;
+        }
+
+        seen.push(words);
+        return true;
+      });
+    }
+
+    renumber(sections);
+    return removed;
+  }
+
+  /**
+   * Cut guidance until the prompt fits the budget
+   * Subsections are cut before their parent, so an example under Similar Implementations,
+   * which has no list items, is removed whole.
+   * @private
+   * @returns {Object[]} Remaining sections
+   */
+  _cutGuidance(sections, budget, removed) {
+    const guidance = [...this._guidanceSections(sections)];
+    let tokens = countTokens(serialize(sections));
+
+    for (const section of guidance.reverse()) {
+      while (tokens > budget) {
+        const index = findLastIndex(section.lines, line => !line.code && ITEM.test(line.text));
+        if (index === -1) break;
+
+        section.lines.splice(index, itemLength(section.lines, index));
+        removed.guidance++;
+        tokens = countTokens(serialize(sections));
+      }
+
+      if (tokens <= budget) break;
+
+      sections = sections.filter(other => other !== section);
+      removed.sections++;
+      tokens = countTokens(serialize(sections));
+    }
+
+    renumber(sections);
+    return sections;
+  }
+}
+
+/**
+ * Split a prompt into sections at its headings
+ * Lines inside code fences are marked, so they are never read as headings or changed.
+ * @private
+ */
+function parseSections(prompt) {
+  const sections = [{ heading: null, level: 0, title: '', lines: [] }];
+  let inCode = false;
+
+  for (const text of prompt.split('\n')) {
+    const fence = text.trim().startsWith('```');
+    const heading = !inCode && !fence && text.match(HEADING);
+
+    if (heading) {
+      sections.push({ heading: text, level: heading[1].length, title: heading[2].trim(), lines: [] });
+      continue;
+    }
+
+    sections[sections.length - 1].lines.push({ text, code: inCode || fence });
+    if (fence) inCode = !inCode;
+  }
+
+  return sections;
+}
+
+/**
+ * Join sections into a prompt
+ * Outside code there is at most one blank line in a row, and a heading always has a
+ * blank line before it, so removed sections do not run their neighbours together.
+ * @private
+ */
+function serialize(sections) {
+  const lines = [];
+
+  for (const section of sections) {
+    if (section.heading) {
+      if (lines.length > 0 && lines[lines.length - 1] !== '') lines.push('');
+      lines.push(section.heading);
+    }
+
+    for (const line of section.lines) {
+      const text = line.code ? line.text : line.text.trimEnd();
+      if (!line.code && text === '' && (lines.length === 0 || lines[lines.length - 1] === '')) continue;
+      lines.push(text);
+    }
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Remove the fields of a section that have no value
+ * A labelled list item ("- Framework:") is empty when nothing is indented under it. A
+ * plain label ("Input:") is empty when the next line is another label or there is none.
+ * Other list items are only empty when their indented value rendered as blank, e.g.
+ * "1. Styling" followed by a line holding nothing but indentation.
+ * @private
+ * @returns {number} Number of fields removed
+ */
+function pruneEmptyFields(section) {
+  const { lines } = section;
+  const kept = [];
+  let removed = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const end = emptyFieldEnd(lines, i);
+    if (end === -1) {
+      kept.push(lines[i]);
+      continue;
+    }
+
+    removed++;
+    i = end - 1;
+  }
+
+  // A removed first field leaves the blank line that separated it from the next one
+  if (removed > 0 && lines[0]?.text.trim()) {
+    while (kept.length > 0 && !kept[0].code && !kept[0].text.trim()) kept.shift();
+  }
+
+  section.lines = kept;
+  if (removed > 0) renumber([section]);
+  return removed;
+}
+
+/**
+ * End of an empty field starting at a line
+ * @private
+ * @returns {number} Index after the field, or -1 if the line does not start an empty field
+ */
+function emptyFieldEnd(lines, i) {
+  const { text, code } = lines[i];
+  const label = LABEL.test(text);
+  const item = ITEM.test(text);
+  if (code || (!label && !item)) return -1;
+
+  const indent = indentOf(text);
+  let end = i + 1;
+  let blanked = false;
+
+  while (end < lines.length && !lines[end].code &&
+    (!lines[end].text.trim() || indentOf(lines[end].text) > indent)) {
+    if (lines[end].text.trim()) return -1;
+    if (lines[end].text.length > 0) blanked = true;
+    end++;
+  }
+
+  // Blank lines after the field separate what follows; keep them
+  while (end > i + 1 && lines[end - 1].text === '') end--;
+
+  if (label && item) return end;
+
+  if (label) {
+    const next = lines.slice(end).find(line => line.text.trim());
+    return !next || (!next.code && LABEL.test(next.text)) ? end : -1;
+  }
+
+  return blanked ? end : -1;
+}
+
+/**
+ * Remove sections with no content and no subsections
+ * @private
+ */
+function dropEmptySections(sections, removed) {
+  return sections.filter((section, index) => {
+    if (!section.heading || section.lines.some(line => line.text.trim())) return true;
+
+    const next = sections[index + 1];
+    if (next && next.level > section.level) return true;
+
+    removed.sections++;
+    return false;
+  });
+}
+
+/**
+ * Number the items of each numbered list from 1 again after items were removed
+ * @private
+ */
+function renumber(sections) {
+  for (const section of sections) {
+    const counters = new Map();
+
+    for (const line of section.lines) {
+      if (line.code || !line.text.trim()) continue;
+
+      const indent = indentOf(line.text);
+      const numbered = line.text.match(NUMBERED);
+
+      // A line at or left of a list's indentation that is not one of its items ends it
+      for (const level of counters.keys()) {
+        if (level > indent || (level === indent && !numbered)) counters.delete(level);
+      }
+
+      if (numbered) {
+        const number = (counters.get(indent) || 0) + 1;
+        counters.set(indent, number);
+        line.text = line.text.replace(NUMBERED, `$1${number}$2`);
+      }
+    }
+  }
+}
+
+/**
+ * Words of a line that carry its meaning, crudely stemmed so "handle" matches "handling"
+ * @private
+ */
+function significantWords(text) {
+  const words = text
+    .toLowerCase()
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !FILLER_WORDS.has(word))
+    .map(stem);
+
+  return new Set(words);
+}
+
+/**
+ * @private
+ */
+function stem(word) {
+  for (const suffix of ['ization', 'ation', 'ance', 'ence', 'ment', 'ing', 'ize', 'ise', 'ed', 'es', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      word = word.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  return word.length > 3 && word.endsWith('e') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Share of a set's words that another set contains
+ * @private
+ */
+function overlap(words, earlier) {
+  let shared = 0;
+  for (const word of words) {
+    if (earlier.has(word)) shared++;
+  }
+  return shared / words.size;
+}
+
+/**
+ * Number of lines of a list item, including the lines indented under it
+ * @private
+ */
+function itemLength(lines, index) {
+  const indent = indentOf(lines[index].text);
+  let end = index + 1;
+
+  while (end < lines.length && lines[end].text.trim() && indentOf(lines[end].text) > indent) end++;
+  return end - index;
+}
+
+/**
+ * @private
+ */
+function indentOf(text) {
+  return text.length - text.trimStart().length;
+}
+
+/**
+ * @private
+ */
+function findLastIndex(items, predicate) {
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (predicate(items[i])) return i;
+  }
+  return -1;
+}
+
+module.exports = PromptOptimizer;
@@ -2,69 +2,58 @@
  * AI-AutoCoding-DAO Tool Selector
  * Determines the optimal AI tool for a given coding task based on analysis
  */
+const ConnectorRegistry = require('../tools/connector-registry');
+
 class ToolSelector {
-  constructor() {
-    // Tool characteristics based on analysis
-    this.toolProfiles = {
-      haiku: {
-        name: "Haiku",
-        maxLines: 100,
-        minLines: 20,
-        strengths: ['logic', 'data-processing', 'algorithms', 'utilities'],
-        optimalComplexity: 'medium',
-        tokenEfficiency: 0.8, // Token usage efficiency (0-1)
-        specialties: {
-          customHooks: 1.0,
-          errorHandling: 0.9,
-          accessibility: 0.9,
-          stateManagement: 0.85
-        }
-      },
-      boltNew: {
-        name: "Bolt.new",
-        maxLines: 300,
-        minLines: 50,
-        strengths: ['ui-components', 'forms', 'layouts', 'interactions'],
-        optimalComplexity: 'medium',
-        tokenEfficiency: 0.75,
-        specialties: {
-          typescript: 0.95,
-          componentArchitecture: 0.9,
-          uiPatterns: 0.85,
-          responsiveDesign: 0.9
-        }
-      },
-      v0Dev: {
-        name: "v0.dev",
-        maxLines: 500,
-        minLines: 100,
-        strengths: ['design-systems', 'themes', 'style-guides', 'patterns'],
-        optimalComplexity: 'high',
-        tokenEfficiency: 0.7,
-        specialties: {
-          designSystems: 1.0,
-          themeManagement: 0.95,
-          visualConsistency: 0.9,
-          componentLibrary: 0.85
-        }
-      },
-      claudeDirect: {
-        name: "Claude Direct",
-        maxLines: 150,
-        minLines: 0,
-        strengths: ['quick-prototypes', 'simple-components', 'basic-functions'],
-        optimalComplexity: 'low',
-        tokenEfficiency: 1.0,
-        specialties: {
-          rapidPrototyping: 0.95,
-          simpleFunctions: 0.9,
-          basicComponents: 0.85,
-          quickFixes: 1.0
-        }
-      }
+  /**
+   * Create a tool selector
+   * @param {ConnectorRegistry} registry - Registry whose implementation connectors are ranked;
+   *   defaults to one holding the built-in connectors
+   * @param {Object} config - Configuration options
+   * @param {string} config.mode - 'static' scores profiles only; 'adaptive' also learns from history
+   * @param {number} config.exploration - Exploration weight; 0 always exploits the best estimate
+   * @param {number} config.priorWeight - Number of observations the static profile score is worth
+   * @param {number} config.minContextObservations - Observations needed before a narrower
+   *   history context (type and complexity, then complexity) is used
+   * @param {TokenTracker} config.tokenTracker - Source of completed task outcomes
+   */
+  constructor(registry, config = {}) {
+    const { tokenTracker, ...options } = config;
+
+    this.registry = registry || new ConnectorRegistry().registerDefaults();
+    this.tokenTracker = tokenTracker || null;
+
+    this.config = {
+      mode: 'static',
+      exploration: 0.5,
+      priorWeight: 3,
+      minContextObservations: 3,
+      ...options
     };
   }
 
+  /**
+   * Tool characteristics, derived from the capabilities of registered connectors
+   * @type {Object}
+   */
+  get toolProfiles() {
+    const profiles = {};
+
+    for (const [tool, capabilities] of Object.entries(this.registry.getAllCapabilities('implementation'))) {
+      profiles[tool] = {
+        name: capabilities.displayName,
+        maxLines: capabilities.sizeRange.max,
+        minLines: capabilities.sizeRange.min,
+        strengths: capabilities.strengths,
+        optimalComplexity: capabilities.optimalComplexity,
+        tokenEfficiency: capabilities.tokenEfficiency, // Token usage efficiency (0-1)
+        specialties: capabilities.specialties
+      };
+    }
+
+    return profiles;
+  }
+
   /**
    * Analyze a task to determine its key characteristics
    * @param {Object} task - The task to analyze
@@ -86,23 +75,43 @@ class ToolSelector {
    */
   selectTool(task) {
     const analysis = this.analyzeTask(task);
-    const scores = this._calculateToolScores(analysis);
+    const ranking = this._rankTools(analysis, task);
     
     // Get tool with highest score
-    const bestTool = Object.entries(scores)
-      .reduce((best, [tool, score]) => 
-        score > best.score ? {tool, score} : best, 
-        {tool: null, score: -1}
-      );
+    const bestTool = ranking[0] || {tool: null, score: -1};
 
     return {
       selectedTool: bestTool.tool,
       score: bestTool.score,
+      mode: this._isAdaptive() ? 'adaptive' : 'static',
       analysis: analysis,
+      ranking,
       reason: this._generateReasoning(bestTool.tool, analysis)
     };
   }
 
+  /**
+   * Rank all profiled tools for a task, best first
+   * @param {Object} task - The task to process
+   * @returns {Object[]} Tools with scores and reasoning
+   */
+  rankTools(task) {
+    return this._rankTools(this.analyzeTask(task), task);
+  }
+
+  /**
+   * Switch between static and adaptive selection
+   * @param {string} mode - 'static' or 'adaptive'
+   * @param {Object} options - Optional exploration and priorWeight overrides
+   */
+  setMode(mode, options = {}) {
+    if (!['static', 'adaptive'].includes(mode)) {
+      throw new Error(`Unknown selection mode: ${mode}`);
+    }
+
+    this.config = { ...this.config, ...options, mode };
+  }
+
   // Private methods for detailed analysis
   _estimateLines(task) {
     // Estimate lines based on requirements and complexity
@@ -154,6 +163,101 @@ class ToolSelector {
     return 'unknown';
   }
 
+  _rankTools(analysis, task = {}) {
+    const scores = this._calculateToolScores(analysis);
+
+    const ranking = Object.entries(scores)
+      .map(([tool, score]) => ({
+        tool,
+        score,
+        reason: this._generateReasoning(tool, analysis)
+      }));
+
+    if (this._isAdaptive()) {
+      this._applyHistory(ranking, task);
+    }
+
+    // Stable sort keeps profile order for ties
+    return ranking.sort((a, b) => b.score - a.score);
+  }
+
+  _isAdaptive() {
+    return this.config.mode === 'adaptive' && Boolean(this.tokenTracker);
+  }
+
+  /**
+   * Re-score a ranking with observed quality per token (UCB1 bandit)
+   * The static score, scaled to 0-1, acts as a prior worth `priorWeight` observations,
+   * so tools without history keep their profile ranking until evidence accumulates.
+   */
+  _applyHistory(ranking, task) {
+    const { exploration, priorWeight } = this.config;
+    const { context, outcomes } = this._getContextOutcomes(task);
+    const rewards = this._calculateRewards(outcomes);
+
+    const maxScore = Math.max(0, ...ranking.map(entry => entry.score));
+    const totalWeight = ranking.reduce((sum, entry) =>
+      sum + priorWeight + (rewards[entry.tool]?.count || 0), 0);
+
+    for (const entry of ranking) {
+      const observed = rewards[entry.tool] || { count: 0, meanReward: 0 };
+      const prior = maxScore > 0 ? entry.score / maxScore : 0;
+      const weight = Math.max(1, priorWeight + observed.count);
+
+      const estimate = (priorWeight * prior + observed.count * observed.meanReward) / weight;
+      const bonus = exploration * Math.sqrt(2 * Math.log(Math.max(totalWeight, 1)) / weight);
+
+      entry.staticScore = entry.score;
+      entry.score = Math.round((estimate + bonus) * 1000) / 1000;
+      entry.history = {
+        context,
+        observations: observed.count,
+        meanReward: Math.round(observed.meanReward * 1000) / 1000,
+        estimate: Math.round(estimate * 1000) / 1000,
+        explorationBonus: Math.round(bonus * 1000) / 1000
+      };
+    }
+  }
+
+  /**
+   * Find the narrowest history context with enough observations
+   */
+  _getContextOutcomes(task) {
+    const contexts = [
+      { type: task.type, complexity: task.complexity },
+      { complexity: task.complexity },
+      {}
+    ].filter(context => Object.values(context).every(Boolean));
+
+    for (const context of contexts) {
+      const outcomes = this.tokenTracker.getToolOutcomes(context);
+      if (outcomes.length >= this.config.minContextObservations || Object.keys(context).length === 0) {
+        return { context, outcomes };
+      }
+    }
+  }
+
+  /**
+   * Mean reward per tool, where reward is quality per 1K tokens scaled to 0-1
+   * against the best outcome in the same context
+   */
+  _calculateRewards(outcomes) {
+    const efficiency = outcomes.map(outcome => outcome.qualityScore / (outcome.tokens / 1000));
+    const best = Math.max(0, ...efficiency);
+    const rewards = {};
+
+    outcomes.forEach((outcome, index) => {
+      const reward = best > 0 ? efficiency[index] / best : 0;
+      const entry = rewards[outcome.tool] || (rewards[outcome.tool] = { count: 0, total: 0 });
+
+      entry.count++;
+      entry.total += reward;
+      entry.meanReward = entry.total / entry.count;
+    });
+
+    return rewards;
+  }
+
   _calculateToolScores(analysis) {
     const scores = {};
     
@@ -211,34 +315,9 @@ class ToolSelector {
   }
 
   _generateReasoning(tool, analysis) {
-    const reasonings = {
-      haiku: [
-        'Optimal for logic-heavy tasks',
-        'Best for custom hooks and complex state management',
-        'Strong error handling capabilities',
-        'Good for medium-sized utilities'
-      ],
-      boltNew: [
-        'Ideal for UI components',
-        'Strong TypeScript support',
-        'Excellent for forms and interactive elements',
-        'Good component architecture'
-      ],
-      v0Dev: [
-        'Perfect for design systems',
-        'Best for theme management',
-        'Excellent for pattern libraries',
-        'Good for large-scale visual consistency'
-      ],
-      claudeDirect: [
-        'Best for quick prototypes',
-        'Ideal for simple functions',
-        'Good for basic components',
-        'Perfect for rapid iterations'
-      ]
-    };
-
-    return reasonings[tool] || ['Tool selected based on analysis'];
+    const capabilities = this.registry.getCapabilities(tool);
+    
+    return capabilities?.reasoning || ['Tool selected based on analysis'];
   }
 }
 
@@ -7,10 +7,10 @@ const PromptBuilder = require('./prompt-builder');
 const { validateTask } = require('../utils/validation');
 
 class TaskProcessor {
-  constructor(templateManager, boltDiy) {
+  constructor(templateManager, boltDiy, promptBuilder = new PromptBuilder()) {
     this.templateManager = templateManager;
     this.boltDiy = boltDiy;
-    this.promptBuilder = new PromptBuilder();
+    this.promptBuilder = promptBuilder;
     
     // Metrics tracking
     this.metrics = {
@@ -39,7 +39,9 @@ class TaskProcessor {
 
       // Get template
       const templateType = this.templateManager.getBestTemplateType('boltDiy', task);
-      const template = this.templateManager.getTemplate('boltDiy', templateType, task);
+      const template = this.templateManager.getTemplate('boltDiy', templateType, task, {
+        defaults: !this.promptBuilder.optimizer?.config.dropDefaults
+      });
       
       if (!template) {
         throw new Error('No suitable template found');
@@ -2,10 +2,60 @@
  * AI-AutoCoding-DAO Template Manager
  * Enhanced with specialized bolt.diy and claudeSonnet templates
  */
+const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
+const { validateTemplate } = require('../utils/validation');
+const { summarize, welchTTest } = require('../utils/statistics');
+const { compile } = require('../utils/template-engine');
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+
+// Task fields getTemplate can fill placeholders from (see validateTask)
+const TASK_FIELDS = ['id', 'description', 'type', 'complexity', 'features', 'userId', 'projectId'];
+
+// Template sources from lowest to highest precedence. Supabase rows are shared by every
+// deployment and edited while running, so they override the packs on disk.
+const TEMPLATE_SOURCES = ['builtin', 'file', 'supabase'];
+
+// Experiment metrics and whether a higher value is better
+const EXPERIMENT_METRICS = {
+  quality: true,
+  tokens: false,
+  efficiency: true
+};
 
 class TemplateManager {
-  constructor() {
+  /**
+   * Create a template manager
+   * @param {Object} config - Configuration options
+   * @param {TokenTracker} config.tokenTracker - Source of per-variant outcomes for
+   *   experiment reports
+   * @param {number} config.minSamples - Default samples per variant before an experiment
+   *   can declare a winner
+   * @param {number} config.alpha - Default significance level for experiment reports
+   * @param {KnowledgeManager} config.knowledgeManager - Initialized knowledge manager whose
+   *   template packs (src/data/templates/<tool>/<type>.json) are loaded
+   * @param {SupabaseConnector} config.supabase - Connector whose templates table is loaded
+   * @param {boolean} config.watch - Reload templates when the pack directory changes
+   * @param {number} config.reloadDelay - Milliseconds to wait for a burst of file changes
+   *   to settle before reloading
+   */
+  constructor(config = {}) {
+    this.config = {
+      minSamples: 30,
+      alpha: 0.05,
+      watch: true,
+      reloadDelay: 250,
+      ...config
+    };
+    this.tokenTracker = config.tokenTracker || null;
+    this.knowledgeManager = config.knowledgeManager || null;
+    this.supabase = config.supabase || null;
+
+    // Tools without their own template set use this tool's templates
+    this.fallbackTool = 'claudeSonnet';
+
     // Templates for different tools
     this.templates = {
       boltDiy: {
@@ -219,6 +269,32 @@ Please provide a complete, well-documented implementation.`,
         }
       }
     };
+
+    // Every version of each tool/type; this.templates holds the active one
+    this.versions = {};
+    this.changelogs = {};
+    this.experiments = new Map();
+
+    // Last template applied from the file and Supabase sources, per tool/type
+    this.loaded = {};
+    this.snapshots = {};
+    this.validated = new Map();
+    this.tools = [];
+    this.watching = false;
+    this.watchers = new Map();
+    this.reloadTimer = null;
+    this.reloading = Promise.resolve();
+
+    for (const [tool, types] of Object.entries(this.templates)) {
+      for (const [type, template] of Object.entries(types)) {
+        this._addVersion(tool, type, template, {
+          version: '1.0.0',
+          changelog: 'Initial template',
+          activate: true,
+          source: 'builtin'
+        });
+      }
+    }
   }
 
   /**
@@ -239,33 +315,365 @@ Please provide a complete, well-documented implementation.`,
    * @param {string} tool - The tool name (e.g., 'boltDiy')
    * @param {string} type - The template type
    * @param {Object} task - The task details
+   * @param {Object} options - Options
+   * @param {string} options.version - Version to fill instead of the active one
+   * @param {boolean} options.defaults - Fill placeholders the task has no value for with
+   *   the template's defaults; when false they are left empty, for PromptOptimizer to remove
    * @returns {string|null} Filled template or null if not found
    */
-  getTemplate(tool = 'boltDiy', type, task) {
+  getTemplate(tool = 'boltDiy', type, task, { version, defaults = true } = {}) {
+    tool = this._resolveTool(tool, type);
     if (!this.templates[tool]) {
       logger.warn(`Tool not found: ${tool}`);
       return null;
     }
 
-    const template = this.templates[tool][type];
+    let template = this.templates[tool][type];
     if (!template) {
       logger.warn(`Template type not found: ${type} for tool: ${tool}`);
       return null;
     }
 
-    let filledTemplate = template.template;
-    
-    // Replace description
-    filledTemplate = filledTemplate.replace('{description}', task.description || '[Description]');
-    
-    // Replace other placeholders with task details or defaults
-    for (const [key, defaultValue] of Object.entries(template.defaults)) {
-      const placeholder = `{${key}}`;
-      const value = task[key] || defaultValue;
-      filledTemplate = filledTemplate.replace(placeholder, value);
+    if (version && version !== template.version) {
+      const requested = this._findVersion(tool, type, version);
+      if (requested) {
+        template = requested;
+      } else {
+        logger.warn(`Template version not found: ${tool}/${type}@${version}, using ${template.version}`);
+      }
     }
-    
-    return filledTemplate;
+
+    // Every occurrence is filled; placeholders without a value are left in place, or
+    // emptied when defaults are off
+    return compile(template.template).render(
+      { ...task, description: task.description || '[Description]' },
+      defaults ? { defaults: template.defaults } : { missing: 'empty' }
+    );
+  }
+
+  /**
+   * Add a new version of a template for a tool
+   * @param {string} tool - The tool name (e.g., 'boltDiy')
+   * @param {string} type - The template type
+   * @param {Object} template - Template definition with template and defaults
+   * @param {Object} options - Version options
+   * @param {string} options.version - Semantic version; defaults to the next minor version
+   * @param {string} options.changelog - What changed in this version
+   * @param {boolean} options.activate - Make this the version getTemplate uses; pass
+   *   false to add an experiment candidate
+   * @returns {boolean} True if the template was stored
+   */
+  setTemplate(tool, type, template, { version, changelog, activate = true } = {}) {
+    if (!this._validate(tool, type, template)) return false;
+
+    const entry = this._addVersion(tool, type, template, { version, changelog, activate, source: 'runtime' });
+    if (!entry) return false;
+
+    logger.info(`Template stored: ${tool}/${type}@${entry.version}`);
+    return true;
+  }
+
+  /**
+   * Get every version of a template, oldest first
+   * @param {string} tool - The tool name
+   * @param {string} type - The template type
+   * @returns {Object[]} Versions with version, changelog, createdAt, active, source
+   *   ('builtin', 'file', 'supabase' or 'runtime') and unknownPlaceholders
+   */
+  getVersions(tool, type) {
+    const active = this.templates[tool]?.[type]?.version;
+    return (this.versions[`${tool}/${type}`] || []).map(entry => ({
+      version: entry.version,
+      changelog: entry.changelog,
+      createdAt: entry.createdAt,
+      active: entry.version === active,
+      source: entry.source,
+      unknownPlaceholders: entry.unknownPlaceholders
+    }));
+  }
+
+  /**
+   * Get the changelog of a template, newest first
+   * Lists every version added and every change of the active version.
+   * @param {string} tool - The tool name
+   * @param {string} type - The template type
+   * @returns {Object[]} Entries with version, action ('added', 'activated' or 'removed'),
+   *   message and timestamp
+   */
+  getChangelog(tool, type) {
+    return [...(this.changelogs[`${tool}/${type}`] || [])].reverse();
+  }
+
+  /**
+   * Make an existing version the one getTemplate uses, e.g. to roll back
+   * @param {string} tool - The tool name
+   * @param {string} type - The template type
+   * @param {string} version - Version to activate
+   * @param {string} message - Reason, recorded in the changelog
+   * @returns {boolean} True if the version exists
+   */
+  activateVersion(tool, type, version, message = '') {
+    const entry = this._findVersion(tool, type, version);
+    if (!entry) {
+      logger.warn(`Template version not found: ${tool}/${type}@${version}`);
+      return false;
+    }
+
+    this._activate(tool, type, entry);
+    this._log(`${tool}/${type}`, version, 'activated', message);
+    logger.info(`Template activated: ${tool}/${type}@${version}`);
+    return true;
+  }
+
+  /**
+   * Load templates from the knowledge manager's packs and from Supabase, then watch the
+   * pack directory for changes
+   * For each tool/type the highest-precedence valid template wins: Supabase, then files,
+   * then the built-in template. A loaded template becomes a new version, or reactivates an
+   * identical one. A tool/type is only changed again when its winning template changes, so
+   * versions activated in between are kept until then.
+   * @param {Object} options - Load options
+   * @param {string[]} options.tools - Tools to query Supabase for, besides those that
+   *   already have templates
+   * @returns {Promise<void>}
+   */
+  async loadTemplates({ tools = [] } = {}) {
+    this.tools = tools;
+    this.watching = Boolean(this.config.watch && this.knowledgeManager);
+    await this._reload(false);
+  }
+
+  /**
+   * Re-read every template source and apply changes
+   * Called on file changes; call it directly to pick up edits made in Supabase.
+   * @returns {Promise<void>}
+   */
+  reloadTemplates() {
+    return this._reload(true);
+  }
+
+  /**
+   * Stop watching the pack directory
+   */
+  stopWatching() {
+    this.watching = false;
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+
+  /**
+   * Start an A/B experiment between versions of a template
+   * Tasks are split between the variants by weight. The split is sticky: a task ID always
+   * gets the same variant.
+   * @param {Object} experiment - Experiment definition
+   * @param {string} experiment.id - Experiment identifier; derived when omitted
+   * @param {string} experiment.tool - The tool name
+   * @param {string} experiment.type - The template type
+   * @param {Object[]} experiment.variants - At least two { name, version, weight }
+   * @param {string} experiment.metric - 'quality' (default), 'tokens' or 'efficiency'
+   *   (quality per 1K tokens)
+   * @param {number} experiment.minSamples - Samples per variant before a winner is declared
+   * @param {number} experiment.alpha - Significance level
+   * @returns {Object} Stored experiment
+   */
+  createExperiment({ id, tool, type, variants = [], metric = 'quality', minSamples, alpha }) {
+    const key = `${tool}/${type}`;
+    const errors = [];
+
+    if (!this.versions[key]) errors.push(`unknown template ${key}`);
+    if (!(metric in EXPERIMENT_METRICS)) errors.push(`unknown metric ${metric}`);
+    if (variants.length < 2) errors.push('at least two variants are required');
+
+    const names = new Set(variants.map(variant => variant.name));
+    if (names.size !== variants.length || names.has(undefined)) errors.push('variant names must be unique');
+
+    variants.forEach(variant => {
+      if (this.versions[key] && !this._findVersion(tool, type, variant.version)) {
+        errors.push(`variant ${variant.name} uses unknown version ${variant.version}`);
+      }
+      if (variant.weight !== undefined && !(variant.weight > 0)) {
+        errors.push(`variant ${variant.name} needs a positive weight`);
+      }
+    });
+
+    if (this._runningExperiment(tool, type)) errors.push(`an experiment is already running on ${key}`);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid experiment: ${errors.join(', ')}`);
+    }
+
+    const experiment = {
+      id: id || `${tool}.${type}.${Date.now()}`,
+      tool,
+      type,
+      metric,
+      minSamples: minSamples || this.config.minSamples,
+      alpha: alpha || this.config.alpha,
+      variants: variants.map(variant => ({ name: variant.name, version: variant.version, weight: variant.weight || 1 })),
+      status: 'running',
+      createdAt: new Date().toISOString()
+    };
+
+    this.experiments.set(experiment.id, experiment);
+    logger.info(`Template experiment started: ${experiment.id} (${experiment.variants.map(v => `${v.name}@${v.version}`).join(' vs ')})`);
+    return experiment;
+  }
+
+  /**
+   * Get an experiment
+   * @param {string} experimentId - Experiment identifier
+   * @returns {Object|null} Experiment
+   */
+  getExperiment(experimentId) {
+    return this.experiments.get(experimentId) || null;
+  }
+
+  /**
+   * Get all experiments
+   * @returns {Object[]} Experiments
+   */
+  getExperiments() {
+    return Array.from(this.experiments.values());
+  }
+
+  /**
+   * Pick the template version a task should use
+   * @param {string} tool - The tool name
+   * @param {string} type - The template type
+   * @param {Object} task - The task details
+   * @returns {Object} Template tool, type and version, plus experimentId and variant when
+   *   the task is part of a running experiment
+   */
+  assignVariant(tool, type, task = {}) {
+    tool = this._resolveTool(tool, type);
+    const active = this.templates[tool]?.[type];
+    const assignment = { tool, type, version: active?.version || null, experimentId: null, variant: null };
+
+    const experiment = this._runningExperiment(tool, type);
+    if (!experiment) return assignment;
+
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const point = (task.id ? this._hash(`${experiment.id}:${task.id}`) : Math.random()) * totalWeight;
+
+    let cumulative = 0;
+    const variant = experiment.variants.find(candidate => (cumulative += candidate.weight) > point) ||
+      experiment.variants[experiment.variants.length - 1];
+
+    return { ...assignment, version: variant.version, experimentId: experiment.id, variant: variant.name };
+  }
+
+  /**
+   * Report an experiment's results per variant and declare a winner when one is clear
+   * The variant with the best mean metric wins once every variant has minSamples samples
+   * and Welch's t-test shows it differs from each other variant. The significance level
+   * is Bonferroni-corrected for the number of comparisons.
+   * @param {string} experimentId - Experiment identifier
+   * @returns {Object|null} Report with per-variant statistics, comparisons, winner and
+   *   the reason no winner was declared
+   */
+  getExperimentReport(experimentId) {
+    const experiment = this.experiments.get(experimentId);
+    if (!experiment) return null;
+
+    const outcomes = this.tokenTracker ? this.tokenTracker.getTemplateOutcomes(experimentId) : [];
+    const samples = name => outcomes
+      .filter(outcome => outcome.template.variant === name)
+      .map(outcome => ({
+        quality: outcome.qualityScore,
+        tokens: outcome.tokens,
+        efficiency: outcome.qualityScore / outcome.tokens * 1000
+      }));
+
+    const variants = experiment.variants.map(variant => {
+      const values = samples(variant.name);
+      return {
+        name: variant.name,
+        version: variant.version,
+        samples: values.length,
+        quality: summarize(values.map(value => value.quality)),
+        tokens: summarize(values.map(value => value.tokens)),
+        efficiency: summarize(values.map(value => value.efficiency)),
+        values: values.map(value => value[experiment.metric])
+      };
+    });
+
+    const higherIsBetter = EXPERIMENT_METRICS[experiment.metric];
+    const leader = variants.reduce((best, variant) => {
+      if (variant.samples === 0) return best;
+      if (!best) return variant;
+      const better = higherIsBetter ?
+        variant[experiment.metric].mean > best[experiment.metric].mean :
+        variant[experiment.metric].mean < best[experiment.metric].mean;
+      return better ? variant : best;
+    }, null);
+
+    const alpha = experiment.alpha / Math.max(1, variants.length - 1);
+    const comparisons = leader ? variants
+      .filter(variant => variant !== leader)
+      .map(variant => {
+        const test = welchTTest(leader.values, variant.values);
+        return {
+          variant: leader.name,
+          against: variant.name,
+          difference: test ? test.difference : null,
+          pValue: test ? test.pValue : null,
+          significant: Boolean(test && test.pValue < alpha)
+        };
+      }) : [];
+
+    let winner = null;
+    let reason = null;
+    if (variants.some(variant => variant.samples < experiment.minSamples)) {
+      reason = `insufficient samples (${experiment.minSamples} per variant required)`;
+    } else if (!comparisons.every(comparison => comparison.significant)) {
+      reason = `no significant difference at alpha ${experiment.alpha}`;
+    } else {
+      winner = leader.name;
+    }
+
+    return {
+      experimentId,
+      tool: experiment.tool,
+      type: experiment.type,
+      status: experiment.status,
+      metric: experiment.metric,
+      minSamples: experiment.minSamples,
+      alpha: experiment.alpha,
+      variants: variants.map(({ values, ...variant }) => variant),
+      comparisons,
+      winner,
+      winnerVersion: winner ? leader.version : null,
+      reason
+    };
+  }
+
+  /**
+   * Stop an experiment, activating the winning version when there is one
+   * @param {string} experimentId - Experiment identifier
+   * @param {Object} options - Options
+   * @param {boolean} options.promote - Activate the winner's version
+   * @returns {Object|null} Final report
+   */
+  stopExperiment(experimentId, { promote = true } = {}) {
+    const experiment = this.experiments.get(experimentId);
+    if (!experiment) return null;
+
+    const report = this.getExperimentReport(experimentId);
+    experiment.status = 'stopped';
+    experiment.stoppedAt = new Date().toISOString();
+
+    if (promote && report.winner) {
+      this.activateVersion(experiment.tool, experiment.type, report.winnerVersion,
+        `Won experiment ${experimentId} on ${experiment.metric}`);
+    }
+
+    logger.info(`Template experiment stopped: ${experimentId} (winner: ${report.winner || 'none'})`);
+    return { ...report, status: experiment.status };
   }
 
   /**
@@ -275,6 +683,7 @@ Please provide a complete, well-documented implementation.`,
    * @returns {string|null} Best template type or null if tool not found
    */
   getBestTemplateType(tool = 'boltDiy', task) {
+    tool = this._resolveTool(tool);
     if (!this.templates[tool]) {
       logger.warn(`Tool not found: ${tool}`);
       return null;
@@ -310,6 +719,393 @@ Please provide a complete, well-documented implementation.`,
     // Default to function template
     return 'function';
   }
+
+  /**
+   * Check a template's shape and syntax, warning about unknown placeholders
+   * @private
+   */
+  _validate(tool, type, template) {
+    const validation = validateTemplate(template);
+    if (!validation.valid) {
+      logger.warn(`Invalid template for ${tool}/${type}: ${JSON.stringify(validation.errors)}`);
+      return false;
+    }
+
+    let compiled;
+    try {
+      compiled = compile(template.template);
+    } catch (error) {
+      logger.warn(`Invalid template for ${tool}/${type}: ${error.message}`);
+      return false;
+    }
+
+    const unknown = compiled.getUnknown([...TASK_FIELDS, ...Object.keys(template.defaults)]);
+    if (unknown.length > 0) {
+      logger.warn(`Template ${tool}/${type} has placeholders without a task field or default: ${unknown.join(', ')}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Load every source and apply the result; reloads run one at a time
+   * @private
+   */
+  _reload(refresh) {
+    // A failed reload must not stop later ones
+    this.reloading = this.reloading.catch(() => undefined).then(async () => {
+      const file = await this._loadFileTemplates(refresh);
+      const supabase = await this._loadSupabaseTemplates(file);
+
+      // A source that failed to load keeps its last snapshot
+      if (file) this.snapshots.file = file;
+      if (supabase) this.snapshots.supabase = supabase;
+
+      this._applySources();
+      this._watch();
+    });
+
+    return this.reloading;
+  }
+
+  /**
+   * Read template packs from the knowledge manager, keyed by connector name
+   * Pack directories are kebab-case ('bolt-new'), connector names camelCase ('boltNew').
+   * @private
+   * @returns {Promise<Object|null>} Templates by tool and type, or null on failure
+   */
+  async _loadFileTemplates(refresh) {
+    if (!this.knowledgeManager) return {};
+
+    try {
+      const packs = refresh ?
+        await this.knowledgeManager.reloadTemplates() :
+        this.knowledgeManager.getAllTemplates();
+
+      const templates = {};
+      for (const [directory, types] of Object.entries(packs)) {
+        const tool = directory.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+        for (const [type, template] of Object.entries(types)) {
+          templates[tool] = templates[tool] || {};
+          templates[tool][type] = { ...template, origin: `${directory}/${type}.json` };
+        }
+      }
+      return templates;
+    } catch (error) {
+      logger.warn(`Failed to load template packs: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read the templates table for every known tool
+   * @private
+   * @returns {Promise<Object|null>} Templates by tool and type, or null on failure
+   */
+  async _loadSupabaseTemplates(fileTemplates) {
+    if (!this.supabase) return {};
+
+    const tools = new Set([
+      ...Object.keys(this.templates),
+      ...Object.keys(fileTemplates || this.snapshots.file || {}),
+      ...this.tools
+    ]);
+
+    try {
+      const templates = {};
+      for (const tool of tools) {
+        for (const row of await this.supabase.getTemplates(tool) || []) {
+          templates[tool] = templates[tool] || {};
+          templates[tool][row.type] = {
+            template: row.template,
+            defaults: row.defaults || {},
+            version: row.version,
+            changelog: row.changelog,
+            origin: `templates/${row.id}`
+          };
+        }
+      }
+      return templates;
+    } catch (error) {
+      logger.warn(`Failed to load templates from Supabase: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Activate the winning template of every tool/type a source provides or provided
+   * @private
+   */
+  _applySources() {
+    const keys = new Set(Object.keys(this.loaded));
+    for (const source of TEMPLATE_SOURCES.slice(1)) {
+      for (const [tool, types] of Object.entries(this.snapshots[source] || {})) {
+        for (const type of Object.keys(types)) {
+          keys.add(`${tool}/${type}`);
+        }
+      }
+    }
+
+    for (const key of keys) {
+      const [tool, type] = key.split('/');
+      const winner = this._selectSource(tool, type);
+      const signature = winner ? JSON.stringify([winner.source, winner.template, winner.defaults]) : null;
+
+      if (signature === (this.loaded[key]?.signature ?? null)) continue;
+
+      this._applySource(tool, type, winner);
+      if (winner) {
+        this.loaded[key] = { source: winner.source, origin: winner.origin, signature };
+      } else {
+        delete this.loaded[key];
+      }
+    }
+  }
+
+  /**
+   * Highest-precedence valid template for a tool/type
+   * @private
+   * @returns {Object|null} Template with its source, or null when only the built-in
+   *   template (if any) is left
+   */
+  _selectSource(tool, type) {
+    for (const source of [...TEMPLATE_SOURCES].reverse()) {
+      const template = this.snapshots[source]?.[tool]?.[type];
+      if (!template) continue;
+
+      // Unchanged templates are not validated again, so each reload does not repeat warnings
+      const signature = JSON.stringify([tool, type, template.template, template.defaults]);
+      if (!this.validated.has(signature)) {
+        const valid = this._validate(tool, type, template);
+        this.validated.set(signature, valid);
+        if (!valid) logger.warn(`Skipping ${source} template ${template.origin}`);
+      }
+
+      if (this.validated.get(signature)) {
+        return { ...template, source };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Make a loaded template active, falling back to the built-in one when it is gone
+   * @private
+   */
+  _applySource(tool, type, winner) {
+    const key = `${tool}/${type}`;
+    const versions = this.versions[key] || [];
+
+    if (!winner) {
+      const builtin = versions.find(entry => entry.source === 'builtin');
+      const message = `${this.loaded[key].source} template ${this.loaded[key].origin} removed`;
+
+      if (builtin) {
+        this.activateVersion(tool, type, builtin.version, message);
+      } else if (this.templates[tool]?.[type]) {
+        this._log(key, this.templates[tool][type].version, 'removed', message);
+        delete this.templates[tool][type];
+        if (Object.keys(this.templates[tool]).length === 0) delete this.templates[tool];
+        logger.info(`Template removed: ${key}`);
+      }
+      return;
+    }
+
+    const defaults = JSON.stringify(winner.defaults);
+    const existing = versions.find(entry =>
+      entry.template === winner.template && JSON.stringify(entry.defaults) === defaults);
+
+    if (existing) {
+      if (this.templates[tool]?.[type]?.version !== existing.version) {
+        this.activateVersion(tool, type, existing.version, `Loaded from ${winner.source} (${winner.origin})`);
+      }
+      return;
+    }
+
+    const entry = this._addVersion(tool, type, winner, {
+      version: versions.some(version => version.version === winner.version) ? undefined : winner.version,
+      changelog: winner.changelog || `Loaded from ${winner.source} (${winner.origin})`,
+      activate: true,
+      source: winner.source
+    });
+
+    if (entry) {
+      logger.info(`Template loaded: ${key}@${entry.version} from ${winner.source}`);
+    }
+  }
+
+  /**
+   * Watch the pack directory and each tool directory in it
+   * Packs are two levels deep, so each directory gets its own watcher rather than one
+   * recursive watcher, which on Linux would keep the process running.
+   * @private
+   */
+  _watch() {
+    if (!this.watching) return;
+
+    const root = this.knowledgeManager.config.templatesDir;
+    const directories = [
+      root,
+      ...Object.keys(this.knowledgeManager.getAllTemplates()).map(directory => path.join(root, directory))
+    ];
+
+    for (const [directory, watcher] of this.watchers) {
+      if (!directories.includes(directory)) {
+        watcher.close();
+        this.watchers.delete(directory);
+      }
+    }
+
+    for (const directory of directories) {
+      if (this.watchers.has(directory)) continue;
+
+      try {
+        const watcher = fs.watch(directory, () => this._scheduleReload());
+        watcher.on('error', error => {
+          logger.warn(`Stopped watching ${directory}: ${error.message}`);
+          watcher.close();
+          this.watchers.delete(directory);
+        });
+        // Watching alone should not keep the process running
+        watcher.unref();
+        this.watchers.set(directory, watcher);
+      } catch (error) {
+        logger.warn(`Template hot reload unavailable for ${directory}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Reload once a burst of file changes has settled
+   * @private
+   */
+  _scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      this.reloadTemplates().catch(error => logger.error(`Template reload failed: ${error.message}`));
+    }, this.config.reloadDelay);
+    this.reloadTimer.unref();
+  }
+
+  /**
+   * Store a new version, activating it if asked or if it is the first
+   * @private
+   */
+  _addVersion(tool, type, template, { version, changelog, activate, source }) {
+    const key = `${tool}/${type}`;
+    const versions = this.versions[key] || [];
+    const latest = versions[versions.length - 1];
+    const newVersion = version || (latest ? this._nextVersion(latest.version) : '1.0.0');
+
+    if (!VERSION_PATTERN.test(newVersion) || versions.some(entry => entry.version === newVersion)) {
+      logger.warn(`Invalid or existing template version for ${key}: ${newVersion}`);
+      return null;
+    }
+
+    const knownNames = [...TASK_FIELDS, ...Object.keys(template.defaults || {})];
+    const entry = {
+      version: newVersion,
+      template: template.template,
+      defaults: template.defaults,
+      unknownPlaceholders: compile(template.template).getUnknown(knownNames),
+      source,
+      changelog: changelog || '',
+      createdAt: new Date().toISOString()
+    };
+    this.versions[key] = [...versions, entry];
+    this._log(key, newVersion, 'added', entry.changelog);
+
+    if (activate || !this.templates[tool]?.[type]?.version) {
+      this._activate(tool, type, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Make a version the active template
+   * @private
+   */
+  _activate(tool, type, entry) {
+    if (!this.templates[tool]) {
+      this.templates[tool] = {};
+    }
+
+    this.templates[tool][type] = {
+      template: entry.template,
+      defaults: entry.defaults,
+      version: entry.version
+    };
+  }
+
+  /**
+   * Find a stored version of a template
+   * @private
+   */
+  _findVersion(tool, type, version) {
+    return (this.versions[`${tool}/${type}`] || []).find(entry => entry.version === version) || null;
+  }
+
+  /**
+   * Next minor version after a semantic version
+   * @private
+   */
+  _nextVersion(version) {
+    const [, major, minor] = version.match(VERSION_PATTERN);
+    return `${major}.${Number(minor) + 1}.0`;
+  }
+
+  /**
+   * Append a changelog entry
+   * @private
+   */
+  _log(key, version, action, message) {
+    if (!this.changelogs[key]) {
+      this.changelogs[key] = [];
+    }
+    this.changelogs[key].push({ version, action, message, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Running experiment on a tool/type, if any
+   * @private
+   */
+  _runningExperiment(tool, type) {
+    return this.getExperiments().find(experiment =>
+      experiment.status === 'running' && experiment.tool === tool && experiment.type === type) || null;
+  }
+
+  /**
+   * Hash a string to a number in [0, 1) (FNV-1a)
+   * @private
+   */
+  _hash(value) {
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < value.length; index++) {
+      hash ^= value.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Resolve the tool whose templates should be used
+   * @private
+   * @param {string} tool - The tool name
+   * @param {string} type - The template type; a tool whose pack lacks it also falls back
+   * @returns {string} The tool itself, or the fallback tool if it has no templates
+   */
+  _resolveTool(tool, type) {
+    const hasTemplate = type ? this.templates[tool]?.[type] : this.templates[tool];
+    if (hasTemplate || !this.templates[this.fallbackTool]) {
+      return tool;
+    }
+
+    logger.debug(`No ${type ? `${type} ` : ''}templates for ${tool}, using ${this.fallbackTool} templates`);
+    return this.fallbackTool;
+  }
 }
 
 module.exports = TemplateManager;
\ No newline at end of file
@@ -2,8 +2,41 @@
  * AI-AutoCoding-DAO Token Tracker
  * Tracks token usage and calculates efficiency metrics across different tools
  */
+const logger = require('../utils/logger');
+const { PriceTable } = require('../utils/usage');
+const { COLLECTIONS, sortRecords } = require('../data/storage-adapter');
+
+// Methods whose calls are persisted and replayed on startup
+const RECORDED_METHODS = [
+  'startTask',
+  'recordDirectCost',
+  'recordTemplate',
+  'recordDelegatedCost',
+  'recordToolQuality',
+  'recordRepairRound',
+  'recordPromptOptimization',
+  'completeTask'
+];
+
 class TokenTracker {
-  constructor() {
+  /**
+   * Create a token tracker
+   * @param {Object} config - Configuration options
+   * @param {PriceTable} config.priceTable - Price table used to compute spend
+   * @param {Object} config.prices - Per-model prices merged over the defaults, when no
+   *   priceTable is given
+   * @param {StorageAdapter} config.storage - Storage that records are appended to and
+   *   rehydrated from by initialize(); state is kept in memory only when omitted
+   */
+  constructor(config = {}) {
+    this.priceTable = config.priceTable || new PriceTable(config.prices);
+    this.storage = config.storage || null;
+    this.initialized = false;
+    this.sequence = 0;
+    // Set while stored records are replayed, so replayed calls are not stored again
+    this.replaying = false;
+    // Timestamp of the record being replayed, used instead of the clock
+    this.replayTime = null;
     this.tasks = new Map();
     this.directCosts = new Map();
     this.delegatedCosts = new Map();
@@ -12,26 +45,72 @@ class TokenTracker {
     this.startTime = Date.now();
   }
 
+  /**
+   * Rehydrate tasks, history and tool performance from storage
+   * Stored records are replayed in order, so the rebuilt state matches the state when
+   * they were written.
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized || !this.storage) return;
+
+    const filter = { source: 'tokenTracker' };
+    const [usage, quality] = await Promise.all([
+      this.storage.load(COLLECTIONS.TOKEN_USAGE, filter),
+      this.storage.load(COLLECTIONS.QUALITY_METRICS, filter)
+    ]);
+    const records = sortRecords([...usage, ...quality])
+      .filter(record => RECORDED_METHODS.includes(record.type));
+
+    this.replaying = true;
+    try {
+      records.forEach(record => {
+        this.replayTime = record.timestamp ?? null;
+        this[record.type](...record.args);
+      });
+    } finally {
+      this.replaying = false;
+      this.replayTime = null;
+    }
+
+    this.initialized = true;
+    logger.info(`Token tracker rehydrated ${this.tasks.size} tasks from ${records.length} records`);
+  }
+
   /**
    * Track a new task
    * @param {string} taskId - Unique identifier for the task
    * @param {string} description - Task description
    * @param {string} complexity - Task complexity (low, medium, high)
+   * @param {string} type - Task type (component, function, system)
+   * @param {Object} owner - Who the task's consumption counts against
+   * @param {string} owner.userId - User identifier
+   * @param {string} owner.projectId - Project identifier
    * @returns {string} Task ID
    */
-  startTask(taskId, description, complexity = 'medium') {
+  startTask(taskId, description, complexity = 'medium', type = null, { userId = null, projectId = null } = {}) {
+    const now = this._now();
     this.tasks.set(taskId, {
       description,
       complexity,
-      startTime: Date.now(),
+      type,
+      userId,
+      projectId,
+      startTime: now,
       direct: 0,
+      directMethod: null,
+      directCost: null,
       delegated: {
         analysis: 0,
         delegation: 0,
         review: 0,
-        total: 0
+        total: 0,
+        cost: 0
       },
       tools: {},
+      templates: {},
+      repairs: [],
+      prompts: [],
       completed: false,
       metrics: {
         timeToComplete: 0,
@@ -40,6 +119,11 @@ class TokenTracker {
       }
     });
     
+    this._persist(COLLECTIONS.TOKEN_USAGE, 'startTask', [taskId, description, complexity, type, { userId, projectId }], {
+      taskId,
+      timestamp: now
+    });
+    
     return taskId;
   }
 
@@ -48,13 +132,53 @@ class TokenTracker {
    * @param {string} taskId - Task identifier
    * @param {number} tokens - Token count
    * @param {number} timeSpent - Time spent in minutes
+   * @param {Object} baseline - How the direct cost was established
+   * @param {string} baseline.method - 'measured' when a plain prompt was actually run,
+   *   'model' when it was estimated; only measured baselines calibrate the model and
+   *   count toward consumption
+   * @param {Object} baseline.usage - Normalized usage of a measured run
+   * @param {string} baseline.model - Model that answered a measured run
    */
-  recordDirectCost(taskId, tokens, timeSpent) {
+  recordDirectCost(taskId, tokens, timeSpent, { method = 'measured', usage = null, model = null } = {}) {
     const task = this.tasks.get(taskId);
     if (task) {
       task.direct = tokens;
+      task.directMethod = method;
+      task.directCost = method === 'measured' ? this.priceTable.cost(usage, model) : null;
       task.metrics.directTimeSpent = timeSpent;
       this.directCosts.set(taskId, tokens);
+      
+      this._persist(COLLECTIONS.TOKEN_USAGE, 'recordDirectCost', [taskId, tokens, timeSpent, { method, usage, model }], {
+        taskId,
+        model,
+        usage: usage || { total: tokens, estimated: method === 'model' },
+        cost: task.directCost,
+        timeSpent
+      });
+    }
+  }
+
+  /**
+   * Record the template version a tool was given for a task
+   * Lets template experiments attribute each tool's tokens and quality to a variant.
+   * @param {string} taskId - Task identifier
+   * @param {string} toolName - AI tool name
+   * @param {Object} template - Assignment from TemplateManager.assignVariant
+   * @param {string} template.tool - Tool whose template set was used
+   * @param {string} template.type - Template type
+   * @param {string} template.version - Template version
+   * @param {string} template.experimentId - Experiment the task is part of, if any
+   * @param {string} template.variant - Experiment variant, if any
+   */
+  recordTemplate(taskId, toolName, { tool, type, version, experimentId = null, variant = null }) {
+    const task = this.tasks.get(taskId);
+    if (task) {
+      task.templates[toolName] = { tool, type, version, experimentId, variant };
+      
+      this._persist(COLLECTIONS.QUALITY_METRICS, 'recordTemplate', [taskId, toolName, task.templates[toolName]], {
+        taskId,
+        toolName
+      });
     }
   }
 
@@ -64,22 +188,34 @@ class TokenTracker {
    * @param {string} toolName - AI tool name
    * @param {Object} costs - Cost breakdown
    * @param {number} costs.analysis - Tokens for analysis
-   * @param {number} costs.delegation - Tokens for delegation
-   * @param {number} costs.review - Tokens for review
+   * @param {number} costs.delegation - Input tokens sent to the tool
+   * @param {number} costs.review - Output tokens returned by the tool
+   * @param {number} costs.cacheRead - Input tokens read from the prompt cache
+   * @param {number} costs.cacheWrite - Input tokens written to the prompt cache
    * @param {number} costs.timeSpent - Total time spent
+   * @param {boolean} costs.estimated - Whether the tool's token counts came from the local
+   *   tokenizer rather than usage reported by its API
+   * @param {string} costs.model - Model that served the request, used to price it
    */
-  recordDelegatedCost(taskId, toolName, {analysis, delegation, review, timeSpent}) {
+  recordDelegatedCost(taskId, toolName, {analysis, delegation, review, cacheRead = 0, cacheWrite = 0, timeSpent, estimated = false, model = null}) {
     const task = this.tasks.get(taskId);
     if (task) {
-      const total = analysis + delegation + review;
+      const total = analysis + delegation + review + cacheRead + cacheWrite;
+      // Analysis happens in the orchestrator, so only the tool's own usage is billed
+      const cost = this.priceTable.cost({ input: delegation, output: review, cacheRead, cacheWrite }, model);
       
       // Record per-tool metrics
       task.tools[toolName] = {
         analysis,
         delegation,
         review,
+        cacheRead,
+        cacheWrite,
         total,
-        timeSpent
+        cost,
+        model,
+        timeSpent,
+        estimated
       };
       
       // Update overall delegation costs
@@ -89,17 +225,147 @@ class TokenTracker {
           analysis,
           delegation,
           review,
+          cacheRead,
+          cacheWrite,
           total,
+          cost,
+          model,
           toolName,
-          timeSpent
+          timeSpent,
+          estimated
         };
       }
       
       this.delegatedCosts.set(taskId, task.delegated.total);
       
       // Update tool performance metrics
-      this._updateToolPerformance(toolName, task.complexity, total, timeSpent);
+      this._updateToolPerformance(toolName, task.complexity, total, timeSpent, cost);
+      
+      this._persist(COLLECTIONS.TOKEN_USAGE, 'recordDelegatedCost', [taskId, toolName, {
+        analysis, delegation, review, cacheRead, cacheWrite, timeSpent, estimated, model
+      }], {
+        taskId,
+        toolName,
+        model,
+        usage: { input: delegation, output: review, cacheRead, cacheWrite, total, estimated },
+        cost,
+        timeSpent
+      });
+    }
+  }
+  
+  /**
+   * Record the quality score of one tool's implementation
+   * Used when a task is implemented by several tools, so each tool is credited with its own quality.
+   * @param {string} taskId - Task identifier
+   * @param {string} toolName - AI tool name
+   * @param {number} qualityScore - Quality score (0-10)
+   */
+  recordToolQuality(taskId, toolName, qualityScore) {
+    const task = this.tasks.get(taskId);
+    if (task && task.tools[toolName]) {
+      task.tools[toolName].qualityScore = qualityScore;
+      
+      this._persist(COLLECTIONS.QUALITY_METRICS, 'recordToolQuality', [taskId, toolName, qualityScore], {
+        taskId,
+        toolName,
+        qualityScore
+      });
+    }
+  }
+  
+  /**
+   * Record the cost of one repair round
+   * Repair tokens are added to the tool's cost, and to the delegated cost when that tool
+   * delivered the task, so efficiency comparisons include the price of fixing the result.
+   * @param {string} taskId - Task identifier
+   * @param {string} toolName - AI tool name
+   * @param {Object} round - Round details
+   * @param {number} round.round - Round number, starting at 1
+   * @param {number} round.input - Input tokens
+   * @param {number} round.output - Output tokens
+   * @param {number} round.cacheRead - Input tokens read from the prompt cache
+   * @param {number} round.cacheWrite - Input tokens written to the prompt cache
+   * @param {number} round.qualityScore - Quality score after the round
+   * @param {number} round.timeSpent - Time spent in minutes
+   * @param {boolean} round.estimated - Whether the token counts are local estimates
+   * @param {string} round.model - Model that served the round
+   */
+  recordRepairRound(taskId, toolName, { round, input = 0, output = 0, cacheRead = 0, cacheWrite = 0, qualityScore, timeSpent = 0, estimated = false, model = null }) {
+    const task = this.tasks.get(taskId);
+    if (!task) return;
+    
+    const tokens = input + output + cacheRead + cacheWrite;
+    const cost = this.priceTable.cost({ input, output, cacheRead, cacheWrite }, model);
+    task.repairs.push({ round, toolName, input, output, cacheRead, cacheWrite, tokens, cost, qualityScore, timeSpent, estimated });
+    
+    const tool = task.tools[toolName];
+    if (tool) {
+      tool.repair = (tool.repair || 0) + tokens;
+      tool.total += tokens;
+      tool.cost = this._addCost(tool.cost, cost);
+      tool.timeSpent = (tool.timeSpent || 0) + timeSpent;
+      tool.estimated = tool.estimated || estimated;
+    }
+    
+    if (task.delegated.toolName === toolName) {
+      task.delegated.repair = (task.delegated.repair || 0) + tokens;
+      task.delegated.total += tokens;
+      task.delegated.cost = this._addCost(task.delegated.cost, cost);
+      task.delegated.timeSpent = (task.delegated.timeSpent || 0) + timeSpent;
+      task.delegated.estimated = task.delegated.estimated || estimated;
+      this.delegatedCosts.set(taskId, task.delegated.total);
+    }
+    
+    // Repair tokens count toward the tool's totals without counting as another task
+    const performance = this.toolPerformance.get(toolName);
+    if (performance) {
+      performance.totalTokens += tokens;
+      performance.averageTokens = performance.totalTokens / performance.taskCount;
+      performance.totalCost += cost || 0;
+      performance.averageCost = performance.totalCost / performance.taskCount;
+      if (performance.complexityBreakdown[task.complexity]) {
+        performance.complexityBreakdown[task.complexity].tokens += tokens;
+      }
     }
+    
+    this._persist(COLLECTIONS.TOKEN_USAGE, 'recordRepairRound', [taskId, toolName, {
+      round, input, output, cacheRead, cacheWrite, qualityScore, timeSpent, estimated, model
+    }], {
+      taskId,
+      toolName,
+      model,
+      usage: { input, output, cacheRead, cacheWrite, total: tokens, estimated },
+      cost,
+      timeSpent,
+      qualityScore
+    });
+  }
+  
+  /**
+   * Record how much the prompt optimizer shortened a prompt
+   * Only the tokens actually sent are billed; this keeps the saving visible.
+   * @param {string} taskId - Task identifier
+   * @param {string} toolName - Tool the prompt was for, or null
+   * @param {Object} optimization - PromptOptimizer result
+   * @param {number} optimization.before - Prompt tokens before optimization
+   * @param {number} optimization.after - Prompt tokens after optimization
+   * @param {number} optimization.budget - Token budget the prompt was fitted to
+   * @param {Object} optimization.removed - Fields, sections, repeats and guidance items
+   *   removed
+   */
+  recordPromptOptimization(taskId, toolName, { before, after, budget = null, removed = {} }) {
+    const task = this.tasks.get(taskId);
+    if (!task) return;
+    
+    task.prompts.push({ toolName, before, after, saved: before - after, budget, removed });
+    
+    this._persist(COLLECTIONS.TOKEN_USAGE, 'recordPromptOptimization', [taskId, toolName, {
+      before, after, budget, removed
+    }], {
+      taskId,
+      toolName
+    });
   }
   
   /**
@@ -110,8 +376,9 @@ class TokenTracker {
   completeTask(taskId, qualityScore) {
     const task = this.tasks.get(taskId);
     if (task) {
+      const now = this._now();
       task.completed = true;
-      task.metrics.timeToComplete = Date.now() - task.startTime;
+      task.metrics.timeToComplete = now - task.startTime;
       task.metrics.qualityScore = qualityScore;
       
       if (task.direct > 0 && task.delegated.total > 0) {
@@ -123,16 +390,163 @@ class TokenTracker {
         taskId,
         description: task.description,
         complexity: task.complexity,
+        type: task.type,
         directTokens: task.direct,
+        directMethod: task.directMethod,
         delegatedTokens: task.delegated.total,
+        delegatedCost: task.delegated.cost,
+        delegatedEstimated: Boolean(task.delegated.estimated),
         bestTool: task.delegated.toolName,
+        tools: Object.fromEntries(Object.entries(task.tools).map(([tool, costs]) => [tool, {
+          tokens: costs.total,
+          cost: costs.cost,
+          estimated: Boolean(costs.estimated),
+          qualityScore: costs.qualityScore,
+          template: task.templates[tool] || null
+        }])),
+        repairRounds: task.repairs.length,
+        repairTokens: task.repairs.reduce((sum, repair) => sum + repair.tokens, 0),
+        repairCost: task.repairs.reduce((sum, repair) => sum + (repair.cost || 0), 0),
+        promptTokensSaved: task.prompts.reduce((sum, prompt) => sum + prompt.saved, 0),
         efficiencyRatio: task.metrics.efficiencyRatio,
         qualityScore,
-        timestamp: Date.now()
+        timestamp: now
+      });
+      
+      this._persist(COLLECTIONS.QUALITY_METRICS, 'completeTask', [taskId, qualityScore], {
+        taskId,
+        toolName: task.delegated.toolName,
+        qualityScore,
+        timestamp: now
       });
     }
   }
 
+  /**
+   * Get the tokens and spend consumed by a task, user or project
+   * Counts every tool that worked on a task, including comparison runs and repair
+   * rounds, not only the cheapest delegated cost, plus measured baselines. Tasks belong to the window in which
+   * they started; windows are calendar days and months in UTC.
+   * @param {Object} filter - Consumption filter
+   * @param {string} filter.taskId - Task identifier
+   * @param {string} filter.userId - User identifier
+   * @param {string} filter.projectId - Project identifier
+   * @param {string} filter.window - 'daily', 'monthly' or 'all'
+   * @param {number} filter.now - Current time in ms
+   * @returns {Object} Tokens, cost, number of tasks and window start
+   */
+  getConsumption({ taskId, userId, projectId, window = 'all', now = Date.now() } = {}) {
+    const since = this._windowStart(window, now);
+    const consumption = { tokens: 0, cost: 0, tasks: 0, window, since: new Date(since).toISOString() };
+    
+    this.tasks.forEach((task, id) => {
+      if ((taskId && id !== taskId) ||
+          (userId && task.userId !== userId) ||
+          (projectId && task.projectId !== projectId) ||
+          task.startTime < since) {
+        return;
+      }
+      
+      consumption.tasks++;
+      Object.values(task.tools).forEach(tool => {
+        consumption.tokens += tool.total;
+        consumption.cost += tool.cost || 0;
+      });
+      
+      // A measured baseline was a real call, so it is paid for like any tool
+      if (task.directMethod === 'measured') {
+        consumption.tokens += task.direct;
+        consumption.cost += task.directCost || 0;
+      }
+    });
+    
+    consumption.cost = Math.round(consumption.cost * 1e6) / 1e6;
+    return consumption;
+  }
+  
+  /**
+   * Get completed tasks whose direct cost was measured, for calibrating baselines
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.type - Task type
+   * @param {string} filters.complexity - Task complexity
+   * @returns {Object[]} Pairs with taskId, type, complexity, direct and delegated tokens
+   */
+  getBaselinePairs({ type, complexity } = {}) {
+    return this.historicalData
+      .filter(item => item.directMethod === 'measured' &&
+        item.directTokens > 0 &&
+        item.delegatedTokens > 0 &&
+        (!type || item.type === type) &&
+        (!complexity || item.complexity === complexity))
+      .map(item => ({
+        taskId: item.taskId,
+        type: item.type,
+        complexity: item.complexity,
+        direct: item.directTokens,
+        delegated: item.delegatedTokens
+      }));
+  }
+  
+  /**
+   * Get per-tool outcomes of completed tasks
+   * Tools with their own quality score (comparison runs) each yield an outcome;
+   * otherwise the task's quality is credited to the tool that delivered it.
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.tool - Tool name
+   * @param {string} filters.type - Task type
+   * @param {string} filters.complexity - Task complexity
+   * @returns {Object[]} Outcomes with tool, type, complexity, tokens, qualityScore and
+   *   the template the tool was given
+   */
+  getToolOutcomes({ tool, type, complexity } = {}) {
+    const outcomes = [];
+    
+    for (const item of this.historicalData) {
+      if ((type && item.type !== type) || (complexity && item.complexity !== complexity)) {
+        continue;
+      }
+      
+      const scored = Object.entries(item.tools || {})
+        .filter(([, result]) => result.qualityScore !== undefined);
+      const results = scored.length > 0 ?
+        scored.map(([name, result]) => ({
+          tool: name,
+          tokens: result.tokens,
+          qualityScore: result.qualityScore,
+          template: result.template || null
+        })) :
+        [{
+          tool: item.bestTool,
+          tokens: item.delegatedTokens,
+          qualityScore: item.qualityScore,
+          template: item.tools?.[item.bestTool]?.template || null
+        }];
+      
+      for (const result of results) {
+        if (!result.tool || !(result.tokens > 0) || (tool && result.tool !== tool)) continue;
+        
+        outcomes.push({
+          taskId: item.taskId,
+          type: item.type,
+          complexity: item.complexity,
+          timestamp: item.timestamp,
+          ...result
+        });
+      }
+    }
+    
+    return outcomes;
+  }
+
+  /**
+   * Get per-tool outcomes of completed tasks that were part of a template experiment
+   * @param {string} experimentId - Experiment identifier
+   * @returns {Object[]} Outcomes (see getToolOutcomes) whose template names the variant
+   */
+  getTemplateOutcomes(experimentId) {
+    return this.getToolOutcomes().filter(outcome => outcome.template?.experimentId === experimentId);
+  }
+
   /**
    * Compare efficiency between direct and delegated approaches
    * @param {string} taskId - Task identifier
@@ -161,11 +575,23 @@ class TokenTracker {
       description: task.description,
       complexity: task.complexity,
       directCost: task.direct,
+      directMethod: task.directMethod,
       delegatedCost: task.delegated,
       tokenSavings: savings,
       efficiencyGain: efficiency.toFixed(2) + '%',
       normalizedEfficiency: normalizedEfficiency.toFixed(2) + '%',
       bestTool: task.delegated.toolName,
+      spend: task.delegated.cost,
+      repair: {
+        rounds: task.repairs.length,
+        tokens: task.repairs.reduce((sum, repair) => sum + repair.tokens, 0),
+        cost: task.repairs.reduce((sum, repair) => sum + (repair.cost || 0), 0)
+      },
+      prompt: {
+        before: task.prompts.reduce((sum, prompt) => sum + prompt.before, 0),
+        after: task.prompts.reduce((sum, prompt) => sum + prompt.after, 0),
+        saved: task.prompts.reduce((sum, prompt) => sum + prompt.saved, 0)
+      },
       qualityScore: task.metrics.qualityScore,
       timeToComplete: task.metrics.timeToComplete
     };
@@ -178,6 +604,7 @@ class TokenTracker {
   getStats() {
     let totalDirect = 0;
     let totalDelegated = 0;
+    let totalSpend = 0;
     let totalTasks = 0;
     let totalCompletedTasks = 0;
     
@@ -192,7 +619,9 @@ class TokenTracker {
       totalTasks: this.tasks.size,
       completedTasks: 0,
       tokenSavings: 0,
+      totalSpend: 0,
       averageEfficiency: 0,
+      baselines: { measured: 0, model: 0 },
       taskBreakdown: [],
       toolPerformance: [],
       complexityAnalysis: {},
@@ -205,11 +634,17 @@ class TokenTracker {
       
       if (task.completed) {
         totalCompletedTasks++;
-        totalDirect += task.direct;
-        totalDelegated += task.delegated.total;
+        totalSpend += task.delegated.cost || 0;
+        
+        // Efficiency only compares tasks that have a baseline
+        if (task.direct > 0) {
+          totalDirect += task.direct;
+          totalDelegated += task.delegated.total;
+          stats.baselines[task.directMethod === 'model' ? 'model' : 'measured']++;
+        }
         
         // Add to complexity breakdown
-        if (complexityBreakdown[task.complexity]) {
+        if (task.direct > 0 && complexityBreakdown[task.complexity]) {
           complexityBreakdown[task.complexity].direct += task.direct;
           complexityBreakdown[task.complexity].delegated += task.delegated.total;
           complexityBreakdown[task.complexity].count++;
@@ -238,6 +673,7 @@ class TokenTracker {
 
     stats.completedTasks = totalCompletedTasks;
     stats.tokenSavings = totalDirect - totalDelegated;
+    stats.totalSpend = Math.round(totalSpend * 1e6) / 1e6;
     
     if (totalDirect > 0) {
       stats.averageEfficiency = ((totalDirect - totalDelegated) / totalDirect * 100).toFixed(2) + '%';
@@ -291,12 +727,14 @@ class TokenTracker {
    * Update tool performance metrics
    * @private
    */
-  _updateToolPerformance(toolName, complexity, tokens, timeSpent) {
+  _updateToolPerformance(toolName, complexity, tokens, timeSpent, cost) {
     if (!this.toolPerformance.has(toolName)) {
       this.toolPerformance.set(toolName, {
         taskCount: 0,
         totalTokens: 0,
         averageTokens: 0,
+        totalCost: 0,
+        averageCost: 0,
         totalTime: 0,
         averageTime: 0,
         complexityBreakdown: {
@@ -311,6 +749,8 @@ class TokenTracker {
     performance.taskCount++;
     performance.totalTokens += tokens;
     performance.averageTokens = performance.totalTokens / performance.taskCount;
+    performance.totalCost += cost || 0;
+    performance.averageCost = performance.totalCost / performance.taskCount;
     
     if (timeSpent) {
       performance.totalTime += timeSpent;
@@ -324,6 +764,57 @@ class TokenTracker {
     }
   }
   
+  /**
+   * Append a record of a method call to storage, unless it is being replayed.
+   * Methods that read the clock pass the time they used as details.timestamp,
+   * so replaying the record sees the same time.
+   * @private
+   */
+  _persist(collection, type, args, details) {
+    if (!this.storage || this.replaying) return;
+    
+    this.storage.append(collection, {
+      source: 'tokenTracker',
+      type,
+      args,
+      timestamp: Date.now(),
+      ...details,
+      sequence: this.sequence++
+    });
+  }
+  
+  /**
+   * Current time, or the time of the record being replayed
+   * @private
+   */
+  _now() {
+    return this.replayTime !== null ? this.replayTime : Date.now();
+  }
+  
+  /**
+   * Start of a consumption window in ms
+   * @private
+   */
+  _windowStart(window, now) {
+    const date = new Date(now);
+    switch (window) {
+      case 'daily':
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+      case 'monthly':
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+      default:
+        return 0;
+    }
+  }
+  
+  /**
+   * Add two costs, keeping null when neither was priced
+   * @private
+   */
+  _addCost(a, b) {
+    return a === null && b === null ? null : Math.round(((a || 0) + (b || 0)) * 1e6) / 1e6;
+  }
+  
   /**
    * Analyze historical trends
    * @private
@@ -0,0 +1,490 @@
+/**
+ * AI-AutoCoding-DAO API Server
+ * Local REST server implementing the /api/v1 routes used by AiacdCoreClient
+ */
+const http = require('http');
+const logger = require('../utils/logger');
+const JobQueue = require('../orchestration/job-queue');
+const { isObject, isNonEmptyString, validateTask } = require('../utils/validation');
+const { normalizeUsage } = require('../utils/usage');
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+/**
+ * HTTP error carrying a status code and machine-readable error code
+ */
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class ApiServer {
+  /**
+   * Create a new API server
+   * @param {Object} aiacd - AIAutoCodingDAO instance
+   * @param {Object} config - Configuration options
+   */
+  constructor(aiacd, config = {}) {
+    this.aiacd = aiacd;
+
+    this.config = {
+      port: Number(config.port || process.env.AIACD_API_PORT || 3000),
+      host: config.host || process.env.AIACD_API_HOST || '127.0.0.1',
+      apiKey: config.apiKey || process.env.AIACD_API_KEY || '',
+      defaultTool: config.defaultTool || 'claudeSonnet',
+      heartbeatInterval: config.heartbeatInterval || 15000,
+      maxBodySize: config.maxBodySize || 1024 * 1024,
+      ...config
+    };
+
+    // Submitted tasks are processed asynchronously by the job queue
+    this.queue = this.config.queue || new JobQueue(aiacd, this.config.queueConfig);
+
+    this.routes = [
+      ['POST', /^\/api\/v1\/tasks$/, this._submitTask],
+      ['GET', /^\/api\/v1\/tasks\/([^/]+)\/status$/, this._getTaskStatus],
+      ['GET', /^\/api\/v1\/tasks\/([^/]+)\/implementation$/, this._getTaskImplementation],
+      ['GET', /^\/api\/v1\/tasks\/([^/]+)\/stream$/, this._streamTask],
+      ['GET', /^\/api\/v1\/templates$/, this._listTemplates],
+      ['POST', /^\/api\/v1\/templates$/, this._createTemplate],
+      ['POST', /^\/api\/v1\/templates\/select$/, this._selectTemplate],
+      ['GET', /^\/api\/v1\/templates\/([^/]+)$/, this._getTemplate],
+      ['GET', /^\/api\/v1\/metrics\/efficiency$/, this._getEfficiencyMetrics],
+      ['GET', /^\/api\/v1\/metrics\/timeseries$/, this._getTimeseriesMetrics],
+      ['GET', /^\/api\/v1\/metrics\/trend$/, this._getEfficiencyTrend]
+    ];
+
+    this.server = http.createServer((req, res) => this._handleRequest(req, res));
+  }
+
+  /**
+   * Start listening for requests
+   * @returns {Promise<Object>} Bound address
+   */
+  async start() {
+    // Rehydrate tracking state before queued jobs resume and stats are served
+    await this.aiacd.initialize();
+    await this.queue.initialize();
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.removeListener('error', reject);
+        const address = this.server.address();
+        logger.info(`API server listening on http://${address.address}:${address.port}`);
+        resolve(address);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.aiacd.templateManager.stopWatching();
+
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Route an incoming request
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async _handleRequest(req, res) {
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        res.end();
+        return;
+      }
+
+      this._authenticate(req);
+
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+      for (const [method, pattern, handler] of this.routes) {
+        const match = url.pathname.match(pattern);
+        if (match && req.method === method) {
+          const body = method === 'GET' ? {} : await this._readBody(req);
+          const params = match.slice(1).map(decodeURIComponent);
+          const result = await handler.call(this, { params, query: url.searchParams, body, req, res });
+
+          // Streaming handlers write the response themselves
+          if (result) {
+            this._sendJson(res, result.status || 200, result.data);
+          }
+          return;
+        }
+      }
+
+      throw new ApiError(404, 'not_found', `Route not found: ${req.method} ${url.pathname}`);
+    } catch (error) {
+      const status = error.status || 500;
+
+      if (status >= 500) {
+        logger.error(`API request failed: ${error.message}`);
+      }
+
+      this._sendJson(res, status, {
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code || 'server_error',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Check the bearer token when an API key is configured
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   */
+  _authenticate(req) {
+    if (!this.config.apiKey) return;
+
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.replace('Bearer ', '') !== this.config.apiKey) {
+      throw new ApiError(401, 'unauthorized', 'Missing or invalid API key');
+    }
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.config.maxBodySize) {
+          reject(new ApiError(413, 'payload_too_large', 'Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        if (chunks.length === 0) {
+          resolve({});
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (e) {
+          reject(new ApiError(400, 'invalid_json', 'Request body must be valid JSON'));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Write a JSON response
+   * @private
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {*} data - Response payload
+   */
+  _sendJson(res, status, data) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      ...corsHeaders
+    });
+    res.end(JSON.stringify(data === undefined ? null : data));
+  }
+
+  /**
+   * Get a queued job or throw a 404
+   * @private
+   * @param {string} taskId - Task identifier
+   * @returns {Object} Job
+   */
+  _findJob(taskId) {
+    const job = this.queue.getJob(taskId);
+    if (!job) {
+      throw new ApiError(404, 'task_not_found', `Task not found: ${taskId}`);
+    }
+    return job;
+  }
+
+  /**
+   * Convert a client task payload into an internal task
+   * @private
+   * @param {Object} body - Request body
+   * @returns {Object} Task
+   */
+  _toTask(body) {
+    const context = isObject(body.context) ? body.context : {};
+
+    return {
+      ...context,
+      id: body.taskId || `task_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      description: body.prompt || body.description,
+      type: body.type,
+      complexity: body.complexity,
+      features: body.features || context.features || [],
+      userId: body.userId || context.userId,
+      projectId: body.projectId || context.projectId
+    };
+  }
+
+  // Route handlers
+
+  async _submitTask({ body }) {
+    const task = this._toTask(body);
+    const validation = validateTask(task);
+
+    if (!validation.valid) {
+      throw new ApiError(400, 'invalid_request', `Invalid task: ${JSON.stringify(validation.errors)}`);
+    }
+
+    if (this.queue.getJob(task.id)) {
+      throw new ApiError(409, 'task_exists', `Task already exists: ${task.id}`);
+    }
+
+    const status = await this.queue.submit(task);
+
+    logger.info(`Task submitted via API: ${task.id}`);
+
+    return {
+      status: 201,
+      data: {
+        success: true,
+        taskId: task.id,
+        status: status.status,
+        estimatedCompletion: status.estimatedCompletion
+      }
+    };
+  }
+
+  async _getTaskStatus({ params: [taskId] }) {
+    this._findJob(taskId);
+    return { data: this.queue.getStatus(taskId) };
+  }
+
+  async _getTaskImplementation({ params: [taskId] }) {
+    const job = this._findJob(taskId);
+
+    if (job.status !== JobQueue.STATUS.COMPLETED && job.status !== JobQueue.STATUS.FAILED) {
+      throw new ApiError(409, 'task_not_ready', `Task is still ${job.status}: ${taskId}`);
+    }
+
+    const implementation = job.result?.implementation || {};
+
+    return {
+      data: {
+        taskId,
+        status: job.status,
+        implementation: implementation.implementation || '',
+        files: implementation.files || [],
+        tokenUsage: normalizeUsage(implementation.tokenUsage),
+        quality: job.result?.quality,
+        errors: job.error ? [{ type: 'processing_error', message: job.error }] : []
+      }
+    };
+  }
+
+  async _streamTask({ params: [taskId], req, res }) {
+    this._findJob(taskId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      ...corsHeaders
+    });
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let heartbeat = null;
+    let unsubscribe = null;
+    let closed = false;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      res.end();
+      logger.debug(`Stream closed for task: ${taskId}`);
+    };
+
+    send('connected', { taskId, timestamp: new Date().toISOString() });
+
+    // The stream ends after the task's last event, also when that event is replayed
+    unsubscribe = this.aiacd.events.subscribe(taskId, ({ type, data }) => {
+      send(type, data);
+      if (type === 'task.completion' || type === 'task.error') {
+        close();
+      }
+    });
+
+    if (closed) {
+      unsubscribe();
+      return;
+    }
+
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.config.heartbeatInterval);
+    req.on('close', close);
+
+    logger.debug(`Stream opened for task: ${taskId}`);
+  }
+
+  async _listTemplates({ query }) {
+    const type = query.get('type');
+    const templates = [];
+
+    for (const tool of Object.keys(this.aiacd.templateManager.templates)) {
+      for (const templateType of this.aiacd.templateManager.getTemplateTypes(tool)) {
+        if (!type || templateType === type) {
+          templates.push(this._formatTemplate(tool, templateType));
+        }
+      }
+    }
+
+    return { data: templates };
+  }
+
+  async _getTemplate({ params: [id] }) {
+    const [tool, type] = id.split('.');
+    const template = this._formatTemplate(tool, type);
+
+    if (!template) {
+      throw new ApiError(404, 'template_not_found', `Template not found: ${id}`);
+    }
+
+    return { data: template };
+  }
+
+  async _createTemplate({ body }) {
+    if (!isNonEmptyString(body.type) || !isNonEmptyString(body.content)) {
+      throw new ApiError(400, 'invalid_request', 'Template type and content are required');
+    }
+
+    const metadata = isObject(body.metadata) ? body.metadata : {};
+    const tool = metadata.tool || this.config.defaultTool;
+
+    const stored = this.aiacd.templateManager.setTemplate(tool, body.type, {
+      template: body.content,
+      defaults: isObject(metadata.defaults) ? metadata.defaults : {}
+    }, {
+      version: isNonEmptyString(metadata.version) ? metadata.version : undefined,
+      changelog: isNonEmptyString(metadata.changelog) ? metadata.changelog : undefined
+    });
+
+    if (!stored) {
+      throw new ApiError(400, 'invalid_template', `Invalid template: ${tool}/${body.type}`);
+    }
+
+    return {
+      status: 201,
+      data: { success: true, id: `${tool}.${body.type}` }
+    };
+  }
+
+  async _selectTemplate({ body }) {
+    const tool = body.tool || this.config.defaultTool;
+    const type = this.aiacd.templateManager.getBestTemplateType(tool, {
+      type: body.type,
+      complexity: body.complexity,
+      description: body.description || ''
+    });
+
+    return { data: type ? this._formatTemplate(tool, type) : null };
+  }
+
+  async _getEfficiencyMetrics({ query }) {
+    const metrics = this.aiacd.metricsCollector.getTaskMetrics({
+      type: query.get('type'),
+      start: query.get('start'),
+      end: query.get('end')
+    });
+
+    return {
+      data: metrics.map(entry => ({
+        taskId: entry.id,
+        type: entry.type,
+        complexity: entry.complexity,
+        timestamp: entry.timestamp,
+        tokens: entry.tokenUsage.total,
+        qualityScore: entry.quality.overallScore,
+        efficiency: entry.efficiency,
+        comparison: this.aiacd.tokenTracker.compareEfficiency(entry.id)
+      }))
+    };
+  }
+
+  async _getTimeseriesMetrics({ query }) {
+    const metrics = this.aiacd.metricsCollector.getTaskMetrics({
+      type: query.get('type'),
+      start: query.get('start'),
+      end: query.get('end')
+    });
+
+    return {
+      data: metrics.map(entry => ({
+        timestamp: entry.timestamp,
+        type: entry.type,
+        tokens: entry.tokenUsage.total,
+        qualityScore: entry.quality.overallScore,
+        efficiency: entry.efficiency
+      }))
+    };
+  }
+
+  async _getEfficiencyTrend({ query }) {
+    const days = Number(query.get('days')) || 30;
+    return { data: this.aiacd.metricsCollector.getEfficiencyTrend(days, query.get('type')) };
+  }
+
+  /**
+   * Format a stored template in the client's Template shape
+   * @private
+   * @param {string} tool - Tool name
+   * @param {string} type - Template type
+   * @returns {Object|null} Template or null if not found
+   */
+  _formatTemplate(tool, type) {
+    const template = this.aiacd.templateManager.templates[tool]?.[type];
+    if (!template) return null;
+
+    return {
+      id: `${tool}.${type}`,
+      name: `${tool}.${type}`,
+      type,
+      content: template.template,
+      metadata: {
+        tool,
+        defaults: template.defaults,
+        version: template.version,
+        versions: this.aiacd.templateManager.getVersions(tool, type)
+      }
+    };
+  }
+}
+
+module.exports = ApiServer;
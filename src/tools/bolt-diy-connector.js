@@ -4,6 +4,7 @@
  */
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utils/logger');
+const ExecutionSandbox = require('./sandbox');
 
 class BoltDiyConnector {
   constructor(config = {}) {
@@ -26,6 +27,20 @@ class BoltDiyConnector {
     if (!this.config.devMode) {
       this.supabase = createClient(this.config.url, this.config.apiKey);
     }
+
+    // Code runs locally in both modes; config.sandbox sets timeouts and memory limits
+    this.sandbox = new ExecutionSandbox(this.config.sandbox);
+  }
+
+  /**
+   * Get tool capabilities
+   * @returns {Object} Tool capabilities
+   */
+  getCapabilities() {
+    return {
+      ...BoltDiyConnector.capabilities,
+      devMode: this.config.devMode
+    };
   }
 
   /**
@@ -38,47 +53,39 @@ class BoltDiyConnector {
     try {
       logger.info(`Executing task with bolt.diy: ${task.id}`);
       
-      if (this.config.devMode) {
-        return this._simulateExecution(task, implementation);
-      }
-      
-      // Upload any project files to Supabase Storage
-      const fileUrls = await this._uploadProjectFiles(task.id, implementation.files || []);
+      const files = this.sandbox.collectFiles(implementation);
+      const execution = await this.sandbox.run(files);
       
-      const response = await fetch(`${this.config.url}/functions/v1/bolt-diy`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.config.apiKey}`
-        },
-        body: JSON.stringify({
-          taskId: task.id,
-          description: task.description,
-          implementation: implementation.implementation,
-          metadata: {
-            type: task.type,
-            complexity: task.complexity,
-            features: task.features,
-            fileUrls
-          }
-        })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`bolt.diy execution failed: ${response.statusText}`);
+      if (!execution.success) {
+        logger.warn(`Execution of ${task.id} ${execution.status}: ${execution.errors[0]?.message || `${execution.tests.failed} test(s) failed`}`);
       }
       
-      const result = await response.json();
+      // Keep the project files in Supabase Storage
+      const fileUrls = await this._uploadProjectFiles(task.id, implementation.files || files);
       
       return {
-        success: true,
-        result: result.result,
-        implementation: result.implementation,
+        success: execution.success,
+        result: {
+          status: execution.status,
+          output: execution.stdout,
+          stderr: execution.stderr,
+          errors: execution.errors,
+          exports: execution.exports,
+          render: execution.render,
+          tests: execution.tests,
+          timings: execution.timings,
+          metrics: {
+            executionTime: execution.timings.total,
+            memoryUsage: execution.memory ? execution.memory.heapUsed : null,
+            cpuUsage: execution.cpu ? execution.cpu.user + execution.cpu.system : null
+          }
+        },
         fileUrls,
         metadata: {
           tool: this.name,
           timestamp: new Date().toISOString(),
-          taskId: task.id
+          taskId: task.id,
+          devMode: this.config.devMode
         }
       };
     } catch (error) {
@@ -166,36 +173,24 @@ class BoltDiyConnector {
       throw error;
     }
   }
-  
-  /**
-   * Simulate execution for development mode
-   * @private
-   * @param {Object} task - Task details
-   * @param {Object} implementation - Implementation details
-   * @returns {Promise<Object>} Simulated execution results
-   */
-  async _simulateExecution(task, implementation) {
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    return {
-      success: true,
-      result: {
-        status: 'completed',
-        output: 'Development mode execution simulation',
-        metrics: {
-          executionTime: 500,
-          memoryUsage: 1024,
-          cpuUsage: 0.5
-        }
-      },
-      metadata: {
-        tool: this.name,
-        timestamp: new Date().toISOString(),
-        taskId: task.id,
-        devMode: true
-      }
-    };
-  }
 }
 
+// Execution environment only; never ranked for implementation
+BoltDiyConnector.capabilities = {
+  name: 'boltDiy',
+  displayName: 'bolt.diy',
+  roles: ['execution'],
+  strengths: [
+    'code-execution',
+    'file-storage'
+  ],
+  optimalComplexity: 'medium',
+  sizeRange: {
+    min: 0,
+    max: 1000
+  },
+  tokenEfficiency: 1.0,
+  specialties: {}
+};
+
 module.exports = BoltDiyConnector;
\ No newline at end of file
@@ -2,6 +2,9 @@
  * AI-AutoCoding-DAO Claude Direct Tool Connector
  * Handles interaction with Claude Direct for task implementations
  */
+const logger = require('../utils/logger');
+const { estimateUsage, getTokenizer } = require('../utils/tokenizer');
+
 class ClaudeDirectConnector {
   constructor(config = {}) {
     this.name = 'claudeDirect';
@@ -18,7 +21,7 @@ class ClaudeDirectConnector {
     
     // Validate config
     if (!this.config.apiKey) {
-      console.warn('No API key provided for Claude Direct. API calls will fail.');
+      logger.warn('No API key provided for Claude Direct. API calls will fail.');
     }
   }
 
@@ -28,38 +31,36 @@ class ClaudeDirectConnector {
    */
   getCapabilities() {
     return {
-      name: this.name,
-      displayName: this.displayName,
-      strengths: [
-        'quick-prototypes',
-        'simple-components',
-        'basic-functions',
-        'rapid-iterations'
-      ],
-      optimalComplexity: 'low',
-      sizeRange: {
-        min: 0,
-        max: 150
-      },
-      tokenEfficiency: 1.0, // Baseline efficiency
-      specialties: {
-        rapidPrototyping: 0.95,
-        simpleFunctions: 0.9,
-        basicComponents: 0.85,
-        quickFixes: 1.0
-      }
+      ...ClaudeDirectConnector.capabilities,
+      maxTokens: this.config.maxTokens,
+      modelVersion: this.config.modelVersion
     };
   }
 
+  /**
+   * Check whether the connector can make API calls
+   * @returns {boolean} True if an API key is configured
+   */
+  isAvailable() {
+    return Boolean(this.config.apiKey);
+  }
+
   /**
    * Implement a task using Claude Direct
    * @param {Object} task - Task details
    * @param {string} template - Filled template
+   * @param {Object} options - Call options
+   * @param {number} options.maxTokens - Output token cap, e.g. from a budget policy;
+   *   never raises the configured maxTokens
+   * @param {Function} options.optimizePrompt - Rewrites the complete prompt before it is
+   *   sent, e.g. with PromptBuilder.optimize
+   * @param {boolean} options.raw - Send the template as the whole prompt, without this
+   *   connector's instructions around it (used for baseline runs)
    * @returns {Promise<Object>} Implementation results
    */
-  async implementTask(task, template) {
+  async implementTask(task, template, options = {}) {
     try {
-      console.log(`Implementing task with Claude Direct: ${task.id}`);
+      logger.info(`Implementing task with Claude Direct: ${task.id}`);
       
       // In a real implementation, this would make an API call to Claude
       // This is a simulated implementation for demonstration purposes
@@ -67,22 +68,18 @@ class ClaudeDirectConnector {
         throw new Error('No API key provided for Claude Direct');
       }
       
-      // Prepare the prompt
-      const prompt = this._preparePrompt(task, template);
-      
-      // Track token usage
-      const tokenUsage = {
-        prompt: this._estimateTokens(prompt),
-        completion: 0,
-        total: 0
-      };
+      // Prepare the prompt, unless it is raw; the caller may optimize it, wrapper included
+      let prompt = options.raw ? template : this._preparePrompt(task, template);
+      if (options.optimizePrompt) {
+        prompt = options.optimizePrompt(prompt);
+      }
       
       // Simulate API call
-      const implementation = await this._simulateApiCall(prompt, task);
+      const maxTokens = Math.min(this.config.maxTokens, options.maxTokens || Infinity);
+      const implementation = await this._simulateApiCall(prompt, task, maxTokens);
       
-      // Update token usage with completion tokens
-      tokenUsage.completion = this._estimateTokens(implementation);
-      tokenUsage.total = tokenUsage.prompt + tokenUsage.completion;
+      // Track token usage
+      const tokenUsage = estimateUsage(prompt, implementation);
       
       return {
         success: true,
@@ -96,21 +93,8 @@ class ClaudeDirectConnector {
         }
       };
     } catch (error) {
-      console.error(`Claude Direct implementation failed: ${error.message}`);
-      return {
-        success: false,
-        error: error.message,
-        tokenUsage: {
-          prompt: this._estimateTokens(template),
-          completion: 0,
-          total: this._estimateTokens(template)
-        },
-        metadata: {
-          tool: this.name,
-          timestamp: new Date().toISOString(),
-          taskId: task.id
-        }
-      };
+      logger.error(`Claude Direct implementation failed: ${error.message}`);
+      throw error;
     }
   }
   
@@ -123,10 +107,7 @@ class ClaudeDirectConnector {
    */
   _preparePrompt(task, template) {
     return `
-# AI-AutoCoding-DAO Task Implementation
-
-You are a skilled developer tasked with creating a precise implementation based on the following requirements.
-Focus on creating high-quality, clean code that follows best practices.
+Implement the following task.
 
 ${template}
 
@@ -153,9 +134,11 @@ Then add a brief explanation of your implementation approach and any notable des
    * @private
    * @param {string} prompt - The prepared prompt
    * @param {Object} task - Task details
+   * @param {number} maxTokens - Output token limit; longer responses are cut off there,
+   *   as the API does
    * @returns {Promise<string>} Simulated response
    */
-  async _simulateApiCall(prompt, task) {
+  async _simulateApiCall(prompt, task, maxTokens) {
     // In a real implementation, this would make an API call to Claude
     // For now, we'll return a simulated response based on the task
     
@@ -163,7 +146,7 @@ Then add a brief explanation of your implementation approach and any notable des
     await new Promise(resolve => setTimeout(resolve, 1500));
     
     // Return a simulated implementation
-    return `\`\`\`javascript
+    const response = `\`\`\`javascript
 // Simulated implementation for task: ${task.id}
 // This would be replaced with actual Claude-generated code in a real implementation
 
@@ -195,19 +178,41 @@ This implementation follows a functional approach to solve the problem. Key desi
 
 The solution is designed to be extensible for future requirements while maintaining a minimal API surface.
 `;
-  }
-  
-  /**
-   * Estimate token count for a string
-   * @private
-   * @param {string} text - Text to estimate
-   * @returns {number} Estimated token count
-   */
-  _estimateTokens(text) {
-    // Very simple token estimation - about 4 characters per token on average
-    // A real implementation would use a proper tokenizer
-    return Math.ceil(text.length / 4);
+
+    const tokens = getTokenizer().encode(response);
+    return tokens.length > maxTokens ? tokens.slice(0, maxTokens).join('') : response;
   }
 }
 
+ClaudeDirectConnector.capabilities = {
+  name: 'claudeDirect',
+  displayName: 'Claude Direct',
+  roles: ['implementation'],
+  strengths: [
+    'quick-prototypes',
+    'simple-components',
+    'basic-functions',
+    'rapid-iterations'
+  ],
+  optimalComplexity: 'low',
+  sizeRange: {
+    min: 0,
+    max: 150
+  },
+  tokenEfficiency: 1.0, // Baseline efficiency
+  capsOutput: true,
+  specialties: {
+    rapidPrototyping: 0.95,
+    simpleFunctions: 0.9,
+    basicComponents: 0.85,
+    quickFixes: 1.0
+  },
+  reasoning: [
+    'Best for quick prototypes',
+    'Ideal for simple functions',
+    'Good for basic components',
+    'Perfect for rapid iterations'
+  ]
+};
+
 module.exports = ClaudeDirectConnector;
@@ -4,6 +4,8 @@
  */
 const { Anthropic } = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
+const { estimateUsage } = require('../utils/tokenizer');
+const { normalizeUsage } = require('../utils/usage');
 
 class ClaudeSonnetConnector {
   constructor(config = {}) {
@@ -14,7 +16,7 @@ class ClaudeSonnetConnector {
       maxTokens: 10000,
       temperature: 0.7,
       apiKey: config.apiKey || process.env.CLAUDE_API_KEY,
-      baseUrl: config.baseUrl || process.env.CLAUDE_API_URL || 'https://api.anthropic.com/v1',
+      baseUrl: config.baseUrl || process.env.CLAUDE_API_URL || 'https://api.anthropic.com',
       modelVersion: config.modelVersion || process.env.CLAUDE_MODEL || 'claude-3-sonnet-20240229',
       devMode: config.devMode || process.env.NODE_ENV === 'development',
       ...config
@@ -27,7 +29,8 @@ class ClaudeSonnetConnector {
         throw new Error('Claude Sonnet API key is required in production mode');
       }
       
-      this.client = new Anthropic({
+      // A client passed in config (e.g. a stub in tests) replaces the SDK client
+      this.client = this.config.client || new Anthropic({
         apiKey: this.config.apiKey,
         baseURL: this.config.baseUrl
       });
@@ -42,14 +45,7 @@ class ClaudeSonnetConnector {
    */
   getCapabilities() {
     return {
-      name: this.name,
-      displayName: this.displayName,
-      strengths: [
-        'code-generation',
-        'code-analysis',
-        'optimization',
-        'documentation'
-      ],
+      ...ClaudeSonnetConnector.capabilities,
       maxTokens: this.config.maxTokens,
       modelVersion: this.config.modelVersion,
       devMode: this.config.devMode
@@ -60,14 +56,24 @@ class ClaudeSonnetConnector {
    * Implement a task using Claude Sonnet
    * @param {Object} task - Task details
    * @param {string} template - Filled template
+   * @param {Object} options - Call options
+   * @param {number} options.maxTokens - Output token cap, e.g. from a budget policy;
+   *   never raises the configured maxTokens
+   * @param {Function} options.optimizePrompt - Rewrites the complete prompt before it is
+   *   sent, e.g. with PromptBuilder.optimize
+   * @param {boolean} options.raw - Send the template as the whole prompt, without this
+   *   connector's instructions around it (used for baseline runs)
    * @returns {Promise<Object>} Implementation results
    */
-  async implementTask(task, template) {
+  async implementTask(task, template, options = {}) {
     try {
       logger.info(`Implementing task with Claude Sonnet: ${task.id}`);
       
-      // Prepare the prompt
-      const prompt = this._preparePrompt(task, template);
+      // Prepare the prompt, unless it is raw; the caller may optimize it, wrapper included
+      let prompt = options.raw ? template : this._preparePrompt(task, template);
+      if (options.optimizePrompt) {
+        prompt = options.optimizePrompt(prompt);
+      }
       
       if (this.config.devMode) {
         return this._simulateImplementation(task, prompt);
@@ -76,7 +82,7 @@ class ClaudeSonnetConnector {
       // Make API call
       const response = await this.client.messages.create({
         model: this.config.modelVersion,
-        max_tokens: this.config.maxTokens,
+        max_tokens: Math.min(this.config.maxTokens, options.maxTokens || Infinity),
         temperature: this.config.temperature,
         messages: [{
           role: 'user',
@@ -87,12 +93,8 @@ class ClaudeSonnetConnector {
       // Extract implementation from response
       const implementation = this._extractImplementation(response);
       
-      // Track token usage
-      const tokenUsage = {
-        prompt: response.usage?.prompt_tokens || 0,
-        completion: response.usage?.completion_tokens || 0,
-        total: response.usage?.total_tokens || 0
-      };
+      // Track token usage as reported by the Messages API
+      const tokenUsage = normalizeUsage(response.usage);
       
       return {
         success: true,
@@ -146,11 +148,7 @@ export default developmentImplementation;
     return {
       success: true,
       implementation,
-      tokenUsage: {
-        prompt: Math.ceil(prompt.length / 4),
-        completion: Math.ceil(implementation.length / 4),
-        total: Math.ceil((prompt.length + implementation.length) / 4)
-      },
+      tokenUsage: estimateUsage(prompt, implementation),
       metadata: {
         tool: this.name,
         timestamp: new Date().toISOString(),
@@ -170,10 +168,7 @@ export default developmentImplementation;
    */
   _preparePrompt(task, template) {
     return `
-# AI-AutoCoding-DAO Task Implementation
-
-You are a skilled developer tasked with creating a precise implementation based on the following requirements.
-Focus on creating high-quality, clean code that follows best practices.
+Implement the following task.
 
 ${template}
 
@@ -217,4 +212,35 @@ Then add a brief explanation of your implementation approach and any notable des
   }
 }
 
+ClaudeSonnetConnector.capabilities = {
+  name: 'claudeSonnet',
+  displayName: 'Claude Sonnet',
+  roles: ['implementation'],
+  strengths: [
+    'code-generation',
+    'code-analysis',
+    'optimization',
+    'documentation'
+  ],
+  optimalComplexity: 'high',
+  sizeRange: {
+    min: 0,
+    max: 500
+  },
+  tokenEfficiency: 0.7,
+  capsOutput: true,
+  specialties: {
+    typescript: 0.9,
+    errorHandling: 0.9,
+    stateManagement: 0.8,
+    accessibility: 0.8
+  },
+  reasoning: [
+    'Best general-purpose implementation quality',
+    'Strong TypeScript and error handling',
+    'Good for complex, multi-part tasks',
+    'Handles large implementations'
+  ]
+};
+
 module.exports = ClaudeSonnetConnector;
\ No newline at end of file
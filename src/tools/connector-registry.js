@@ -0,0 +1,216 @@
+/**
+ * AI-AutoCoding-DAO Connector Registry
+ * Resolves tool names to connector instances and discovers their capabilities
+ *
+ * Connector modules export their class with a static `capabilities` object in
+ * the shared schema (see validateCapabilities), so a tool can be registered and
+ * scored by the ToolSelector before it is ever instantiated.
+ */
+const logger = require('../utils/logger');
+const { validateCapabilities } = require('../utils/validation');
+
+const ClaudeSonnetConnector = require('./claude-sonnet-connector');
+const HaikuConnector = require('./haiku');
+const BoltNewConnector = require('./bolt-new');
+const V0DevConnector = require('./v0-dev');
+const ClaudeDirectConnector = require('./claude-direct');
+
+// Built-in implementation connectors; order breaks ties in tool ranking
+const DEFAULT_CONNECTORS = [
+  HaikuConnector,
+  BoltNewConnector,
+  V0DevConnector,
+  ClaudeSonnetConnector,
+  ClaudeDirectConnector
+];
+
+class ConnectorRegistry {
+  constructor() {
+    // name -> { factory, instance, error, capabilities }
+    this.entries = new Map();
+  }
+
+  /**
+   * Register a connector by name
+   * @param {string} name - Tool name
+   * @param {Object|Function} connector - Connector instance, or factory returning one
+   * @param {Object} capabilities - Capabilities in the shared schema; read from the
+   *   instance's getCapabilities() when omitted
+   * @returns {ConnectorRegistry} This registry, for chaining
+   */
+  register(name, connector, capabilities) {
+    const isFactory = typeof connector === 'function';
+
+    if (!capabilities && !isFactory && typeof connector.getCapabilities === 'function') {
+      capabilities = connector.getCapabilities();
+    }
+
+    if (capabilities) {
+      const validation = validateCapabilities(capabilities);
+      if (!validation.valid) {
+        const details = Object.entries(validation.errors).map(([field, message]) => `${field}: ${message}`);
+        throw new Error(`Invalid capabilities for connector ${name}: ${details.join(', ')}`);
+      }
+    } else {
+      logger.warn(`Connector ${name} registered without capabilities; it will not be ranked`);
+    }
+
+    this.entries.set(name, {
+      factory: isFactory ? connector : null,
+      instance: isFactory ? null : connector,
+      error: null,
+      capabilities: capabilities || null
+    });
+
+    logger.debug(`Registered connector: ${name}`);
+    return this;
+  }
+
+  /**
+   * Register a connector class, instantiated on first use
+   * @param {Function} ConnectorClass - Connector class with static capabilities
+   * @param {Object|Function} config - Connector configuration, or function returning it
+   * @returns {ConnectorRegistry} This registry, for chaining
+   */
+  registerClass(ConnectorClass, config = {}) {
+    const capabilities = ConnectorClass.capabilities;
+    if (!capabilities || !capabilities.name) {
+      throw new Error(`Connector class ${ConnectorClass.name} does not declare static capabilities`);
+    }
+
+    return this.register(
+      capabilities.name,
+      () => new ConnectorClass(typeof config === 'function' ? config(capabilities.name) : config),
+      capabilities
+    );
+  }
+
+  /**
+   * Load and register a connector module
+   * @param {string} modulePath - Path to a module exporting a connector class
+   * @param {Object|Function} config - Connector configuration, or function returning it
+   * @returns {ConnectorRegistry} This registry, for chaining
+   */
+  load(modulePath, config = {}) {
+    return this.registerClass(require(modulePath), config);
+  }
+
+  /**
+   * Register the built-in connectors that are not already registered
+   * @param {Object|Function} config - Connector configuration, or function mapping a tool name to it
+   * @returns {ConnectorRegistry} This registry, for chaining
+   */
+  registerDefaults(config = {}) {
+    for (const ConnectorClass of DEFAULT_CONNECTORS) {
+      if (!this.has(ConnectorClass.capabilities.name)) {
+        this.registerClass(ConnectorClass, config);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove a connector
+   * @param {string} name - Tool name
+   * @returns {boolean} True if a connector was removed
+   */
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  /**
+   * Check whether a connector is registered
+   * @param {string} name - Tool name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * Get a connector, instantiating it on first use
+   * @param {string} name - Tool name
+   * @returns {Object|null} Connector or null if unregistered or unavailable
+   */
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+
+    if (!entry.instance && !entry.error) {
+      try {
+        entry.instance = entry.factory();
+      } catch (error) {
+        // Typically a missing API key in production mode
+        entry.error = error.message;
+        logger.warn(`Connector unavailable: ${name} (${error.message})`);
+      }
+    }
+
+    return entry.instance;
+  }
+
+  /**
+   * Check whether a connector can be used
+   * @param {string} name - Tool name
+   * @returns {boolean} True if the connector exists and reports itself available
+   */
+  isAvailable(name) {
+    const connector = this.get(name);
+    if (!connector || typeof connector.implementTask !== 'function') {
+      return false;
+    }
+
+    return typeof connector.isAvailable === 'function' ? connector.isAvailable() !== false : true;
+  }
+
+  /**
+   * Get the reason a connector is unavailable
+   * @param {string} name - Tool name
+   * @returns {string|null} Reason or null if available
+   */
+  getUnavailableReason(name) {
+    if (!this.entries.has(name)) return 'not registered';
+    if (this.isAvailable(name)) return null;
+    return this.entries.get(name).error || 'connector reports unavailable';
+  }
+
+  /**
+   * Get the declared capabilities of a connector
+   * @param {string} name - Tool name
+   * @returns {Object|null} Capabilities or null if unknown
+   */
+  getCapabilities(name) {
+    const entry = this.entries.get(name);
+    return entry ? entry.capabilities : null;
+  }
+
+  /**
+   * Get capabilities of all connectors, optionally limited to one role
+   * @param {string} role - Role filter ('implementation' or 'execution')
+   * @returns {Object} Capabilities keyed by tool name, in registration order
+   */
+  getAllCapabilities(role) {
+    const capabilities = {};
+
+    for (const [name, entry] of this.entries) {
+      if (entry.capabilities && (!role || entry.capabilities.roles.includes(role))) {
+        capabilities[name] = entry.capabilities;
+      }
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * List registered tool names
+   * @returns {string[]} Tool names
+   */
+  list() {
+    return Array.from(this.entries.keys());
+  }
+}
+
+ConnectorRegistry.DEFAULT_CONNECTORS = DEFAULT_CONNECTORS;
+
+module.exports = ConnectorRegistry;
@@ -0,0 +1,268 @@
+/**
+ * AI-AutoCoding-DAO Claude Haiku Connector
+ * Handles interaction with Claude Haiku for short utilities, hooks and logic-heavy tasks
+ */
+const { Anthropic } = require('@anthropic-ai/sdk');
+const logger = require('../utils/logger');
+const { estimateUsage } = require('../utils/tokenizer');
+const { normalizeUsage } = require('../utils/usage');
+
+class HaikuConnector {
+  constructor(config = {}) {
+    this.name = 'haiku';
+    this.displayName = 'Claude Haiku';
+
+    this.config = {
+      maxTokens: 4096,
+      temperature: 0.3,
+      apiKey: config.apiKey || process.env.CLAUDE_API_KEY,
+      baseUrl: config.baseUrl || process.env.CLAUDE_API_URL || 'https://api.anthropic.com',
+      modelVersion: config.modelVersion || process.env.HAIKU_MODEL || 'claude-3-haiku-20240307',
+      devMode: config.devMode || process.env.NODE_ENV === 'development',
+      ...config
+    };
+
+    // Only initialize client if not in dev mode
+    if (!this.config.devMode) {
+      if (!this.config.apiKey) {
+        logger.error('No API key provided for Claude Haiku');
+        throw new Error('Claude Haiku API key is required in production mode');
+      }
+
+      // A client passed in config (e.g. a stub in tests) replaces the SDK client
+      this.client = this.config.client || new Anthropic({
+        apiKey: this.config.apiKey,
+        baseURL: this.config.baseUrl
+      });
+    } else {
+      logger.info('Running Claude Haiku connector in development mode');
+    }
+  }
+
+  /**
+   * Get tool capabilities
+   * @returns {Object} Tool capabilities
+   */
+  getCapabilities() {
+    return {
+      ...HaikuConnector.capabilities,
+      maxTokens: this.config.maxTokens,
+      modelVersion: this.config.modelVersion,
+      devMode: this.config.devMode
+    };
+  }
+
+  /**
+   * Implement a task using Claude Haiku
+   * @param {Object} task - Task details
+   * @param {string} template - Filled template
+   * @param {Object} options - Call options
+   * @param {number} options.maxTokens - Output token cap, e.g. from a budget policy;
+   *   never raises the configured maxTokens
+   * @param {Function} options.optimizePrompt - Rewrites the complete prompt before it is
+   *   sent, e.g. with PromptBuilder.optimize
+   * @param {boolean} options.raw - Send the template as the whole prompt, without this
+   *   connector's instructions around it (used for baseline runs)
+   * @returns {Promise<Object>} Implementation results
+   */
+  async implementTask(task, template, options = {}) {
+    try {
+      logger.info(`Implementing task with Claude Haiku: ${task.id}`);
+
+      // Prepare the prompt, unless it is raw; the caller may optimize it, wrapper included
+      let prompt = options.raw ? template : this._preparePrompt(task, template);
+      if (options.optimizePrompt) {
+        prompt = options.optimizePrompt(prompt);
+      }
+
+      if (this.config.devMode) {
+        return this._simulateImplementation(task, prompt);
+      }
+
+      // Make API call
+      const response = await this.client.messages.create({
+        model: this.config.modelVersion,
+        max_tokens: Math.min(this.config.maxTokens, options.maxTokens || Infinity),
+        temperature: this.config.temperature,
+        ...(options.raw ? {} : {
+          system: 'You write small, focused, production-ready utilities and hooks. Prefer pure functions, explicit types and minimal prose.'
+        }),
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+
+      // Extract implementation from response
+      const implementation = this._extractImplementation(response);
+
+      // Track token usage as reported by the Messages API
+      const tokenUsage = normalizeUsage(response.usage);
+
+      return {
+        success: true,
+        implementation,
+        tokenUsage,
+        metadata: {
+          tool: this.name,
+          timestamp: new Date().toISOString(),
+          taskId: task.id,
+          modelVersion: this.config.modelVersion
+        }
+      };
+    } catch (error) {
+      logger.error(`Claude Haiku implementation failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Simulate implementation for development mode
+   * @private
+   * @param {Object} task - Task details
+   * @param {string} prompt - Prepared prompt
+   * @returns {Promise<Object>} Simulated implementation results
+   */
+  async _simulateImplementation(task, prompt) {
+    // Haiku responds faster than Sonnet
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const isHook = /\bhook\b|\buse[A-Z]/.test(task.description || '');
+
+    const implementation = isHook ? `
+import { useCallback, useState } from 'react';
+
+/**
+ * Development Mode Hook
+ * Task: ${task.description}
+ */
+export function useDevelopmentHook(initialValue = null) {
+  const [value, setValue] = useState(initialValue);
+  const [error, setError] = useState(null);
+
+  const update = useCallback(next => {
+    try {
+      setValue(next);
+      setError(null);
+    } catch (e) {
+      setError(e);
+    }
+  }, []);
+
+  return { value, error, update };
+}
+` : `
+/**
+ * Development Mode Utility
+ * Task: ${task.description}
+ * @param {*} input - Input value
+ * @returns {Object} Result
+ */
+export function developmentUtility(input) {
+  if (input === undefined || input === null) {
+    throw new TypeError('input is required');
+  }
+
+  return {
+    type: "${task.type}",
+    complexity: "${task.complexity}",
+    input
+  };
+}
+`;
+
+    return {
+      success: true,
+      implementation,
+      tokenUsage: estimateUsage(prompt, implementation),
+      metadata: {
+        tool: this.name,
+        timestamp: new Date().toISOString(),
+        taskId: task.id,
+        modelVersion: this.config.modelVersion,
+        devMode: true
+      }
+    };
+  }
+
+  /**
+   * Prepare a prompt for Claude Haiku
+   * Kept deliberately short: Haiku does best with a tight scope and an explicit output contract.
+   * @private
+   * @param {Object} task - Task details
+   * @param {string} template - Filled template
+   * @returns {string} Complete prompt
+   */
+  _preparePrompt(task, template) {
+    return `
+${template}
+
+## Constraints
+- Deliver a single, self-contained module (under 100 lines)
+- Export named functions or hooks; no default-exported classes
+- Validate inputs and throw descriptive errors
+- Keep comments to JSDoc on exported members
+
+## Response Format
+Reply with one code block only:
+
+\`\`\`[language]
+// Your implementation here
+\`\`\`
+`;
+  }
+
+  /**
+   * Extract implementation from API response
+   * @private
+   * @param {Object} response - API response
+   * @returns {string} Extracted implementation
+   */
+  _extractImplementation(response) {
+    const content = response.content[0]?.text || '';
+    const codeBlockRegex = /```[\w]*\n([\s\S]*?)```/g;
+    const matches = [...content.matchAll(codeBlockRegex)];
+
+    if (matches.length === 0) {
+      throw new Error('No code implementation found in response');
+    }
+
+    // Return the largest code block
+    return matches.reduce((largest, match) =>
+      match[1].length > largest.length ? match[1] : largest
+    , matches[0][1]);
+  }
+}
+
+HaikuConnector.capabilities = {
+  name: 'haiku',
+  displayName: 'Claude Haiku',
+  roles: ['implementation'],
+  strengths: [
+    'logic',
+    'data-processing',
+    'algorithms',
+    'utilities'
+  ],
+  optimalComplexity: 'medium',
+  sizeRange: {
+    min: 20,
+    max: 100
+  },
+  tokenEfficiency: 0.8,
+  capsOutput: true,
+  specialties: {
+    customHooks: 1.0,
+    errorHandling: 0.9,
+    accessibility: 0.9,
+    stateManagement: 0.85
+  },
+  reasoning: [
+    'Optimal for logic-heavy tasks',
+    'Best for custom hooks and complex state management',
+    'Strong error handling capabilities',
+    'Good for medium-sized utilities'
+  ]
+};
+
+module.exports = HaikuConnector;
@@ -0,0 +1,346 @@
+/**
+ * AI-AutoCoding-DAO Sandbox Runner
+ * Child process entry point for ExecutionSandbox: loads transpiled code, renders
+ * components and runs generated tests, reporting back over IPC
+ */
+const Module = require('module');
+const path = require('path');
+const util = require('util');
+const { performance } = require('perf_hooks');
+
+const options = JSON.parse(process.argv[2]);
+const tests = [];
+const suites = [];
+const topLevelHooks = { beforeEach: [], afterEach: [] };
+let currentFile = null;
+
+function send(message, callback = () => {}) {
+  if (process.send) {
+    process.send(message, callback);
+  } else {
+    callback();
+  }
+}
+
+function serializeError(error) {
+  if (error instanceof Error) {
+    return { message: error.message, stack: error.stack };
+  }
+  return { message: String(error) };
+}
+
+// Test API compatible with the common subset of Jest and Vitest
+
+function describe(name, fn) {
+  suites.push({ name, beforeEach: [], afterEach: [] });
+  try {
+    fn();
+  } finally {
+    suites.pop();
+  }
+}
+
+function test(name, fn, timeout) {
+  tests.push({
+    name: [...suites.map(suite => suite.name), name].join(' > '),
+    file: currentFile,
+    fn,
+    timeout: timeout || options.testTimeout,
+    beforeEach: suites.flatMap(suite => suite.beforeEach),
+    afterEach: suites.flatMap(suite => suite.afterEach)
+  });
+}
+test.skip = () => {};
+test.todo = () => {};
+test.only = test;
+
+function beforeEach(fn) {
+  if (suites.length > 0) suites[suites.length - 1].beforeEach.push(fn);
+  else topLevelHooks.beforeEach.push(fn);
+}
+
+function afterEach(fn) {
+  if (suites.length > 0) suites[suites.length - 1].afterEach.push(fn);
+  else topLevelHooks.afterEach.push(fn);
+}
+
+function fn(implementation = () => undefined) {
+  let impl = implementation;
+  const mock = function (...args) {
+    mock.mock.calls.push(args);
+    return impl.apply(this, args);
+  };
+  mock.mock = { calls: [] };
+  mock.mockImplementation = next => { impl = next; return mock; };
+  mock.mockReturnValue = value => { impl = () => value; return mock; };
+  mock.mockResolvedValue = value => { impl = () => Promise.resolve(value); return mock; };
+  mock.mockRejectedValue = value => { impl = () => Promise.reject(value); return mock; };
+  mock._isMock = true;
+  return mock;
+}
+
+function format(value) {
+  return util.inspect(value, { depth: 4, breakLength: Infinity });
+}
+
+function createMatchers(actual, negate) {
+  const assert = (pass, message) => {
+    if (pass === negate) {
+      throw new Error(negate ? `Expected not: ${message}` : `Expected: ${message}`);
+    }
+  };
+
+  const matchers = {
+    toBe: expected => assert(Object.is(actual, expected), `${format(actual)} to be ${format(expected)}`),
+    toEqual: expected => assert(util.isDeepStrictEqual(JSON.parse(JSON.stringify(actual ?? null)), JSON.parse(JSON.stringify(expected ?? null))), `${format(actual)} to equal ${format(expected)}`),
+    toStrictEqual: expected => assert(util.isDeepStrictEqual(actual, expected), `${format(actual)} to strictly equal ${format(expected)}`),
+    toBeTruthy: () => assert(Boolean(actual), `${format(actual)} to be truthy`),
+    toBeFalsy: () => assert(!actual, `${format(actual)} to be falsy`),
+    toBeNull: () => assert(actual === null, `${format(actual)} to be null`),
+    toBeUndefined: () => assert(actual === undefined, `${format(actual)} to be undefined`),
+    toBeDefined: () => assert(actual !== undefined, `${format(actual)} to be defined`),
+    toBeNaN: () => assert(Number.isNaN(actual), `${format(actual)} to be NaN`),
+    toBeInstanceOf: type => assert(actual instanceof type, `${format(actual)} to be an instance of ${type.name}`),
+    toContain: item => assert(actual != null && actual.includes(item), `${format(actual)} to contain ${format(item)}`),
+    toHaveLength: length => assert(actual != null && actual.length === length, `${format(actual)} to have length ${length}`),
+    toHaveProperty: (key, value) => {
+      const found = String(key).split('.').reduce((object, part) => (object == null ? undefined : object[part]), actual);
+      assert(found !== undefined && (value === undefined || util.isDeepStrictEqual(found, value)), `${format(actual)} to have property ${key}`);
+    },
+    toBeGreaterThan: expected => assert(actual > expected, `${format(actual)} > ${expected}`),
+    toBeGreaterThanOrEqual: expected => assert(actual >= expected, `${format(actual)} >= ${expected}`),
+    toBeLessThan: expected => assert(actual < expected, `${format(actual)} < ${expected}`),
+    toBeLessThanOrEqual: expected => assert(actual <= expected, `${format(actual)} <= ${expected}`),
+    toBeCloseTo: (expected, digits = 2) => assert(Math.abs(actual - expected) < Math.pow(10, -digits) / 2, `${format(actual)} to be close to ${expected}`),
+    toMatch: pattern => assert(typeof actual === 'string' && (pattern instanceof RegExp ? pattern.test(actual) : actual.includes(pattern)), `${format(actual)} to match ${pattern}`),
+    toThrow: expected => {
+      // `.rejects.toThrow()` passes the rejection reason instead of a function
+      let thrown = typeof actual === 'function' ? null : actual;
+      if (typeof actual === 'function') {
+        try {
+          actual();
+        } catch (error) {
+          thrown = error;
+        }
+      }
+      const message = thrown && (thrown.message || String(thrown));
+      const matches = thrown !== null && (expected === undefined ||
+        (expected instanceof RegExp ? expected.test(message) :
+          typeof expected === 'function' ? thrown instanceof expected : message.includes(expected)));
+      assert(matches, `function to throw${expected !== undefined ? ` ${expected}` : ''}`);
+    },
+    toHaveBeenCalled: () => assert(actual.mock.calls.length > 0, 'mock to have been called'),
+    toHaveBeenCalledTimes: times => assert(actual.mock.calls.length === times, `mock to have been called ${times} time(s), got ${actual.mock.calls.length}`),
+    toHaveBeenCalledWith: (...args) => assert(actual.mock.calls.some(call => util.isDeepStrictEqual(call, args)), `mock to have been called with ${format(args)}`)
+  };
+  matchers.toThrowError = matchers.toThrow;
+
+  return matchers;
+}
+
+function expect(actual) {
+  const matchers = createMatchers(actual, false);
+  matchers.not = createMatchers(actual, true);
+
+  const settle = (rejects) => new Proxy({}, {
+    get: (target, name) => async (...args) => {
+      let value;
+      let rejected = false;
+      try {
+        value = await actual;
+      } catch (error) {
+        value = error;
+        rejected = true;
+      }
+      if (rejected !== rejects) {
+        throw new Error(`Expected promise to ${rejects ? 'reject' : 'resolve'}`);
+      }
+      return createMatchers(value, false)[name](...args);
+    }
+  });
+  matchers.resolves = settle(false);
+  matchers.rejects = settle(true);
+
+  return matchers;
+}
+
+const testApi = {
+  describe,
+  test,
+  it: test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest: { fn },
+  vi: { fn }
+};
+
+Object.assign(global, testApi);
+
+// Modules that reach the network or start processes. The permission model does not
+// cover the network, so these are refused at load time; this is a guard against
+// careless code, not a boundary against code written to escape it.
+const BLOCKED_MODULES = new Set([
+  'net', 'tls', 'http', 'https', 'http2', 'dgram', 'dns', 'dns/promises',
+  'child_process', 'cluster', 'worker_threads', 'inspector'
+]);
+
+for (const name of ['fetch', 'WebSocket', 'EventSource']) {
+  delete global[name];
+}
+
+// Test frameworks resolve to the built-in API; assets resolve to empty modules
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (['@jest/globals', 'vitest'].includes(request)) {
+    return testApi;
+  }
+  if (BLOCKED_MODULES.has(request.replace(/^node:/, ''))) {
+    const error = new Error(`Module "${request}" is not available in the sandbox`);
+    error.code = 'ERR_ACCESS_DENIED';
+    throw error;
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
+
+for (const extension of ['.css', '.scss', '.less', '.svg', '.png', '.jpg', '.gif']) {
+  Module._extensions[extension] = module => {
+    module.exports = {};
+  };
+}
+
+const errors = [];
+
+process.on('uncaughtException', error => {
+  errors.push({ phase: 'runtime', ...serializeError(error) });
+});
+
+process.on('unhandledRejection', error => {
+  errors.push({ phase: 'runtime', ...serializeError(error) });
+});
+
+function withTimeout(promise, timeout, name) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Test timed out after ${timeout}ms: ${name}`)), timeout);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Components are capitalized; an anonymous default export may be one too
+function isComponent(value) {
+  return typeof value === 'function' && (/^[A-Z]/.test(value.name) || ['', 'default'].includes(value.name));
+}
+
+function findComponent(exports) {
+  if (typeof exports === 'function') return isComponent(exports) ? exports : null;
+  if (!exports || typeof exports !== 'object') return null;
+  if (isComponent(exports.default)) return exports.default;
+
+  const named = Object.entries(exports).find(([name, value]) => typeof value === 'function' && /^[A-Z]/.test(name));
+  return named ? named[1] : null;
+}
+
+function render(exports) {
+  const component = findComponent(exports);
+  if (!component) return null;
+
+  try {
+    const React = require('react');
+    const { renderToStaticMarkup } = require('react-dom/server');
+    const html = renderToStaticMarkup(React.createElement(component, options.props || {}));
+
+    return {
+      component: component.name || 'default',
+      html: html.slice(0, options.maxRenderLength),
+      length: html.length
+    };
+  } catch (error) {
+    // Without props a component may fail on a missing required prop, which says nothing
+    // about the code; the failure is kept on the render result instead of failing the run
+    if (options.props) {
+      errors.push({ phase: 'render', ...serializeError(error) });
+    }
+    return { component: component.name || 'default', html: null, length: 0, error: serializeError(error) };
+  }
+}
+
+async function runTests() {
+  const results = [];
+
+  for (const entry of tests) {
+    const start = performance.now();
+    let error = null;
+
+    try {
+      for (const hook of [...topLevelHooks.beforeEach, ...entry.beforeEach]) await hook();
+      await withTimeout(Promise.resolve().then(() => entry.fn()), entry.timeout, entry.name);
+      for (const hook of [...entry.afterEach, ...topLevelHooks.afterEach]) await hook();
+    } catch (caught) {
+      error = serializeError(caught);
+    }
+
+    const result = {
+      name: entry.name,
+      file: entry.file,
+      passed: error === null,
+      duration: Math.round((performance.now() - start) * 100) / 100,
+      error
+    };
+    results.push(result);
+    send({ type: 'test', result });
+  }
+
+  return results;
+}
+
+async function main() {
+  const timings = {};
+  let exports = null;
+
+  let start = performance.now();
+  if (options.entry) {
+    currentFile = options.entry;
+    try {
+      exports = require(path.resolve(options.entry));
+    } catch (error) {
+      errors.push({ phase: 'load', file: options.entry, ...serializeError(error) });
+    }
+  }
+
+  for (const file of options.tests) {
+    currentFile = file;
+    try {
+      require(path.resolve(file));
+    } catch (error) {
+      errors.push({ phase: 'load', file, ...serializeError(error) });
+    }
+  }
+  timings.load = performance.now() - start;
+  send({ type: 'loaded', exports: exports && typeof exports === 'object' ? Object.keys(exports) : [] });
+
+  start = performance.now();
+  const rendered = options.render && exports ? render(exports) : null;
+  timings.render = performance.now() - start;
+
+  start = performance.now();
+  const results = await runTests();
+  timings.tests = performance.now() - start;
+
+  const usage = process.resourceUsage();
+  const memory = process.memoryUsage();
+
+  send({
+    type: 'done',
+    errors,
+    render: rendered,
+    tests: results,
+    timings,
+    memory: { heapUsed: memory.heapUsed, rss: memory.rss },
+    cpu: { user: usage.userCPUTime / 1000, system: usage.systemCPUTime / 1000 }
+  }, () => process.exit(0));
+}
+
+main();
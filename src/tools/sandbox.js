@@ -0,0 +1,455 @@
+/**
+ * AI-AutoCoding-DAO Execution Sandbox
+ * Runs generated JavaScript and TypeScript in an isolated child process
+ *
+ * Code is transpiled with esbuild, written to a temporary directory and loaded by
+ * sandbox-runner.js in a separate Node process with a heap limit, a wall-clock
+ * timeout, no inherited environment and Node's permission model, which only allows
+ * reading the sandbox and its module paths. Network modules are refused at load
+ * time, which guards against careless code but not against code written to escape.
+ * Where the permission model is missing (before Node 20) code is not run unless
+ * `allowUnisolated` is set.
+ */
+const { fork } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const esbuild = require('esbuild');
+const logger = require('../utils/logger');
+
+const RUNNER_PATH = path.join(__dirname, 'sandbox-runner.js');
+
+const LOADERS = {
+  '.ts': 'ts',
+  '.tsx': 'tsx',
+  '.jsx': 'jsx',
+  '.js': 'jsx',
+  '.mjs': 'js',
+  '.cjs': 'js'
+};
+
+const FENCE_EXTENSIONS = {
+  ts: '.ts',
+  typescript: '.ts',
+  tsx: '.tsx',
+  jsx: '.jsx',
+  js: '.js',
+  javascript: '.js',
+  '': '.tsx'
+};
+
+// Files copied into the sandbox as they are; the runner loads styles and images as
+// empty modules
+const ASSET_EXTENSIONS = new Set(['.css', '.scss', '.less', '.svg', '.png', '.jpg', '.gif', '.json']);
+
+const TEST_FILE_PATTERN = /\.(test|spec)\.[cm]?[jt]sx?$/;
+
+class ExecutionSandbox {
+  /**
+   * Create an execution sandbox
+   * @param {Object} config - Configuration options
+   * @param {number} config.timeout - Wall-clock limit for a run in milliseconds
+   * @param {number} config.testTimeout - Limit for a single test in milliseconds
+   * @param {number} config.memoryLimit - V8 heap limit in megabytes
+   * @param {number} config.maxOutput - Bytes of stdout and stderr kept per stream
+   * @param {boolean} config.render - Render an exported React component to static markup
+   * @param {string[]} config.modulePaths - Directories bare imports resolve from
+   * @param {boolean} config.allowUnisolated - Run code even where Node has no permission
+   *   model, with full filesystem access
+   */
+  constructor(config = {}) {
+    this.config = {
+      timeout: 10000,
+      testTimeout: 2000,
+      memoryLimit: 128,
+      maxOutput: 64 * 1024,
+      maxRenderLength: 4000,
+      render: true,
+      modulePaths: [path.resolve(__dirname, '../../node_modules')],
+      allowUnisolated: false,
+      ...config
+    };
+  }
+
+  /**
+   * Split an implementation into source files
+   * Uses `implementation.files` when present, otherwise the fenced code blocks of the
+   * generated text. A block whose first line is a comment naming a file keeps that name;
+   * blocks that call test() or it() become test files.
+   * @param {Object|string} implementation - Implementation from a connector
+   * @returns {Array} Files with name and content
+   */
+  collectFiles(implementation) {
+    if (implementation && Array.isArray(implementation.files) && implementation.files.length > 0) {
+      return implementation.files.filter(file => {
+        const extension = path.extname(file.name);
+        return LOADERS[extension] || ASSET_EXTENSIONS.has(extension);
+      });
+    }
+
+    const text = typeof implementation === 'string' ? implementation : implementation?.implementation;
+    if (typeof text !== 'string' || !text.trim()) {
+      return [];
+    }
+
+    const blocks = [...text.matchAll(/```(\w*)[^\n]*\n([\s\S]*?)```/g)]
+      .filter(match => FENCE_EXTENSIONS[match[1].toLowerCase()] !== undefined)
+      .map(match => ({ language: match[1].toLowerCase(), content: match[2] }));
+
+    if (blocks.length === 0) {
+      blocks.push({ language: '', content: text });
+    }
+
+    const names = new Set();
+    return blocks.map((block, index) => {
+      const named = block.content.match(/^\s*\/\/\s*([\w./-]+\.[cm]?[jt]sx?)\s*\n/);
+      const isTest = /\b(test|it)\s*\(\s*['"`]/.test(block.content) && /\bexpect\s*\(/.test(block.content);
+      const extension = FENCE_EXTENSIONS[block.language];
+
+      let name = named ? path.normalize(named[1]).replace(/^(\.\.(\/|\\|$))+/, '') : null;
+      if (!name || names.has(name)) {
+        name = `${isTest ? 'main.test' : index === 0 ? 'main' : `module${index}`}${extension}`;
+      }
+      names.add(name);
+
+      return { name, content: block.content };
+    });
+  }
+
+  /**
+   * Run an implementation's code and any tests it contains
+   * @param {Object|string} implementation - Implementation from a connector
+   * @param {Object} options - Run options (see run)
+   * @returns {Promise<Object>} Execution results
+   */
+  async execute(implementation, options = {}) {
+    return this.run(this.collectFiles(implementation), options);
+  }
+
+  /**
+   * Run source files in a child process
+   * @param {Array} files - Files with name and content
+   * @param {Object} options - Run options
+   * @param {string} options.entry - File loaded as the module under test; defaults to the
+   *   first file that is not a test
+   * @param {Array} options.tests - Extra test files with name and content
+   * @param {Object} options.props - Props used when rendering a component
+   * @returns {Promise<Object>} Execution results with status, stdout, stderr, errors,
+   *   exports, render, tests, timings, memory and cpu
+   */
+  async run(files, options = {}) {
+    const started = performance.now();
+    const config = { ...this.config, ...options };
+    const allFiles = [...files, ...(options.tests || [])];
+
+    if (allFiles.length === 0) {
+      return this._createResult({ status: 'failed', errors: [{ phase: 'load', message: 'No code to execute' }] }, started);
+    }
+
+    if (!this.isIsolated() && !config.allowUnisolated) {
+      return this._createResult({
+        status: 'unsupported',
+        errors: [{ phase: 'isolation', message: `Node ${process.version} has no permission model to restrict file access; use Node 20 or later, or set allowUnisolated` }]
+      }, started);
+    }
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aiacd-sandbox-'));
+
+    try {
+      const transpileStart = performance.now();
+      const { outputs, errors } = this._transpile(allFiles, directory);
+      const transpileTime = performance.now() - transpileStart;
+
+      if (errors.length > 0) {
+        return this._createResult({ status: 'transpile-error', errors, timings: { transpile: transpileTime } }, started);
+      }
+
+      const testFiles = outputs.filter(output => TEST_FILE_PATTERN.test(output.source));
+      const entry = options.entry
+        ? outputs.find(output => output.source === options.entry)
+        : outputs.find(output => !output.asset && !testFiles.includes(output));
+
+      const execution = await this._spawn(directory, {
+        entry: entry ? entry.path : null,
+        tests: testFiles.map(output => output.path),
+        render: config.render,
+        props: config.props,
+        testTimeout: config.testTimeout,
+        maxRenderLength: config.maxRenderLength
+      }, config);
+
+      execution.timings = { transpile: transpileTime, ...execution.timings };
+      return this._createResult(execution, started);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Transpile files to CommonJS inside the sandbox directory
+   * @private
+   * @param {Array} files - Files with name and content
+   * @param {string} directory - Sandbox directory
+   * @returns {Object} Written outputs and transpile errors
+   */
+  _transpile(files, directory) {
+    const outputs = [];
+    const errors = [];
+
+    for (const file of files) {
+      const extension = path.extname(file.name);
+      const asset = ASSET_EXTENSIONS.has(extension);
+      const target = path.join(directory, asset || !extension ? file.name : file.name.slice(0, -extension.length) + '.js');
+
+      if (!target.startsWith(directory + path.sep)) {
+        errors.push({ phase: 'transpile', file: file.name, message: 'File path escapes the sandbox' });
+        continue;
+      }
+
+      if (asset) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+        outputs.push({ source: file.name, path: target, asset: true });
+        continue;
+      }
+
+      try {
+        const { code } = esbuild.transformSync(file.content, {
+          loader: LOADERS[extension] || 'tsx',
+          format: 'cjs',
+          target: 'node18',
+          jsx: 'automatic',
+          sourcefile: file.name
+        });
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, code);
+        outputs.push({ source: file.name, path: target });
+      } catch (error) {
+        const location = error.errors?.[0]?.location;
+        errors.push({
+          phase: 'transpile',
+          file: file.name,
+          line: location ? location.line : null,
+          message: error.errors?.[0]?.text || error.message
+        });
+      }
+    }
+
+    return { outputs, errors };
+  }
+
+  /**
+   * Start the runner and collect its messages and output
+   * @private
+   * @param {string} directory - Sandbox directory
+   * @param {Object} runnerOptions - Options passed to the runner
+   * @param {Object} config - Effective configuration
+   * @returns {Promise<Object>} Raw execution results
+   */
+  _spawn(directory, runnerOptions, config) {
+    return new Promise(resolve => {
+      const spawnStart = performance.now();
+      const stdout = this._createBuffer(config.maxOutput);
+      const stderr = this._createBuffer(config.maxOutput);
+      const tests = [];
+      let report = null;
+      let exports = [];
+      let timedOut = false;
+
+      const child = fork(RUNNER_PATH, [JSON.stringify(runnerOptions)], {
+        cwd: directory,
+        // Nothing from the parent environment (API keys in particular) is inherited
+        env: {
+          NODE_ENV: 'test',
+          NODE_PATH: config.modulePaths.join(path.delimiter)
+        },
+        execArgv: this._getExecArgv(directory, config),
+        stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+      });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, config.timeout);
+
+      child.stdout.on('data', chunk => stdout.append(chunk));
+      child.stderr.on('data', chunk => stderr.append(chunk));
+
+      child.on('message', message => {
+        if (message.type === 'loaded') exports = message.exports;
+        if (message.type === 'test') tests.push(message.result);
+        if (message.type === 'done') report = message;
+      });
+
+      const finish = (exitCode, signal, spawnError) => {
+        clearTimeout(timer);
+
+        // Report sandbox files by their source-relative names
+        const relative = value => (typeof value === 'string' ? value.split(directory + path.sep).join('') : value);
+        const errors = (report ? report.errors : []).map(error => ({ ...error, file: relative(error.file), stack: relative(error.stack) }));
+        const testResults = (report ? report.tests : tests).map(result => ({
+          ...result,
+          file: relative(result.file),
+          error: result.error && { ...result.error, stack: relative(result.error.stack) }
+        }));
+        const output = stderr.toString();
+        const memoryExceeded = /heap out of memory|Allocation failed/i.test(output);
+        let status = 'completed';
+
+        if (spawnError) {
+          status = 'failed';
+          errors.push({ phase: 'runtime', message: spawnError.message });
+        } else if (timedOut) {
+          status = 'timeout';
+          errors.push({ phase: 'runtime', message: `Execution exceeded ${config.timeout}ms` });
+        } else if (memoryExceeded) {
+          status = 'memory-limit';
+          errors.push({ phase: 'runtime', message: `Execution exceeded the ${config.memoryLimit}MB heap limit` });
+        } else if (!report) {
+          status = 'failed';
+          errors.push({ phase: 'runtime', message: `Runner exited with ${signal || `code ${exitCode}`} before reporting` });
+        } else if (errors.length > 0) {
+          status = 'failed';
+        }
+
+        resolve({
+          status,
+          exitCode,
+          signal,
+          stdout: stdout.toString(),
+          stderr: output,
+          errors,
+          exports,
+          render: report && report.render ? {
+            ...report.render,
+            error: report.render.error && { ...report.render.error, stack: relative(report.render.error.stack) }
+          } : null,
+          testResults,
+          timings: {
+            ...(report ? report.timings : {}),
+            process: performance.now() - spawnStart
+          },
+          memory: report ? { ...report.memory, limit: config.memoryLimit * 1024 * 1024 } : null,
+          cpu: report ? report.cpu : null
+        });
+      };
+
+      child.on('error', error => finish(null, null, error));
+      child.on('exit', (code, signal) => finish(code, signal));
+    });
+  }
+
+  /**
+   * Check whether this Node version can restrict the runner's file access
+   * @returns {boolean} True when Node's permission model is available
+   */
+  isIsolated() {
+    return Boolean(this._getPermissionFlag());
+  }
+
+  /**
+   * @private
+   */
+  _getPermissionFlag() {
+    const allowed = process.allowedNodeEnvironmentFlags;
+    return ['--permission', '--experimental-permission'].find(flag => allowed.has(flag));
+  }
+
+  /**
+   * Node flags for the runner: heap limit and read-only file access
+   * @private
+   */
+  _getExecArgv(directory, config) {
+    const flags = [`--max-old-space-size=${config.memoryLimit}`];
+    const allowed = process.allowedNodeEnvironmentFlags;
+
+    const permissionFlag = this._getPermissionFlag();
+    if (permissionFlag) {
+      flags.push(permissionFlag);
+      // Module resolution reads both symlinked and resolved paths
+      const readable = [directory, __dirname, ...config.modulePaths]
+        .filter(fs.existsSync)
+        .flatMap(entry => [entry, fs.realpathSync(entry)]);
+      for (const entry of new Set(readable)) {
+        flags.push(`--allow-fs-read=${entry}${path.sep}`);
+      }
+    } else {
+      logger.warn('Node permission model unavailable; generated code runs with full file access');
+    }
+
+    if (allowed.has('--disable-warning')) {
+      flags.push('--disable-warning=ExperimentalWarning');
+    }
+
+    return flags;
+  }
+
+  /**
+   * Bounded output buffer
+   * @private
+   */
+  _createBuffer(limit) {
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+
+    return {
+      append(chunk) {
+        if (size >= limit) {
+          truncated = true;
+          return;
+        }
+        chunks.push(chunk.slice(0, limit - size));
+        size += Math.min(chunk.length, limit - size);
+      },
+      toString() {
+        return Buffer.concat(chunks).toString('utf8') + (truncated ? '\n[output truncated]' : '');
+      }
+    };
+  }
+
+  /**
+   * Normalize an execution into the public result shape
+   * @private
+   */
+  _createResult(execution, started) {
+    const testResults = execution.testResults || [];
+    const passed = testResults.filter(result => result.passed).length;
+    const status = execution.status === 'completed' && passed < testResults.length ? 'tests-failed' : execution.status;
+
+    return {
+      success: status === 'completed',
+      status,
+      exitCode: execution.exitCode ?? null,
+      signal: execution.signal || null,
+      stdout: execution.stdout || '',
+      stderr: execution.stderr || '',
+      errors: execution.errors || [],
+      exports: execution.exports || [],
+      render: execution.render || null,
+      tests: {
+        total: testResults.length,
+        passed,
+        failed: testResults.length - passed,
+        results: testResults
+      },
+      timings: {
+        ...this._roundTimings(execution.timings || {}),
+        total: Math.round(performance.now() - started)
+      },
+      memory: execution.memory || null,
+      cpu: execution.cpu || null
+    };
+  }
+
+  _roundTimings(timings) {
+    return Object.fromEntries(Object.entries(timings).map(([phase, ms]) => [phase, Math.round(ms * 100) / 100]));
+  }
+}
+
+ExecutionSandbox.TEST_FILE_PATTERN = TEST_FILE_PATTERN;
+ExecutionSandbox.ASSET_EXTENSIONS = ASSET_EXTENSIONS;
+
+module.exports = ExecutionSandbox;
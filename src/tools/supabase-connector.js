@@ -34,7 +34,8 @@ class SupabaseConnector {
         throw new Error('Supabase URL and API key are required in production mode');
       }
       
-      this.supabase = createClient(this.config.url, this.config.apiKey);
+      // A client passed in config (e.g. a stub in tests) replaces the Supabase client
+      this.supabase = this.config.client || createClient(this.config.url, this.config.apiKey);
       logger.info('Supabase connector initialized');
     }
   }
@@ -124,7 +125,7 @@ class SupabaseConnector {
   async createTask(task) {
     try {
       if (this.config.devMode) {
-        const id = `task_${Date.now()}`;
+        const id = `task_${Date.now()}_${this.devStorage.tasks.size}`;
         const newTask = {
           id,
           ...task,
@@ -156,7 +157,7 @@ class SupabaseConnector {
   async recordTokenUsage(usage) {
     try {
       if (this.config.devMode) {
-        const id = `usage_${Date.now()}`;
+        const id = `usage_${Date.now()}_${this.devStorage.tokenUsage.size}`;
         const record = {
           id,
           ...usage,
@@ -180,6 +181,26 @@ class SupabaseConnector {
     }
   }
 
+  /**
+   * Get token usage records
+   * @param {Object} filter - Filter options
+   * @param {string} filter.source - Only return rows written by this source
+   * @returns {Promise<Object[]>} Token usage rows, oldest first
+   */
+  async getTokenUsage({ source } = {}) {
+    try {
+      if (this.config.devMode) {
+        return Array.from(this.devStorage.tokenUsage.values())
+          .filter(row => !source || row.source === source);
+      }
+
+      return await this._selectAll('token_usage', source);
+    } catch (error) {
+      logger.error('Token usage retrieval failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Save a template
    * @param {Object} template - Template details
@@ -249,7 +270,7 @@ class SupabaseConnector {
   async saveImplementation(implementation) {
     try {
       if (this.config.devMode) {
-        const id = `impl_${Date.now()}`;
+        const id = `impl_${Date.now()}_${this.devStorage.implementations.size}`;
         const newImpl = {
           id,
           ...implementation,
@@ -281,7 +302,7 @@ class SupabaseConnector {
   async saveQualityMetrics(metrics) {
     try {
       if (this.config.devMode) {
-        const id = `metrics_${Date.now()}`;
+        const id = `metrics_${Date.now()}_${this.devStorage.qualityMetrics.size}`;
         const newMetrics = {
           id,
           ...metrics,
@@ -305,6 +326,65 @@ class SupabaseConnector {
     }
   }
 
+  /**
+   * Get quality metrics records
+   * @param {Object} filter - Filter options
+   * @param {string} filter.source - Only return rows written by this source
+   * @returns {Promise<Object[]>} Quality metrics rows, oldest first
+   */
+  async getQualityMetrics({ source } = {}) {
+    try {
+      if (this.config.devMode) {
+        return Array.from(this.devStorage.qualityMetrics.values())
+          .filter(row => !source || row.source === source);
+      }
+
+      return await this._selectAll('quality_metrics', source);
+    } catch (error) {
+      logger.error('Quality metrics retrieval failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get implementations together with their task and quality scores, newest first
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Most implementations returned
+   * @returns {Promise<Object[]>} Implementation rows with `tasks` (the task row or null)
+   *   and `quality_metrics` (an array of score rows)
+   */
+  async getScoredImplementations({ limit = 1000 } = {}) {
+    try {
+      if (this.config.devMode) {
+        const metrics = Array.from(this.devStorage.qualityMetrics.values());
+        return Array.from(this.devStorage.implementations.values())
+          .reverse()
+          .slice(0, limit)
+          .map(implementation => ({
+            ...implementation,
+            tasks: this.devStorage.tasks.get(implementation.task_id) || null,
+            quality_metrics: metrics.filter(row => row.implementation_id === implementation.id)
+          }));
+      }
+      
+      const { data, error } = await this.supabase
+        .from('implementations')
+        .select(`
+          *,
+          tasks (*),
+          quality_metrics (overall_score)
+        `)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Implementation retrieval failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get task history for a user
    * @param {string} userId - User ID
@@ -337,6 +417,33 @@ class SupabaseConnector {
       throw error;
     }
   }
+
+  /**
+   * Read every row of a table, page by page, oldest first
+   * @private
+   */
+  async _selectAll(table, source) {
+    const rows = [];
+    const pageSize = 1000;
+
+    for (let from = 0; ; from += pageSize) {
+      let query = this.supabase
+        .from(table)
+        .select('*')
+        .order('created_at', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (source) {
+        query = query.eq('source', source);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      rows.push(...data);
+      if (data.length < pageSize) return rows;
+    }
+  }
 }
 
 module.exports = SupabaseConnector;
\ No newline at end of file
@@ -0,0 +1,281 @@
+/**
+ * AI-AutoCoding-DAO v0.dev Connector
+ * Handles interaction with the v0.dev model API for design-system implementations
+ */
+const fetch = require('node-fetch');
+const logger = require('../utils/logger');
+const { estimateUsage } = require('../utils/tokenizer');
+const { normalizeUsage } = require('../utils/usage');
+
+class V0DevConnector {
+  constructor(config = {}) {
+    this.name = 'v0Dev';
+    this.displayName = 'v0.dev';
+
+    this.config = {
+      url: config.url || process.env.V0_API_URL || 'https://api.v0.dev/v1',
+      apiKey: config.apiKey || process.env.V0_API_KEY,
+      modelVersion: config.modelVersion || process.env.V0_MODEL || 'v0-1.0-md',
+      maxTokens: 8000,
+      timeout: 120000,
+      simulatedLatency: 800,
+      devMode: config.devMode || process.env.NODE_ENV === 'development',
+      // HTTP transport with the fetch signature; swap in a stub or point url at a local mock server
+      transport: config.transport || ((url, options) => fetch(url, options)),
+      ...config
+    };
+
+    if (!this.config.devMode && !this.config.apiKey) {
+      logger.error('No API key provided for v0.dev');
+      throw new Error('v0.dev API key is required in production mode');
+    }
+
+    if (this.config.devMode) {
+      logger.info('Running v0.dev connector in development mode');
+    }
+  }
+
+  /**
+   * Get tool capabilities
+   * @returns {Object} Tool capabilities
+   */
+  getCapabilities() {
+    return {
+      ...V0DevConnector.capabilities,
+      maxTokens: this.config.maxTokens,
+      modelVersion: this.config.modelVersion,
+      devMode: this.config.devMode
+    };
+  }
+
+  /**
+   * Implement a task using v0.dev
+   * @param {Object} task - Task details
+   * @param {string} template - Filled template
+   * @param {Object} options - Call options
+   * @param {number} options.maxTokens - Output token cap, e.g. from a budget policy;
+   *   never raises the configured maxTokens
+   * @param {Function} options.optimizePrompt - Rewrites the complete prompt before it is
+   *   sent, e.g. with PromptBuilder.optimize
+   * @param {boolean} options.raw - Send the template as the whole prompt, without this
+   *   connector's instructions around it (used for baseline runs)
+   * @returns {Promise<Object>} Implementation results
+   */
+  async implementTask(task, template, options = {}) {
+    try {
+      logger.info(`Implementing task with v0.dev: ${task.id}`);
+
+      // Prepare the prompt, unless it is raw; the caller may optimize it, wrapper included
+      let prompt = options.raw ? template : this._preparePrompt(task, template);
+      if (options.optimizePrompt) {
+        prompt = options.optimizePrompt(prompt);
+      }
+
+      if (this.config.devMode) {
+        return this._simulateImplementation(task, prompt);
+      }
+
+      // v0.dev exposes an OpenAI-compatible chat completions endpoint
+      const response = await this._request('/chat/completions', {
+        model: this.config.modelVersion,
+        max_tokens: Math.min(this.config.maxTokens, options.maxTokens || Infinity),
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+
+      const implementation = this._extractImplementation(response);
+
+      // Count locally when the API does not report usage
+      const tokenUsage = response.usage ?
+        normalizeUsage(response.usage) :
+        estimateUsage(prompt, implementation);
+
+      return {
+        success: true,
+        implementation,
+        tokenUsage,
+        metadata: {
+          tool: this.name,
+          timestamp: new Date().toISOString(),
+          taskId: task.id,
+          modelVersion: this.config.modelVersion
+        }
+      };
+    } catch (error) {
+      logger.error(`v0.dev implementation failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request through the configured transport
+   * @private
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Parsed response
+   */
+  async _request(endpoint, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await this.config.transport(`${this.config.url}${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.config.apiKey}`
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`v0.dev request failed: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Extract implementation from API response
+   * @private
+   * @param {Object} response - API response
+   * @returns {string} Extracted implementation
+   */
+  _extractImplementation(response) {
+    const content = response.choices?.[0]?.message?.content || '';
+    const codeBlockRegex = /```[\w]*\n([\s\S]*?)```/g;
+    const matches = [...content.matchAll(codeBlockRegex)];
+
+    if (matches.length === 0) {
+      throw new Error('No code implementation found in response');
+    }
+
+    // Return the largest code block
+    return matches.reduce((largest, match) =>
+      match[1].length > largest.length ? match[1] : largest
+    , matches[0][1]);
+  }
+
+  /**
+   * Simulate implementation for development mode
+   * Output depends only on the task, so repeated runs are identical.
+   * @private
+   * @param {Object} task - Task details
+   * @param {string} prompt - Prepared prompt
+   * @returns {Promise<Object>} Simulated implementation results
+   */
+  async _simulateImplementation(task, prompt) {
+    await new Promise(resolve => setTimeout(resolve, this.config.simulatedLatency));
+
+    const implementation = `
+import React, { createContext, useContext, useMemo, useState } from 'react';
+
+/**
+ * Development Mode Theme
+ * Task: ${task.description}
+ */
+export const tokens = {
+  light: { background: '#ffffff', foreground: '#111827', accent: '#2563eb' },
+  dark: { background: '#111827', foreground: '#f9fafb', accent: '#60a5fa' }
+};
+
+export type ThemeMode = keyof typeof tokens;
+
+const ThemeContext = createContext<{ mode: ThemeMode; toggle: () => void } | null>(null);
+
+export function ThemeProvider({ children }: { children: React.ReactNode }) {
+  const [mode, setMode] = useState<ThemeMode>('light');
+  const value = useMemo(() => ({
+    mode,
+    toggle: () => setMode(current => (current === 'light' ? 'dark' : 'light'))
+  }), [mode]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+export function useTheme() {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return { ...context, colors: tokens[context.mode] };
+}
+`;
+
+    return {
+      success: true,
+      implementation,
+      tokenUsage: estimateUsage(prompt, implementation),
+      metadata: {
+        tool: this.name,
+        timestamp: new Date().toISOString(),
+        taskId: task.id,
+        modelVersion: this.config.modelVersion,
+        devMode: true
+      }
+    };
+  }
+
+  /**
+   * Prepare a prompt for v0.dev
+   * @private
+   * @param {Object} task - Task details
+   * @param {string} template - Filled template
+   * @returns {string} Complete prompt
+   */
+  _preparePrompt(task, template) {
+    return `
+${template}
+
+## Design System Requirements
+- Define design tokens (color, spacing, typography) in one place
+- Expose theming through React context
+- Components must consume tokens instead of hard-coded values
+- Use TypeScript and Tailwind-compatible class names
+
+## Response Format
+\`\`\`tsx
+// Your implementation here
+\`\`\`
+`;
+  }
+}
+
+V0DevConnector.capabilities = {
+  name: 'v0Dev',
+  displayName: 'v0.dev',
+  roles: ['implementation'],
+  strengths: [
+    'design-systems',
+    'themes',
+    'style-guides',
+    'patterns'
+  ],
+  optimalComplexity: 'high',
+  sizeRange: {
+    min: 100,
+    max: 500
+  },
+  tokenEfficiency: 0.7,
+  capsOutput: true,
+  specialties: {
+    designSystems: 1.0,
+    themeManagement: 0.95,
+    visualConsistency: 0.9,
+    componentLibrary: 0.85
+  },
+  reasoning: [
+    'Perfect for design systems',
+    'Best for theme management',
+    'Excellent for pattern libraries',
+    'Good for large-scale visual consistency'
+  ]
+};
+
+module.exports = V0DevConnector;
@@ -0,0 +1,157 @@
+/**
+ * AI-AutoCoding-DAO Statistics
+ * Summary statistics and significance tests for comparing samples
+ */
+
+/**
+ * Arithmetic mean
+ * @param {number[]} values - Sample
+ * @returns {number} Mean, or 0 for an empty sample
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Sample variance (n - 1 denominator)
+ * @param {number[]} values - Sample
+ * @returns {number} Variance, or 0 for fewer than two values
+ */
+function variance(values) {
+  if (values.length < 2) return 0;
+
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Summarize a sample
+ * @param {number[]} values - Sample
+ * @returns {Object} Count, mean and standard deviation
+ */
+function summarize(values) {
+  return {
+    count: values.length,
+    mean: mean(values),
+    sd: Math.sqrt(variance(values))
+  };
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @private
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    series += coefficient / ++y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz's method)
+ * @private
+ */
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let term = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + term * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + term / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    term = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + term * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + term / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @private
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  return x < (a + 1) / (a + b + 2) ?
+    front * betaContinuedFraction(a, b, x) / a :
+    1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Two-sided p-value of a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} p-value
+ */
+function tTestPValue(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Welch's t-test for a difference between the means of two samples
+ * Does not assume equal variances. Samples with no variance at all are only
+ * significantly different when their means differ.
+ * @param {number[]} a - First sample
+ * @param {number[]} b - Second sample
+ * @returns {Object|null} Difference of means (a - b), t, df and two-sided pValue, or null
+ *   when either sample has fewer than two values
+ */
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+
+  const difference = mean(a) - mean(b);
+  const varA = variance(a) / a.length;
+  const varB = variance(b) / b.length;
+  const standardError = Math.sqrt(varA + varB);
+
+  if (standardError === 0) {
+    return { difference, t: difference === 0 ? 0 : Infinity, df: a.length + b.length - 2, pValue: difference === 0 ? 1 : 0 };
+  }
+
+  const t = difference / standardError;
+  const df = (varA + varB) ** 2 /
+    ((varA ** 2) / (a.length - 1) + (varB ** 2) / (b.length - 1));
+
+  return { difference, t, df, pValue: tTestPValue(t, df) };
+}
+
+module.exports = {
+  mean,
+  variance,
+  summarize,
+  tTestPValue,
+  welchTTest
+};
@@ -3,6 +3,7 @@
  * Utilities for building and filling templates
  */
 const { isString, isObject } = require('./validation');
+const { compile } = require('./template-engine');
 const logger = require('./logger');
 
 /**
@@ -10,7 +11,7 @@ const logger = require('./logger');
  * @param {string} template - Template string with placeholders
  * @param {Object} data - Data to fill placeholders
  * @param {Object} defaults - Default values for missing data
- * @returns {string} Filled template
+ * @returns {string} Filled template, or the template unchanged when it does not compile
  */
 function fillTemplate(template, data, defaults = {}) {
   if (!isString(template)) {
@@ -29,29 +30,8 @@ function fillTemplate(template, data, defaults = {}) {
   }
   
   try {
-    // Find all placeholders in the template
-    const placeholderRegex = /\{([^}]+)\}/g;
-    const placeholders = [];
-    let match;
-    
-    while ((match = placeholderRegex.exec(template)) !== null) {
-      placeholders.push(match[1]);
-    }
-    
-    // Replace placeholders with data or defaults
-    let filledTemplate = template;
-    
-    for (const placeholder of placeholders) {
-      const value = data[placeholder] !== undefined ? data[placeholder] : defaults[placeholder];
-      
-      if (value !== undefined) {
-        // Replace all occurrences of the placeholder
-        const regex = new RegExp(`\\{${placeholder}\\}`, 'g');
-        filledTemplate = filledTemplate.replace(regex, value);
-      }
-    }
-    
-    return filledTemplate;
+    // Placeholders without a value are left in place
+    return compile(template).render(data, { defaults });
   } catch (error) {
     logger.error('Error filling template', error);
     return template;
@@ -68,16 +48,15 @@ function fillTemplate(template, data, defaults = {}) {
  */
 function buildTaskTemplate(templateManager, tool, type, task) {
   try {
-    // Get template from manager
-    const templateObj = templateManager.getTemplate(tool, type);
+    // The manager fills the template with the task and its defaults
+    const filledTemplate = templateManager.getTemplate(tool, type, task);
     
-    if (!templateObj) {
+    if (!filledTemplate) {
       logger.error(`Template not found: ${tool}/${type}`);
       return '';
     }
     
-    // Fill template with task data and defaults
-    return fillTemplate(templateObj.template, task, templateObj.defaults);
+    return filledTemplate;
   } catch (error) {
     logger.error('Error building task template', error);
     return '';
@@ -87,7 +66,7 @@ function buildTaskTemplate(templateManager, tool, type, task) {
 /**
  * Identify placeholders in a template
  * @param {string} template - Template string
- * @returns {string[]} Array of placeholder names
+ * @returns {string[]} Array of top-level placeholder names, without loop variables
  */
 function identifyPlaceholders(template) {
   if (!isString(template)) {
@@ -96,15 +75,7 @@ function identifyPlaceholders(template) {
   }
   
   try {
-    const placeholderRegex = /\{([^}]+)\}/g;
-    const placeholders = new Set();
-    let match;
-    
-    while ((match = placeholderRegex.exec(template)) !== null) {
-      placeholders.add(match[1]);
-    }
-    
-    return Array.from(placeholders);
+    return compile(template).variables;
   } catch (error) {
     logger.error('Error identifying placeholders', error);
     return [];
@@ -144,7 +115,7 @@ function calculateTemplateCompleteness(template, data, defaults = {}) {
     const missingPlaceholders = [];
     
     for (const placeholder of placeholders) {
-      if (data[placeholder] !== undefined || defaults[placeholder] !== undefined) {
+      if (!isMissing(data[placeholder]) || !isMissing(defaults[placeholder])) {
         filledPlaceholders.push(placeholder);
       } else {
         missingPlaceholders.push(placeholder);
@@ -169,6 +140,14 @@ function calculateTemplateCompleteness(template, data, defaults = {}) {
   }
 }
 
+/**
+ * Whether a value leaves its placeholder unfilled
+ * @private
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
 /**
  * Create a template builder for a specific template
  * @param {string} template - Template string
@@ -0,0 +1,514 @@
+/**
+ * AI-AutoCoding-DAO Template Engine
+ * Compiles and renders prompt templates
+ *
+ * Syntax:
+ * - {name}, {task.name}: value, looked up in the data, then the defaults
+ * - {name | default: "text" | upper}: value passed through filters
+ * - {#if name} ... {:else if other} ... {:else} ... {/if}: conditional sections;
+ *   {#if !name} negates. Empty strings and empty lists are false.
+ * - {#each items as item, index} ... {:else} ... {/each}: repeated sections; without
+ *   "as", the item is {this}. {@index}, {@first} and {@last} are set inside the loop.
+ * - \{ and \}: literal braces
+ *
+ * Braces that do not form a tag, such as "{ id: 1 }" or "{a || b}", are plain text, so
+ * code in a template only needs escaping where it looks like {name}. Rendering is a
+ * single pass: values are inserted as text and never parsed as template syntax.
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const PATH = /^(@index|@first|@last|this|[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*)$/;
+const MARKDOWN_SPECIAL = /[\\`*_[\]<>#|]/g;
+const CACHE_SIZE = 500;
+
+const cache = new Map();
+
+class TemplateError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Details such as position or unknown placeholders
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Built-in filters; each receives the value and the filter's arguments
+ */
+const filters = {
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(format).join(separator) : value),
+  bullets: value => (Array.isArray(value) ? value.map(item => `- ${format(item)}`).join('\n') : value),
+  upper: value => format(value).toUpperCase(),
+  lower: value => format(value).toLowerCase(),
+  trim: value => format(value).trim(),
+  truncate: (value, length = 100) => {
+    const text = format(value);
+    return text.length > length ? `${text.slice(0, length)}…` : text;
+  },
+  json: value => JSON.stringify(value, null, 2),
+  escape: value => escapeMarkdown(format(value)),
+  // Marks a value as exempt from the render's escape mode
+  raw: value => value
+};
+
+/**
+ * Add a filter usable as {value | name: arg}
+ * @param {string} name - Filter name
+ * @param {Function} filter - (value, ...args) => value
+ */
+function registerFilter(name, filter) {
+  if (!IDENTIFIER.test(name) || typeof filter !== 'function') {
+    throw new TemplateError(`Invalid filter: ${name}`);
+  }
+  filters[name] = filter;
+}
+
+class CompiledTemplate {
+  /**
+   * @param {string} source - Template source
+   * @param {Object[]} nodes - Parsed nodes
+   * @param {string[]} variables - Top-level names the template reads
+   */
+  constructor(source, nodes, variables) {
+    this.source = source;
+    this.nodes = nodes;
+    this.variables = variables;
+  }
+
+  /**
+   * Find the names this template reads that are not known
+   * @param {string[]} known - Names that will be provided (data fields and defaults)
+   * @returns {string[]} Unknown placeholder names
+   */
+  getUnknown(known = []) {
+    const knownNames = new Set(known);
+    return this.variables.filter(name => !knownNames.has(name));
+  }
+
+  /**
+   * Render the template
+   * @param {Object} data - Values for placeholders
+   * @param {Object} options - Render options
+   * @param {Object} options.defaults - Values used when data has none (undefined, null or '')
+   * @param {string} options.missing - What a placeholder without a value renders as:
+   *   'keep' (the placeholder itself), 'empty' or 'error' (throw a TemplateError)
+   * @param {string|Function} options.escape - Escaping applied to every value not marked
+   *   raw: 'none', 'markdown' or a function
+   * @returns {string} Rendered text
+   */
+  render(data = {}, { defaults = {}, missing = 'keep', escape = 'none' } = {}) {
+    const context = {
+      scopes: [],
+      data: data || {},
+      defaults: defaults || {},
+      missing,
+      escape: typeof escape === 'function' ? escape : escape === 'markdown' ? escapeMarkdown : null,
+      unresolved: []
+    };
+
+    const output = this._renderNodes(this.nodes, context);
+
+    if (missing === 'error' && context.unresolved.length > 0) {
+      const unresolved = Array.from(new Set(context.unresolved));
+      throw new TemplateError(`Missing values for: ${unresolved.join(', ')}`, { unresolved });
+    }
+
+    return output;
+  }
+
+  /**
+   * @private
+   */
+  _renderNodes(nodes, context) {
+    return nodes.map(node => this._renderNode(node, context)).join('');
+  }
+
+  /**
+   * @private
+   */
+  _renderNode(node, context) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'var': {
+        let value = lookup(node.path, context);
+        let raw = false;
+
+        for (const filter of node.filters) {
+          value = filters[filter.name](value, ...filter.args);
+          raw = raw || filter.name === 'raw' || filter.name === 'escape' || filter.name === 'json';
+        }
+
+        // A default filter makes an empty value intentional
+        if (isEmpty(value)) {
+          if (context.missing === 'empty' || node.hasDefault) return '';
+          context.unresolved.push(node.path);
+          return context.missing === 'keep' ? node.source : '';
+        }
+
+        const text = format(value);
+        return context.escape && !raw ? context.escape(text) : text;
+      }
+
+      case 'if': {
+        const branch = node.branches.find(({ condition }) => {
+          const value = lookup(condition.path, context);
+          return condition.negate ? !isTruthy(value) : isTruthy(value);
+        });
+        return branch ? this._renderNodes(branch.nodes, context) :
+          this._renderNodes(node.elseNodes, context);
+      }
+
+      case 'each': {
+        const value = lookup(node.path, context);
+        const items = Array.isArray(value) ? value : isEmpty(value) ? [] : [value];
+
+        if (items.length === 0) {
+          return this._renderNodes(node.elseNodes, context);
+        }
+
+        return items.map((item, index) => {
+          const scope = {
+            this: item,
+            '@index': index,
+            '@first': index === 0,
+            '@last': index === items.length - 1
+          };
+          if (node.alias) scope[node.alias] = item;
+          if (node.indexAlias) scope[node.indexAlias] = index;
+
+          context.scopes.push(scope);
+          try {
+            return this._renderNodes(node.nodes, context);
+          } finally {
+            context.scopes.pop();
+          }
+        }).join('');
+      }
+
+      default:
+        return '';
+    }
+  }
+}
+
+/**
+ * Compile a template, checking its syntax and collecting the names it reads
+ * @param {string} source - Template source
+ * @returns {CompiledTemplate} Compiled template
+ * @throws {TemplateError} On unbalanced blocks, malformed tags or unknown filters
+ */
+function compile(source) {
+  if (typeof source !== 'string') {
+    throw new TemplateError('Template source must be a string');
+  }
+
+  if (cache.has(source)) {
+    return cache.get(source);
+  }
+
+  const variables = new Set();
+  const root = { type: 'root', nodes: [] };
+  const stack = [{ node: root, target: root.nodes, locals: new Set() }];
+  const current = () => stack[stack.length - 1];
+
+  const use = path => {
+    const name = path.split('.')[0];
+    const isLocal = stack.some(frame => frame.locals.has(name));
+    if (!isLocal && !name.startsWith('@') && name !== 'this') {
+      variables.add(name);
+    }
+  };
+
+  for (const token of tokenize(source)) {
+    if (token.type === 'text') {
+      current().target.push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const { tag, position } = token;
+    const fail = message => {
+      throw new TemplateError(`${message} at position ${position}`, { position });
+    };
+
+    if (tag.startsWith('#if ')) {
+      const condition = parseCondition(tag.slice(4), fail);
+      use(condition.path);
+      const node = { type: 'if', branches: [{ condition, nodes: [] }], elseNodes: [] };
+      current().target.push(node);
+      stack.push({ node, target: node.branches[0].nodes, locals: new Set() });
+    } else if (tag.startsWith('#each ')) {
+      const match = tag.slice(6).trim().match(/^(\S+)(?:\s+as\s+([A-Za-z_$][\w$]*)(?:\s*,\s*([A-Za-z_$][\w$]*))?)?$/);
+      if (!match || !PATH.test(match[1])) fail(`Malformed each block "{${tag}}"`);
+      use(match[1]);
+      const node = { type: 'each', path: match[1], alias: match[2] || null, indexAlias: match[3] || null, nodes: [], elseNodes: [] };
+      current().target.push(node);
+      stack.push({ node, target: node.nodes, locals: new Set([match[2], match[3]].filter(Boolean)) });
+    } else if (tag.startsWith(':else if ')) {
+      const frame = current();
+      if (frame.node.type !== 'if' || frame.inElse) fail('Unexpected {:else if}');
+      const condition = parseCondition(tag.slice(9), fail);
+      use(condition.path);
+      const branch = { condition, nodes: [] };
+      frame.node.branches.push(branch);
+      frame.target = branch.nodes;
+    } else if (tag === ':else') {
+      const frame = current();
+      if (!['if', 'each'].includes(frame.node.type) || frame.inElse) fail('Unexpected {:else}');
+      frame.inElse = true;
+      frame.target = frame.node.elseNodes;
+    } else if (tag === '/if' || tag === '/each') {
+      if (current().node.type !== tag.slice(1)) fail(`Unexpected {${tag}}`);
+      stack.pop();
+    } else if (/^[#:/]/.test(tag)) {
+      fail(`Unknown block tag "{${tag}}"`);
+    } else {
+      const [expression, ...filterParts] = splitFilters(tag);
+      const path = expression.trim();
+
+      // Braces that only resemble a tag, such as "{key: value}" or "{a || b}" in code
+      const filterNames = filterParts.map(part => part.split(':')[0].trim());
+      if (!PATH.test(path) || !filterNames.every(name => IDENTIFIER.test(name))) {
+        current().target.push({ type: 'text', value: `{${token.source}}` });
+        continue;
+      }
+
+      use(path);
+      const nodeFilters = filterParts.map(part => parseFilter(part, fail));
+      current().target.push({
+        type: 'var',
+        path,
+        filters: nodeFilters,
+        hasDefault: nodeFilters.some(filter => filter.name === 'default'),
+        source: `{${tag}}`
+      });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed {#${current().node.type}} block`);
+  }
+
+  const compiled = new CompiledTemplate(source, root.nodes, Array.from(variables));
+
+  // Bounded cache: templates are few, but fillTemplate accepts arbitrary strings
+  if (cache.size >= CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(source, compiled);
+
+  return compiled;
+}
+
+/**
+ * Compile and render a template in one step
+ * @param {string} source - Template source
+ * @param {Object} data - Values for placeholders
+ * @param {Object} options - Render options (see CompiledTemplate.render)
+ * @returns {string} Rendered text
+ */
+function render(source, data, options) {
+  return compile(source).render(data, options);
+}
+
+/**
+ * Split a template into text and tag tokens
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  let text = '';
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '\\' && (source[index + 1] === '{' || source[index + 1] === '}')) {
+      text += source[index + 1];
+      index += 2;
+      continue;
+    }
+
+    if (char === '{' && /[#:/@A-Za-z_$]/.test(source[index + 1] || '')) {
+      const end = source.indexOf('}', index);
+      const newline = source.indexOf('\n', index);
+      // A tag closes on its own line, with no other brace opened in between
+      const closed = end !== -1 && (newline === -1 || end < newline) &&
+        !source.slice(index + 1, end).includes('{');
+
+      if (closed) {
+        if (text) tokens.push({ type: 'text', value: text });
+        text = '';
+        const tagSource = source.slice(index + 1, end);
+        tokens.push({ type: 'tag', tag: tagSource.trim(), source: tagSource, position: index });
+        index = end + 1;
+        continue;
+      }
+
+      if (/[#:/]/.test(source[index + 1])) {
+        throw new TemplateError(`Unterminated tag at position ${index}`, { position: index });
+      }
+    }
+
+    text += char;
+    index++;
+  }
+
+  if (text) tokens.push({ type: 'text', value: text });
+  return tokens;
+}
+
+/**
+ * Split "value | filter: arg | filter" on pipes outside quotes
+ * @private
+ */
+function splitFilters(tag) {
+  const parts = [];
+  let part = '';
+  let quote = null;
+
+  for (const char of tag) {
+    if (quote) {
+      if (char === quote) quote = null;
+      part += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      part += char;
+    } else if (char === '|') {
+      parts.push(part);
+      part = '';
+    } else {
+      part += char;
+    }
+  }
+
+  parts.push(part);
+  return parts;
+}
+
+/**
+ * Parse "name: arg, arg" into a filter call
+ * @private
+ */
+function parseFilter(part, fail) {
+  const separator = part.indexOf(':');
+  const name = (separator === -1 ? part : part.slice(0, separator)).trim();
+
+  if (!Object.hasOwn(filters, name)) fail(`Unknown filter "${name}"`);
+
+  const args = [];
+  if (separator !== -1) {
+    // Arguments are comma-separated string or number literals
+    const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?))\s*(?:,|$)/y;
+    const argText = part.slice(separator + 1);
+
+    while (pattern.lastIndex < argText.length) {
+      const start = pattern.lastIndex;
+      const match = pattern.exec(argText);
+      if (!match || pattern.lastIndex === start) {
+        fail(`Malformed arguments for filter "${name}"`);
+      }
+
+      if (match[3] !== undefined) {
+        args.push(Number(match[3]));
+      } else {
+        args.push((match[1] ?? match[2]).replace(/\\n/g, '\n').replace(/\\(.)/g, '$1'));
+      }
+    }
+  }
+
+  return { name, args };
+}
+
+/**
+ * Parse an if condition: a path, optionally negated with !
+ * @private
+ */
+function parseCondition(expression, fail) {
+  const trimmed = expression.trim();
+  const negate = trimmed.startsWith('!');
+  const path = negate ? trimmed.slice(1).trim() : trimmed;
+
+  if (!PATH.test(path)) fail(`Malformed condition "${expression.trim()}"`);
+  return { path, negate };
+}
+
+/**
+ * Resolve a path against loop scopes, then data, then defaults
+ * Only own properties are read, so names like {constructor} or {#if hasOwnProperty}
+ * never reach the prototype chain.
+ * @private
+ */
+function lookup(path, context) {
+  const [name, ...properties] = path.split('.');
+  let value;
+
+  const scope = [...context.scopes].reverse().find(candidate => Object.hasOwn(candidate, name));
+  if (scope) {
+    value = scope[name];
+  } else {
+    value = ownValue(context.data, name);
+    if (isEmpty(value)) value = ownValue(context.defaults, name);
+  }
+
+  for (const property of properties) {
+    if (value === undefined || value === null) return undefined;
+    value = ownValue(value, property);
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ */
+function ownValue(object, key) {
+  return object != null && Object.hasOwn(Object(object), key) ? object[key] : undefined;
+}
+
+/**
+ * @private
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * @private
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Convert a value to text: lists are comma-separated, objects are JSON
+ * @private
+ */
+function format(value) {
+  if (isEmpty(value)) return '';
+  if (Array.isArray(value)) return value.map(format).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Backslash-escape characters that carry Markdown structure
+ * @private
+ */
+function escapeMarkdown(text) {
+  return text.replace(MARKDOWN_SPECIAL, '\\$&');
+}
+
+module.exports = {
+  TemplateError,
+  CompiledTemplate,
+  compile,
+  render,
+  registerFilter,
+  filters
+};
@@ -0,0 +1,211 @@
+/**
+ * AI-AutoCoding-DAO Tokenizer
+ * Offline byte-pair encoding (BPE) token counter for Claude-family models
+ *
+ * Text is split into pieces with the same pre-tokenization pattern as the tiktoken and
+ * Claude tokenizers, and each piece is merged with the ranked merges in bpe-merges.json
+ * (learned by scripts/train-tokenizer.cjs). The merge table is far smaller than a
+ * production vocabulary, so counts are estimates: tokenUsage from these functions is
+ * marked `estimated: true`, while usage reported by a model API is exact.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Contractions, words with an optional leading symbol, numbers in groups of three,
+// punctuation runs, newlines and other whitespace
+const PRETOKENIZE_PATTERN = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+
+const DEFAULT_MERGES_PATH = path.join(__dirname, 'bpe-merges.json');
+
+class Tokenizer {
+  /**
+   * Create a tokenizer
+   * @param {Object} config - Configuration options
+   * @param {Array<string[]>} config.merges - Ranked merges as [left, right] pairs; loaded
+   *   from mergesPath when omitted
+   * @param {string} config.mergesPath - Merge table file
+   * @param {number} config.cacheSize - Most pieces kept in the encoding cache
+   */
+  constructor(config = {}) {
+    this.config = {
+      mergesPath: DEFAULT_MERGES_PATH,
+      cacheSize: 20000,
+      ...config
+    };
+
+    const table = this.config.merges ?
+      { name: 'custom', merges: this.config.merges } :
+      JSON.parse(fs.readFileSync(this.config.mergesPath, 'utf8'));
+
+    this.name = table.name;
+    this.ranks = new Map(table.merges.map(([left, right], rank) => [`${left}\u0000${right}`, rank]));
+
+    // piece -> tokens, in least-recently-used order
+    this.cache = new Map();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Split text into tokens
+   * @param {string} text - Text to encode
+   * @returns {string[]} Tokens
+   */
+  encode(text) {
+    const tokens = [];
+    for (const piece of this.pretokenize(text)) {
+      tokens.push(...this._encodePiece(piece));
+    }
+    return tokens;
+  }
+
+  /**
+   * Count the tokens in a text
+   * @param {string} text - Text to count
+   * @returns {number} Token count
+   */
+  count(text) {
+    let count = 0;
+    for (const piece of this.pretokenize(text)) {
+      count += this._encodePiece(piece).length;
+    }
+    return count;
+  }
+
+  /**
+   * Split text into the pieces BPE merges are applied within
+   * @param {string} text - Text to split
+   * @returns {string[]} Pieces
+   */
+  pretokenize(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+      return [];
+    }
+    return text.match(PRETOKENIZE_PATTERN) || [];
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache size, hits, misses and hit rate
+   */
+  getCacheStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      size: this.cache.size,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Encode one piece, using the cache
+   * @private
+   */
+  _encodePiece(piece) {
+    const cached = this.cache.get(piece);
+    if (cached) {
+      this.stats.hits++;
+      // Refresh the entry so it is evicted last
+      this.cache.delete(piece);
+      this.cache.set(piece, cached);
+      return cached;
+    }
+
+    this.stats.misses++;
+    const tokens = this._merge(Array.from(piece));
+
+    this.cache.set(piece, tokens);
+    if (this.cache.size > this.config.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Apply merges in rank order until no ranked pair is left
+   * @private
+   */
+  _merge(symbols) {
+    while (symbols.length > 1) {
+      let bestRank = Infinity;
+      let bestIndex = -1;
+
+      for (let index = 0; index < symbols.length - 1; index++) {
+        const rank = this.ranks.get(`${symbols[index]}\u0000${symbols[index + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          bestIndex = index;
+        }
+      }
+
+      if (bestIndex === -1) break;
+
+      const left = symbols[bestIndex];
+      const right = symbols[bestIndex + 1];
+      const merged = [];
+      for (let index = 0; index < symbols.length; index++) {
+        if (index < symbols.length - 1 && symbols[index] === left && symbols[index + 1] === right) {
+          merged.push(left + right);
+          index++;
+        } else {
+          merged.push(symbols[index]);
+        }
+      }
+      symbols = merged;
+    }
+
+    return symbols;
+  }
+}
+
+let sharedTokenizer = null;
+
+/**
+ * Get the shared tokenizer, loading the merge table on first use
+ * @returns {Tokenizer} Shared tokenizer
+ */
+function getTokenizer() {
+  if (!sharedTokenizer) {
+    sharedTokenizer = new Tokenizer();
+  }
+  return sharedTokenizer;
+}
+
+/**
+ * Count tokens with the shared tokenizer
+ * @param {string} text - Text to count
+ * @returns {number} Estimated token count
+ */
+function countTokens(text) {
+  return getTokenizer().count(text || '');
+}
+
+/**
+ * Build normalized token usage from prompt and completion text
+ * @param {string} prompt - Prompt text
+ * @param {string} completion - Completion text
+ * @returns {Object} Usage with input, output, cacheRead, cacheWrite, total and
+ *   `estimated: true`
+ */
+function estimateUsage(prompt, completion) {
+  const input = countTokens(prompt);
+  const output = countTokens(completion);
+
+  return {
+    input,
+    output,
+    cacheRead: 0,
+    cacheWrite: 0,
+    total: input + output,
+    estimated: true
+  };
+}
+
+module.exports = {
+  Tokenizer,
+  PRETOKENIZE_PATTERN,
+  getTokenizer,
+  countTokens,
+  estimateUsage
+};
@@ -0,0 +1,140 @@
+/**
+ * AI-AutoCoding-DAO Usage Accounting
+ * Normalizes token usage reported by different APIs and prices it per model
+ */
+
+/**
+ * Default prices in USD per million tokens. Dated model versions match by prefix
+ * (claude-3-5-sonnet-20241022 uses claude-3-5-sonnet), longest prefix first.
+ */
+const DEFAULT_PRICES = {
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'claude-3-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-opus': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 }
+};
+
+/**
+ * Normalize token usage into { input, output, cacheRead, cacheWrite, total, estimated }
+ *
+ * Accepts the Anthropic Messages API shape (input_tokens, output_tokens,
+ * cache_read_input_tokens, cache_creation_input_tokens), the OpenAI-compatible shape
+ * (prompt_tokens, completion_tokens, prompt_tokens_details.cached_tokens), the legacy
+ * connector shape ({ prompt, completion, total }) and usage that is already normalized.
+ * Anthropic reports cached tokens apart from input_tokens, while OpenAI-compatible APIs
+ * include them in prompt_tokens, so they are subtracted there. A total reported without
+ * a breakdown is kept as the total.
+ * @param {Object} raw - Usage as reported by an API
+ * @param {Object} options - Options
+ * @param {boolean} options.estimated - Whether the counts are local estimates
+ * @returns {Object} Normalized usage
+ */
+function normalizeUsage(raw = {}, { estimated = false } = {}) {
+  const usage = raw || {};
+  let input;
+  let output;
+  let cacheRead;
+  let cacheWrite;
+
+  if (usage.input_tokens !== undefined || usage.output_tokens !== undefined) {
+    input = usage.input_tokens || 0;
+    output = usage.output_tokens || 0;
+    cacheRead = usage.cache_read_input_tokens || 0;
+    cacheWrite = usage.cache_creation_input_tokens || 0;
+  } else if (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined) {
+    cacheRead = usage.prompt_tokens_details?.cached_tokens || 0;
+    cacheWrite = 0;
+    input = Math.max(0, (usage.prompt_tokens || 0) - cacheRead);
+    output = usage.completion_tokens || 0;
+  } else if (usage.prompt !== undefined || usage.completion !== undefined) {
+    input = usage.prompt || 0;
+    output = usage.completion || 0;
+    cacheRead = 0;
+    cacheWrite = 0;
+  } else {
+    input = usage.input || 0;
+    output = usage.output || 0;
+    cacheRead = usage.cacheRead || 0;
+    cacheWrite = usage.cacheWrite || 0;
+  }
+
+  return {
+    input,
+    output,
+    cacheRead,
+    cacheWrite,
+    total: input + output + cacheRead + cacheWrite || usage.total || 0,
+    estimated: usage.estimated !== undefined ? Boolean(usage.estimated) : estimated
+  };
+}
+
+class PriceTable {
+  /**
+   * Create a price table
+   * @param {Object} prices - Prices in USD per million tokens by model name or prefix,
+   *   merged over DEFAULT_PRICES: { [model]: { input, output, cacheRead, cacheWrite } }
+   */
+  constructor(prices = {}) {
+    this.prices = {
+      ...DEFAULT_PRICES,
+      ...prices
+    };
+  }
+
+  /**
+   * Set the prices for a model
+   * @param {string} model - Model name or prefix
+   * @param {Object} prices - Prices in USD per million tokens
+   */
+  set(model, prices) {
+    this.prices[model] = { ...prices };
+  }
+
+  /**
+   * Get the prices for a model
+   * @param {string} model - Model name
+   * @returns {Object|null} Prices, or null when the model is not priced
+   */
+  get(model) {
+    if (!model) return null;
+    if (this.prices[model]) return this.prices[model];
+
+    const prefix = Object.keys(this.prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Calculate the cost of token usage
+   * @param {Object} usage - Normalized usage
+   * @param {string} model - Model name
+   * @returns {number|null} Cost in USD, or null when the model is not priced
+   */
+  cost(usage, model) {
+    const prices = this.get(model);
+    if (!prices || !usage) return null;
+
+    const cost = (
+      (usage.input || 0) * (prices.input || 0) +
+      (usage.output || 0) * (prices.output || 0) +
+      (usage.cacheRead || 0) * (prices.cacheRead || 0) +
+      (usage.cacheWrite || 0) * (prices.cacheWrite || 0)
+    ) / 1e6;
+
+    return Math.round(cost * 1e6) / 1e6;
+  }
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  PriceTable,
+  normalizeUsage
+};
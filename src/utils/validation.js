@@ -312,6 +312,14 @@ function validateTask(task) {
         items: {
           type: 'string'
         }
+      },
+      userId: {
+        type: 'string',
+        minLength: 1
+      },
+      projectId: {
+        type: 'string',
+        minLength: 1
       }
     }
   };
@@ -341,6 +349,183 @@ function validateTemplate(template) {
   return validateObject(template, templateSchema);
 }
 
+/**
+ * Validate a prompt pattern
+ * @param {Object} pattern - Pattern to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Object }
+ */
+function validatePattern(pattern) {
+  const patternSchema = {
+    required: ['title', 'kind', 'content'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1
+      },
+      title: {
+        type: 'string',
+        minLength: 1
+      },
+      kind: {
+        type: 'string',
+        validate: value => ['guidance', 'example'].includes(value),
+        message: 'kind must be guidance or example'
+      },
+      content: {
+        type: 'string',
+        minLength: 10
+      },
+      language: {
+        type: 'string',
+        minLength: 1
+      },
+      taskTypes: {
+        type: 'array',
+        validate: types => types.every(type => ['ui', 'logic', 'design'].includes(type)),
+        message: 'taskTypes must contain only ui, logic or design'
+      },
+      features: {
+        type: 'array',
+        validate: features => features.every(isString),
+        message: 'features must be strings'
+      },
+      priority: {
+        type: 'number'
+      }
+    }
+  };
+  
+  return validateObject(pattern, patternSchema);
+}
+
+/**
+ * Validate connector capabilities against the shared capability schema
+ * @param {Object} capabilities - Capabilities to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Object }
+ */
+function validateCapabilities(capabilities) {
+  const capabilitySchema = {
+    required: ['name', 'displayName', 'roles', 'strengths', 'optimalComplexity', 'sizeRange', 'tokenEfficiency', 'specialties'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1
+      },
+      displayName: {
+        type: 'string',
+        minLength: 1
+      },
+      roles: {
+        type: 'array',
+        minItems: 1,
+        validate: roles => roles.every(role => ['implementation', 'execution'].includes(role)),
+        message: 'roles must contain only implementation or execution'
+      },
+      strengths: {
+        type: 'array',
+        validate: strengths => strengths.every(isString),
+        message: 'strengths must be strings'
+      },
+      optimalComplexity: {
+        type: 'string',
+        validate: value => ['low', 'medium', 'high'].includes(value),
+        message: 'optimalComplexity must be low, medium or high'
+      },
+      sizeRange: {
+        type: 'object',
+        validate: range => isNumber(range.min) && isNumber(range.max) && range.min <= range.max,
+        message: 'sizeRange must have numeric min <= max'
+      },
+      tokenEfficiency: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1
+      },
+      specialties: {
+        type: 'object',
+        validate: specialties => Object.values(specialties).every(isNumber),
+        message: 'specialties must map names to numeric weights'
+      },
+      reasoning: {
+        type: 'array',
+        validate: reasoning => reasoning.every(isString),
+        message: 'reasoning must be strings'
+      },
+      capsOutput: {
+        type: 'boolean'
+      }
+    }
+  };
+  
+  return validateObject(capabilities, capabilitySchema);
+}
+
+/**
+ * Validate a token budget policy
+ * @param {Object} policy - Policy to validate
+ * @returns {Object} Validation result { valid: boolean, errors: Object }
+ */
+function validateBudgetPolicy(policy) {
+  const policySchema = {
+    required: ['scope', 'action'],
+    properties: {
+      id: {
+        type: 'string',
+        minLength: 1
+      },
+      scope: {
+        type: 'string',
+        validate: value => ['task', 'user', 'project'].includes(value),
+        message: 'scope must be task, user or project'
+      },
+      subject: {
+        type: 'string',
+        minLength: 1
+      },
+      window: {
+        type: 'string',
+        validate: value => ['daily', 'monthly'].includes(value),
+        message: 'window must be daily or monthly'
+      },
+      limit: {
+        type: 'number',
+        minimum: 1
+      },
+      factor: {
+        type: 'number',
+        minimum: 0
+      },
+      action: {
+        type: 'string',
+        validate: value => ['warn', 'cap', 'downgrade', 'refuse'].includes(value),
+        message: 'action must be warn, cap, downgrade or refuse'
+      },
+      warnAt: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1
+      }
+    }
+  };
+  
+  const result = validateObject(policy, policySchema);
+  if (!result.valid || policy.scope === 'task') {
+    return result;
+  }
+  
+  // User and project budgets accumulate over a window and need an explicit limit
+  const errors = {};
+  if (!isDefined(policy.window)) {
+    errors.window = 'window is required for user and project policies';
+  }
+  if (!isDefined(policy.limit)) {
+    errors.limit = 'limit is required for user and project policies';
+  }
+  
+  const valid = Object.keys(errors).length === 0;
+  return { valid, errors: valid ? null : errors };
+}
+
 module.exports = {
   isDefined,
   isObject,
@@ -355,5 +540,8 @@ module.exports = {
   isUrl,
   validateObject,
   validateTask,
-  validateTemplate
+  validateTemplate,
+  validatePattern,
+  validateCapabilities,
+  validateBudgetPolicy
 };
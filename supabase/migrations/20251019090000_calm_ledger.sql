@@ -0,0 +1,42 @@
+/*
+  # Tracker Records for token_usage and quality_metrics
+
+  1. Changed Tables
+    - `token_usage` - Cache, cost and model columns, plus the tracker record that wrote the row
+    - `quality_metrics` - Task, tool and tracker record columns
+
+  2. Notes
+    - TokenTracker and MetricsCollector identify tasks by their own IDs, which are not
+      rows in `tasks`, so rows they write leave `task_id` / `implementation_id` empty and
+      store the ID in `task_key`
+    - `record` holds the full tracker record, which is replayed on startup
+    - Rows without a task are only reachable with the service role key; the existing
+      RLS policies are unchanged
+*/
+
+-- Token usage written by the token tracker
+ALTER TABLE token_usage
+  ADD COLUMN IF NOT EXISTS task_key text,
+  ADD COLUMN IF NOT EXISTS source text,
+  ADD COLUMN IF NOT EXISTS record_type text,
+  ADD COLUMN IF NOT EXISTS model text,
+  ADD COLUMN IF NOT EXISTS cache_read_tokens integer DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS cache_write_tokens integer DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS cost numeric,
+  ADD COLUMN IF NOT EXISTS estimated boolean DEFAULT false,
+  ADD COLUMN IF NOT EXISTS record jsonb;
+
+-- Quality scores and task metrics written by the trackers
+ALTER TABLE quality_metrics
+  ADD COLUMN IF NOT EXISTS task_key text,
+  ADD COLUMN IF NOT EXISTS tool_name text,
+  ADD COLUMN IF NOT EXISTS source text,
+  ADD COLUMN IF NOT EXISTS record_type text,
+  ADD COLUMN IF NOT EXISTS record jsonb;
+
+-- Rehydration reads each source's records in order
+CREATE INDEX IF NOT EXISTS token_usage_source_created_at_idx
+  ON token_usage (source, created_at);
+
+CREATE INDEX IF NOT EXISTS quality_metrics_source_created_at_idx
+  ON quality_metrics (source, created_at);
@@ -0,0 +1,144 @@
+const AccessibilityAuditor = require('../src/evaluation/accessibility-rules');
+const StaticAnalyzer = require('../src/evaluation/static-analyzer');
+const QualityAnalyzer = require('../src/evaluation/quality-analyzer');
+
+const analyzer = new StaticAnalyzer();
+
+function audit(markup, { imports = '', body = '' } = {}) {
+  const code = `${imports}\nexport function Widget({ onSelect, props }) {\n${body}\n  return (\n${markup}\n  );\n}\n`;
+  return new AccessibilityAuditor().audit(analyzer.analyze(code));
+}
+
+const rules = result => result.findings.map(finding => finding.rule);
+const passed = result => result.passed.map(rule => rule.rule);
+
+describe('AccessibilityAuditor', () => {
+  test('flags images without alt text', () => {
+    const result = audit('<div><img src="a.png" /><img src="b.png" alt="" /></div>');
+
+    expect(result.findings).toEqual([expect.objectContaining({
+      rule: 'alt-text', category: 'alt-text', impact: 'critical', weight: 2, element: 'img'
+    })]);
+    expect(result.findings[0].line).toBe(5);
+  });
+
+  test('flags clickable elements that are not focusable or operable by keyboard', () => {
+    const result = audit('<div><div onClick={onSelect}>Pick</div><button onClick={onSelect}>Pick</button></div>');
+
+    expect(rules(result).sort()).toEqual(['click-events-have-key-events', 'custom-control-focusable']);
+  });
+
+  test('accepts custom controls with a key handler and a tabIndex', () => {
+    const result = audit('<div role="button" tabIndex={0} onClick={onSelect} onKeyDown={onSelect}>Pick</div>');
+
+    expect(result.findings).toEqual([]);
+    expect(passed(result)).toEqual(expect.arrayContaining(['click-events-have-key-events', 'custom-control-focusable']));
+  });
+
+  test('accepts form controls labelled by htmlFor, a wrapping label or aria-label', () => {
+    const result = audit([
+      '<form>',
+      '  <label htmlFor="email">Email</label><input id="email" />',
+      '  <label>Name <input /></label>',
+      '  <input aria-label="Search" />',
+      '  <input type="hidden" />',
+      '</form>'
+    ].join('\n'));
+
+    expect(result.findings).toEqual([]);
+    expect(passed(result)).toContain('label');
+  });
+
+  test('flags form controls without a label', () => {
+    const result = audit('<form><input id="email" /><textarea /></form>');
+
+    expect(result.findings.map(finding => [finding.rule, finding.element])).toEqual([
+      ['label', 'input'],
+      ['label', 'textarea']
+    ]);
+  });
+
+  test('gives dynamic ids the benefit of the doubt', () => {
+    const result = audit('<form><label htmlFor={props.id}>Email</label><input id={props.id} /></form>');
+
+    expect(rules(result)).not.toContain('label');
+  });
+
+  test('flags invalid ARIA roles and attributes', () => {
+    const result = audit('<div role="buton" aria-lable="Close" aria-label="Close">x</div>');
+
+    expect(result.findings.map(finding => finding.message)).toEqual([
+      '<div> uses invalid ARIA role "buton"',
+      '<div> uses unknown ARIA attribute "aria-lable"'
+    ]);
+  });
+
+  test('flags dialogs that never move focus', () => {
+    expect(rules(audit('<div role="dialog" aria-modal="true"><p>Saved</p></div>'))).toEqual(['dialog-focus']);
+    expect(rules(audit('<dialog><button autoFocus>OK</button></dialog>'))).toEqual([]);
+    expect(rules(audit('<FocusTrap><div role="dialog">Saved</div></FocusTrap>', {
+      imports: "import FocusTrap from 'focus-trap-react';"
+    }))).toEqual([]);
+  });
+
+  test('flags positive tab indexes and removed focus outlines', () => {
+    const result = audit([
+      '<div>',
+      '  <button tabIndex={2}>First</button>',
+      '  <button className="outline-none">Second</button>',
+      '  <button className="outline-none focus:ring-2">Third</button>',
+      '</div>'
+    ].join('\n'));
+
+    expect(result.findings.map(finding => [finding.rule, finding.line])).toEqual([
+      ['tabindex-no-positive', 6],
+      ['focus-visible', 7]
+    ]);
+  });
+
+  test('skips elements with spread props and components', () => {
+    const result = audit('<div><img {...props} /><input {...props} /><Card onClick={onSelect} /></div>');
+
+    expect(result.findings).toEqual([]);
+  });
+
+  test('only reports rules that apply as passed', () => {
+    const result = audit('<p>Hello</p>');
+
+    expect(passed(result)).toEqual(['focus-visible']);
+  });
+
+  test('registers rules, replacing one with the same id', () => {
+    const auditor = new AccessibilityAuditor().registerRule({
+      id: 'alt-text',
+      category: 'alt-text',
+      impact: 'moderate',
+      description: 'Never fails',
+      check: () => []
+    });
+
+    expect(auditor.rules.filter(rule => rule.id === 'alt-text')).toHaveLength(1);
+    expect(auditor.audit(analyzer.analyze('export const A = () => <img />;')).findings).toEqual([]);
+    expect(() => auditor.registerRule({ id: 'no-check' })).toThrow(/need an id and a check function/);
+    expect(() => auditor.registerRule({ id: 'x', impact: 'minor', check: () => [] })).toThrow(/Unknown impact/);
+  });
+});
+
+describe('QualityAnalyzer accessibility score', () => {
+  const quality = new QualityAnalyzer();
+  const task = { id: 'task-1', type: 'ui', complexity: 'low', description: 'Create a form component' };
+
+  const scoreFor = inputs => quality.analyzeQuality({
+    implementation: `export function Signup() {\n  return (\n    <form>\n${'      <input />\n'.repeat(inputs)}    </form>\n  );\n}\n`
+  }, task).detailedScores.accessibility;
+
+  test('caps the points a single category can lose', () => {
+    const one = scoreFor(1);
+    const three = scoreFor(3);
+    const six = scoreFor(6);
+
+    expect(one.rawScore).toBeGreaterThan(three.rawScore);
+    expect(six.rawScore).toBe(three.rawScore);
+    expect(six.weaknesses.filter(weakness => weakness.includes('(label)'))).toHaveLength(6);
+  });
+});
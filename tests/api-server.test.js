@@ -0,0 +1,102 @@
+const http = require('http');
+const ApiServer = require('../src/server/api-server');
+const TaskEventBus = require('../src/orchestration/event-bus');
+
+function parseEvents(body) {
+  return body.split('\n\n')
+    .filter(chunk => chunk.startsWith('event: '))
+    .map(chunk => {
+      const [typeLine, dataLine] = chunk.split('\n');
+      return { type: typeLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+describe('ApiServer task stream', () => {
+  let events;
+  let api;
+  let port;
+
+  beforeEach(async () => {
+    events = new TaskEventBus();
+    api = new ApiServer({ events }, {
+      apiKey: '',
+      heartbeatInterval: 20,
+      queue: { getJob: taskId => (taskId === 'task-1' ? { id: taskId } : null) }
+    });
+    await new Promise(resolve => api.server.listen(0, '127.0.0.1', resolve));
+    port = api.server.address().port;
+  });
+
+  afterEach(() => new Promise(resolve => api.server.close(resolve)));
+
+  function openStream(taskId, onResponse = () => {}) {
+    return new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: `/api/v1/tasks/${taskId}/stream` }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ res, body }));
+        onResponse(res);
+      }).on('error', reject);
+    });
+  }
+
+  test('streams task events by name and ends after completion', async () => {
+    const stream = openStream('task-1', () => {
+      events.publish('task.progress', 'task-1', { stage: 'analysis', progress: 20 });
+      events.publish('task.completion', 'task-1', { progress: 100 });
+      events.publish('task.status', 'task-1', { status: 'late' });
+    });
+
+    const { res, body } = await stream;
+
+    expect(res.headers['content-type']).toBe('text/event-stream');
+    expect(parseEvents(body).map(event => event.type)).toEqual(['connected', 'task.progress', 'task.completion']);
+    expect(parseEvents(body)[1].data).toMatchObject({ taskId: 'task-1', stage: 'analysis', progress: 20 });
+    expect(events.listenerCount('task:task-1')).toBe(0);
+  });
+
+  test('replays earlier events and closes at once when the task already failed', async () => {
+    events.publish('task.status', 'task-1', { status: 'processing' });
+    events.publish('task.error', 'task-1', { message: 'overloaded' });
+
+    const { body } = await openStream('task-1');
+
+    expect(parseEvents(body).map(event => event.type)).toEqual(['connected', 'task.status', 'task.error']);
+    expect(parseEvents(body)[2].data.message).toBe('overloaded');
+    expect(events.listenerCount('task:task-1')).toBe(0);
+  });
+
+  test('sends heartbeats until the task ends', async () => {
+    const stream = openStream('task-1', () => {
+      setTimeout(() => events.publish('task.error', 'task-1', { message: 'stopped' }), 70);
+    });
+
+    const { body } = await stream;
+
+    expect(body).toContain(': heartbeat\n\n');
+    expect(body.lastIndexOf(': heartbeat')).toBeLessThan(body.indexOf('event: task.error'));
+    expect(parseEvents(body).pop()).toMatchObject({ type: 'task.error', data: { message: 'stopped' } });
+  });
+
+  test('stops listening when the client disconnects', async () => {
+    await new Promise(resolve => {
+      const req = http.get({ host: '127.0.0.1', port, path: '/api/v1/tasks/task-1/stream' }, res => {
+        res.once('data', () => {
+          expect(events.listenerCount('task:task-1')).toBe(1);
+          req.destroy();
+          setTimeout(resolve, 20);
+        });
+      });
+      req.on('error', () => {});
+    });
+
+    expect(events.listenerCount('task:task-1')).toBe(0);
+  });
+
+  test('responds 404 for unknown tasks', async () => {
+    const { res } = await openStream('missing');
+
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,95 @@
+const BaselineEstimator = require('../src/orchestration/baseline-estimator');
+
+function createTracker(pairs = []) {
+  return {
+    getBaselinePairs: jest.fn(({ type, complexity } = {}) => pairs.filter(pair =>
+      (!type || pair.type === type) && (!complexity || pair.complexity === complexity)))
+  };
+}
+
+function pairsOf(count, { type = 'ui', complexity = 'medium', direct = 2000, delegated = 1000 } = {}) {
+  return Array.from({ length: count }, () => ({ type, complexity, direct, delegated }));
+}
+
+const task = { id: 'task-1', type: 'ui', complexity: 'medium', description: 'Create a button' };
+
+describe('BaselineEstimator', () => {
+  test('never measures unless measuring is configured', () => {
+    const estimator = new BaselineEstimator(createTracker());
+
+    expect(estimator.config.mode).toBe('model');
+    expect(estimator.shouldMeasure(task)).toBe(false);
+    expect(new BaselineEstimator(createTracker(), { mode: 'off' }).shouldMeasure(task)).toBe(false);
+    expect(new BaselineEstimator(createTracker(), { mode: 'measure' }).shouldMeasure(task)).toBe(true);
+  });
+
+  test('measures every task in auto mode until the model is calibrated', () => {
+    const random = jest.fn(() => 0.99);
+    const estimator = new BaselineEstimator(createTracker(pairsOf(4)), { mode: 'auto', random });
+
+    expect(estimator.shouldMeasure(task)).toBe(true);
+    expect(random).not.toHaveBeenCalled();
+  });
+
+  test('samples sampleRate of tasks in auto mode once calibrated', () => {
+    let draw = 0.05;
+    const estimator = new BaselineEstimator(createTracker(pairsOf(5)), {
+      mode: 'auto',
+      sampleRate: 0.1,
+      random: () => draw
+    });
+
+    expect(estimator.shouldMeasure(task)).toBe(true);
+    draw = 0.5;
+    expect(estimator.shouldMeasure(task)).toBe(false);
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => new BaselineEstimator(createTracker(), { mode: 'always' })).toThrow(/Invalid baseline mode/);
+  });
+
+  describe('calibrate', () => {
+    test('fits the geometric mean of the measured ratios', () => {
+      const estimator = new BaselineEstimator(createTracker([
+        ...pairsOf(4, { direct: 2000, delegated: 1000 }),
+        ...pairsOf(1, { direct: 64000, delegated: 1000 })
+      ]));
+
+      // (2 * 2 * 2 * 2 * 64) ^ (1 / 5) = 4, where the arithmetic mean would be 14.4
+      expect(estimator.calibrate(task)).toEqual({ ratio: 4, pairs: 5, scope: 'type' });
+    });
+
+    test('falls back to the same complexity, then to all tasks', () => {
+      const sameComplexity = new BaselineEstimator(createTracker([
+        ...pairsOf(2),
+        ...pairsOf(3, { type: 'api', direct: 3000 })
+      ]));
+      const all = new BaselineEstimator(createTracker([
+        ...pairsOf(2),
+        ...pairsOf(3, { type: 'api', complexity: 'high' })
+      ]));
+
+      expect(sameComplexity.calibrate(task)).toMatchObject({ pairs: 5, scope: 'complexity' });
+      expect(all.calibrate(task)).toMatchObject({ ratio: 2, pairs: 5, scope: 'all' });
+    });
+
+    test('returns null with fewer than minPairs measured tasks', () => {
+      const estimator = new BaselineEstimator(createTracker(pairsOf(2)), { minPairs: 3 });
+
+      expect(estimator.calibrate(task)).toBeNull();
+    });
+  });
+
+  describe('predict', () => {
+    test('scales the delegated tokens by the calibrated ratio', () => {
+      const estimator = new BaselineEstimator(createTracker(pairsOf(5, { direct: 2500 })));
+
+      expect(estimator.predict(task, 1000)).toMatchObject({ method: 'model', tokens: 2500, ratio: 2.5 });
+    });
+
+    test('returns null without a calibration or delegated tokens', () => {
+      expect(new BaselineEstimator(createTracker()).predict(task, 1000)).toBeNull();
+      expect(new BaselineEstimator(createTracker(pairsOf(5))).predict(task, 0)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const BoltNewConnector = require('../src/tools/bolt-new');
+
+function createTransport(body, { ok = true, status = 200, statusText = 'OK' } = {}) {
+  return jest.fn().mockResolvedValue({ ok, status, statusText, json: async () => body });
+}
+
+function createConnector(transport) {
+  return new BoltNewConnector({ url: 'https://bolt.test', apiKey: 'key', devMode: false, transport });
+}
+
+const task = { id: 'task-1', type: 'ui', description: 'Create a save button' };
+
+describe('BoltNewConnector', () => {
+  test('posts the prompt through the injected transport', async () => {
+    const transport = createTransport({ implementation: 'export const Button = () => null;' });
+
+    await createConnector(transport).implementTask(task, 'Create a save button');
+
+    const [url, request] = transport.mock.calls[0];
+    expect(url).toBe('https://bolt.test/api/generate');
+    expect(request).toMatchObject({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer key' }
+    });
+    expect(JSON.parse(request.body)).toMatchObject({ taskId: 'task-1', framework: 'react-typescript' });
+    expect(JSON.parse(request.body).prompt).toContain('Create a save button');
+  });
+
+  test('uses the largest source file when no implementation is returned', async () => {
+    const transport = createTransport({
+      files: [
+        { name: 'Button.module.css', content: '.root { padding: 0.5rem 1rem; margin: 0; color: red; }' },
+        { name: 'index.ts', content: "export * from './Button';" },
+        { name: 'Button.tsx', content: 'export function Button() { return <button>Save</button>; }' }
+      ],
+      usage: { input_tokens: 100, output_tokens: 50 }
+    });
+
+    const result = await createConnector(transport).implementTask(task, 'Create a save button');
+
+    expect(result.implementation).toBe('export function Button() { return <button>Save</button>; }');
+    expect(result.files).toHaveLength(3);
+    expect(result.tokenUsage).toMatchObject({ input: 100, output: 50, estimated: false });
+  });
+
+  test('estimates usage when the response has none', async () => {
+    const transport = createTransport({ implementation: 'export const Button = () => null;' });
+
+    const result = await createConnector(transport).implementTask(task, 'Create a save button');
+
+    expect(result.tokenUsage.estimated).toBe(true);
+    expect(result.tokenUsage.total).toBeGreaterThan(0);
+  });
+
+  test('fails on an error status', async () => {
+    const transport = createTransport({}, { ok: false, status: 503, statusText: 'Service Unavailable' });
+
+    await expect(createConnector(transport).implementTask(task, 'Create a save button'))
+      .rejects.toThrow('bolt.new request failed: 503 Service Unavailable');
+  });
+
+  test('fails when no source file is returned', async () => {
+    const transport = createTransport({ files: [{ name: 'Button.module.css', content: '.root {}' }] });
+
+    await expect(createConnector(transport).implementTask(task, 'Create a save button'))
+      .rejects.toThrow(/No code implementation found/);
+  });
+});
@@ -0,0 +1,138 @@
+const BudgetManager = require('../src/orchestration/budget-manager');
+const { AIAutoCodingDAO } = require('../src/index');
+
+const { BudgetExceededError } = BudgetManager;
+
+function createTracker(tokensByOwner = {}) {
+  return {
+    getConsumption: jest.fn(filter => {
+      const owner = filter.taskId || filter.userId || filter.projectId;
+      return { tokens: tokensByOwner[owner] || 0, cost: 0 };
+    })
+  };
+}
+
+const task = { id: 'task-1', userId: 'user-1', projectId: 'project-1' };
+const tokenBudget = { total: 1000 };
+
+describe('BudgetManager', () => {
+  test('allows a task within every policy', () => {
+    const budget = new BudgetManager(createTracker(), {
+      policies: [{ scope: 'user', window: 'daily', limit: 10000, action: 'refuse' }]
+    });
+
+    const decision = budget.check(task, { tokenBudget });
+
+    expect(decision.action).toBe('allow');
+    expect(decision.tokenLimit).toBeNull();
+    expect(decision.statuses[0]).toMatchObject({ state: 'ok', used: 0, projected: 1000 });
+  });
+
+  test('warns when the projected use passes warnAt', () => {
+    const budget = new BudgetManager(createTracker({ 'user-1': 7500 }), {
+      policies: [{ scope: 'user', window: 'daily', limit: 10000, action: 'refuse' }]
+    });
+
+    const decision = budget.check(task, { tokenBudget });
+
+    expect(decision.action).toBe('warn');
+    expect(decision.warnings).toHaveLength(1);
+  });
+
+  test('applies the most severe action of the exceeded policies', () => {
+    const budget = new BudgetManager(createTracker({ 'user-1': 9500, 'project-1': 49500 }), {
+      policies: [
+        { scope: 'user', window: 'daily', limit: 10000, action: 'cap' },
+        { scope: 'project', window: 'monthly', limit: 50000, action: 'refuse' }
+      ]
+    });
+
+    expect(budget.check(task, { tokenBudget }).action).toBe('refuse');
+  });
+
+  test('caps at the smallest remaining budget', () => {
+    const budget = new BudgetManager(createTracker({ 'user-1': 9000, 'project-1': 9500 }), {
+      policies: [
+        { scope: 'user', window: 'daily', limit: 10000, action: 'cap' },
+        { scope: 'project', window: 'daily', limit: 10000, action: 'cap' }
+      ]
+    });
+
+    const decision = budget.check(task, { tokenBudget });
+
+    expect(decision).toMatchObject({ action: 'cap', tokenLimit: 500 });
+  });
+
+  test('derives task limits from the estimated budget', () => {
+    const budget = new BudgetManager(createTracker({ 'task-1': 900 }), {
+      policies: [{ scope: 'task', factor: 1.5, action: 'refuse' }]
+    });
+
+    const decision = budget.check(task, { tokenBudget, estimate: 700 });
+
+    expect(decision.statuses[0]).toMatchObject({ limit: 1500, state: 'exceeded' });
+    expect(decision.action).toBe('refuse');
+  });
+
+  test('only applies policies to their subject', () => {
+    const budget = new BudgetManager(createTracker({ 'user-2': 1e6 }), {
+      policies: [{ scope: 'user', subject: 'user-2', window: 'daily', limit: 100, action: 'refuse' }]
+    });
+
+    expect(budget.check(task, { tokenBudget }).statuses).toEqual([]);
+  });
+
+  test('rejects invalid policies', () => {
+    const budget = new BudgetManager(createTracker());
+
+    expect(() => budget.addPolicy({ scope: 'team', limit: 10, action: 'refuse' })).toThrow(/Invalid budget policy/);
+  });
+
+  describe('maxTokensFor', () => {
+    const budget = new BudgetManager(createTracker(), { minMaxTokens: 256 });
+    const capped = { action: 'cap', tokenLimit: 1000 };
+
+    test('leaves uncapped decisions alone', () => {
+      expect(budget.maxTokensFor({ action: 'allow', tokenLimit: null }, 400)).toBeNull();
+    });
+
+    test('passes what is left after the prompt', () => {
+      expect(budget.maxTokensFor(capped, 400)).toBe(600);
+    });
+
+    test('refuses a cap below minMaxTokens', () => {
+      expect(() => budget.maxTokensFor(capped, 800)).toThrow(BudgetExceededError);
+    });
+
+    test('refuses connectors that cannot cap their output', () => {
+      expect(() => budget.maxTokensFor(capped, 400, { capsOutput: false })).toThrow(/cannot limit its output/);
+    });
+  });
+});
+
+describe('AIAutoCodingDAO connector selection under a cap', () => {
+  const dao = new AIAutoCodingDAO({ devMode: true });
+  const task = { id: 'task-1', type: 'ui', complexity: 'medium', description: 'Create a signup form' };
+
+  beforeEach(() => {
+    jest.spyOn(dao.toolSelector, 'selectTool').mockReturnValue({
+      selectedTool: 'boltNew',
+      mode: 'static',
+      analysis: {},
+      ranking: [{ tool: 'boltNew', score: 9 }, { tool: 'haiku', score: 3 }]
+    });
+  });
+
+  test('keeps the best tool without a cap', () => {
+    expect(dao._selectConnector(task).toolName).toBe('boltNew');
+  });
+
+  test('skips tools that cannot cap their output', () => {
+    const selection = dao._selectConnector(task, { capped: true });
+
+    expect(selection.toolName).toBe('haiku');
+    expect(selection.summary.skipped).toEqual([
+      { tool: 'boltNew', reason: 'cannot cap output tokens under the budget' }
+    ]);
+  });
+});
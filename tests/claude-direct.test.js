@@ -0,0 +1,56 @@
+const ClaudeDirectConnector = require('../src/tools/claude-direct');
+const { AIAutoCodingDAO } = require('../src/index');
+
+const task = { id: 'task-1', type: 'utility', complexity: 'low', description: 'Write a debounce function' };
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('ClaudeDirectConnector', () => {
+  test('rejects when the call fails instead of returning a result', async () => {
+    const direct = new ClaudeDirectConnector({ apiKey: null });
+
+    await expect(direct.implementTask(task, 'Write a debounce function')).rejects.toThrow('No API key provided for Claude Direct');
+  });
+
+  test('caps the simulated response at maxTokens', async () => {
+    const direct = new ClaudeDirectConnector({ apiKey: 'key' });
+    jest.spyOn(global, 'setTimeout').mockImplementationOnce(callback => callback());
+
+    const result = await direct.implementTask(task, 'Write a debounce function', { maxTokens: 20 });
+
+    expect(result.success).toBe(true);
+    expect(result.tokenUsage.output).toBeLessThanOrEqual(20);
+  });
+});
+
+describe('AIAutoCodingDAO when Claude Direct fails', () => {
+  let dao;
+
+  beforeEach(() => {
+    dao = new AIAutoCodingDAO({ devMode: true, claudeDirect: { apiKey: 'key' } });
+    jest.spyOn(dao.connectors.get('claudeDirect'), '_simulateApiCall').mockRejectedValue(new Error('overloaded'));
+  });
+
+  test('keeps comparing the other tools and reports the failure', async () => {
+    const result = await dao.processTaskWithComparison(task, ['claudeDirect', 'haiku']);
+
+    expect(result.winner.tool).toBe('haiku');
+    expect(result.failures).toEqual([{ tool: 'claudeDirect', error: 'overloaded' }]);
+  });
+
+  test('fails the task instead of scoring an empty implementation', async () => {
+    jest.spyOn(dao.toolSelector, 'selectTool').mockReturnValue({
+      selectedTool: 'claudeDirect',
+      mode: 'static',
+      analysis: {},
+      ranking: [{ tool: 'claudeDirect', score: 9 }]
+    });
+    const errors = [];
+    dao.events.subscribe(task.id, event => {
+      if (event.type === 'task.error') errors.push(event.data.message);
+    });
+
+    await expect(dao.processTask(task)).rejects.toThrow('overloaded');
+    expect(errors).toEqual(['overloaded']);
+  });
+});
@@ -0,0 +1,74 @@
+const ClaudeSonnetConnector = require('../src/tools/claude-sonnet-connector');
+const TokenTracker = require('../src/orchestration/token-tracker');
+const { AIAutoCodingDAO } = require('../src/index');
+
+const response = {
+  id: 'msg_1',
+  type: 'message',
+  role: 'assistant',
+  model: 'claude-3-sonnet-20240229',
+  content: [{ type: 'text', text: '```tsx\nexport function Button() { return <button>Save</button>; }\n```' }],
+  stop_reason: 'end_turn',
+  usage: {
+    input_tokens: 1000,
+    output_tokens: 400,
+    cache_read_input_tokens: 2000,
+    cache_creation_input_tokens: 500
+  }
+};
+
+const task = { id: 'task-1', type: 'ui', description: 'Create a save button' };
+
+function createConnector(config = {}) {
+  const client = { messages: { create: jest.fn().mockResolvedValue(response) } };
+  return { client, sonnet: new ClaudeSonnetConnector({ apiKey: 'key', client, devMode: false, ...config }) };
+}
+
+describe('ClaudeSonnetConnector', () => {
+  test('sends a Messages API request', async () => {
+    const { client, sonnet } = createConnector();
+
+    await sonnet.implementTask(task, 'Create a save button', { maxTokens: 2000 });
+
+    expect(client.messages.create).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'claude-3-sonnet-20240229',
+      max_tokens: 2000,
+      messages: [{ role: 'user', content: expect.stringContaining('Create a save button') }]
+    }));
+  });
+
+  test('reads input, output and cache tokens from the response', async () => {
+    const { sonnet } = createConnector();
+
+    const result = await sonnet.implementTask(task, 'Create a save button');
+
+    expect(result.implementation).toContain('export function Button()');
+    expect(result.tokenUsage).toEqual({
+      input: 1000, output: 400, cacheRead: 2000, cacheWrite: 500, total: 3900, estimated: false
+    });
+  });
+
+  test('records the usage as the delegated cost of the task', async () => {
+    const { sonnet } = createConnector();
+    const dao = new AIAutoCodingDAO({ devMode: true });
+    const tracker = new TokenTracker();
+    tracker.startTask(task.id, task.description, 'low', task.type);
+
+    const result = await sonnet.implementTask(task, 'Create a save button');
+    tracker.recordDelegatedCost(task.id, sonnet.name, { analysis: 100, ...dao._usageCosts(result), timeSpent: 1 });
+
+    const costs = tracker.tasks.get(task.id).tools.claudeSonnet;
+    expect(costs).toMatchObject({
+      analysis: 100,
+      delegation: 1000,
+      review: 400,
+      cacheRead: 2000,
+      cacheWrite: 500,
+      total: 4000,
+      model: 'claude-3-sonnet-20240229',
+      estimated: false
+    });
+    // 1000 input at $3, 400 output at $15, 2000 cache reads at $0.30, 500 cache writes at $3.75 per million
+    expect(costs.cost).toBeCloseTo((1000 * 3 + 400 * 15 + 2000 * 0.3 + 500 * 3.75) / 1e6, 10);
+  });
+});
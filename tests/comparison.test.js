@@ -0,0 +1,71 @@
+const { AIAutoCodingDAO } = require('../src/index');
+
+const task = { id: 'task-1', type: 'ui', complexity: 'medium', description: 'Create a button component with a loading state' };
+
+function scoreTools(dao, scores) {
+  const analyze = dao.qualityAnalyzer.analyzeQuality.bind(dao.qualityAnalyzer);
+  jest.spyOn(dao.qualityAnalyzer, 'analyzeQuality').mockImplementation((implementation, forTask) => ({
+    ...analyze(implementation, forTask),
+    overallScore: scores[implementation.metadata.tool]
+  }));
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('AIAutoCodingDAO.processTaskWithComparison', () => {
+  let dao;
+
+  beforeEach(() => {
+    dao = new AIAutoCodingDAO({ devMode: true });
+  });
+
+  test('runs every tool and keeps the best scored implementation', async () => {
+    scoreTools(dao, { haiku: 6, claudeSonnet: 8 });
+
+    const result = await dao.processTaskWithComparison(task, ['haiku', 'claudeSonnet']);
+
+    expect(result.winner.tool).toBe('claudeSonnet');
+    expect(result.winner.quality.overallScore).toBe(8);
+    expect(result.implementations.map(entry => entry.tool)).toEqual(['haiku', 'claudeSonnet']);
+    expect(result.comparison.ranked.map(entry => entry.tool)).toEqual(['claudeSonnet', 'haiku']);
+  });
+
+  test('records the cost and quality of every tool', async () => {
+    scoreTools(dao, { haiku: 6, claudeSonnet: 8 });
+
+    await dao.processTaskWithComparison(task, ['haiku', 'claudeSonnet']);
+
+    const tools = dao.tokenTracker.tasks.get(task.id).tools;
+    expect(Object.keys(tools).sort()).toEqual(['claudeSonnet', 'haiku']);
+    expect(tools.haiku).toMatchObject({ qualityScore: 6, estimated: true });
+    expect(tools.claudeSonnet).toMatchObject({ qualityScore: 8 });
+    expect(tools.haiku.delegation).toBeGreaterThan(0);
+  });
+
+  test('reports unavailable and failing tools and compares the rest', async () => {
+    jest.spyOn(dao.connectors.get('haiku'), 'implementTask').mockRejectedValue(new Error('rate limited'));
+
+    const result = await dao.processTaskWithComparison(task, ['claudeDirect', 'haiku', 'claudeSonnet']);
+
+    expect(result.winner.tool).toBe('claudeSonnet');
+    expect(result.failures).toEqual([
+      { tool: 'claudeDirect', error: 'connector reports unavailable' },
+      { tool: 'haiku', error: 'rate limited' }
+    ]);
+  });
+
+  test('fails when every tool fails', async () => {
+    jest.spyOn(dao.connectors.get('haiku'), 'implementTask').mockRejectedValue(new Error('rate limited'));
+
+    await expect(dao.processTaskWithComparison(task, ['haiku'])).rejects.toThrow('All connectors failed for task task-1');
+  });
+
+  test('defaults to every available tool, best ranked first', async () => {
+    const ranked = dao.toolSelector.rankTools(task).map(entry => entry.tool)
+      .filter(name => dao.connectors.isAvailable(name));
+
+    const result = await dao.processTaskWithComparison(task);
+
+    expect(result.implementations.map(entry => entry.tool)).toEqual(ranked);
+  });
+});
@@ -0,0 +1,107 @@
+const ExampleIndex = require('../src/orchestration/example-index');
+const { countTokens } = require('../src/utils/tokenizer');
+
+function example(taskId, description, { qualityScore = 9, features = [], code } = {}) {
+  return {
+    taskId,
+    description,
+    type: 'ui',
+    features,
+    qualityScore,
+    code: `\`\`\`js\n${code || `export function ${taskId.replace(/\W/g, '')}() {\n  return null;\n}`}\n\`\`\``
+  };
+}
+
+function createIndex(config = {}) {
+  const index = new ExampleIndex(config);
+  index.add(example('signup', 'Signup form with email and password validation', { features: ['validation'] }));
+  index.add(example('login', 'Login form with password field', { features: ['validation'] }));
+  index.add(example('chart', 'Line chart of monthly revenue'));
+  return index;
+}
+
+describe('ExampleIndex', () => {
+  test('ranks the most similar tasks first', () => {
+    const results = createIndex({ k: 3 }).search({ description: 'Registration form with email and password validation', type: 'ui', features: ['validation'] });
+
+    expect(results.map(result => result.taskId)).toEqual(['signup', 'login']);
+    expect(results[0].similarity).toBeGreaterThan(results[1].similarity);
+  });
+
+  test('weights similarity by quality score', () => {
+    const index = new ExampleIndex({ k: 2 });
+    index.add(example('low', 'Password strength meter', { qualityScore: 7 }));
+    index.add(example('high', 'Password strength meter', { qualityScore: 10 }));
+
+    const results = index.search({ description: 'Password strength meter', type: 'ui' });
+
+    expect(results.map(result => result.taskId)).toEqual(['high', 'low']);
+    expect(results[0].similarity).toBeCloseTo(results[1].similarity);
+  });
+
+  test('leaves out tasks below minSimilarity or minQuality, and the task itself', () => {
+    const index = createIndex({ k: 5, minSimilarity: 0.3 });
+    index.add(example('poor', 'Signup form with email and password validation', { qualityScore: 5 }));
+
+    const results = index.search({ id: 'signup', description: 'Signup form with email and password validation', type: 'ui' });
+
+    expect(results.map(result => result.taskId)).toEqual(['login']);
+    expect(results[0].similarity).toBeGreaterThanOrEqual(0.3);
+    expect(index.search({ description: 'Kanban board drag and drop', type: 'logic' })).toEqual([]);
+  });
+
+  test('skips examples over the token cap in favour of smaller ones', () => {
+    const index = new ExampleIndex({ k: 2 });
+    const body = Array.from({ length: 30 }, (_, i) => `  const field${i} = validate(values.field${i});`).join('\n');
+    index.add(example('large', 'Signup form validation', { qualityScore: 10, code: `export function large(values) {\n${body}\n}` }));
+    index.add(example('small', 'Signup form validation', { qualityScore: 8 }));
+    const task = { description: 'Signup form validation', type: 'ui' };
+    const smallTokens = countTokens(index.render(index.search(task).find(result => result.taskId === 'small')));
+
+    const selected = index.select(task, [], { maxTokens: smallTokens + 5 });
+
+    expect(selected.examples.map(result => result.taskId)).toEqual(['small']);
+    expect(selected.tokens).toBe(smallTokens);
+  });
+
+  test('condenses examples to maxExampleTokens without comments', () => {
+    const index = new ExampleIndex({ maxExampleTokens: 40 });
+    const body = Array.from({ length: 20 }, (_, i) => `  total += ${i};`).join('\n');
+    index.add(example('sum', 'Sum numbers', { code: `// Adds numbers\nexport function sum() {\n  let total = 0;\n${body}\n  return total;\n}` }));
+
+    const text = index.render(index.entries[0].example);
+
+    expect(text).not.toContain('Adds numbers');
+    expect(text).toContain('// …');
+    expect(countTokens(text)).toBeLessThanOrEqual(50);
+  });
+
+  test('only indexes output whose largest code block parses', () => {
+    const index = new ExampleIndex();
+
+    expect(index.add({ ...example('refusal', 'Signup form'), code: 'I cannot help with that.' })).toBe(false);
+    expect(index.add(example('broken', 'Signup form', { code: 'export function ( {' }))).toBe(false);
+    expect(index.add(example('valid', 'Signup form'))).toBe(true);
+    expect(index.entries).toHaveLength(1);
+  });
+
+  test('loads scored implementations from Supabase', async () => {
+    const supabase = {
+      getScoredImplementations: async () => [
+        {
+          id: 'impl-2',
+          task_id: 'task-2',
+          tool_name: 'haiku',
+          code: '```js\nexport const b = 2;\n```',
+          tasks: { description: 'Second task', type: 'logic' },
+          quality_metrics: [{ overall_score: '6' }, { overall_score: '8.5' }]
+        },
+        { id: 'impl-1', task_id: 'task-1', code: '```js\nexport const a = 1;\n```', tasks: null, quality_metrics: [] }
+      ]
+    };
+    const index = new ExampleIndex({ supabase });
+
+    expect(await index.load()).toBe(1);
+    expect(index.entries[0].example).toMatchObject({ taskId: 'task-2', qualityScore: 8.5, language: 'js' });
+  });
+});
@@ -0,0 +1,65 @@
+const HaikuConnector = require('../src/tools/haiku');
+
+function createClient(response) {
+  return { messages: { create: jest.fn().mockResolvedValue(response) } };
+}
+
+const response = {
+  content: [{ type: 'text', text: 'Here it is:\n```ts\nexport const add = (a: number, b: number) => a + b;\n```' }],
+  usage: { input_tokens: 120, output_tokens: 40, cache_read_input_tokens: 30, cache_creation_input_tokens: 0 }
+};
+
+const task = { id: 'task-1', type: 'utility', description: 'Write an add function' };
+
+describe('HaikuConnector', () => {
+  test('sends a Messages API request capped at the smaller maxTokens', async () => {
+    const client = createClient(response);
+    const haiku = new HaikuConnector({ apiKey: 'key', client, devMode: false, maxTokens: 4096 });
+
+    await haiku.implementTask(task, 'Write an add function', { maxTokens: 1000 });
+
+    const request = client.messages.create.mock.calls[0][0];
+    expect(request).toMatchObject({ model: 'claude-3-haiku-20240307', max_tokens: 1000 });
+    expect(request.system).toMatch(/utilities and hooks/);
+    expect(request.messages).toEqual([{ role: 'user', content: expect.stringContaining('Write an add function') }]);
+  });
+
+  test('never raises the configured maxTokens', async () => {
+    const client = createClient(response);
+    const haiku = new HaikuConnector({ apiKey: 'key', client, devMode: false, maxTokens: 4096 });
+
+    await haiku.implementTask(task, 'Write an add function', { maxTokens: 8000 });
+
+    expect(client.messages.create.mock.calls[0][0].max_tokens).toBe(4096);
+  });
+
+  test('sends raw prompts as they are, without a system prompt', async () => {
+    const client = createClient(response);
+    const haiku = new HaikuConnector({ apiKey: 'key', client, devMode: false });
+
+    await haiku.implementTask(task, 'Write an add function', { raw: true });
+
+    const request = client.messages.create.mock.calls[0][0];
+    expect(request).not.toHaveProperty('system');
+    expect(request.messages[0].content).toBe('Write an add function');
+  });
+
+  test('returns the code and the usage the API reported', async () => {
+    const haiku = new HaikuConnector({ apiKey: 'key', client: createClient(response), devMode: false });
+
+    const result = await haiku.implementTask(task, 'Write an add function');
+
+    expect(result.implementation.trim()).toBe('export const add = (a: number, b: number) => a + b;');
+    expect(result.tokenUsage).toEqual({ input: 120, output: 40, cacheRead: 30, cacheWrite: 0, total: 190, estimated: false });
+  });
+
+  test('fails when the response has no code', async () => {
+    const haiku = new HaikuConnector({
+      apiKey: 'key',
+      client: createClient({ content: [{ type: 'text', text: 'Sorry.' }], usage: {} }),
+      devMode: false
+    });
+
+    await expect(haiku.implementTask(task, 'Write an add function')).rejects.toThrow();
+  });
+});
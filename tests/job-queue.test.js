@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../src/orchestration/job-queue');
+const JobStore = require('../src/data/job-store');
+const TaskEventBus = require('../src/orchestration/event-bus');
+
+const { STATUS } = JobQueue;
+
+function createAiacd(processTask = async task => ({ taskId: task.id })) {
+  return { events: new TaskEventBus(), processTask: jest.fn(processTask) };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+async function waitFor(predicate) {
+  for (let i = 0; i < 100 && !(await predicate()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  expect(await predicate()).toBe(true);
+}
+
+async function savedStatuses(store) {
+  const jobs = await store.load();
+  return Object.fromEntries(jobs.map(job => [job.taskId, job.status]));
+}
+
+describe('JobQueue', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiacd-jobs-'));
+    store = new JobStore({ baseDir: dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('runs submitted jobs and persists the result', async () => {
+    const aiacd = createAiacd();
+    const queue = new JobQueue(aiacd, { store });
+    await queue.initialize();
+
+    await queue.submit({ id: 'task-1' });
+    await waitFor(async () => (await savedStatuses(store))['task-1'] === STATUS.COMPLETED);
+
+    expect(queue.getJob('task-1').result).toEqual({ taskId: 'task-1' });
+  });
+
+  test('requeues jobs interrupted mid-processing on restart', async () => {
+    const running = deferred();
+    const first = new JobQueue(createAiacd(() => running.promise), { store });
+    await first.initialize();
+    await first.submit({ id: 'task-1' });
+    await first.submit({ id: 'task-2' });
+    await first.submit({ id: 'task-3' });
+    await waitFor(async () => (await savedStatuses(store))['task-2'] === STATUS.PROCESSING);
+    expect(await savedStatuses(store)).toEqual({
+      'task-1': STATUS.PROCESSING,
+      'task-2': STATUS.PROCESSING,
+      'task-3': STATUS.RECEIVED
+    });
+
+    // A second process starts from what the first one saved
+    const aiacd = createAiacd();
+    const second = new JobQueue(aiacd, { store, concurrency: 1 });
+    await second.initialize();
+
+    await waitFor(() => second.listJobs(STATUS.COMPLETED).length === 3);
+    expect(aiacd.processTask.mock.calls.map(([task]) => task.id)).toEqual(['task-1', 'task-2', 'task-3']);
+
+    // Let the first process finish before its directory is removed
+    running.resolve({});
+    await waitFor(() => first.active === 0);
+  });
+
+  test('does not rerun finished jobs on restart', async () => {
+    const first = new JobQueue(createAiacd(), { store });
+    await first.initialize();
+    await first.submit({ id: 'task-1' });
+    await waitFor(async () => (await savedStatuses(store))['task-1'] === STATUS.COMPLETED);
+
+    const aiacd = createAiacd();
+    const second = new JobQueue(aiacd, { store });
+    await second.initialize();
+
+    expect(second.getJob('task-1').status).toBe(STATUS.COMPLETED);
+    expect(second.pending).toEqual([]);
+    expect(aiacd.processTask).not.toHaveBeenCalled();
+  });
+
+  test('fails a job whose store cannot be written and keeps draining', async () => {
+    const failing = {
+      load: async () => [],
+      save: jest.fn(async jobs => {
+        if (jobs.some(job => job.taskId === 'task-1' && job.status === STATUS.PROCESSING)) {
+          throw new Error('disk full');
+        }
+      })
+    };
+    const aiacd = createAiacd();
+    const queue = new JobQueue(aiacd, { store: failing, concurrency: 1 });
+    await queue.initialize();
+
+    await queue.submit({ id: 'task-1' });
+    await queue.submit({ id: 'task-2' });
+    await waitFor(() => queue.getJob('task-2').status === STATUS.COMPLETED);
+
+    expect(queue.getJob('task-1')).toMatchObject({ status: STATUS.FAILED, error: 'disk full' });
+    expect(queue.active).toBe(0);
+  });
+
+  test('does not queue a job that cannot be saved', async () => {
+    const failing = { load: async () => [], save: jest.fn().mockRejectedValue(new Error('disk full')) };
+    const aiacd = createAiacd();
+    const queue = new JobQueue(aiacd, { store: failing });
+    await queue.initialize();
+
+    await expect(queue.submit({ id: 'task-1' })).rejects.toThrow('disk full');
+
+    expect(queue.getJob('task-1')).toBeNull();
+    expect(queue.pending).toEqual([]);
+    expect(aiacd.processTask).not.toHaveBeenCalled();
+  });
+
+  test('prunes finished jobs beyond the retention limit', async () => {
+    const queue = new JobQueue(createAiacd(), { store, retention: 1 });
+    await queue.initialize();
+
+    await queue.submit({ id: 'task-1' });
+    await waitFor(() => queue.getJob('task-1').status === STATUS.COMPLETED);
+    await queue.submit({ id: 'task-2' });
+    await waitFor(async () => (await savedStatuses(store))['task-2'] === STATUS.COMPLETED);
+
+    expect(queue.getJob('task-1')).toBeNull();
+    expect(await savedStatuses(store)).toEqual({ 'task-2': STATUS.COMPLETED });
+    expect(fs.readdirSync(path.join(dir, '.aiacd/job-results'))).toEqual(['task-2.json']);
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobStore = require('../src/data/job-store');
+
+function job(taskId, result = null) {
+  return { taskId, status: result ? 'completed' : 'received', result };
+}
+
+describe('JobStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiacd-job-store-'));
+    store = new JobStore({ baseDir: dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps results out of the job file and loads them back', async () => {
+    const result = { implementation: { implementation: 'export {};' }, quality: { overallScore: 8 } };
+
+    await store.save([job('task-1', result), job('task-2')]);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, '.aiacd/jobs.json'), 'utf8'));
+    expect(saved.map(entry => entry.result)).toEqual([undefined, undefined]);
+    expect(await new JobStore({ baseDir: dir }).load()).toEqual([job('task-1', result), job('task-2')]);
+  });
+
+  test('writes each result once', async () => {
+    const jobs = [job('task-1', { implementation: {} })];
+    const resultPath = path.join(dir, '.aiacd/job-results/task-1.json');
+
+    await store.save(jobs);
+    fs.writeFileSync(resultPath, '{"marker":true}');
+    await store.save(jobs);
+
+    expect(fs.readFileSync(resultPath, 'utf8')).toBe('{"marker":true}');
+  });
+
+  test('deletes the results of jobs that are no longer saved', async () => {
+    await store.save([job('task-1', { implementation: {} }), job('task-2', { implementation: {} })]);
+    await store.save([job('task-2', { implementation: {} })]);
+
+    expect(fs.readdirSync(path.join(dir, '.aiacd/job-results'))).toEqual(['task-2.json']);
+  });
+
+  test('rejects when the store cannot be written and keeps saving afterwards', async () => {
+    // A file where the directory should be makes every write fail
+    fs.writeFileSync(path.join(dir, '.aiacd'), '');
+
+    await expect(store.save([job('task-1')])).rejects.toThrow();
+
+    fs.rmSync(path.join(dir, '.aiacd'));
+    await store.save([job('task-1')]);
+    expect(await store.load()).toEqual([job('task-1')]);
+  });
+});
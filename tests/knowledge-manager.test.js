@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KnowledgeManager = require('../src/data/knowledge-manager');
+const TemplateManager = require('../src/orchestration/templates');
+
+function writeTemplate(dir, tool, type, template) {
+  fs.mkdirSync(path.join(dir, tool), { recursive: true });
+  fs.writeFileSync(path.join(dir, tool, `${type}.json`), JSON.stringify({ template, defaults: {} }));
+}
+
+describe('KnowledgeManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiacd-knowledge-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads the shipped patterns from any working directory', async () => {
+    const cwd = jest.spyOn(process, 'cwd').mockReturnValue(dir);
+
+    try {
+      const knowledge = new KnowledgeManager();
+      await knowledge.initialize();
+
+      expect(knowledge.config.patternsDir).toBe(path.join(__dirname, '../src/data/patterns'));
+      expect(knowledge.getPattern('form-validation')).toMatchObject({ title: expect.any(String) });
+    } finally {
+      cwd.mockRestore();
+    }
+  });
+
+  test('resolves configured directories against baseDir', () => {
+    const knowledge = new KnowledgeManager({ baseDir: dir, templatesDir: 'packs' });
+
+    expect(knowledge.config.templatesDir).toBe(path.join(dir, 'packs'));
+  });
+
+  test('reloadTemplates picks up added, changed and deleted files', async () => {
+    const knowledge = new KnowledgeManager({ templatesDir: dir, patternsDir: path.join(dir, 'patterns') });
+    writeTemplate(dir, 'haiku', 'ui', 'First version of {description}');
+    writeTemplate(dir, 'haiku', 'logic', 'Logic for {description}');
+    await knowledge.initialize();
+
+    writeTemplate(dir, 'haiku', 'ui', 'Second version of {description}');
+    fs.rmSync(path.join(dir, 'haiku', 'logic.json'));
+    writeTemplate(dir, 'bolt-new', 'ui', 'Bolt version of {description}');
+    const templates = await knowledge.reloadTemplates();
+
+    expect(templates.haiku).toEqual({ ui: { template: 'Second version of {description}', defaults: {} } });
+    expect(knowledge.getTemplate('bolt-new', 'ui').template).toBe('Bolt version of {description}');
+  });
+
+  test('reloadTemplates keeps the loaded templates when the directory cannot be read', async () => {
+    const knowledge = new KnowledgeManager({ templatesDir: dir, patternsDir: path.join(dir, 'patterns') });
+    writeTemplate(dir, 'haiku', 'ui', 'First version of {description}');
+    await knowledge.initialize();
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    await expect(knowledge.reloadTemplates()).rejects.toThrow();
+    expect(knowledge.getTemplate('haiku', 'ui').template).toBe('First version of {description}');
+  });
+});
+
+describe('TemplateManager template sources', () => {
+  let dir;
+  let rows;
+  let templates;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiacd-packs-'));
+    rows = [];
+
+    const knowledge = new KnowledgeManager({ templatesDir: dir, patternsDir: path.join(dir, 'patterns') });
+    await knowledge.initialize();
+
+    templates = new TemplateManager({
+      knowledgeManager: knowledge,
+      supabase: { getTemplates: async tool => rows.filter(row => row.tool === tool) },
+      watch: false
+    });
+  });
+
+  afterEach(() => {
+    templates.stopWatching();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const active = () => templates.templates.claudeSonnet.ui.template;
+
+  test('prefers Supabase over files over the built-in template', async () => {
+    await templates.loadTemplates();
+    const builtin = active();
+
+    writeTemplate(dir, 'claude-sonnet', 'ui', 'File template for {description}');
+    await templates.reloadTemplates();
+    expect(active()).toBe('File template for {description}');
+
+    rows = [{ id: 1, tool: 'claudeSonnet', type: 'ui', template: 'Supabase template for {description}', version: '2.0.0' }];
+    await templates.reloadTemplates();
+    expect(active()).toBe('Supabase template for {description}');
+
+    rows = [];
+    await templates.reloadTemplates();
+    expect(active()).toBe('File template for {description}');
+
+    fs.rmSync(path.join(dir, 'claude-sonnet', 'ui.json'));
+    await templates.reloadTemplates();
+    expect(active()).toBe(builtin);
+  });
+
+  test('skips an invalid higher-precedence template', async () => {
+    await templates.loadTemplates();
+
+    writeTemplate(dir, 'claude-sonnet', 'ui', 'File template for {description}');
+    rows = [{ id: 1, tool: 'claudeSonnet', type: 'ui', template: 'short' }];
+    await templates.reloadTemplates();
+
+    expect(active()).toBe('File template for {description}');
+  });
+});
@@ -0,0 +1,108 @@
+const os = require('os');
+const KnowledgeManager = require('../src/data/knowledge-manager');
+const PatternLibrary = require('../src/orchestration/pattern-library');
+const logger = require('../src/utils/logger');
+const { countTokens } = require('../src/utils/tokenizer');
+
+function pattern(title, features, extra = {}) {
+  return { title, kind: 'guidance', taskTypes: ['ui'], features, content: `- Guidance for ${title}`, ...extra };
+}
+
+const formTask = { id: 'task-1', type: 'ui' };
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PatternLibrary.select', () => {
+  test('requires the primary feature of a pattern', () => {
+    const library = new PatternLibrary({
+      patterns: [pattern('Form validation', ['validation', 'accessibility'])]
+    });
+
+    expect(library.select(formTask, ['accessibility']).patterns).toEqual([]);
+    expect(library.select(formTask, ['validation', 'accessibility']).patterns.map(p => p.title)).toEqual(['Form validation']);
+  });
+
+  test('requires minCoverage of the pattern features', () => {
+    const patterns = [pattern('Forms', ['validation', 'accessibility', 'asyncOperations', 'stateManagement'])];
+
+    expect(new PatternLibrary({ patterns }).select(formTask, ['validation']).patterns).toEqual([]);
+    expect(new PatternLibrary({ patterns }).select(formTask, ['validation', 'accessibility']).patterns).toHaveLength(1);
+    expect(new PatternLibrary({ patterns, minCoverage: 0.25 }).select(formTask, ['validation']).patterns).toHaveLength(1);
+  });
+
+  test('leaves out patterns for other task types and matches featureless ones by type', () => {
+    const library = new PatternLibrary({
+      patterns: [
+        pattern('Logic only', [], { taskTypes: ['logic'] }),
+        pattern('Any UI', [])
+      ]
+    });
+
+    expect(library.select(formTask, []).patterns.map(p => p.title)).toEqual(['Any UI']);
+  });
+
+  test('ranks by matched features, then coverage, then priority', () => {
+    const library = new PatternLibrary({
+      maxPatterns: 4,
+      patterns: [
+        pattern('Low priority', ['validation']),
+        pattern('High priority', ['validation'], { priority: 5 }),
+        pattern('Partial', ['validation', 'accessibility', 'typescript']),
+        pattern('Both', ['validation', 'accessibility'])
+      ]
+    });
+
+    const selected = library.select(formTask, ['validation', 'accessibility']);
+
+    expect(selected.patterns.map(p => p.title)).toEqual(['Both', 'Partial', 'High priority', 'Low priority']);
+  });
+
+  test('skips patterns over the token cap in favour of smaller ones', () => {
+    const large = pattern('Large', ['validation'], { content: '- Validate every field. '.repeat(40), priority: 2 });
+    const small = pattern('Small', ['validation'], { priority: 1 });
+    const library = new PatternLibrary({ patterns: [large, small] });
+    const smallTokens = countTokens(library.render(small));
+
+    const selected = library.select(formTask, ['validation'], { maxTokens: smallTokens + 5 });
+
+    expect(selected.patterns.map(p => p.title)).toEqual(['Small']);
+    expect(selected.tokens).toBe(smallTokens);
+    expect(selected.text).toBe(library.render(small));
+  });
+
+  test('caps patterns at budgetShare of the token budget', () => {
+    const small = pattern('Small', ['validation']);
+    const library = new PatternLibrary({ patterns: [small], budgetShare: 0.1 });
+    const tokens = countTokens(library.render(small));
+
+    expect(library.select(formTask, ['validation'], { tokenBudget: { total: (tokens - 1) * 10 } }).patterns).toEqual([]);
+    expect(library.select(formTask, ['validation'], { tokenBudget: { total: tokens * 10 } }).patterns).toHaveLength(1);
+    // The budget never raises the configured cap
+    expect(library.select(formTask, ['validation'], { maxTokens: tokens - 1, tokenBudget: { total: 1e6 } }).patterns).toEqual([]);
+  });
+
+  test('skips invalid patterns and warns about each one once', () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const library = new PatternLibrary({
+      patterns: [{ title: 'No content', kind: 'guidance' }, pattern('Valid', [])]
+    });
+
+    library.select(formTask, []);
+    const selected = library.select(formTask, []);
+
+    expect(selected.patterns.map(p => p.title)).toEqual(['Valid']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/Invalid pattern pattern-1/);
+  });
+
+  test('uses the shipped patterns when run from another directory', async () => {
+    jest.spyOn(process, 'cwd').mockReturnValue(os.tmpdir());
+    const knowledgeManager = new KnowledgeManager();
+    await knowledgeManager.initialize();
+    const library = new PatternLibrary({ knowledgeManager });
+
+    const selected = library.select(formTask, ['validation', 'accessibility']);
+
+    expect(selected.patterns.map(p => p.name)).toContain('form-validation');
+  });
+});
@@ -0,0 +1,129 @@
+const PromptOptimizer = require('../src/orchestration/prompt-optimizer');
+const { countTokens } = require('../src/utils/tokenizer');
+
+const optimizer = new PromptOptimizer();
+
+describe('PromptOptimizer', () => {
+  test('removes fields without a value and the sections they leave empty', () => {
+    const result = optimizer.optimize([
+      '# Task',
+      '## Technical Requirements',
+      '- Framework:',
+      '- Dependencies:',
+      '## Props',
+      'Input:',
+      'Output:',
+      '## Overview',
+      'Build a button'
+    ].join('\n'));
+
+    expect(result.prompt).toBe('# Task\n\n## Overview\nBuild a button\n');
+    expect(result.removed).toMatchObject({ fields: 4, sections: 2 });
+  });
+
+  test('merges sections with the same heading', () => {
+    const result = optimizer.optimize('## Notes\n- one\n## Notes\n- two\n');
+
+    expect(result.prompt).toBe('## Notes\n- one\n- two\n');
+    expect(result.removed.sections).toBe(1);
+  });
+
+  test('drops guidance items that repeat earlier guidance', () => {
+    const result = optimizer.optimize([
+      '## Implementation Guidelines',
+      '- Implement comprehensive error handling',
+      '## Quality Criteria',
+      '1. Proper error handling',
+      '2. Accessible markup'
+    ].join('\n'));
+
+    expect(result.prompt).toContain('1. Accessible markup');
+    expect(result.prompt).not.toContain('Proper error handling');
+    expect(result.removed.repeats).toBe(1);
+  });
+
+  test('never drops items the task filled in, even when they repeat', () => {
+    const prompt = [
+      '## Requirements',
+      '- Handle errors for every request',
+      '- Handle errors for every request and retry',
+      '## Implementation Guidelines',
+      '- Handle errors for every request'
+    ].join('\n');
+
+    const result = optimizer.optimize(prompt);
+
+    expect(result.prompt).toContain('- Handle errors for every request and retry');
+    expect(result.prompt.match(/^- Handle errors for every request$/gm)).toHaveLength(2);
+    expect(result.removed.repeats).toBe(0);
+  });
+
+  describe('with a budget', () => {
+    const prompt = [
+      '# Task',
+      '## Requirements',
+      '- Render a signup form with email and password fields',
+      '## Implementation Notes',
+      '- Keep the component under 100 lines',
+      '## Relevant Patterns',
+      '### Example: Reducer-based state',
+      '```typescript',
+      'function reducer(state, action) { return state; }',
+      '```',
+      '### Form validation',
+      '- Validate on submit and on blur',
+      '- Link each error to its field with aria-describedby',
+      '## Implementation Guidelines',
+      '- Consider edge cases and error handling',
+      '- Follow modern development best practices',
+      '## Response Format',
+      '```tsx',
+      '// Your implementation here',
+      '```'
+    ].join('\n');
+
+    test('leaves a prompt within the budget alone', () => {
+      const result = optimizer.optimize(prompt, { budget: 1000 });
+
+      expect(result.fits).toBe(true);
+      expect(result.removed.guidance).toBe(0);
+    });
+
+    test('cuts the last guidance section first and stops once the prompt fits', () => {
+      const full = countTokens(optimizer.optimize(prompt).prompt);
+      const withoutGuidelines = countTokens(optimizer.optimize(prompt.replace(/## Implementation Guidelines\n(- .*\n)+/, '')).prompt);
+
+      const result = optimizer.optimize(prompt, { budget: withoutGuidelines });
+
+      expect(full).toBeGreaterThan(withoutGuidelines);
+      expect(result.fits).toBe(true);
+      expect(result.prompt).not.toContain('## Implementation Guidelines');
+      expect(result.prompt).toContain('### Form validation');
+    });
+
+    test('removes whole examples and leaves no bare headings', () => {
+      const result = optimizer.optimize(prompt, { budget: 10 });
+
+      expect(result.fits).toBe(false);
+      expect(result.prompt).not.toContain('Relevant Patterns');
+      expect(result.prompt).not.toContain('reducer');
+      expect(result.prompt).not.toContain('Form validation');
+      expect(result.prompt).not.toContain('Implementation Guidelines');
+    });
+
+    test('never cuts requirements, task notes or the response format', () => {
+      const result = optimizer.optimize(prompt, { budget: 10 });
+
+      expect(result.prompt).toContain('- Render a signup form with email and password fields');
+      expect(result.prompt).toContain('## Implementation Notes\n- Keep the component under 100 lines');
+      expect(result.prompt).toContain('## Response Format\n```tsx\n// Your implementation here\n```');
+    });
+  });
+
+  test('never changes code blocks', () => {
+    const code = '```js\n## Not a heading\n- not an item:\n\n\n- not an item:\n```';
+    const result = optimizer.optimize(`## Example\n${code}\n## Implementation Guidelines\n- Write clean code\n`, { budget: 1 });
+
+    expect(result.prompt).toContain(code);
+  });
+});
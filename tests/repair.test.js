@@ -0,0 +1,118 @@
+const { AIAutoCodingDAO } = require('../src/index');
+
+const task = { id: 'task-1', type: 'logic', complexity: 'low', description: 'Validate an email address' };
+
+function scoreInTurn(dao, scores) {
+  const analyze = dao.qualityAnalyzer.analyzeQuality.bind(dao.qualityAnalyzer);
+  const queue = [...scores];
+  jest.spyOn(dao.qualityAnalyzer, 'analyzeQuality').mockImplementation((implementation, forTask) => ({
+    ...analyze(implementation, forTask),
+    overallScore: queue.length > 1 ? queue.shift() : queue[0]
+  }));
+}
+
+function createDao(repair) {
+  const dao = new AIAutoCodingDAO({ devMode: true, repair });
+  jest.spyOn(dao.connectors.get('haiku'), 'implementTask');
+  return dao;
+}
+
+const implementCalls = dao => dao.connectors.get('haiku').implementTask.mock.calls;
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('AIAutoCodingDAO repair loop', () => {
+  test('is off by default', async () => {
+    const dao = createDao();
+    scoreInTurn(dao, [4]);
+
+    const result = await dao.processTask(task);
+
+    expect(result.repair).toBeNull();
+    expect(implementCalls(dao)).toHaveLength(1);
+  });
+
+  test('leaves implementations that reach minScore alone', async () => {
+    const dao = createDao({ enabled: true, minScore: 7 });
+    scoreInTurn(dao, [8]);
+
+    const result = await dao.processTask(task);
+
+    expect(result.repair).toBeNull();
+    expect(implementCalls(dao)).toHaveLength(1);
+  });
+
+  test('resubmits to the same tool until the score passes', async () => {
+    const dao = createDao({ enabled: true, minScore: 7, maxIterations: 3 });
+    scoreInTurn(dao, [5, 6, 8]);
+
+    const result = await dao.processTask(task);
+
+    expect(result.repair).toMatchObject({ initialScore: 5, finalScore: 8, stopReason: 'passed' });
+    expect(result.repair.rounds.map(round => [round.round, round.qualityScore])).toEqual([[1, 6], [2, 8]]);
+    expect(result.quality.overallScore).toBe(8);
+    expect(result.implementation.metadata).toMatchObject({ tool: 'haiku', repairRound: 2 });
+    expect(implementCalls(dao)).toHaveLength(3);
+    expect(implementCalls(dao)[1][1]).not.toBe(implementCalls(dao)[0][1]);
+  });
+
+  test('records every round with the token tracker', async () => {
+    const dao = createDao({ enabled: true, minScore: 7 });
+    scoreInTurn(dao, [5, 6, 8]);
+
+    const result = await dao.processTask(task);
+
+    const repairs = dao.tokenTracker.tasks.get(task.id).repairs;
+    expect(repairs.map(repair => [repair.round, repair.toolName, repair.qualityScore])).toEqual([
+      [1, 'haiku', 6],
+      [2, 'haiku', 8]
+    ]);
+    expect(repairs.reduce((sum, repair) => sum + repair.tokens, 0)).toBe(result.repair.tokens);
+    expect(dao.tokenTracker.historicalData[0]).toMatchObject({ repairRounds: 2, repairTokens: result.repair.tokens });
+  });
+
+  test('stops after maxIterations and keeps the best attempt', async () => {
+    const dao = createDao({ enabled: true, minScore: 7, maxIterations: 2 });
+    scoreInTurn(dao, [5, 6, 3]);
+
+    const result = await dao.processTask(task);
+
+    expect(result.repair).toMatchObject({ initialScore: 5, finalScore: 6, stopReason: 'maxIterations' });
+    expect(result.repair.rounds).toHaveLength(2);
+    expect(result.implementation.metadata.repairRound).toBe(1);
+  });
+
+  test('keeps the original implementation when no round improves on it', async () => {
+    const dao = createDao({ enabled: true, minScore: 7, maxIterations: 1 });
+    scoreInTurn(dao, [5, 4]);
+
+    const result = await dao.processTask(task);
+
+    expect(result.repair.finalScore).toBe(5);
+    expect(result.implementation.metadata.repairRound).toBeUndefined();
+  });
+
+  test('stops once the rounds have used maxTokens', async () => {
+    const dao = createDao({ enabled: true, minScore: 7, maxIterations: 5, maxTokens: 1 });
+    scoreInTurn(dao, [5]);
+
+    const result = await dao.processTask(task);
+
+    expect(result.repair.stopReason).toBe('tokenCap');
+    expect(result.repair.rounds).toHaveLength(1);
+  });
+
+  test('stops when the budget refuses another round', async () => {
+    const dao = createDao({ enabled: true, minScore: 7 });
+    scoreInTurn(dao, [5]);
+    const check = dao.budgetManager.check.bind(dao.budgetManager);
+    jest.spyOn(dao.budgetManager, 'check')
+      .mockImplementationOnce(check)
+      .mockImplementation((forTask, options) => ({ ...check(forTask, options), action: 'refuse' }));
+
+    const result = await dao.processTask(task);
+
+    expect(result.repair).toMatchObject({ stopReason: 'budget', rounds: [], finalScore: 5 });
+    expect(implementCalls(dao)).toHaveLength(1);
+  });
+});
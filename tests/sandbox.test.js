@@ -0,0 +1,89 @@
+const ExecutionSandbox = require('../src/tools/sandbox');
+
+const sandbox = new ExecutionSandbox({ timeout: 20000 });
+
+// Code only runs where Node's permission model can confine it (Node 20 and later)
+const describeIsolated = sandbox.isIsolated() ? describe : describe.skip;
+
+describe('ExecutionSandbox', () => {
+  test('refuses to run code without a permission model unless allowed', async () => {
+    const unisolated = new ExecutionSandbox();
+    unisolated.isIsolated = () => false;
+
+    const result = await unisolated.run([{ name: 'main.js', content: 'module.exports = 1;' }]);
+
+    expect(result.status).toBe('unsupported');
+    expect(result.success).toBe(false);
+    expect(result.errors[0].phase).toBe('isolation');
+  });
+
+  test('keeps asset files from generated file lists', () => {
+    const files = sandbox.collectFiles({
+      files: [
+        { name: 'Button.tsx', content: '' },
+        { name: 'Button.module.css', content: '' },
+        { name: 'README.md', content: '' }
+      ]
+    });
+
+    expect(files.map(file => file.name)).toEqual(['Button.tsx', 'Button.module.css']);
+  });
+
+  describeIsolated('isolated runs', () => {
+    test('runs a module and its tests', async () => {
+      const result = await sandbox.run([
+        { name: 'main.js', content: 'export function add(a, b) { return a + b; }' },
+        { name: 'main.test.js', content: "const { add } = require('./main');\ntest('adds', () => { expect(add(1, 2)).toBe(3); });" }
+      ]);
+
+      expect(result.status).toBe('completed');
+      expect(result.exports).toEqual(['add']);
+      expect(result.tests).toMatchObject({ total: 1, passed: 1 });
+    });
+
+    test('loads styles imported by a component', async () => {
+      const result = await sandbox.run([
+        { name: 'Button.tsx', content: "import './Button.css';\nexport default function Button() { return <button>Hi</button>; }" },
+        { name: 'Button.css', content: '.button { color: red; }' }
+      ]);
+
+      expect(result.status).toBe('completed');
+      expect(result.render).toMatchObject({ component: 'Button', html: '<button>Hi</button>' });
+    });
+
+    test('does not render hooks and helpers as components', async () => {
+      const result = await sandbox.run([
+        { name: 'main.js', content: "export function useThing() { throw new Error('needs a component'); }" }
+      ]);
+
+      expect(result.status).toBe('completed');
+      expect(result.errors).toEqual([]);
+    });
+
+    test('refuses network modules', async () => {
+      const result = await sandbox.run([
+        { name: 'main.js', content: "const http = require('http');\nmodule.exports = http;" }
+      ]);
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].message).toMatch(/"http" is not available/);
+    });
+
+    test('removes network globals', async () => {
+      const result = await sandbox.run([
+        { name: 'main.js', content: 'console.log([typeof fetch, typeof WebSocket, typeof EventSource].join());' }
+      ]);
+
+      expect(result.stdout.trim()).toBe('undefined,undefined,undefined');
+    });
+
+    test('denies file writes and reports sandbox-relative stacks', async () => {
+      const result = await sandbox.run([
+        { name: 'main.js', content: "require('fs').writeFileSync('written.txt', 'x');" }
+      ]);
+
+      expect(result.status).toBe('failed');
+      expect(result.errors[0].stack).not.toMatch(/aiacd-sandbox-/);
+    });
+  });
+});
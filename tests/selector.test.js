@@ -0,0 +1,83 @@
+const ToolSelector = require('../src/orchestration/selector');
+
+const task = { id: 'task-1', type: 'ui', complexity: 'medium', description: 'Create a button component with a loading state' };
+
+function outcome(tool, qualityScore, tokens, extra = {}) {
+  return { tool, qualityScore, tokens, type: 'ui', complexity: 'medium', ...extra };
+}
+
+function createTracker(outcomes) {
+  return {
+    getToolOutcomes: jest.fn(({ type, complexity } = {}) => outcomes.filter(entry =>
+      (!type || entry.type === type) && (!complexity || entry.complexity === complexity)))
+  };
+}
+
+const staticRanking = new ToolSelector().rankTools(task);
+const best = staticRanking[0].tool;
+const last = staticRanking[staticRanking.length - 1].tool;
+
+describe('ToolSelector', () => {
+  test('ignores history in static mode and without a tracker', () => {
+    const tracker = createTracker([outcome(last, 10, 100)]);
+
+    expect(new ToolSelector(null, { tokenTracker: tracker }).selectTool(task)).toMatchObject({ selectedTool: best, mode: 'static' });
+    expect(new ToolSelector(null, { mode: 'adaptive' }).selectTool(task).mode).toBe('static');
+    expect(tracker.getToolOutcomes).not.toHaveBeenCalled();
+  });
+
+  test('keeps the profile ranking until there is history', () => {
+    const selector = new ToolSelector(null, { mode: 'adaptive', tokenTracker: createTracker([]) });
+
+    const ranking = selector.rankTools(task);
+
+    expect(ranking.map(entry => entry.tool)).toEqual(staticRanking.map(entry => entry.tool));
+    expect(ranking[0].history).toMatchObject({ observations: 0, meanReward: 0 });
+  });
+
+  test('moves a tool up once it delivers more quality per token', () => {
+    const outcomes = [
+      ...Array.from({ length: 20 }, () => outcome(last, 9, 500)),
+      ...Array.from({ length: 6 }, () => outcome(best, 6, 3000))
+    ];
+    const selector = new ToolSelector(null, { mode: 'adaptive', exploration: 0, tokenTracker: createTracker(outcomes) });
+
+    const selection = selector.selectTool(task);
+
+    expect(selection).toMatchObject({ selectedTool: last, mode: 'adaptive' });
+    expect(selection.ranking[0].history).toMatchObject({ observations: 20, meanReward: 1, explorationBonus: 0 });
+    expect(selection.ranking.find(entry => entry.tool === best).history.meanReward).toBeCloseTo(6 / 3 / 18, 3);
+  });
+
+  test('favours rarely used tools more as exploration grows', () => {
+    const outcomes = Array.from({ length: 20 }, () => outcome(best, 8, 1000));
+    const bonus = exploration => {
+      const ranking = new ToolSelector(null, { mode: 'adaptive', exploration, tokenTracker: createTracker(outcomes) }).rankTools(task);
+      return Object.fromEntries(ranking.map(entry => [entry.tool, entry.history.explorationBonus]));
+    };
+
+    expect(bonus(1)[last]).toBeGreaterThan(bonus(1)[best]);
+    expect(bonus(2)[last]).toBeCloseTo(2 * bonus(1)[last], 2);
+    expect(Object.values(bonus(0))).toEqual(Object.values(bonus(0)).map(() => 0));
+  });
+
+  test('uses the narrowest history context with enough observations', () => {
+    const context = outcomes => new ToolSelector(null, {
+      mode: 'adaptive',
+      minContextObservations: 3,
+      tokenTracker: createTracker(outcomes)
+    }).rankTools(task)[0].history.context;
+
+    const sameType = Array.from({ length: 3 }, () => outcome(best, 8, 1000));
+    const sameComplexity = Array.from({ length: 3 }, () => outcome(best, 8, 1000, { type: 'logic' }));
+    const other = Array.from({ length: 3 }, () => outcome(best, 8, 1000, { type: 'logic', complexity: 'high' }));
+
+    expect(context(sameType)).toEqual({ type: 'ui', complexity: 'medium' });
+    expect(context(sameComplexity)).toEqual({ complexity: 'medium' });
+    expect(context(other)).toEqual({});
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => new ToolSelector().setMode('random')).toThrow(/Unknown selection mode/);
+  });
+});
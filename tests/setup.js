@@ -0,0 +1,2 @@
+// Keep test output to Jest's own; set LOG_LEVEL to see the logger
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'none';
@@ -0,0 +1,79 @@
+const StaticAnalyzer = require('../src/evaluation/static-analyzer');
+const QualityAnalyzer = require('../src/evaluation/quality-analyzer');
+
+describe('StaticAnalyzer', () => {
+  const analyzer = new StaticAnalyzer();
+
+  test('parses TSX components', () => {
+    const metrics = analyzer.analyze(`
+import React from 'react';
+
+interface ButtonProps { label: string; onClick: () => void }
+
+export function Button({ label, onClick }: ButtonProps) {
+  return <button onClick={onClick}>{label}</button>;
+}
+`);
+
+    expect(metrics.parsed).toBe(true);
+    expect(metrics.parseErrors).toEqual([]);
+    expect(metrics.functions).toHaveLength(1);
+    expect(metrics.jsxElements.length).toBeGreaterThan(0);
+  });
+
+  test('parses TypeScript casts that only parse without JSX', () => {
+    const metrics = analyzer.analyze('const value = <number>input;\nexport default value;\n');
+
+    expect(metrics.parsed).toBe(true);
+  });
+
+  test('does not trust an AST recovered from prose', () => {
+    const metrics = analyzer.analyze('Here is the component you asked for. It renders a button and handles clicks.');
+
+    expect(metrics.parsed).toBe(false);
+    expect(metrics.parseErrors.length).toBeGreaterThan(0);
+    expect(metrics.functions).toEqual([]);
+    expect(metrics.identifiers).toEqual([]);
+  });
+
+  test('records the lines that run strings as code', () => {
+    const metrics = analyzer.analyze([
+      'const a = eval(source);',
+      'const b = new Function("x", body);',
+      'const c = Function(body);',
+      'const d = window.eval(source);',
+      'const e = globalThis.eval(source);',
+      'const f = evaluate(source);'
+    ].join('\n'));
+
+    expect(metrics.dynamicCode).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe('QualityAnalyzer', () => {
+  const quality = new QualityAnalyzer();
+  const task = { id: 'task-1', type: 'logic', description: 'Add two numbers', complexity: 'low' };
+
+  test('scores prose low instead of crediting its recovered AST', () => {
+    const prose = quality.analyzeQuality({ implementation: 'Sorry, I cannot write this function for you today.' }, task);
+    const code = quality.analyzeQuality({ implementation: '```js\nexport function add(a, b) {\n  return a + b;\n}\n```' }, task);
+
+    expect(prose.codeMetrics.parsed).toBe(false);
+    expect(prose.overallScore).toBeLessThan(5);
+    expect(code.overallScore).toBeGreaterThan(prose.overallScore);
+  });
+
+  test('deducts for eval', () => {
+    const result = quality.analyzeQuality({ implementation: 'export function run(source) {\n  return eval(source);\n}\n' }, task);
+
+    expect(result.detailedScores.codeQuality.weaknesses.join('\n')).toMatch(/eval\(\) or new Function\(\) at line\(s\) 2/);
+  });
+
+  test('does not credit short code without comments for balanced comments', () => {
+    const result = quality.analyzeQuality({ implementation: 'export const add = (a, b) => a + b;\n' }, task);
+    const { strengths, weaknesses } = result.detailedScores.codeQuality;
+
+    expect(strengths.join('\n')).not.toMatch(/Balanced comment density/);
+    expect(weaknesses.join('\n')).not.toMatch(/Sparse comments/);
+  });
+});
@@ -0,0 +1,74 @@
+const { TemplateError, compile, render } = require('../src/utils/template-engine');
+
+describe('template engine', () => {
+  test('renders values, nested properties and defaults', () => {
+    expect(render('{name} uses {task.tool}', { name: 'Button', task: { tool: 'haiku' } })).toBe('Button uses haiku');
+    expect(render('{framework}', {}, { defaults: { framework: 'React' } })).toBe('React');
+    expect(render('{framework}', { framework: '' }, { defaults: { framework: 'React' } })).toBe('React');
+  });
+
+  test('applies filters in order', () => {
+    expect(render('{name | default: "none" | upper}', {})).toBe('NONE');
+    expect(render('{items | join: " / "}', { items: ['a', 'b'] })).toBe('a / b');
+    expect(render('{items | bullets}', { items: ['a', 'b'] })).toBe('- a\n- b');
+    expect(render('{text | truncate: 3}', { text: 'abcdef' })).toBe('abc…');
+  });
+
+  test('renders conditional and repeated sections', () => {
+    const template = '{#if items}{#each items as item, i}{i}:{item}{#if !@last},{/if}{/each}{:else}none{/if}';
+
+    expect(render(template, { items: ['a', 'b'] })).toBe('0:a,1:b');
+    expect(render(template, { items: [] })).toBe('none');
+    expect(render('{#if a}A{:else if b}B{:else}C{/if}', { b: true })).toBe('B');
+  });
+
+  test('handles missing values as configured', () => {
+    expect(render('Hi {name}', {})).toBe('Hi {name}');
+    expect(render('Hi {name}', {}, { missing: 'empty' })).toBe('Hi ');
+    expect(() => render('Hi {name} {other}', {}, { missing: 'error' })).toThrow(TemplateError);
+
+    try {
+      render('{name} {other}', {}, { missing: 'error' });
+    } catch (error) {
+      expect(error.unresolved).toEqual(['name', 'other']);
+    }
+  });
+
+  test('leaves code braces and escaped braces as text', () => {
+    expect(render('const a = { id: 1 }; {a || b}', {})).toBe('const a = { id: 1 }; {a || b}');
+    expect(render('\\{name\\}', { name: 'x' })).toBe('{name}');
+  });
+
+  test('never parses inserted values as template syntax', () => {
+    expect(render('{value}', { value: '{secret}', secret: 'leaked' })).toBe('{secret}');
+  });
+
+  test('escapes values for markdown unless they are raw', () => {
+    expect(render('{value}', { value: '*bold*' }, { escape: 'markdown' })).toBe('\\*bold\\*');
+    expect(render('{value | raw}', { value: '*bold*' }, { escape: 'markdown' })).toBe('*bold*');
+  });
+
+  test('only reads own properties of data, defaults and nested values', () => {
+    expect(render('{constructor}', {}, { missing: 'empty' })).toBe('');
+    expect(render('{toString}', {}, { defaults: {}, missing: 'empty' })).toBe('');
+    expect(render('{task.__proto__}', { task: {} }, { missing: 'empty' })).toBe('');
+    expect(render('{items.length}', { items: ['a', 'b'] })).toBe('2');
+    expect(render('{#if hasOwnProperty}yes{:else}no{/if}', {})).toBe('no');
+  });
+
+  test('rejects filters that are not registered', () => {
+    expect(() => compile('{name | toString}')).toThrow(/Unknown filter/);
+    expect(() => compile('{name | constructor}')).toThrow(TemplateError);
+  });
+
+  test('reports malformed blocks with their position', () => {
+    expect(() => compile('{#if a}open')).toThrow(/Unclosed \{#if\} block/);
+    expect(() => compile('text {/each}')).toThrow(/Unexpected \{\/each\} at position 5/);
+  });
+
+  test('lists the names a template reads that are not known', () => {
+    const template = compile('{#each items as item}{item.name}{/each}{title}{@index}');
+
+    expect(template.getUnknown(['items'])).toEqual(['title']);
+  });
+});
@@ -0,0 +1,107 @@
+const TemplateManager = require('../src/orchestration/templates');
+
+function outcomesFor(variant, scores, tokens = 1000) {
+  return scores.map(qualityScore => ({ template: { variant }, qualityScore, tokens }));
+}
+
+describe('TemplateManager experiments', () => {
+  let outcomes;
+  let templates;
+  let experiment;
+
+  beforeEach(() => {
+    outcomes = [];
+    templates = new TemplateManager({ tokenTracker: { getTemplateOutcomes: () => outcomes } });
+    templates.setTemplate('claudeSonnet', 'ui', { template: 'Build {description}', defaults: {} }, {
+      version: '1.1.0',
+      changelog: 'Shorter prompt',
+      activate: false
+    });
+    experiment = templates.createExperiment({
+      id: 'shorter-prompt',
+      tool: 'claudeSonnet',
+      type: 'ui',
+      variants: [{ name: 'control', version: '1.0.0' }, { name: 'short', version: '1.1.0' }],
+      minSamples: 5
+    });
+  });
+
+  test('assigns each task to the same variant every time', () => {
+    const first = templates.assignVariant('claudeSonnet', 'ui', { id: 'task-1' });
+
+    expect(first.experimentId).toBe('shorter-prompt');
+    expect(templates.assignVariant('claudeSonnet', 'ui', { id: 'task-1' })).toEqual(first);
+
+    const variants = new Set(Array.from({ length: 40 }, (_, i) =>
+      templates.assignVariant('claudeSonnet', 'ui', { id: `task-${i}` }).variant));
+    expect(variants).toEqual(new Set(['control', 'short']));
+  });
+
+  test('declares no winner before every variant has minSamples', () => {
+    outcomes = [...outcomesFor('control', [6, 6, 6, 6, 6]), ...outcomesFor('short', [9, 9, 9])];
+
+    const report = templates.getExperimentReport(experiment.id);
+
+    expect(report.winner).toBeNull();
+    expect(report.reason).toMatch(/insufficient samples/);
+    expect(report.variants.map(variant => variant.samples)).toEqual([5, 3]);
+  });
+
+  test('declares no winner without a significant difference', () => {
+    outcomes = [
+      ...outcomesFor('control', [6, 8, 5, 9, 7]),
+      ...outcomesFor('short', [7, 6, 9, 5, 8])
+    ];
+
+    const report = templates.getExperimentReport(experiment.id);
+
+    expect(report.winner).toBeNull();
+    expect(report.reason).toMatch(/no significant difference/);
+    expect(report.comparisons[0].significant).toBe(false);
+  });
+
+  test('declares a clearly better variant the winner and promotes it on stop', () => {
+    outcomes = [
+      ...outcomesFor('control', [6, 6.2, 5.9, 6.1, 6]),
+      ...outcomesFor('short', [8, 8.1, 7.9, 8.2, 8])
+    ];
+
+    const report = templates.getExperimentReport(experiment.id);
+
+    expect(report).toMatchObject({ winner: 'short', winnerVersion: '1.1.0', reason: null });
+    expect(report.variants[1].quality.mean).toBeCloseTo(8.04);
+    expect(report.comparisons[0].pValue).toBeLessThan(0.05);
+
+    const stopped = templates.stopExperiment(experiment.id);
+    expect(stopped.status).toBe('stopped');
+    expect(templates.getVersions('claudeSonnet', 'ui').find(version => version.active).version).toBe('1.1.0');
+    expect(templates.assignVariant('claudeSonnet', 'ui', { id: 'task-1' }).experimentId).toBeNull();
+  });
+
+  test('prefers fewer tokens when the metric is tokens', () => {
+    templates.stopExperiment(experiment.id, { promote: false });
+    const tokens = templates.createExperiment({
+      tool: 'claudeSonnet',
+      type: 'ui',
+      metric: 'tokens',
+      variants: [{ name: 'control', version: '1.0.0' }, { name: 'short', version: '1.1.0' }],
+      minSamples: 5
+    });
+    outcomes = [
+      ...[1000, 1010, 990, 1005, 995].map(count => ({ template: { variant: 'control' }, qualityScore: 7, tokens: count })),
+      ...[600, 610, 590, 605, 595].map(count => ({ template: { variant: 'short' }, qualityScore: 7, tokens: count }))
+    ];
+
+    expect(templates.getExperimentReport(tokens.id).winner).toBe('short');
+  });
+
+  test('rejects invalid experiments', () => {
+    expect(() => templates.createExperiment({
+      tool: 'claudeSonnet',
+      type: 'ui',
+      variants: [{ name: 'control', version: '1.0.0' }, { name: 'other', version: '9.9.9' }]
+    })).toThrow(/unknown version 9\.9\.9/);
+    expect(() => templates.createExperiment({ tool: 'claudeSonnet', type: 'missing', variants: [] }))
+      .toThrow(/unknown template claudeSonnet\/missing/);
+  });
+});
@@ -0,0 +1,172 @@
+const TestGenerator = require('../src/evaluation/test-generator');
+const QualityAnalyzer = require('../src/evaluation/quality-analyzer');
+const ExecutionSandbox = require('../src/tools/sandbox');
+
+const task = {
+  id: 'task-1',
+  type: 'logic',
+  complexity: 'low',
+  description: 'Sum an array of numbers',
+  input: ['sum([1, 2, 3]) => 6', 'sum([-1, 1]) => 0'],
+  'edge-cases': ['Returns 0 for an empty array', 'Throws for null input', 'Handles very large arrays gracefully'],
+  constraints: ['Returns a number', 'Must not mutate the input', 'Completes within 50ms', 'Uses idiomatic code']
+};
+
+const implementation = code => ({ implementation: `\`\`\`js\n${code}\n\`\`\`` });
+
+function stubSandbox(results, status = 'completed') {
+  return {
+    collectFiles: () => [{ name: 'sum.js', content: 'module.exports = { sum: () => 0 };' }],
+    run: jest.fn(async () => ({
+      status,
+      errors: status === 'unsupported' ? [{ message: 'no permission model' }] : [],
+      tests: { results },
+      timings: {}
+    }))
+  };
+}
+
+describe('TestGenerator', () => {
+  describe('generate', () => {
+    const generator = new TestGenerator({ sandbox: stubSandbox([]) });
+
+    test('derives examples, edge cases and properties from the task', () => {
+      const { functionName, cases, unverifiable } = generator.generate(task);
+
+      expect(functionName).toBe('sum');
+      expect(cases.map(testCase => [testCase.id, testCase.section, testCase.kind])).toEqual([
+        ['case-1', 'input', 'example'],
+        ['case-2', 'input', 'example'],
+        ['case-3', 'edge-cases', 'example'],
+        ['case-4', 'edge-cases', 'throws'],
+        ['case-5', 'constraints', 'returnType'],
+        ['case-6', 'constraints', 'noMutation'],
+        ['case-7', 'constraints', 'duration']
+      ]);
+      expect(cases[0]).toMatchObject({ args: [[1, 2, 3]], expected: 6 });
+      expect(cases[2]).toMatchObject({ args: [[]], expected: 0 });
+      expect(cases[3]).toMatchObject({ args: [null] });
+      expect(cases[4]).toMatchObject({ args: [[1, 2, 3]], expected: 'number' });
+      expect(cases[6]).toMatchObject({ expected: 50 });
+      expect(unverifiable).toEqual([
+        { section: 'constraints', text: 'Uses idiomatic code' },
+        { section: 'edge-cases', text: 'Handles very large arrays gracefully' }
+      ]);
+    });
+
+    test('pairs parallel input and output lists of literals', () => {
+      const { cases } = generator.generate({ input: '- [1, 2]\n- []', output: '- 3\n- 0', functionName: 'sum' });
+
+      expect(cases.map(testCase => [testCase.args, testCase.expected])).toEqual([[[[1, 2]], 3], [[[]], 0]]);
+    });
+
+    test('reads structured items', () => {
+      const { cases } = generator.generate({
+        'edge-cases': [{ args: [[]], expected: 0 }, { input: null, throws: true }, { note: 'no arguments' }]
+      });
+
+      expect(cases.map(testCase => testCase.kind)).toEqual(['example', 'throws']);
+    });
+
+    test('checks properties only when an example supplies the arguments', () => {
+      const { cases, unverifiable } = generator.generate({ constraints: ['Returns a number', 'Is deterministic'] });
+
+      expect(cases).toEqual([]);
+      expect(unverifiable).toHaveLength(2);
+    });
+
+    test('limits the number of cases', () => {
+      const limited = new TestGenerator({ sandbox: stubSandbox([]), maxCases: 2 });
+
+      expect(limited.generate(task).cases).toHaveLength(2);
+    });
+  });
+
+  describe('evaluate', () => {
+    test('returns null when the task has nothing to test', async () => {
+      const sandbox = stubSandbox([]);
+      const generator = new TestGenerator({ sandbox });
+
+      expect(await generator.evaluate(implementation('export const sum = () => 0;'), { description: 'Sum' })).toBeNull();
+      expect(sandbox.run).not.toHaveBeenCalled();
+    });
+
+    test('returns null when the sandbox cannot run code', async () => {
+      const generator = new TestGenerator({ sandbox: stubSandbox([], 'unsupported') });
+
+      expect(await generator.evaluate(implementation('export const sum = () => 0;'), task)).toBeNull();
+    });
+
+    test('scores the pass rate of the cases the sandbox ran', async () => {
+      const sandbox = stubSandbox([
+        { name: 'case-1', passed: true },
+        { name: 'case-2', passed: false, error: { message: 'expected 0, got 1' } },
+        { name: 'case-3', passed: true }
+      ]);
+      const generator = new TestGenerator({ sandbox });
+
+      const result = await generator.evaluate(implementation('export const sum = () => 0;'), task);
+
+      expect(result).toMatchObject({ functionName: 'sum', total: 7, passed: 2, failed: 5, status: 'completed' });
+      expect(result.passRate).toBeCloseTo(2 / 7);
+      expect(result.cases[1]).toMatchObject({ passed: false, error: 'expected 0, got 1' });
+      expect(result.cases[3]).toMatchObject({ passed: false, error: 'Execution completed' });
+
+      const [files, options] = sandbox.run.mock.calls[0];
+      expect(files.map(file => file.name)).toEqual(['sum.js']);
+      expect(options).toMatchObject({ entry: 'sum.js', render: false });
+      expect(options.tests[0].content).toContain('require("./sum")');
+    });
+  });
+
+  const describeIsolated = new ExecutionSandbox().isIsolated() ? describe : describe.skip;
+
+  describeIsolated('in the sandbox', () => {
+    const generator = new TestGenerator({ sandbox: new ExecutionSandbox({ timeout: 20000 }) });
+
+    test('passes every case for a correct implementation', async () => {
+      const result = await generator.evaluate(implementation([
+        'export function sum(values) {',
+        '  if (values === null) throw new TypeError("values is required");',
+        '  return values.reduce((total, value) => total + value, 0);',
+        '}'
+      ].join('\n')), task);
+
+      expect(result.passed).toBe(result.total);
+    }, 30000);
+
+    test('fails the cases a buggy implementation gets wrong', async () => {
+      const result = await generator.evaluate(implementation([
+        'export function sum(values) {',
+        '  return (values || []).reduce((total, value) => total + value, 1);',
+        '}'
+      ].join('\n')), task);
+
+      expect(result.cases.filter(testCase => !testCase.passed).map(testCase => testCase.id))
+        .toEqual(['case-1', 'case-2', 'case-3', 'case-4']);
+    }, 30000);
+  });
+});
+
+describe('QualityAnalyzer functionality score', () => {
+  const quality = new QualityAnalyzer();
+  const code = 'export function sum(values) {\n  return values.reduce((total, value) => total + value, 0);\n}\n';
+
+  const functionality = (passed, total) => quality.analyzeQuality({
+    implementation: code,
+    functionalTests: {
+      total,
+      passed,
+      cases: Array.from({ length: total }, (_, index) => ({
+        section: 'input', description: `case ${index + 1}`, passed: index < passed, error: index < passed ? null : 'wrong'
+      }))
+    }
+  }, task).detailedScores.functionality;
+
+  test('follows the pass rate of the derived cases', () => {
+    expect(functionality(4, 4).rawScore).toBe(10);
+    expect(functionality(3, 4).rawScore).toBe(7.5);
+    expect(functionality(0, 4).rawScore).toBe(0);
+    expect(functionality(3, 4).weaknesses).toEqual(['Fails input case "case 4": wrong']);
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenTracker = require('../src/orchestration/token-tracker');
+const JsonLinesStorage = require('../src/data/jsonl-storage');
+const SupabaseStorage = require('../src/data/supabase-storage');
+const SupabaseConnector = require('../src/tools/supabase-connector');
+
+async function trackTask(storage) {
+  const tracker = new TokenTracker({ storage });
+  await tracker.initialize();
+
+  tracker.startTask('task-1', 'Create a button', 'low', 'ui', { userId: 'user-1' });
+  tracker.recordDelegatedCost('task-1', 'haiku', {
+    analysis: 100, delegation: 400, review: 200, cacheRead: 50, timeSpent: 1, model: 'claude-3-haiku'
+  });
+  tracker.recordDirectCost('task-1', 2000, 2, { model: 'claude-3-haiku' });
+  tracker.recordToolQuality('task-1', 'haiku', 8);
+  tracker.completeTask('task-1', 8);
+  await storage.flush();
+
+  return tracker;
+}
+
+async function rehydrate(storage) {
+  const tracker = new TokenTracker({ storage });
+  await tracker.initialize();
+  await storage.flush();
+  return tracker;
+}
+
+function snapshot(tracker) {
+  return {
+    task: tracker.tasks.get('task-1'),
+    history: tracker.historicalData,
+    consumption: tracker.getConsumption({ userId: 'user-1' }),
+    efficiency: tracker.compareEfficiency('task-1')
+  };
+}
+
+describe('TokenTracker rehydration', () => {
+  describe('with JSON Lines storage', () => {
+    let dir;
+    let storage;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiacd-records-'));
+      storage = new JsonLinesStorage({ baseDir: dir });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const lines = collection =>
+      fs.readFileSync(path.join(dir, '.aiacd', `${collection}.jsonl`), 'utf8').trim().split('\n').length;
+
+    test('rebuilds the state it was written from', async () => {
+      let clock = 1700000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => clock++);
+      const original = await trackTask(storage);
+
+      const restored = await rehydrate(new JsonLinesStorage({ baseDir: dir }));
+
+      expect(snapshot(restored)).toEqual(snapshot(original));
+    });
+
+    test('never stores replayed records again', async () => {
+      await trackTask(storage);
+      const before = [lines('token_usage'), lines('quality_metrics')];
+
+      await rehydrate(new JsonLinesStorage({ baseDir: dir }));
+      await rehydrate(new JsonLinesStorage({ baseDir: dir }));
+
+      expect([lines('token_usage'), lines('quality_metrics')]).toEqual(before);
+      expect(before).toEqual([3, 2]);
+    });
+
+    test('skips a partial last line', async () => {
+      await trackTask(storage);
+      fs.appendFileSync(path.join(dir, '.aiacd/token_usage.jsonl'), '{"source":"tokenTr');
+
+      const restored = await rehydrate(new JsonLinesStorage({ baseDir: dir }));
+
+      expect(restored.tasks.get('task-1').completed).toBe(true);
+    });
+  });
+
+  describe('with Supabase storage', () => {
+    test('rebuilds the state without writing rows again', async () => {
+      const connector = new SupabaseConnector({ devMode: true });
+      const storage = new SupabaseStorage({ connector });
+      const original = await trackTask(storage);
+      const rows = [connector.devStorage.tokenUsage.size, connector.devStorage.qualityMetrics.size];
+
+      const restored = await rehydrate(new SupabaseStorage({ connector }));
+
+      expect(snapshot(restored)).toEqual(snapshot(original));
+      expect([connector.devStorage.tokenUsage.size, connector.devStorage.qualityMetrics.size]).toEqual(rows);
+    });
+
+    test('maps usage records onto token_usage columns', async () => {
+      const connector = new SupabaseConnector({ devMode: true });
+      await trackTask(new SupabaseStorage({ connector }));
+
+      const row = (await connector.getTokenUsage({ source: 'tokenTracker' }))
+        .find(entry => entry.record_type === 'recordDelegatedCost');
+
+      expect(row).toMatchObject({
+        task_key: 'task-1',
+        tool_name: 'haiku',
+        prompt_tokens: 400,
+        completion_tokens: 200,
+        cache_read_tokens: 50,
+        model: 'claude-3-haiku',
+        source: 'tokenTracker'
+      });
+      expect(row.record.args[0]).toBe('task-1');
+    });
+  });
+});
+
+describe('SupabaseConnector paging', () => {
+  function createClient(rows) {
+    const calls = [];
+    const client = {
+      from: table => {
+        const call = { table, filters: [] };
+        calls.push(call);
+        const query = {
+          select: () => query,
+          order: (column, options) => { call.order = [column, options]; return query; },
+          range: (from, to) => { call.range = [from, to]; return query; },
+          eq: (column, value) => { call.filters.push([column, value]); return query; },
+          then: (resolve, reject) => Promise.resolve({
+            data: rows.filter(row => call.filters.every(([column, value]) => row[column] === value))
+              .slice(call.range[0], call.range[1] + 1),
+            error: null
+          }).then(resolve, reject)
+        };
+        return query;
+      }
+    };
+    return { client, calls };
+  }
+
+  test('reads every page, oldest first', async () => {
+    const rows = Array.from({ length: 2500 }, (_, i) => ({ id: i, source: 'tokenTracker' }));
+    const { client, calls } = createClient(rows);
+    const connector = new SupabaseConnector({ url: 'http://localhost', apiKey: 'key', devMode: false, client });
+
+    const loaded = await connector.getTokenUsage({ source: 'tokenTracker' });
+
+    expect(loaded).toHaveLength(2500);
+    expect(calls.map(call => call.range)).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+    expect(calls[0]).toMatchObject({
+      table: 'token_usage',
+      order: ['created_at', { ascending: true }],
+      filters: [['source', 'tokenTracker']]
+    });
+  });
+
+  test('stops after a full last page', async () => {
+    const { client, calls } = createClient(Array.from({ length: 1000 }, (_, i) => ({ id: i })));
+    const connector = new SupabaseConnector({ url: 'http://localhost', apiKey: 'key', devMode: false, client });
+
+    expect(await connector.getQualityMetrics()).toHaveLength(1000);
+    expect(calls).toHaveLength(2);
+    expect(calls[0].filters).toEqual([]);
+  });
+});
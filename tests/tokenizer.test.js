@@ -0,0 +1,62 @@
+const { countTokens, estimateUsage } = require('../src/utils/tokenizer');
+
+// Counts from Anthropic's published tokenizer (@anthropic-ai/tokenizer 0.0.4)
+const REFERENCE = [
+  {
+    name: 'prose',
+    text: 'Create a responsive signup form with email and password fields, inline validation messages and an accessible submit button.',
+    tokens: 20
+  },
+  {
+    name: 'code',
+    text: 'export function useDebounce<T>(value: T, delay = 300): T {\n  const [debounced, setDebounced] = useState(value);\n  useEffect(() => {\n    const timer = setTimeout(() => setDebounced(value), delay);\n    return () => clearTimeout(timer);\n  }, [value, delay]);\n  return debounced;\n}\n',
+    tokens: 82
+  },
+  {
+    name: 'markdown',
+    text: '## Requirements\n- Framework: React 18\n- Styling: CSS modules\n- Accessibility: WCAG 2.1 AA\n\n## Response Format\n```tsx\n// Your implementation here\n```\n',
+    tokens: 45
+  },
+  {
+    name: 'JSON',
+    text: '{"taskId":"task_1712345678","type":"ui","complexity":"medium","features":["validation","accessibility"],"tokens":{"input":1200,"output":340}}',
+    tokens: 35
+  },
+  {
+    name: 'numbers',
+    text: 'Totals: 1234567, 3.14159, 2024-10-19, 0xFF, 42%',
+    tokens: 23
+  }
+];
+
+const ratio = name => {
+  const { text, tokens } = REFERENCE.find(sample => sample.name === name);
+  return countTokens(text) / tokens;
+};
+
+describe('countTokens', () => {
+  test.each(['prose', 'code', 'markdown'])('is within 15%% of the reference count for %s', name => {
+    expect(Math.abs(ratio(name) - 1)).toBeLessThanOrEqual(0.15);
+  });
+
+  test.each(['JSON', 'numbers'])('overcounts %s by at most 70%%', name => {
+    expect(ratio(name)).toBeGreaterThanOrEqual(1);
+    expect(ratio(name)).toBeLessThanOrEqual(1.7);
+  });
+
+  test('counts nothing for empty or missing text', () => {
+    expect(countTokens('')).toBe(0);
+    expect(countTokens(undefined)).toBe(0);
+  });
+
+  test('marks local usage as estimated', () => {
+    const usage = estimateUsage(REFERENCE[0].text, REFERENCE[1].text);
+
+    expect(usage).toMatchObject({
+      input: countTokens(REFERENCE[0].text),
+      output: countTokens(REFERENCE[1].text),
+      estimated: true
+    });
+    expect(usage.total).toBe(usage.input + usage.output);
+  });
+});
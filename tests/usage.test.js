@@ -0,0 +1,73 @@
+const { PriceTable, normalizeUsage } = require('../src/utils/usage');
+
+describe('normalizeUsage', () => {
+  test('reads the Anthropic shape, with cached tokens apart from input', () => {
+    expect(normalizeUsage({
+      input_tokens: 100,
+      output_tokens: 50,
+      cache_read_input_tokens: 20,
+      cache_creation_input_tokens: 10
+    })).toEqual({ input: 100, output: 50, cacheRead: 20, cacheWrite: 10, total: 180, estimated: false });
+  });
+
+  test('reads the OpenAI-compatible shape, taking cached tokens out of the prompt', () => {
+    expect(normalizeUsage({
+      prompt_tokens: 100,
+      completion_tokens: 40,
+      prompt_tokens_details: { cached_tokens: 30 }
+    })).toMatchObject({ input: 70, output: 40, cacheRead: 30, cacheWrite: 0, total: 140 });
+  });
+
+  test('reads the legacy prompt/completion shape', () => {
+    expect(normalizeUsage({ prompt: 120, completion: 80, total: 200 }))
+      .toMatchObject({ input: 120, output: 80, total: 200 });
+  });
+
+  test('keeps a total reported without a breakdown', () => {
+    expect(normalizeUsage({ total: 500 })).toMatchObject({ input: 0, output: 0, total: 500 });
+  });
+
+  test('passes normalized usage through and keeps its estimated flag', () => {
+    const usage = { input: 10, output: 5, cacheRead: 0, cacheWrite: 0, total: 15, estimated: true };
+
+    expect(normalizeUsage(usage)).toEqual(usage);
+    expect(normalizeUsage({ input: 1 }, { estimated: true }).estimated).toBe(true);
+  });
+
+  test('treats missing usage as zero', () => {
+    expect(normalizeUsage(null)).toMatchObject({ input: 0, output: 0, total: 0 });
+    expect(normalizeUsage()).toMatchObject({ total: 0 });
+  });
+});
+
+describe('PriceTable', () => {
+  test('matches dated model versions by their longest prefix', () => {
+    const prices = new PriceTable();
+
+    expect(prices.get('claude-3-5-sonnet-20241022')).toBe(prices.get('claude-3-5-sonnet'));
+    expect(prices.get('claude-opus-4-5-20251101')).toEqual(expect.objectContaining({ input: 5 }));
+    expect(prices.get('claude-opus-4-20250514')).toEqual(expect.objectContaining({ input: 15 }));
+  });
+
+  test('prices every kind of token per million', () => {
+    const prices = new PriceTable({ test: { input: 1, output: 2, cacheRead: 0.5, cacheWrite: 4 } });
+
+    expect(prices.cost({ input: 1e6, output: 1e6, cacheRead: 1e6, cacheWrite: 1e6 }, 'test')).toBe(7.5);
+    expect(prices.cost(normalizeUsage({ prompt: 500000, completion: 0 }), 'test')).toBe(0.5);
+  });
+
+  test('returns null for models without a price', () => {
+    const prices = new PriceTable();
+
+    expect(prices.get('unknown-model')).toBeNull();
+    expect(prices.cost({ input: 10 }, 'unknown-model')).toBeNull();
+  });
+
+  test('lets configured prices override the defaults', () => {
+    const prices = new PriceTable({ 'claude-3-haiku': { input: 9, output: 9 } });
+    prices.set('custom', { input: 1, output: 1 });
+
+    expect(prices.get('claude-3-haiku-20240307').input).toBe(9);
+    expect(prices.cost({ input: 1e6 }, 'custom')).toBe(1);
+  });
+});
@@ -0,0 +1,73 @@
+const V0DevConnector = require('../src/tools/v0-dev');
+
+function createTransport(body, { ok = true, status = 200, statusText = 'OK' } = {}) {
+  return jest.fn().mockResolvedValue({ ok, status, statusText, json: async () => body });
+}
+
+function createConnector(transport, config = {}) {
+  return new V0DevConnector({ url: 'https://v0.test/v1', apiKey: 'key', devMode: false, transport, ...config });
+}
+
+function completion(content, usage) {
+  return { choices: [{ message: { role: 'assistant', content } }], ...(usage ? { usage } : {}) };
+}
+
+const task = { id: 'task-1', type: 'ui', description: 'Create a theme provider' };
+
+describe('V0DevConnector', () => {
+  test('sends a chat completion request through the injected transport', async () => {
+    const transport = createTransport(completion('```tsx\nexport const theme = {};\n```'));
+
+    await createConnector(transport, { maxTokens: 8000 }).implementTask(task, 'Create a theme provider', { maxTokens: 500 });
+
+    const [url, request] = transport.mock.calls[0];
+    expect(url).toBe('https://v0.test/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer key');
+    expect(JSON.parse(request.body)).toMatchObject({
+      model: 'v0-1.0-md',
+      max_tokens: 500,
+      messages: [{ role: 'user', content: expect.stringContaining('Create a theme provider') }]
+    });
+  });
+
+  test('returns the largest code block and the reported usage', async () => {
+    const content = [
+      'Install it first:',
+      '```bash\nnpm i theme\n```',
+      'Then add the provider:',
+      '```tsx\nexport function ThemeProvider({ children }) { return children; }\n```'
+    ].join('\n');
+    const transport = createTransport(completion(content, {
+      prompt_tokens: 300,
+      completion_tokens: 120,
+      prompt_tokens_details: { cached_tokens: 100 }
+    }));
+
+    const result = await createConnector(transport).implementTask(task, 'Create a theme provider');
+
+    expect(result.implementation).toBe('export function ThemeProvider({ children }) { return children; }\n');
+    expect(result.tokenUsage).toMatchObject({ input: 200, output: 120, cacheRead: 100, estimated: false });
+  });
+
+  test('estimates usage when the response has none', async () => {
+    const transport = createTransport(completion('```tsx\nexport const theme = {};\n```'));
+
+    const result = await createConnector(transport).implementTask(task, 'Create a theme provider');
+
+    expect(result.tokenUsage.estimated).toBe(true);
+  });
+
+  test('fails on an error status', async () => {
+    const transport = createTransport({}, { ok: false, status: 401, statusText: 'Unauthorized' });
+
+    await expect(createConnector(transport).implementTask(task, 'Create a theme provider'))
+      .rejects.toThrow('v0.dev request failed: 401 Unauthorized');
+  });
+
+  test('fails when the completion has no code', async () => {
+    const transport = createTransport(completion('I cannot help with that.'));
+
+    await expect(createConnector(transport).implementTask(task, 'Create a theme provider'))
+      .rejects.toThrow(/No code implementation found/);
+  });
+});